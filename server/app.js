@@ -0,0 +1,406 @@
+import express from 'express';
+import cors from 'cors';
+import helmet from 'helmet';
+import rateLimit from 'express-rate-limit';
+import authRoutes from './routes/auth.js';
+import paymentRoutes from './routes/payments.js';
+import auditRoutes from './routes/audit.js';
+import batchRoutes from './routes/batches.js';
+import beneficiaryRoutes from './routes/beneficiaries.js';
+import limitRoutes from './routes/limits.js';
+import sanctionsRoutes from './routes/sanctions.js';
+import webhookRoutes from './routes/webhooks.js';
+import eventRoutes from './routes/events.js';
+import userRoutes from './routes/users.js';
+import { REQUEST_ID_HEADER, requestId } from './middleware/requestId.js';
+import { getLogLevel, logger } from './logging/logger.js';
+
+// The Express application without anything that runs at startup, so tests
+// can serve it on a free port. Each call builds a separate app with its own
+// rate limiter.
+export const createApp = () => {
+  const app = express();
+
+  // ============================================
+  // SECURITY FEATURES DOCUMENTATION LOGGER
+  // ============================================
+  logger.info('activating security features', { logLevel: getLogLevel() });
+
+  // Correlation ID first, so every later middleware and route can log with it
+  app.use(requestId);
+
+  // Feature 1: Password Security with Hashing and Salting
+  logger.info('security feature active', {
+    feature: 'Password Security',
+    implementation: 'bcrypt with 10 salt rounds',
+    location: 'routes/auth.js (lines with bcrypt.hash)',
+    validation: '8+ chars, uppercase, lowercase, number, special char'
+  });
+
+  // Feature 2: Input Validation with RegEx
+  logger.info('security feature active', {
+    feature: 'Input Validation (RegEx Patterns)',
+    emailValidation: 'validator.isEmail()',
+    passwordRegex: '/[A-Z]/, /[a-z]/, /[0-9]/, /[!@#$%^&*]/',
+    swiftCodeRegex: '/^[A-Z]{6}[A-Z0-9]{2}([A-Z0-9]{3})?$/',
+    beneficiaryAccount: 'IBAN structure + mod-97, domestic rules, BIC country match',
+    currency: 'ISO 4217 codes, amounts stored as integer minor units',
+    inputSanitization: 'validator.escape() on all inputs',
+    location: 'routes/auth.js & routes/payments.js'
+  });
+
+  // Feature 3: SSL/HTTPS Configuration
+  logger.info('security feature active', {
+    feature: 'SSL/HTTPS Security',
+    hstsEnabled: 'max-age=31536000 (1 year)',
+    includeSubDomains: 'true',
+    preload: 'true',
+    location: 'Helmet configuration below'
+  });
+
+  // Security Middleware with detailed logging
+  app.use(helmet({
+    contentSecurityPolicy: {
+      directives: {
+        defaultSrc: ["'self'"],
+        styleSrc: ["'self'", "'unsafe-inline'"],
+        scriptSrc: ["'self'"],
+        imgSrc: ["'self'", "data:", "https:"],
+      },
+    },
+    hsts: {
+      maxAge: 31536000,
+      includeSubDomains: true,
+      preload: true
+    }
+  }));
+
+  logger.info('security feature active', {
+    feature: 'Attack Protection - Helmet.js',
+    xssProtection: 'Enabled',
+    contentSecurityPolicy: 'Configured',
+    xFrameOptions: 'DENY (Clickjacking protection)',
+    xContentTypeOptions: 'nosniff',
+    referrerPolicy: 'Configured'
+  });
+
+  // CORS Configuration with logging
+  app.use(cors({
+    origin: process.env.FRONTEND_URL || 'http://localhost:3000',
+    credentials: true,
+    exposedHeaders: [REQUEST_ID_HEADER, 'Content-Disposition']
+  }));
+
+  logger.info('security feature active', {
+    feature: 'CORS (Cross-Origin Resource Sharing)',
+    allowedOrigin: process.env.FRONTEND_URL || 'http://localhost:3000',
+    credentials: 'Enabled',
+    protection: 'Only whitelisted origins can access API'
+  });
+
+  // Rate Limiting with detailed logging
+  const limiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 100,
+    message: 'Too many requests from this IP, please try again later.',
+    handler: (req, res) => {
+      req.log.warn('rate limit exceeded', { ip: req.ip });
+      res.status(429).json({
+        success: false,
+        message: 'Too many requests from this IP, please try again later.'
+      });
+    }
+  });
+
+  app.use('/api/', limiter);
+
+  logger.info('security feature active', {
+    feature: 'Rate Limiting (DDoS Protection)',
+    window: '15 minutes',
+    maxRequests: '100 per IP',
+    appliedTo: 'All /api/* routes',
+    protection: 'Prevents brute force and DDoS attacks',
+    login: 'Per-account & per-IP exponential back-off, 15 min lockout'
+  });
+
+  // Body Parser
+  app.use(express.json({ limit: '10mb' }));
+  app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+  logger.info('security feature active', {
+    feature: 'Structured Logging',
+    format: 'JSON lines with level, time and X-Request-Id correlation ID',
+    redaction: 'Tokens, passwords and secrets removed; emails, names and account numbers masked',
+    logLevel: 'LOG_LEVEL (default: debug in development, info in production, silent in test)',
+    location: 'logging/logger.js, logging/redact.js & middleware/requestId.js'
+  });
+
+  logger.info('security feature active', {
+    feature: 'JWT Authentication',
+    tokenType: 'JSON Web Token (JWT)',
+    expiration: '15 minutes (rotating refresh tokens, 7 days)',
+    revocation: 'Server-side sessions + jti denylist',
+    location: 'middleware/auth.js & services/sessions.js',
+    protectedRoutes: '/api/payments/* '
+  });
+
+  logger.info('security feature active', {
+    feature: 'Two-Factor Authentication',
+    method: 'TOTP (RFC 6238) with one-time recovery codes',
+    employees: 'Mandatory',
+    customers: 'Optional',
+    location: 'services/mfa.js & services/totp.js'
+  });
+
+  logger.info('security feature active', {
+    feature: 'SQL Injection Protection',
+    method: 'Input sanitization with validator.escape()',
+    appliedTo: 'All user inputs',
+    location: 'All routes with sanitizeInput()'
+  });
+
+  logger.info('security feature active', {
+    feature: 'Role-Based Access Control',
+    roles: 'Customer, Teller, Approver, Compliance Officer, Auditor, Administrator',
+    verification: 'Named permission checked on every route; role carried in the JWT',
+    portalSeparation: 'Enforced'
+  });
+
+  logger.info('security feature active', {
+    feature: 'User Administration',
+    actions: 'Create employees, change roles, disable & re-enable accounts, force password resets',
+    disabledAccounts: 'Checked on every request, so tokens stop working at once',
+    endpoints: 'GET /api/users, POST /api/users/:email/disable|enable|password-reset',
+    location: 'routes/users.js'
+  });
+
+  logger.info('security feature active', {
+    feature: 'Tamper-Evident Audit Log',
+    events: 'Logins, lockouts & unlocks, payment create/verify/reject',
+    storage: 'Append-only table, each entry SHA-256 chained to the previous',
+    endpoints: 'GET /api/audit (filters), GET /api/audit/verify (chain check)',
+    location: 'services/audit.js & routes/audit.js'
+  });
+
+  logger.info('security feature active', {
+    feature: 'Payment Limits & Velocity Rules',
+    limits: 'Per-payment, daily & monthly per customer and currency',
+    velocity: 'Payments and new beneficiaries per hour',
+    endpoints: 'GET /api/limits, GET /api/limits/:email & PUT /api/limits/:email/:currency (employees)',
+    location: 'services/limits.js & routes/limits.js'
+  });
+
+  logger.info('security feature active', {
+    feature: 'Sanctions Screening',
+    screening: 'Beneficiary names (transliterated, fuzzy-matched) & BIC countries',
+    lists: 'Local OFAC/UN-style CSV & XML files, embargoed-countries.csv',
+    onMatch: 'Payment held (screening_hold) until an employee releases or rejects it',
+    endpoints: 'GET /api/payments/screening, POST /api/payments/:id/release, GET /api/sanctions, POST /api/sanctions/reload',
+    location: 'services/sanctions.js & routes/sanctions.js'
+  });
+
+  logger.info('security feature active', {
+    feature: 'Payment Risk Scoring',
+    signals: 'New beneficiary, unusual amount, new IP or browser, high-risk BIC country, recent password change',
+    configuration: 'RISK_WEIGHTS, RISK_HOLD_THRESHOLD & related environment variables',
+    onHighScore: 'Payment held (risk_hold) until an employee releases or rejects it',
+    endpoints: 'GET /api/payments/risk-review, POST /api/payments/:id/release',
+    location: 'services/risk.js'
+  });
+
+  logger.info('security feature active', {
+    feature: 'Four-Eyes Approval',
+    approvals: 'Two different employees, neither of whom verified or released the payment',
+    appliesTo: 'Verified payments above the per-currency threshold (APPROVAL_THRESHOLDS)'
+  });
+
+  logger.info('security feature active', {
+    feature: 'Signed Webhooks',
+    events: 'payment.<status> for every payment status change, per customer subscription',
+    signing: 'X-Webhook-Signature: HMAC-SHA256 over timestamp and body with the subscription secret',
+    retries: 'Exponential back-off; deliveries that keep failing move to dead letters',
+    endpoints: 'GET/POST /api/webhooks, GET /api/webhooks/deliveries, POST /api/webhooks/deliveries/:id/redeliver',
+    location: 'services/webhooks.js & routes/webhooks.js'
+  });
+
+  logger.info('security feature active', {
+    feature: 'Live Payment Updates',
+    transport: 'Server-Sent Events, authenticated like every other API call',
+    scope: 'Customers: their own payments; employees: every payment',
+    expiry: 'Streams close when the access token expires or is revoked',
+    endpoints: 'GET /api/events',
+    location: 'services/liveUpdates.js & routes/events.js'
+  });
+
+  logger.info('security feature active', {
+    feature: 'Secure Error Handling',
+    production: 'Generic error messages (no stack traces)',
+    development: 'Detailed error info for debugging'
+  });
+
+  // Routes
+  app.use('/api/auth', authRoutes);
+  app.use('/api/payments', paymentRoutes);
+  app.use('/api/audit', auditRoutes);
+  app.use('/api/batches', batchRoutes);
+  app.use('/api/beneficiaries', beneficiaryRoutes);
+  app.use('/api/limits', limitRoutes);
+  app.use('/api/sanctions', sanctionsRoutes);
+  app.use('/api/webhooks', webhookRoutes);
+  app.use('/api/events', eventRoutes);
+  app.use('/api/users', userRoutes);
+
+  // Health Check with Security Status
+  app.get('/api/health', (req, res) => {
+    res.json({ 
+      status: 'OK', 
+      message: 'Server is running',
+      security: {
+        helmet: 'ACTIVE',
+        cors: 'ACTIVE',
+        rateLimit: 'ACTIVE',
+        jwt: 'ACTIVE',
+        inputValidation: 'ACTIVE',
+        passwordHashing: 'ACTIVE'
+      },
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Security Features Endpoint (For Demonstration)
+  app.get('/api/security/features', (req, res) => {
+    res.json({
+      success: true,
+      message: 'Security Features Overview',
+      features: {
+        authentication: {
+          name: 'JWT Authentication',
+          status: 'ACTIVE',
+          description: '15 minute JWTs with rotating refresh tokens and server-side revocation',
+          location: 'middleware/auth.js & services/sessions.js'
+        },
+        twoFactor: {
+          name: 'Two-Factor Authentication',
+          status: 'ACTIVE',
+          description: 'TOTP (RFC 6238) with recovery codes - mandatory for employees, optional for customers',
+          location: 'services/mfa.js'
+        },
+        passwordSecurity: {
+          name: 'Password Hashing & Salting',
+          status: 'ACTIVE',
+          description: 'bcrypt with 10 salt rounds',
+          requirements: '8+ chars, uppercase, lowercase, number, special char',
+          location: 'routes/auth.js'
+        },
+        inputValidation: {
+          name: 'Input Validation (RegEx)',
+          status: 'ACTIVE',
+          patterns: {
+            email: 'validator.isEmail()',
+            password: 'Multiple regex patterns',
+            swiftCode: '/^[A-Z]{6}[A-Z0-9]{2}([A-Z0-9]{3})?$/',
+            beneficiaryAccount: 'IBAN registry structure + ISO 7064 mod-97, per-country domestic formats, BIC country must match',
+            sanitization: 'validator.escape()'
+          },
+          location: 'routes/auth.js & routes/payments.js'
+        },
+        https: {
+          name: 'HTTPS/SSL Security',
+          status: 'ACTIVE',
+          hsts: {
+            maxAge: '31536000 seconds (1 year)',
+            includeSubDomains: true,
+            preload: true
+          },
+          location: 'app.js (Helmet configuration)'
+        },
+        accessControl: {
+          name: 'Role-Based Access Control',
+          status: 'ACTIVE',
+          description: 'Each route requires a named permission such as payments:verify; roles grant permissions and are changed by administrators',
+          location: 'services/permissions.js & middleware/auth.js'
+        },
+        userAdministration: {
+          name: 'User Administration',
+          status: 'ACTIVE',
+          description: 'Administrators disable accounts, effective on the next request, and force password resets at the next login',
+          location: 'routes/users.js'
+        },
+        attackProtection: {
+          name: 'Multi-Layer Attack Protection',
+          status: 'ACTIVE',
+          protections: [
+            'XSS (Cross-Site Scripting)',
+            'CSRF (Cross-Site Request Forgery)',
+            'Clickjacking',
+            'SQL Injection',
+            'NoSQL Injection',
+            'DDoS (via Rate Limiting)',
+            'Brute Force (via Rate Limiting and per-account lockout)'
+          ],
+          tools: ['Helmet.js', 'express-rate-limit', 'validator']
+        },
+        rateLimiting: {
+          name: 'Rate Limiting',
+          status: 'ACTIVE',
+          config: {
+            window: '15 minutes',
+            maxRequests: 100,
+            appliedTo: '/api/* routes'
+          },
+          location: 'app.js'
+        },
+        logging: {
+          name: 'Structured Logging',
+          status: 'ACTIVE',
+          format: 'JSON lines, leveled via LOG_LEVEL',
+          correlation: 'X-Request-Id header on every response',
+          redaction: 'Secrets removed; emails, names and account numbers masked',
+          location: 'logging/logger.js & logging/redact.js'
+        },
+        auditLog: {
+          name: 'Tamper-Evident Audit Log',
+          status: 'ACTIVE',
+          hashing: 'SHA-256 chain over every entry',
+          events: ['auth.login', 'auth.lockout', 'auth.unlock', 'payment.create', 'payment.verify', 'payment.reject'],
+          location: 'services/audit.js & routes/audit.js'
+        },
+        cors: {
+          name: 'CORS Protection',
+          status: 'ACTIVE',
+          allowedOrigin: process.env.FRONTEND_URL || 'http://localhost:3000',
+          credentials: true,
+          location: 'app.js'
+        }
+      }
+    });
+  });
+
+  // Error Handler with Security Logging
+  app.use((err, req, res, next) => {
+    req.log.error('unhandled error', {
+      method: req.method,
+      path: req.path,
+      ip: req.ip,
+      error: err
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      requestId: req.id,
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  });
+
+  // 404 Handler with Logging
+  app.use((req, res) => {
+    req.log.warn('route not found', { method: req.method, path: req.path, ip: req.ip });
+    res.status(404).json({
+      success: false,
+      message: 'Route not found'
+    });
+  });
+
+  return app;
+};
@@ -0,0 +1,31 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { startTestServer } from './testing/http.js';
+
+describe('app', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestServer();
+  });
+
+  after(() => api.close());
+
+  it('answers the health check', async () => {
+    const { status, body } = await api.request('GET', '/health');
+
+    assert.equal(status, 200);
+    assert.equal(body.status, 'OK');
+  });
+
+  it('answers unknown routes with 404', async () => {
+    const { status, body } = await api.request('GET', '/nothing-here');
+
+    assert.equal(status, 404);
+    assert.deepEqual(body, { success: false, message: 'Route not found' });
+  });
+
+  it('refuses API calls without a token', async () => {
+    assert.equal((await api.request('GET', '/payments/history')).status, 401);
+  });
+});
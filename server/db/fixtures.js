@@ -0,0 +1,42 @@
+import bcrypt from 'bcrypt';
+import { withTransaction } from './index.js';
+import { createUser, findUserByEmail } from '../repositories/users.js';
+import { logger } from '../logging/logger.js';
+
+// Demo accounts for trying the portal out locally, created when
+// SEED_DEMO_ACCOUNTS=true. Their passwords are in the README, so they are
+// never created in production.
+const DEMO_ACCOUNTS = [
+  {
+    email: 'employee@company.com',
+    password: 'Employee123!',
+    userType: 'employee',
+    role: 'admin'
+  },
+  {
+    email: 'customer@example.com',
+    password: 'Customer123!',
+    userType: 'customer',
+    role: 'customer',
+    fullName: 'Demo Customer',
+    accountNumber: '1234567890'
+  }
+];
+
+export const seedDemoAccounts = async () => {
+  if (process.env.NODE_ENV === 'production') {
+    logger.warn('demo accounts not seeded', { reason: 'production' });
+    return;
+  }
+
+  const accounts = await Promise.all(DEMO_ACCOUNTS.map(async ({ password, ...account }) => ({
+    ...account,
+    password: await bcrypt.hash(password, 10)
+  })));
+
+  const created = withTransaction(() => accounts
+    .filter(account => !findUserByEmail(account.email))
+    .map(account => createUser(account).email));
+
+  logger.info('demo accounts seeded', { accounts: created });
+};
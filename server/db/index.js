@@ -0,0 +1,81 @@
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { migrations } from './migrations.js';
+import { logger } from '../logging/logger.js';
+
+let db = null;
+
+// 'sqlite' persists to DB_PATH, 'memory' keeps everything in RAM (tests, demos)
+const resolveDriver = () => {
+  return process.env.DB_DRIVER || (process.env.NODE_ENV === 'test' ? 'memory' : 'sqlite');
+};
+
+const runMigrations = (database) => {
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+
+  const applied = new Set(
+    database.prepare('SELECT version FROM schema_migrations').all().map(row => row.version)
+  );
+
+  const record = database.prepare(
+    'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)'
+  );
+
+  for (const migration of migrations) {
+    if (applied.has(migration.version)) continue;
+
+    database.transaction(() => {
+      database.exec(migration.up);
+      record.run(migration.version, migration.name, new Date().toISOString());
+    })();
+
+    logger.info('migration applied', { version: migration.version, migration: migration.name });
+  }
+};
+
+export const openDatabase = ({ driver = resolveDriver(), filename = process.env.DB_PATH } = {}) => {
+  let location = ':memory:';
+
+  if (driver === 'sqlite') {
+    location = path.resolve(filename || 'data/portal.db');
+    fs.mkdirSync(path.dirname(location), { recursive: true });
+  } else if (driver !== 'memory') {
+    throw new Error(`Unknown DB_DRIVER: ${driver}`);
+  }
+
+  const database = new Database(location);
+  database.pragma('journal_mode = WAL');
+  database.pragma('foreign_keys = ON');
+
+  runMigrations(database);
+  logger.info('database opened', { driver, location });
+
+  return database;
+};
+
+// Opened lazily so dotenv has populated process.env before the first query
+export const getDatabase = () => {
+  if (!db) {
+    db = openDatabase();
+  }
+  return db;
+};
+
+export const closeDatabase = () => {
+  if (db) {
+    db.close();
+    db = null;
+  }
+};
+
+// Runs fn atomically; nested calls join the outer transaction
+export const withTransaction = (fn) => {
+  return getDatabase().transaction(fn)();
+};
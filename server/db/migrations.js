@@ -0,0 +1,490 @@
+// Schema migrations, applied in order and recorded in schema_migrations.
+// Never edit a migration once it has shipped - add a new one instead.
+export const migrations = [
+  {
+    version: 1,
+    name: 'create_users',
+    up: `
+      CREATE TABLE users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        email TEXT NOT NULL,
+        password_hash TEXT NOT NULL,
+        user_type TEXT NOT NULL CHECK (user_type IN ('customer', 'employee')),
+        created_at TEXT NOT NULL
+      );
+      CREATE UNIQUE INDEX idx_users_email ON users (email);
+    `
+  },
+  {
+    version: 2,
+    name: 'create_transactions',
+    up: `
+      CREATE TABLE transactions (
+        transaction_id TEXT PRIMARY KEY,
+        amount REAL NOT NULL,
+        recipient_name TEXT NOT NULL,
+        recipient_account TEXT NOT NULL,
+        swift_code TEXT NOT NULL,
+        initiated_by TEXT NOT NULL,
+        user_type TEXT NOT NULL,
+        status TEXT NOT NULL,
+        rejection_reason TEXT,
+        verified_by TEXT,
+        verified_at TEXT,
+        rejected_by TEXT,
+        rejected_at TEXT,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_transactions_initiated_by ON transactions (initiated_by, created_at);
+      CREATE INDEX idx_transactions_status ON transactions (status, created_at);
+    `
+  },
+  {
+    version: 3,
+    name: 'add_customer_onboarding_fields',
+    up: `
+      ALTER TABLE users ADD COLUMN full_name TEXT;
+      ALTER TABLE users ADD COLUMN id_number TEXT;
+      ALTER TABLE users ADD COLUMN account_number TEXT;
+      CREATE UNIQUE INDEX idx_users_id_number ON users (id_number);
+      CREATE UNIQUE INDEX idx_users_account_number ON users (account_number);
+    `
+  },
+  {
+    version: 4,
+    name: 'create_sessions',
+    up: `
+      CREATE TABLE sessions (
+        session_id TEXT PRIMARY KEY,
+        user_email TEXT NOT NULL,
+        user_type TEXT NOT NULL,
+        current_jti TEXT NOT NULL,
+        access_expires_at TEXT NOT NULL,
+        ip TEXT,
+        user_agent TEXT,
+        created_at TEXT NOT NULL,
+        last_used_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        revoked_at TEXT
+      );
+      CREATE INDEX idx_sessions_user_email ON sessions (user_email, revoked_at);
+
+      CREATE TABLE refresh_tokens (
+        token_hash TEXT PRIMARY KEY,
+        session_id TEXT NOT NULL REFERENCES sessions (session_id),
+        expires_at TEXT NOT NULL,
+        used_at TEXT
+      );
+      CREATE INDEX idx_refresh_tokens_session_id ON refresh_tokens (session_id);
+
+      CREATE TABLE revoked_tokens (
+        jti TEXT PRIMARY KEY,
+        expires_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_revoked_tokens_expires_at ON revoked_tokens (expires_at);
+    `
+  },
+  {
+    version: 5,
+    name: 'create_login_throttling',
+    up: `
+      CREATE TABLE login_throttles (
+        scope TEXT NOT NULL CHECK (scope IN ('account', 'ip')),
+        subject TEXT NOT NULL,
+        failure_count INTEGER NOT NULL,
+        last_failure_at TEXT NOT NULL,
+        next_attempt_at TEXT,
+        locked_until TEXT,
+        PRIMARY KEY (scope, subject)
+      );
+
+      CREATE TABLE lockout_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        scope TEXT NOT NULL,
+        subject TEXT NOT NULL,
+        failure_count INTEGER NOT NULL,
+        ip TEXT,
+        locked_at TEXT NOT NULL,
+        locked_until TEXT NOT NULL,
+        unlocked_by TEXT,
+        unlocked_at TEXT
+      );
+      CREATE INDEX idx_lockout_events_subject ON lockout_events (scope, subject, locked_at);
+    `
+  },
+  {
+    version: 6,
+    name: 'add_totp_mfa',
+    up: `
+      ALTER TABLE users ADD COLUMN mfa_secret TEXT;
+      ALTER TABLE users ADD COLUMN mfa_pending_secret TEXT;
+      ALTER TABLE users ADD COLUMN mfa_enabled_at TEXT;
+      ALTER TABLE users ADD COLUMN mfa_last_step INTEGER;
+
+      CREATE TABLE mfa_recovery_codes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_email TEXT NOT NULL,
+        code_hash TEXT NOT NULL,
+        used_at TEXT
+      );
+      CREATE INDEX idx_mfa_recovery_codes_user_email ON mfa_recovery_codes (user_email);
+    `
+  },
+  {
+    // Rebuilt rather than altered so amount_minor/currency can be NOT NULL.
+    // Amounts before this migration were Rand floats.
+    version: 7,
+    name: 'multi_currency_minor_units',
+    up: `
+      CREATE TABLE transactions_new (
+        transaction_id TEXT PRIMARY KEY,
+        amount_minor INTEGER NOT NULL CHECK (amount_minor > 0),
+        currency TEXT NOT NULL,
+        provider TEXT NOT NULL,
+        recipient_name TEXT NOT NULL,
+        recipient_account TEXT NOT NULL,
+        swift_code TEXT NOT NULL,
+        initiated_by TEXT NOT NULL,
+        user_type TEXT NOT NULL,
+        status TEXT NOT NULL,
+        rejection_reason TEXT,
+        verified_by TEXT,
+        verified_at TEXT,
+        rejected_by TEXT,
+        rejected_at TEXT,
+        created_at TEXT NOT NULL
+      );
+
+      INSERT INTO transactions_new
+      SELECT transaction_id, CAST(ROUND(amount * 100) AS INTEGER), 'ZAR', 'SWIFT',
+             recipient_name, recipient_account, swift_code, initiated_by, user_type, status,
+             rejection_reason, verified_by, verified_at, rejected_by, rejected_at, created_at
+      FROM transactions;
+
+      DROP TABLE transactions;
+      ALTER TABLE transactions_new RENAME TO transactions;
+      CREATE INDEX idx_transactions_initiated_by ON transactions (initiated_by, created_at);
+      CREATE INDEX idx_transactions_status ON transactions (status, created_at);
+    `
+  },
+  {
+    version: 8,
+    name: 'create_idempotency_keys',
+    up: `
+      CREATE TABLE idempotency_keys (
+        user_email TEXT NOT NULL,
+        idempotency_key TEXT NOT NULL,
+        request_hash TEXT NOT NULL,
+        status_code INTEGER NOT NULL,
+        response_body TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        PRIMARY KEY (user_email, idempotency_key)
+      );
+      CREATE INDEX idx_idempotency_keys_expires_at ON idempotency_keys (expires_at);
+    `
+  },
+  {
+    version: 9,
+    name: 'create_audit_log',
+    up: `
+      CREATE TABLE audit_log (
+        id INTEGER PRIMARY KEY,
+        occurred_at TEXT NOT NULL,
+        actor TEXT NOT NULL,
+        action TEXT NOT NULL,
+        target TEXT,
+        ip TEXT,
+        user_agent TEXT,
+        outcome TEXT NOT NULL CHECK (outcome IN ('success', 'failure', 'denied')),
+        details TEXT,
+        prev_hash TEXT NOT NULL,
+        hash TEXT NOT NULL UNIQUE
+      );
+      CREATE INDEX idx_audit_log_actor ON audit_log (actor, id);
+      CREATE INDEX idx_audit_log_action ON audit_log (action, id);
+      CREATE INDEX idx_audit_log_target ON audit_log (target, id);
+
+      CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+      BEGIN
+        SELECT RAISE(ABORT, 'audit_log is append-only');
+      END;
+
+      CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+      BEGIN
+        SELECT RAISE(ABORT, 'audit_log is append-only');
+      END;
+    `
+  },
+  {
+    version: 10,
+    name: 'create_payment_exports',
+    up: `
+      CREATE TABLE payment_exports (
+        export_id TEXT PRIMARY KEY,
+        format TEXT NOT NULL,
+        created_by TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        transaction_count INTEGER NOT NULL,
+        control_sum TEXT NOT NULL,
+        document TEXT NOT NULL
+      );
+
+      ALTER TABLE transactions ADD COLUMN export_id TEXT REFERENCES payment_exports (export_id);
+      ALTER TABLE transactions ADD COLUMN submitted_at TEXT;
+      CREATE INDEX idx_transactions_export_id ON transactions (export_id);
+    `
+  },
+  {
+    // Unique end-to-end transaction reference (SWIFT gpi field 121)
+    version: 11,
+    name: 'add_transaction_uetr',
+    up: `
+      ALTER TABLE transactions ADD COLUMN uetr TEXT;
+      CREATE UNIQUE INDEX idx_transactions_uetr ON transactions (uetr);
+    `
+  },
+  {
+    version: 12,
+    name: 'create_payment_batches',
+    up: `
+      CREATE TABLE payment_batches (
+        batch_id TEXT PRIMARY KEY,
+        created_by TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        file_name TEXT,
+        payment_count INTEGER NOT NULL,
+        status TEXT NOT NULL CHECK (status IN ('active', 'cancelled')),
+        cancelled_by TEXT,
+        cancelled_at TEXT
+      );
+      CREATE INDEX idx_payment_batches_created_by ON payment_batches (created_by, created_at);
+
+      ALTER TABLE transactions ADD COLUMN batch_id TEXT REFERENCES payment_batches (batch_id);
+      CREATE INDEX idx_transactions_batch_id ON transactions (batch_id);
+    `
+  },
+  {
+    version: 13,
+    name: 'create_beneficiaries',
+    up: `
+      CREATE TABLE beneficiaries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        owner_email TEXT NOT NULL,
+        nickname TEXT NOT NULL,
+        recipient_name TEXT NOT NULL,
+        recipient_account TEXT NOT NULL,
+        swift_code TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE UNIQUE INDEX idx_beneficiaries_owner_nickname ON beneficiaries (owner_email, nickname COLLATE NOCASE);
+    `
+  },
+  {
+    // Keyed by transaction_id rather than rowid, which VACUUM may renumber on
+    // a table with a TEXT primary key
+    version: 14,
+    name: 'create_transaction_search',
+    up: `
+      CREATE VIRTUAL TABLE transactions_search USING fts5(
+        transaction_id UNINDEXED,
+        recipient_name,
+        recipient_account,
+        tokenize = 'unicode61 remove_diacritics 2'
+      );
+
+      INSERT INTO transactions_search (transaction_id, recipient_name, recipient_account)
+      SELECT transaction_id, recipient_name, recipient_account FROM transactions;
+
+      CREATE TRIGGER transactions_search_insert AFTER INSERT ON transactions BEGIN
+        INSERT INTO transactions_search (transaction_id, recipient_name, recipient_account)
+        VALUES (new.transaction_id, new.recipient_name, new.recipient_account);
+      END;
+
+      CREATE TRIGGER transactions_search_update AFTER UPDATE OF recipient_name, recipient_account ON transactions BEGIN
+        UPDATE transactions_search
+        SET recipient_name = new.recipient_name, recipient_account = new.recipient_account
+        WHERE transaction_id = new.transaction_id;
+      END;
+
+      CREATE TRIGGER transactions_search_delete AFTER DELETE ON transactions BEGIN
+        DELETE FROM transactions_search WHERE transaction_id = old.transaction_id;
+      END;
+
+      CREATE INDEX idx_transactions_created_at ON transactions (created_at, transaction_id);
+      CREATE INDEX idx_transactions_swift_code ON transactions (swift_code);
+    `
+  },
+  {
+    // NULL limits fall back to the defaults in services/limits.js
+    version: 15,
+    name: 'create_customer_limits',
+    up: `
+      CREATE TABLE customer_limits (
+        customer_email TEXT NOT NULL,
+        currency TEXT NOT NULL,
+        per_transaction_minor INTEGER CHECK (per_transaction_minor > 0),
+        daily_minor INTEGER CHECK (daily_minor > 0),
+        monthly_minor INTEGER CHECK (monthly_minor > 0),
+        updated_by TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (customer_email, currency)
+      );
+      CREATE INDEX idx_transactions_initiated_by_currency ON transactions (initiated_by, currency, created_at);
+      CREATE INDEX idx_transactions_beneficiary ON transactions (initiated_by, recipient_account, swift_code, created_at);
+    `
+  },
+  {
+    // One row per screened payment, clear or not, as evidence it was screened
+    version: 16,
+    name: 'create_payment_screenings',
+    up: `
+      CREATE TABLE payment_screenings (
+        transaction_id TEXT PRIMARY KEY REFERENCES transactions (transaction_id),
+        screened_at TEXT NOT NULL,
+        outcome TEXT NOT NULL CHECK (outcome IN ('clear', 'hold')),
+        hits TEXT NOT NULL,
+        lists_version TEXT,
+        decision TEXT CHECK (decision IN ('released', 'rejected')),
+        reviewed_by TEXT,
+        reviewed_at TEXT,
+        review_note TEXT
+      );
+    `
+  },
+  {
+    // Fraud risk score and reasons per payment. risk_held_at is stamped when a
+    // payment is put on hold for its score, the release columns when an
+    // employee lets it through.
+    version: 17,
+    name: 'add_payment_risk_scoring',
+    up: `
+      ALTER TABLE transactions ADD COLUMN risk_score INTEGER;
+      ALTER TABLE transactions ADD COLUMN risk_reasons TEXT;
+      ALTER TABLE transactions ADD COLUMN risk_held_at TEXT;
+      ALTER TABLE transactions ADD COLUMN risk_released_by TEXT;
+      ALTER TABLE transactions ADD COLUMN risk_released_at TEXT;
+      ALTER TABLE transactions ADD COLUMN risk_release_note TEXT;
+      ALTER TABLE users ADD COLUMN password_changed_at TEXT;
+    `
+  },
+  {
+    // Customers' webhook endpoints and every event queued for them. A
+    // delivery is retried until it succeeds or runs out of attempts, when it
+    // stays behind as dead for redelivery. Each HTTP attempt is logged.
+    version: 18,
+    name: 'create_webhooks',
+    up: `
+      CREATE TABLE webhook_subscriptions (
+        subscription_id TEXT PRIMARY KEY,
+        owner_email TEXT NOT NULL,
+        url TEXT NOT NULL,
+        event_types TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        deleted_at TEXT
+      );
+      CREATE INDEX idx_webhook_subscriptions_owner ON webhook_subscriptions (owner_email, deleted_at);
+
+      CREATE TABLE webhook_deliveries (
+        delivery_id TEXT PRIMARY KEY,
+        subscription_id TEXT NOT NULL REFERENCES webhook_subscriptions (subscription_id),
+        event_id TEXT NOT NULL,
+        event_type TEXT NOT NULL,
+        transaction_id TEXT REFERENCES transactions (transaction_id),
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL CHECK (status IN ('pending', 'delivered', 'dead')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TEXT,
+        last_error TEXT,
+        redelivery_of TEXT REFERENCES webhook_deliveries (delivery_id),
+        created_at TEXT NOT NULL,
+        delivered_at TEXT
+      );
+      CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at);
+      CREATE INDEX idx_webhook_deliveries_subscription ON webhook_deliveries (subscription_id, created_at);
+
+      CREATE TABLE webhook_delivery_attempts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        delivery_id TEXT NOT NULL REFERENCES webhook_deliveries (delivery_id),
+        attempted_at TEXT NOT NULL,
+        status_code INTEGER,
+        error TEXT,
+        duration_ms INTEGER NOT NULL
+      );
+      CREATE INDEX idx_webhook_delivery_attempts_delivery ON webhook_delivery_attempts (delivery_id, id);
+    `
+  },
+  {
+    // Employees who could do everything before roles existed become admins,
+    // so upgrading takes nobody's access away
+    version: 19,
+    name: 'add_user_roles',
+    up: `
+      ALTER TABLE users ADD COLUMN role TEXT;
+      UPDATE users SET role = CASE user_type WHEN 'customer' THEN 'customer' ELSE 'admin' END;
+    `
+  },
+  {
+    // Approvals and rejections of verified payments above their currency's
+    // approval threshold. Nobody approves the same payment twice.
+    version: 20,
+    name: 'create_payment_approvals',
+    up: `
+      CREATE TABLE payment_approvals (
+        approval_id TEXT PRIMARY KEY,
+        transaction_id TEXT NOT NULL REFERENCES transactions (transaction_id),
+        decided_by TEXT NOT NULL,
+        decision TEXT NOT NULL CHECK (decision IN ('approved', 'rejected')),
+        reason TEXT NOT NULL,
+        decided_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_payment_approvals_transaction ON payment_approvals (transaction_id, decided_at);
+      CREATE UNIQUE INDEX idx_payment_approvals_once ON payment_approvals (transaction_id, decided_by)
+        WHERE decision = 'approved';
+    `
+  },
+  {
+    // Account administration: disabled accounts, passwords an administrator
+    // has asked to be reset, and each user's last login, filled in from
+    // their sessions for users who logged in before
+    version: 21,
+    name: 'add_user_administration',
+    up: `
+      ALTER TABLE users ADD COLUMN disabled_at TEXT;
+      ALTER TABLE users ADD COLUMN disabled_by TEXT;
+      ALTER TABLE users ADD COLUMN password_reset_required INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE users ADD COLUMN last_login_at TEXT;
+      UPDATE users SET last_login_at = (
+        SELECT MAX(created_at) FROM sessions WHERE sessions.user_email = users.email
+      );
+    `
+  },
+  {
+    // Who sent each payment to the bank, and the MT103 reference for payments
+    // sent one at a time rather than in a pain.001 file. Payments exported
+    // before this take the export's creator.
+    version: 22,
+    name: 'add_payment_submission_details',
+    up: `
+      ALTER TABLE transactions ADD COLUMN submitted_by TEXT;
+      ALTER TABLE transactions ADD COLUMN mt103_reference TEXT;
+      UPDATE transactions SET submitted_by = (
+        SELECT created_by FROM payment_exports WHERE payment_exports.export_id = transactions.export_id
+      )
+      WHERE export_id IS NOT NULL;
+    `
+  },
+  {
+    // The approval rule in force when each payment was verified, so changing
+    // APPROVAL_THRESHOLDS doesn't change what payments already in the queue
+    // need. Payments verified before this fall back to the current rule.
+    version: 23,
+    name: 'add_payment_approval_rule',
+    up: `
+      ALTER TABLE transactions ADD COLUMN approval_threshold_minor INTEGER;
+      ALTER TABLE transactions ADD COLUMN approvals_required INTEGER;
+    `
+  }
+];
@@ -0,0 +1,61 @@
+import { redact } from './redact.js';
+
+// One JSON object per line on stdout. Fields are redacted by the central
+// policy in redact.js, so PII and secrets never reach the log stream.
+
+export const LOG_LEVELS = {
+  debug: 20,
+  info: 30,
+  warn: 40,
+  error: 50,
+  silent: Infinity
+};
+
+const DEFAULT_LEVELS = {
+  production: 'info',
+  test: 'silent',
+  development: 'debug'
+};
+
+let threshold = null;
+
+// Resolved on first use so dotenv has populated process.env
+const resolveLevel = () => {
+  const configured = (process.env.LOG_LEVEL || '').toLowerCase();
+  if (configured in LOG_LEVELS) return configured;
+  return DEFAULT_LEVELS[process.env.NODE_ENV] || 'info';
+};
+
+export const getLogLevel = () => {
+  const level = resolveLevel();
+  threshold = LOG_LEVELS[level];
+  return level;
+};
+
+const write = (level, bindings, msg, fields) => {
+  if (threshold === null) getLogLevel();
+  if (LOG_LEVELS[level] < threshold) return;
+
+  const entry = redact({
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...bindings,
+    ...fields
+  });
+  // Caller fields can't overwrite the envelope
+  entry.level = level;
+  entry.msg = msg;
+
+  process.stdout.write(`${JSON.stringify(entry)}\n`);
+};
+
+const createLogger = (bindings = {}) => ({
+  debug: (msg, fields) => write('debug', bindings, msg, fields),
+  info: (msg, fields) => write('info', bindings, msg, fields),
+  warn: (msg, fields) => write('warn', bindings, msg, fields),
+  error: (msg, fields) => write('error', bindings, msg, fields),
+  child: (childBindings) => createLogger({ ...bindings, ...childBindings })
+});
+
+export const logger = createLogger();
@@ -0,0 +1,121 @@
+// Central redaction policy. Every log entry passes through redact() before it
+// is written, so call sites can log objects without picking fields apart.
+
+const REDACTED = '[REDACTED]';
+
+// Secrets are never logged, not even in part
+const SECRET_KEYS = new Set([
+  'password',
+  'newpassword',
+  'passwordhash',
+  'token',
+  'accesstoken',
+  'refreshtoken',
+  'mfatoken',
+  'authorization',
+  'cookie',
+  'secret',
+  'mfasecret',
+  'code',
+  'recoverycode',
+  'recoverycodes',
+  'otpauthuri',
+  'qrcode',
+  'idnumber'
+]);
+
+// Account identifiers keep their last four characters for support lookups
+const ACCOUNT_KEYS = new Set([
+  'accountnumber',
+  'recipientaccount',
+  'iban'
+]);
+
+const EMAIL_KEYS = new Set([
+  'email',
+  'useremail',
+  'actor',
+  'initiatedby',
+  'verifiedby',
+  'rejectedby',
+  'unlockedby'
+]);
+
+const NAME_KEYS = new Set([
+  'fullname',
+  'recipientname'
+]);
+
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+const JWT_PATTERN = /eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g;
+const BEARER_PATTERN = /Bearer\s+\S+/gi;
+
+const MAX_DEPTH = 6;
+
+const normalizeKey = (key) => key.toLowerCase().replace(/[^a-z]/g, '');
+
+// jane.doe@example.com -> j***@example.com
+export const maskEmail = (email) => {
+  return email.replace(EMAIL_PATTERN, (match) => {
+    const [local, domain] = match.split('@');
+    return `${local[0]}***@${domain}`;
+  });
+};
+
+// GB82WEST12345698765432 -> ****5432
+export const maskAccount = (account) => {
+  const value = String(account);
+  return value.length > 4 ? `****${value.slice(-4)}` : '****';
+};
+
+// Jane Doe -> J*** D***
+export const maskName = (name) => {
+  return String(name)
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(part => `${part[0]}***`)
+    .join(' ');
+};
+
+// Free text can still carry tokens or emails (error messages, user agents)
+export const scrubString = (value) => {
+  return maskEmail(value.replace(BEARER_PATTERN, `Bearer ${REDACTED}`).replace(JWT_PATTERN, REDACTED));
+};
+
+const redactField = (key, value, depth) => {
+  const normalized = normalizeKey(key);
+  if (value === null || value === undefined) return value;
+
+  if (SECRET_KEYS.has(normalized)) return REDACTED;
+  if (typeof value !== 'object') {
+    if (ACCOUNT_KEYS.has(normalized)) return maskAccount(value);
+    if (EMAIL_KEYS.has(normalized)) return maskEmail(String(value));
+    if (NAME_KEYS.has(normalized)) return maskName(value);
+  }
+  return redact(value, depth + 1);
+};
+
+export const redact = (value, depth = 0) => {
+  if (typeof value === 'string') return scrubString(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (depth > MAX_DEPTH) return '[Truncated]';
+
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: scrubString(value.message),
+      ...(value.code ? { code: value.code } : {}),
+      stack: value.stack ? scrubString(value.stack) : undefined
+    };
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+
+  const result = {};
+  for (const [key, field] of Object.entries(value)) {
+    result[key] = redactField(key, field, depth);
+  }
+  return result;
+};
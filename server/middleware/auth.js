@@ -1,60 +1,65 @@
 import jwt from 'jsonwebtoken';
+import { getJwtSecret, isAccessTokenRevoked } from '../services/sessions.js';
+import { isUserDisabled } from '../repositories/users.js';
+import { hasPermission } from '../services/permissions.js';
 
 export const verifyToken = (req, res, next) => {
-  console.log('\n🔐 [JWT] Token verification started');
-  console.log(`   Route: ${req.method} ${req.path}`);
-  console.log(`   IP: ${req.ip}`);
-  
   try {
     // Get token from header
     const authHeader = req.headers.authorization;
 
-    console.log('   STEP 1: Authorization Header Check');
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      console.log('   ❌ No token provided or invalid format');
-      console.log('   Expected: Bearer <token>');
-      console.log('   Received: ' + (authHeader ? authHeader.substring(0, 20) + '...' : 'none'));
-      console.log('');
+      req.log.warn('jwt rejected', { reason: 'missing_bearer_token' });
       return res.status(401).json({
         success: false,
         message: 'No token provided'
       });
     }
-    console.log('   ✓ Authorization header found');
 
     const token = authHeader.substring(7);
-    console.log(`   ✓ Token extracted: ${token.substring(0, 20)}...`);
+    const decoded = jwt.verify(token, getJwtSecret());
 
-    console.log('\n   STEP 2: JWT Token Verification');
-    console.log('   - Verifying signature...');
-    console.log('   - Checking expiration...');
-    
-    const decoded = jwt.verify(
-      token,
-      process.env.JWT_SECRET || 'test'
-    );
-    
-    console.log('   ✓ Token signature valid');
-    console.log('   ✓ Token not expired');
-    console.log(`   ✓ Decoded payload: { email: ${decoded.email}, userType: ${decoded.userType} }`);
+    if (!decoded.jti || !decoded.sid || isAccessTokenRevoked(decoded.jti)) {
+      req.log.warn('jwt rejected', { reason: 'revoked', sessionId: decoded.sid });
+      return res.status(401).json({
+        success: false,
+        message: 'Token revoked'
+      });
+    }
+
+    // Issued before roles existed; a refresh gets a token with one
+    if (!decoded.role) {
+      req.log.info('jwt rejected', { reason: 'missing_role', sessionId: decoded.sid });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token'
+      });
+    }
+
+    // Checked on every request, so disabling an account locks it out at once
+    if (isUserDisabled(decoded.email)) {
+      req.log.warn('jwt rejected', { reason: 'account_disabled', sessionId: decoded.sid });
+      return res.status(401).json({
+        success: false,
+        message: 'Account disabled'
+      });
+    }
 
-    console.log('\n   STEP 3: Attaching User to Request');
     req.user = {
       email: decoded.email,
-      userType: decoded.userType
+      userType: decoded.userType,
+      role: decoded.role,
+      sessionId: decoded.sid,
+      jti: decoded.jti,
+      tokenExpiresAt: new Date(decoded.exp * 1000)
     };
-    console.log('   ✓ User authenticated successfully');
-    console.log(`   ✓ Proceeding to route handler...\n`);
+    req.log.debug('jwt verified', { userType: decoded.userType, role: decoded.role, sessionId: decoded.sid });
 
     next();
 
   } catch (error) {
-    console.log('\n   ❌ JWT VERIFICATION FAILED');
-    
     if (error.name === 'TokenExpiredError') {
-      console.log('   Reason: Token has expired');
-      console.log(`   Expired at: ${error.expiredAt}`);
-      console.log('');
+      req.log.info('jwt rejected', { reason: 'expired', expiredAt: error.expiredAt });
       return res.status(401).json({
         success: false,
         message: 'Token expired'
@@ -62,17 +67,14 @@ export const verifyToken = (req, res, next) => {
     }
 
     if (error.name === 'JsonWebTokenError') {
-      console.log('   Reason: Invalid token signature or format');
-      console.log(`   Error: ${error.message}`);
-      console.log('');
+      req.log.warn('jwt rejected', { reason: 'invalid', detail: error.message });
       return res.status(401).json({
         success: false,
         message: 'Invalid token'
       });
     }
 
-    console.log(`   Reason: ${error.message}`);
-    console.log('');
+    req.log.error('jwt verification error', { error });
     return res.status(500).json({
       success: false,
       message: 'Token verification failed'
@@ -80,31 +82,31 @@ export const verifyToken = (req, res, next) => {
   }
 };
 
-export const requireUserType = (allowedTypes) => {
+// Lets the request through when the user's role grants any one of the
+// permissions, e.g. requirePermission(PERMISSIONS.PAYMENTS_VERIFY)
+export const requirePermission = (...permissions) => {
   return (req, res, next) => {
-    console.log('\n👤 [AUTHORIZATION] User type verification');
-    console.log(`   Required types: ${allowedTypes.join(', ')}`);
-    console.log(`   User type: ${req.user?.userType || 'none'}`);
-    
     if (!req.user) {
-      console.log('   ❌ No authenticated user\n');
+      req.log.warn('authorization denied', { reason: 'unauthenticated' });
       return res.status(401).json({
         success: false,
         message: 'Authentication required'
       });
     }
 
-    if (!allowedTypes.includes(req.user.userType)) {
-      console.log('   ❌ Insufficient permissions');
-      console.log(`   User ${req.user.email} does not have required access\n`);
+    if (!permissions.some(permission => hasPermission(req.user, permission))) {
+      req.log.warn('authorization denied', {
+        reason: 'permission',
+        required: permissions,
+        role: req.user.role,
+        user: req.user.email
+      });
       return res.status(403).json({
         success: false,
         message: 'Insufficient permissions'
       });
     }
 
-    console.log('   ✓ User type authorized');
-    console.log('   ✓ Proceeding...\n');
     next();
   };
-};
\ No newline at end of file
+};
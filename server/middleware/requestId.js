@@ -0,0 +1,34 @@
+import crypto from 'crypto';
+import { logger } from '../logging/logger.js';
+
+export const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Upstream proxies may already have assigned an ID; anything else is replaced
+const VALID_REQUEST_ID = /^[A-Za-z0-9._-]{1,64}$/;
+
+// Gives every request a correlation ID, echoes it back in X-Request-Id and
+// attaches a child logger (req.log) that stamps it on every entry
+export const requestId = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.set(REQUEST_ID_HEADER, req.id);
+
+  const startedAt = process.hrtime.bigint();
+  res.on('finish', () => {
+    const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+    const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+
+    req.log[level]('request completed', {
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      durationMs: Math.round(durationMs * 10) / 10,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      user: req.user?.email
+    });
+  });
+
+  next();
+};
@@ -0,0 +1,82 @@
+import { getDatabase } from '../db/index.js';
+
+const fromRow = (row) => ({
+  id: row.id,
+  occurredAt: new Date(row.occurred_at),
+  actor: row.actor,
+  action: row.action,
+  target: row.target,
+  ip: row.ip,
+  userAgent: row.user_agent,
+  outcome: row.outcome,
+  details: row.details ? JSON.parse(row.details) : null,
+  prevHash: row.prev_hash,
+  hash: row.hash
+});
+
+export const findLastAuditEntry = () => {
+  const row = getDatabase()
+    .prepare('SELECT * FROM audit_log ORDER BY id DESC LIMIT 1')
+    .get();
+  return row ? fromRow(row) : null;
+};
+
+export const insertAuditEntry = (entry) => {
+  getDatabase().prepare(`
+    INSERT INTO audit_log
+      (id, occurred_at, actor, action, target, ip, user_agent, outcome, details, prev_hash, hash)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    entry.id,
+    entry.occurredAt.toISOString(),
+    entry.actor,
+    entry.action,
+    entry.target,
+    entry.ip,
+    entry.userAgent,
+    entry.outcome,
+    entry.details ? JSON.stringify(entry.details) : null,
+    entry.prevHash,
+    entry.hash
+  );
+};
+
+// Newest first; `beforeId` pages backwards through older entries
+export const findAuditEntries = ({ actor, action, target, outcome, from, to, beforeId, limit = 100 } = {}) => {
+  const conditions = [];
+  const params = [];
+
+  const filters = { actor, action, target, outcome };
+  for (const [field, value] of Object.entries(filters)) {
+    if (value) {
+      conditions.push(`${field} = ?`);
+      params.push(value);
+    }
+  }
+  if (from) {
+    conditions.push('occurred_at >= ?');
+    params.push(from.toISOString());
+  }
+  if (to) {
+    conditions.push('occurred_at < ?');
+    params.push(to.toISOString());
+  }
+  if (beforeId) {
+    conditions.push('id < ?');
+    params.push(beforeId);
+  }
+
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  return getDatabase()
+    .prepare(`SELECT * FROM audit_log ${where} ORDER BY id DESC LIMIT ?`)
+    .all(...params, limit)
+    .map(fromRow);
+};
+
+// Oldest first, streamed so verifying a long chain doesn't load it all at once
+export function* iterateAuditEntries() {
+  const statement = getDatabase().prepare('SELECT * FROM audit_log ORDER BY id ASC');
+  for (const row of statement.iterate()) {
+    yield fromRow(row);
+  }
+}
@@ -0,0 +1,72 @@
+import { getDatabase } from '../db/index.js';
+
+const fromRow = (row) => {
+  if (!row) return null;
+  return {
+    beneficiaryId: row.id,
+    ownerEmail: row.owner_email,
+    nickname: row.nickname,
+    recipientName: row.recipient_name,
+    recipientAccount: row.recipient_account,
+    swiftCode: row.swift_code,
+    createdAt: new Date(row.created_at),
+    updatedAt: new Date(row.updated_at)
+  };
+};
+
+export const createBeneficiary = ({ ownerEmail, nickname, recipientName, recipientAccount, swiftCode, createdAt = new Date() }) => {
+  const result = getDatabase()
+    .prepare(`
+      INSERT INTO beneficiaries
+        (owner_email, nickname, recipient_name, recipient_account, swift_code, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `)
+    .run(ownerEmail, nickname, recipientName, recipientAccount, swiftCode, createdAt.toISOString(), createdAt.toISOString());
+  return findBeneficiaryById(result.lastInsertRowid);
+};
+
+export const findBeneficiaryById = (beneficiaryId) => {
+  const row = getDatabase()
+    .prepare('SELECT * FROM beneficiaries WHERE id = ?')
+    .get(beneficiaryId);
+  return fromRow(row);
+};
+
+// Someone else's beneficiary looks the same as a missing one
+export const findOwnedBeneficiary = (email, beneficiaryId) => {
+  const row = getDatabase()
+    .prepare('SELECT * FROM beneficiaries WHERE id = ? AND owner_email = ?')
+    .get(beneficiaryId, email);
+  return fromRow(row);
+};
+
+export const findBeneficiariesByOwner = (email) => {
+  return getDatabase()
+    .prepare('SELECT * FROM beneficiaries WHERE owner_email = ? ORDER BY nickname COLLATE NOCASE')
+    .all(email)
+    .map(fromRow);
+};
+
+export const findBeneficiaryByNickname = (email, nickname) => {
+  const row = getDatabase()
+    .prepare('SELECT * FROM beneficiaries WHERE owner_email = ? AND nickname = ? COLLATE NOCASE')
+    .get(email, nickname);
+  return fromRow(row);
+};
+
+export const updateBeneficiary = (beneficiaryId, { nickname, recipientName, recipientAccount, swiftCode, updatedAt = new Date() }) => {
+  getDatabase()
+    .prepare(`
+      UPDATE beneficiaries
+      SET nickname = ?, recipient_name = ?, recipient_account = ?, swift_code = ?, updated_at = ?
+      WHERE id = ?
+    `)
+    .run(nickname, recipientName, recipientAccount, swiftCode, updatedAt.toISOString(), beneficiaryId);
+  return findBeneficiaryById(beneficiaryId);
+};
+
+export const deleteBeneficiary = (beneficiaryId) => {
+  getDatabase()
+    .prepare('DELETE FROM beneficiaries WHERE id = ?')
+    .run(beneficiaryId);
+};
@@ -0,0 +1,51 @@
+import { getDatabase } from '../db/index.js';
+
+const fromRow = (row) => {
+  if (!row) return null;
+  return {
+    customerEmail: row.customer_email,
+    currency: row.currency,
+    perTransactionMinor: row.per_transaction_minor,
+    dailyMinor: row.daily_minor,
+    monthlyMinor: row.monthly_minor,
+    updatedBy: row.updated_by,
+    updatedAt: new Date(row.updated_at)
+  };
+};
+
+export const findCustomerLimit = (email, currency) => {
+  const row = getDatabase()
+    .prepare('SELECT * FROM customer_limits WHERE customer_email = ? AND currency = ?')
+    .get(email, currency);
+  return fromRow(row);
+};
+
+export const findCustomerLimits = (email) => {
+  return getDatabase()
+    .prepare('SELECT * FROM customer_limits WHERE customer_email = ? ORDER BY currency')
+    .all(email)
+    .map(fromRow);
+};
+
+export const saveCustomerLimit = ({ customerEmail, currency, perTransactionMinor, dailyMinor, monthlyMinor, updatedBy, updatedAt = new Date() }) => {
+  getDatabase()
+    .prepare(`
+      INSERT INTO customer_limits
+        (customer_email, currency, per_transaction_minor, daily_minor, monthly_minor, updated_by, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (customer_email, currency) DO UPDATE SET
+        per_transaction_minor = excluded.per_transaction_minor,
+        daily_minor = excluded.daily_minor,
+        monthly_minor = excluded.monthly_minor,
+        updated_by = excluded.updated_by,
+        updated_at = excluded.updated_at
+    `)
+    .run(customerEmail, currency, perTransactionMinor, dailyMinor, monthlyMinor, updatedBy, updatedAt.toISOString());
+  return findCustomerLimit(customerEmail, currency);
+};
+
+export const deleteCustomerLimit = (email, currency) => {
+  getDatabase()
+    .prepare('DELETE FROM customer_limits WHERE customer_email = ? AND currency = ?')
+    .run(email, currency);
+};
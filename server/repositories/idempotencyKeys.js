@@ -0,0 +1,39 @@
+import { getDatabase } from '../db/index.js';
+
+const fromRow = (row) => {
+  if (!row) return null;
+  return {
+    userEmail: row.user_email,
+    idempotencyKey: row.idempotency_key,
+    requestHash: row.request_hash,
+    statusCode: row.status_code,
+    responseBody: JSON.parse(row.response_body),
+    createdAt: new Date(row.created_at),
+    expiresAt: new Date(row.expires_at)
+  };
+};
+
+export const findIdempotencyRecord = (userEmail, idempotencyKey, now = new Date()) => {
+  const row = getDatabase()
+    .prepare('SELECT * FROM idempotency_keys WHERE user_email = ? AND idempotency_key = ? AND expires_at > ?')
+    .get(userEmail, idempotencyKey, now.toISOString());
+  return fromRow(row);
+};
+
+export const saveIdempotencyRecord = ({ userEmail, idempotencyKey, requestHash, statusCode, responseBody, createdAt, expiresAt }) => {
+  const db = getDatabase();
+  db.prepare('DELETE FROM idempotency_keys WHERE expires_at <= ?').run(createdAt.toISOString());
+  db.prepare(`
+    INSERT INTO idempotency_keys
+      (user_email, idempotency_key, request_hash, status_code, response_body, created_at, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    userEmail,
+    idempotencyKey,
+    requestHash,
+    statusCode,
+    JSON.stringify(responseBody),
+    createdAt.toISOString(),
+    expiresAt.toISOString()
+  );
+};
@@ -0,0 +1,84 @@
+import { getDatabase } from '../db/index.js';
+
+const toDate = (value) => (value ? new Date(value) : null);
+const toIso = (value) => (value ? value.toISOString() : null);
+
+const fromThrottleRow = (row) => {
+  if (!row) return null;
+  return {
+    scope: row.scope,
+    subject: row.subject,
+    failureCount: row.failure_count,
+    lastFailureAt: new Date(row.last_failure_at),
+    nextAttemptAt: toDate(row.next_attempt_at),
+    lockedUntil: toDate(row.locked_until)
+  };
+};
+
+const fromEventRow = (row) => ({
+  id: row.id,
+  scope: row.scope,
+  subject: row.subject,
+  failureCount: row.failure_count,
+  ip: row.ip,
+  lockedAt: new Date(row.locked_at),
+  lockedUntil: new Date(row.locked_until),
+  unlockedBy: row.unlocked_by,
+  unlockedAt: toDate(row.unlocked_at)
+});
+
+export const findThrottle = (scope, subject) => {
+  const row = getDatabase()
+    .prepare('SELECT * FROM login_throttles WHERE scope = ? AND subject = ?')
+    .get(scope, subject);
+  return fromThrottleRow(row);
+};
+
+export const saveThrottle = ({ scope, subject, failureCount, lastFailureAt, nextAttemptAt, lockedUntil }) => {
+  getDatabase()
+    .prepare(`
+      INSERT INTO login_throttles (scope, subject, failure_count, last_failure_at, next_attempt_at, locked_until)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT (scope, subject) DO UPDATE SET
+        failure_count = excluded.failure_count,
+        last_failure_at = excluded.last_failure_at,
+        next_attempt_at = excluded.next_attempt_at,
+        locked_until = excluded.locked_until
+    `)
+    .run(scope, subject, failureCount, toIso(lastFailureAt), toIso(nextAttemptAt), toIso(lockedUntil));
+};
+
+export const deleteThrottle = (scope, subject) => {
+  const result = getDatabase()
+    .prepare('DELETE FROM login_throttles WHERE scope = ? AND subject = ?')
+    .run(scope, subject);
+  return result.changes === 1;
+};
+
+export const createLockoutEvent = ({ scope, subject, failureCount, ip, lockedAt, lockedUntil }) => {
+  getDatabase()
+    .prepare(`
+      INSERT INTO lockout_events (scope, subject, failure_count, ip, locked_at, locked_until)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `)
+    .run(scope, subject, failureCount, ip, toIso(lockedAt), toIso(lockedUntil));
+};
+
+export const markLockoutsUnlocked = (scope, subject, unlockedBy, unlockedAt = new Date()) => {
+  getDatabase()
+    .prepare(`
+      UPDATE lockout_events
+      SET unlocked_by = ?, unlocked_at = ?
+      WHERE scope = ? AND subject = ? AND unlocked_at IS NULL AND locked_until > ?
+    `)
+    .run(unlockedBy, toIso(unlockedAt), scope, subject, toIso(unlockedAt));
+};
+
+export const findLockoutEvents = ({ activeOnly = false, limit = 100 } = {}, now = new Date()) => {
+  const where = activeOnly ? 'WHERE unlocked_at IS NULL AND locked_until > ?' : '';
+  const params = activeOnly ? [toIso(now), limit] : [limit];
+  return getDatabase()
+    .prepare(`SELECT * FROM lockout_events ${where} ORDER BY locked_at DESC LIMIT ?`)
+    .all(...params)
+    .map(fromEventRow);
+};
@@ -0,0 +1,48 @@
+import { getDatabase } from '../db/index.js';
+
+const fromRow = (row) => {
+  if (!row) return null;
+  return {
+    approvalId: row.approval_id,
+    transactionId: row.transaction_id,
+    decidedBy: row.decided_by,
+    decision: row.decision,
+    reason: row.reason,
+    decidedAt: new Date(row.decided_at)
+  };
+};
+
+export const createPaymentApproval = ({ approvalId, transactionId, decidedBy, decision, reason, decidedAt = new Date() }) => {
+  getDatabase()
+    .prepare(`
+      INSERT INTO payment_approvals (approval_id, transaction_id, decided_by, decision, reason, decided_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `)
+    .run(approvalId, transactionId, decidedBy, decision, reason, decidedAt.toISOString());
+  return { approvalId, transactionId, decidedBy, decision, reason, decidedAt };
+};
+
+export const findPaymentApprovals = (transactionId) => {
+  return getDatabase()
+    .prepare('SELECT * FROM payment_approvals WHERE transaction_id = ? ORDER BY decided_at ASC, rowid ASC')
+    .all(transactionId)
+    .map(fromRow);
+};
+
+// transactionId -> its decisions, oldest first
+export const findPaymentApprovalsByTransactionIds = (transactionIds) => {
+  const byTransaction = new Map(transactionIds.map(id => [id, []]));
+  if (transactionIds.length === 0) return byTransaction;
+
+  getDatabase()
+    .prepare(`
+      SELECT * FROM payment_approvals
+      WHERE transaction_id IN (${transactionIds.map(() => '?').join(', ')})
+      ORDER BY decided_at ASC, rowid ASC
+    `)
+    .all(...transactionIds)
+    .map(fromRow)
+    .forEach(approval => byTransaction.get(approval.transactionId).push(approval));
+
+  return byTransaction;
+};
@@ -0,0 +1,50 @@
+import { getDatabase } from '../db/index.js';
+
+const fromRow = (row) => {
+  if (!row) return null;
+  return {
+    batchId: row.batch_id,
+    createdBy: row.created_by,
+    createdAt: new Date(row.created_at),
+    fileName: row.file_name,
+    paymentCount: row.payment_count,
+    status: row.status,
+    cancelledBy: row.cancelled_by,
+    cancelledAt: row.cancelled_at ? new Date(row.cancelled_at) : null
+  };
+};
+
+export const createPaymentBatch = ({ batchId, createdBy, createdAt, fileName = null, paymentCount }) => {
+  getDatabase()
+    .prepare(`
+      INSERT INTO payment_batches (batch_id, created_by, created_at, file_name, payment_count, status)
+      VALUES (?, ?, ?, ?, ?, 'active')
+    `)
+    .run(batchId, createdBy, createdAt.toISOString(), fileName, paymentCount);
+  return findPaymentBatchById(batchId);
+};
+
+export const findPaymentBatchById = (batchId) => {
+  const row = getDatabase()
+    .prepare('SELECT * FROM payment_batches WHERE batch_id = ?')
+    .get(batchId);
+  return fromRow(row);
+};
+
+export const findPaymentBatchesByOwner = (email) => {
+  return getDatabase()
+    .prepare('SELECT * FROM payment_batches WHERE created_by = ? ORDER BY created_at DESC')
+    .all(email)
+    .map(fromRow);
+};
+
+// Only an active batch can be cancelled, so two concurrent cancels cannot both succeed
+export const markPaymentBatchCancelled = (batchId, cancelledBy, cancelledAt = new Date()) => {
+  const result = getDatabase()
+    .prepare(`
+      UPDATE payment_batches SET status = 'cancelled', cancelled_by = ?, cancelled_at = ?
+      WHERE batch_id = ? AND status = 'active'
+    `)
+    .run(cancelledBy, cancelledAt.toISOString(), batchId);
+  return result.changes === 1;
+};
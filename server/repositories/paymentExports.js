@@ -0,0 +1,31 @@
+import { getDatabase } from '../db/index.js';
+
+const fromRow = (row) => {
+  if (!row) return null;
+  return {
+    exportId: row.export_id,
+    format: row.format,
+    createdBy: row.created_by,
+    createdAt: new Date(row.created_at),
+    transactionCount: row.transaction_count,
+    controlSum: row.control_sum,
+    document: row.document
+  };
+};
+
+export const createPaymentExport = ({ exportId, format, createdBy, createdAt, transactionCount, controlSum, document }) => {
+  getDatabase()
+    .prepare(`
+      INSERT INTO payment_exports
+        (export_id, format, created_by, created_at, transaction_count, control_sum, document)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `)
+    .run(exportId, format, createdBy, createdAt.toISOString(), transactionCount, controlSum, document);
+};
+
+export const findPaymentExportById = (exportId) => {
+  const row = getDatabase()
+    .prepare('SELECT * FROM payment_exports WHERE export_id = ?')
+    .get(exportId);
+  return fromRow(row);
+};
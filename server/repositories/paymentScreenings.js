@@ -0,0 +1,43 @@
+import { getDatabase } from '../db/index.js';
+
+const fromRow = (row) => {
+  if (!row) return null;
+  return {
+    transactionId: row.transaction_id,
+    screenedAt: new Date(row.screened_at),
+    outcome: row.outcome,
+    hits: JSON.parse(row.hits),
+    listsVersion: row.lists_version,
+    decision: row.decision,
+    reviewedBy: row.reviewed_by,
+    reviewedAt: row.reviewed_at ? new Date(row.reviewed_at) : null,
+    reviewNote: row.review_note
+  };
+};
+
+export const createPaymentScreening = ({ transactionId, screenedAt, outcome, hits, listsVersion }) => {
+  getDatabase()
+    .prepare(`
+      INSERT INTO payment_screenings (transaction_id, screened_at, outcome, hits, lists_version)
+      VALUES (?, ?, ?, ?, ?)
+    `)
+    .run(transactionId, screenedAt.toISOString(), outcome, JSON.stringify(hits), listsVersion);
+};
+
+export const findPaymentScreening = (transactionId) => {
+  const row = getDatabase()
+    .prepare('SELECT * FROM payment_screenings WHERE transaction_id = ?')
+    .get(transactionId);
+  return fromRow(row);
+};
+
+export const recordScreeningDecision = (transactionId, { decision, reviewedBy, reviewedAt = new Date(), reviewNote }) => {
+  getDatabase()
+    .prepare(`
+      UPDATE payment_screenings
+      SET decision = ?, reviewed_by = ?, reviewed_at = ?, review_note = ?
+      WHERE transaction_id = ?
+    `)
+    .run(decision, reviewedBy, reviewedAt.toISOString(), reviewNote, transactionId);
+  return findPaymentScreening(transactionId);
+};
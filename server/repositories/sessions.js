@@ -0,0 +1,134 @@
+import { getDatabase } from '../db/index.js';
+
+const fromRow = (row) => {
+  if (!row) return null;
+  return {
+    sessionId: row.session_id,
+    userEmail: row.user_email,
+    userType: row.user_type,
+    currentJti: row.current_jti,
+    accessExpiresAt: new Date(row.access_expires_at),
+    ip: row.ip,
+    userAgent: row.user_agent,
+    createdAt: new Date(row.created_at),
+    lastUsedAt: new Date(row.last_used_at),
+    expiresAt: new Date(row.expires_at),
+    revokedAt: row.revoked_at ? new Date(row.revoked_at) : null
+  };
+};
+
+export const createSession = (session) => {
+  getDatabase()
+    .prepare(`
+      INSERT INTO sessions (
+        session_id, user_email, user_type, current_jti, access_expires_at,
+        ip, user_agent, created_at, last_used_at, expires_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `)
+    .run(
+      session.sessionId,
+      session.userEmail,
+      session.userType,
+      session.currentJti,
+      session.accessExpiresAt.toISOString(),
+      session.ip,
+      session.userAgent,
+      session.createdAt.toISOString(),
+      session.lastUsedAt.toISOString(),
+      session.expiresAt.toISOString()
+    );
+  return session;
+};
+
+export const findSessionById = (sessionId) => {
+  const row = getDatabase()
+    .prepare('SELECT * FROM sessions WHERE session_id = ?')
+    .get(sessionId);
+  return fromRow(row);
+};
+
+export const findActiveSessionsByUser = (email, now = new Date()) => {
+  return getDatabase()
+    .prepare(`
+      SELECT * FROM sessions
+      WHERE user_email = ? AND revoked_at IS NULL AND expires_at > ?
+      ORDER BY last_used_at DESC
+    `)
+    .all(email, now.toISOString())
+    .map(fromRow);
+};
+
+// Where a user logged in from before the given session started
+export const findEarlierLoginOrigins = (email, sessionId) => {
+  return getDatabase()
+    .prepare(`
+      SELECT DISTINCT ip, user_agent FROM sessions
+      WHERE user_email = ? AND session_id != ?
+        AND created_at < (SELECT created_at FROM sessions WHERE session_id = ?)
+    `)
+    .all(email, sessionId, sessionId)
+    .map(row => ({ ip: row.ip, userAgent: row.user_agent }));
+};
+
+export const touchSession = (sessionId, { currentJti, accessExpiresAt, lastUsedAt, expiresAt }) => {
+  getDatabase()
+    .prepare(`
+      UPDATE sessions
+      SET current_jti = ?, access_expires_at = ?, last_used_at = ?, expires_at = ?
+      WHERE session_id = ?
+    `)
+    .run(
+      currentJti,
+      accessExpiresAt.toISOString(),
+      lastUsedAt.toISOString(),
+      expiresAt.toISOString(),
+      sessionId
+    );
+};
+
+export const markSessionRevoked = (sessionId, revokedAt = new Date()) => {
+  const result = getDatabase()
+    .prepare('UPDATE sessions SET revoked_at = ? WHERE session_id = ? AND revoked_at IS NULL')
+    .run(revokedAt.toISOString(), sessionId);
+  return result.changes === 1;
+};
+
+export const createRefreshToken = ({ tokenHash, sessionId, expiresAt }) => {
+  getDatabase()
+    .prepare('INSERT INTO refresh_tokens (token_hash, session_id, expires_at) VALUES (?, ?, ?)')
+    .run(tokenHash, sessionId, expiresAt.toISOString());
+};
+
+export const findRefreshToken = (tokenHash) => {
+  const row = getDatabase()
+    .prepare('SELECT * FROM refresh_tokens WHERE token_hash = ?')
+    .get(tokenHash);
+  if (!row) return null;
+  return {
+    tokenHash: row.token_hash,
+    sessionId: row.session_id,
+    expiresAt: new Date(row.expires_at),
+    usedAt: row.used_at ? new Date(row.used_at) : null
+  };
+};
+
+export const markRefreshTokenUsed = (tokenHash, usedAt = new Date()) => {
+  const result = getDatabase()
+    .prepare('UPDATE refresh_tokens SET used_at = ? WHERE token_hash = ? AND used_at IS NULL')
+    .run(usedAt.toISOString(), tokenHash);
+  return result.changes === 1;
+};
+
+export const denylistJti = (jti, expiresAt) => {
+  const db = getDatabase();
+  db.prepare('DELETE FROM revoked_tokens WHERE expires_at < ?').run(new Date().toISOString());
+  db.prepare('INSERT OR IGNORE INTO revoked_tokens (jti, expires_at) VALUES (?, ?)')
+    .run(jti, expiresAt.toISOString());
+};
+
+export const isJtiDenylisted = (jti) => {
+  const row = getDatabase()
+    .prepare('SELECT 1 FROM revoked_tokens WHERE jti = ?')
+    .get(jti);
+  return !!row;
+};
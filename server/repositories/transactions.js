@@ -0,0 +1,303 @@
+import { getDatabase } from '../db/index.js';
+
+// camelCase transaction field -> column
+const columns = {
+  transactionId: 'transaction_id',
+  amountMinor: 'amount_minor',
+  currency: 'currency',
+  provider: 'provider',
+  recipientName: 'recipient_name',
+  recipientAccount: 'recipient_account',
+  swiftCode: 'swift_code',
+  initiatedBy: 'initiated_by',
+  userType: 'user_type',
+  status: 'status',
+  rejectionReason: 'rejection_reason',
+  verifiedBy: 'verified_by',
+  verifiedAt: 'verified_at',
+  rejectedBy: 'rejected_by',
+  rejectedAt: 'rejected_at',
+  exportId: 'export_id',
+  submittedAt: 'submitted_at',
+  submittedBy: 'submitted_by',
+  mt103Reference: 'mt103_reference',
+  approvalThresholdMinor: 'approval_threshold_minor',
+  approvalsRequired: 'approvals_required',
+  uetr: 'uetr',
+  batchId: 'batch_id',
+  riskScore: 'risk_score',
+  riskReasons: 'risk_reasons',
+  riskHeldAt: 'risk_held_at',
+  riskReleasedBy: 'risk_released_by',
+  riskReleasedAt: 'risk_released_at',
+  riskReleaseNote: 'risk_release_note',
+  timestamp: 'created_at'
+};
+
+const dateFields = new Set(['verifiedAt', 'rejectedAt', 'submittedAt', 'riskHeldAt', 'riskReleasedAt', 'timestamp']);
+const jsonFields = new Set(['riskReasons']);
+
+const toColumnValue = (field, value) => {
+  if (value === undefined) return null;
+  if (jsonFields.has(field)) return JSON.stringify(value);
+  return dateFields.has(field) && value instanceof Date ? value.toISOString() : value;
+};
+
+const fromRow = (row) => {
+  if (!row) return null;
+  const transaction = {};
+  for (const [field, column] of Object.entries(columns)) {
+    const value = row[column];
+    if (value === null) continue;
+    if (dateFields.has(field)) {
+      transaction[field] = new Date(value);
+    } else {
+      transaction[field] = jsonFields.has(field) ? JSON.parse(value) : value;
+    }
+  }
+  return transaction;
+};
+
+export const createTransaction = (transaction) => {
+  const fields = Object.keys(columns).filter(field => transaction[field] !== undefined);
+  getDatabase()
+    .prepare(`
+      INSERT INTO transactions (${fields.map(field => columns[field]).join(', ')})
+      VALUES (${fields.map(() => '?').join(', ')})
+    `)
+    .run(...fields.map(field => toColumnValue(field, transaction[field])));
+  return transaction;
+};
+
+export const findTransactionById = (transactionId) => {
+  const row = getDatabase()
+    .prepare('SELECT * FROM transactions WHERE transaction_id = ?')
+    .get(transactionId);
+  return fromRow(row);
+};
+
+// Sort fields -> column expression. transaction_id breaks ties, so a cursor
+// always points at exactly one row.
+export const TRANSACTION_SORT_FIELDS = {
+  createdAt: 'created_at',
+  amount: 'amount_minor',
+  recipientName: 'recipient_name COLLATE NOCASE',
+  status: 'status'
+};
+
+const escapeLike = (text) => text.replace(/[\\%_]/g, character => `\\${character}`);
+
+const buildFilters = ({
+  initiatedBy,
+  statuses,
+  currency,
+  swiftCode,
+  recipientName,
+  search,
+  from,
+  to,
+  minAmountMinor,
+  maxAmountMinor
+} = {}) => {
+  const conditions = [];
+  const params = [];
+
+  if (initiatedBy) {
+    conditions.push('initiated_by = ?');
+    params.push(initiatedBy);
+  }
+  if (statuses && statuses.length > 0) {
+    conditions.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+    params.push(...statuses);
+  }
+  if (currency) {
+    conditions.push('currency = ?');
+    params.push(currency);
+  }
+  if (swiftCode) {
+    conditions.push("swift_code LIKE ? ESCAPE '\\'");
+    params.push(`${escapeLike(swiftCode)}%`);
+  }
+  if (recipientName) {
+    conditions.push("recipient_name LIKE ? ESCAPE '\\'");
+    params.push(`%${escapeLike(recipientName)}%`);
+  }
+  if (search) {
+    conditions.push('transaction_id IN (SELECT transaction_id FROM transactions_search WHERE transactions_search MATCH ?)');
+    params.push(search);
+  }
+  if (from) {
+    conditions.push('created_at >= ?');
+    params.push(from.toISOString());
+  }
+  if (to) {
+    conditions.push('created_at < ?');
+    params.push(to.toISOString());
+  }
+  if (minAmountMinor !== undefined) {
+    conditions.push('amount_minor >= ?');
+    params.push(minAmountMinor);
+  }
+  if (maxAmountMinor !== undefined) {
+    conditions.push('amount_minor <= ?');
+    params.push(maxAmountMinor);
+  }
+
+  return { conditions, params };
+};
+
+// One page of transactions matching filters, in sort order, starting after
+// the { value, transactionId } position of the previous page's last row
+export const queryTransactions = ({ filters, sort = 'createdAt', order = 'desc', after = null, limit = 50 }) => {
+  const { conditions, params } = buildFilters(filters);
+  const column = TRANSACTION_SORT_FIELDS[sort];
+  const direction = order === 'asc' ? 'ASC' : 'DESC';
+
+  if (after) {
+    conditions.push(`(${column}, transaction_id) ${order === 'asc' ? '>' : '<'} (?, ?)`);
+    params.push(after.value, after.transactionId);
+  }
+
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  return getDatabase()
+    .prepare(`SELECT * FROM transactions ${where} ORDER BY ${column} ${direction}, transaction_id ${direction} LIMIT ?`)
+    .all(...params, limit)
+    .map(fromRow);
+};
+
+export const countTransactions = (filters) => {
+  const { conditions, params } = buildFilters(filters);
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  return getDatabase()
+    .prepare(`SELECT COUNT(*) AS count FROM transactions ${where}`)
+    .get(...params)
+    .count;
+};
+
+// Statuses whose amounts no longer count towards a customer's limits
+const RELEASED_STATUSES = ['rejected', 'cancelled'];
+
+// Total a customer has committed in one currency since a point in time
+export const sumCustomerAmountSince = (email, currency, since) => {
+  return getDatabase()
+    .prepare(`
+      SELECT COALESCE(SUM(amount_minor), 0) AS total FROM transactions
+      WHERE initiated_by = ? AND currency = ? AND created_at >= ?
+        AND status NOT IN (${RELEASED_STATUSES.map(() => '?').join(', ')})
+    `)
+    .get(email, currency, since.toISOString(), ...RELEASED_STATUSES)
+    .total;
+};
+
+// Matches a customer's first payment to an account/BIC pair
+const FIRST_PAYMENT_TO_BENEFICIARY = `
+  NOT EXISTS (
+    SELECT 1 FROM transactions earlier
+    WHERE earlier.initiated_by = t.initiated_by
+      AND earlier.recipient_account = t.recipient_account
+      AND earlier.swift_code = t.swift_code
+      AND earlier.created_at < t.created_at
+  )`;
+
+// How many payments a customer has created since a point in time, whatever
+// became of them, and when the oldest of those was. With newBeneficiariesOnly,
+// only first payments to a beneficiary count.
+export const countCustomerPaymentsSince = (email, since, { newBeneficiariesOnly = false } = {}) => {
+  const row = getDatabase()
+    .prepare(`
+      SELECT COUNT(*) AS count, MIN(t.created_at) AS oldest FROM transactions t
+      WHERE t.initiated_by = ? AND t.created_at >= ?
+        ${newBeneficiariesOnly ? `AND ${FIRST_PAYMENT_TO_BENEFICIARY}` : ''}
+    `)
+    .get(email, since.toISOString());
+  return { count: row.count, oldestAt: row.oldest ? new Date(row.oldest) : null };
+};
+
+// When the nth oldest (from 1) of the payments countCustomerPaymentsSince
+// counts was created, or null if there are fewer
+export const findNthCustomerPaymentSince = (email, since, n, { newBeneficiariesOnly = false } = {}) => {
+  const row = getDatabase()
+    .prepare(`
+      SELECT t.created_at FROM transactions t
+      WHERE t.initiated_by = ? AND t.created_at >= ?
+        ${newBeneficiariesOnly ? `AND ${FIRST_PAYMENT_TO_BENEFICIARY}` : ''}
+      ORDER BY t.created_at ASC
+      LIMIT 1 OFFSET ?
+    `)
+    .get(email, since.toISOString(), n - 1);
+  return row ? new Date(row.created_at) : null;
+};
+
+// Amounts of a customer's most recent verified payments in one currency, for
+// judging what is usual for them. Payments nobody has checked yet don't count.
+export const findRecentVerifiedAmounts = (email, currency, limit) => {
+  return getDatabase()
+    .prepare(`
+      SELECT amount_minor FROM transactions
+      WHERE initiated_by = ? AND currency = ? AND status IN ('verified', 'submitted')
+      ORDER BY created_at DESC
+      LIMIT ?
+    `)
+    .all(email, currency, limit)
+    .map(row => row.amount_minor);
+};
+
+export const hasPaidBeneficiary = (email, recipientAccount, swiftCode) => {
+  const row = getDatabase()
+    .prepare(`
+      SELECT 1 FROM transactions
+      WHERE initiated_by = ? AND recipient_account = ? AND swift_code = ?
+      LIMIT 1
+    `)
+    .get(email, recipientAccount, swiftCode);
+  return !!row;
+};
+
+export const findTransactionsByStatus = (status) => {
+  return getDatabase()
+    .prepare('SELECT * FROM transactions WHERE status = ? ORDER BY created_at ASC')
+    .all(status)
+    .map(fromRow);
+};
+
+export const findTransactionsByBatch = (batchId) => {
+  return getDatabase()
+    .prepare('SELECT * FROM transactions WHERE batch_id = ? ORDER BY created_at ASC, rowid ASC')
+    .all(batchId)
+    .map(fromRow);
+};
+
+export const findTransactionsByIds = (transactionIds) => {
+  if (transactionIds.length === 0) return [];
+  return getDatabase()
+    .prepare(`
+      SELECT * FROM transactions
+      WHERE transaction_id IN (${transactionIds.map(() => '?').join(', ')})
+      ORDER BY created_at ASC
+    `)
+    .all(...transactionIds)
+    .map(fromRow);
+};
+
+// Moves a transaction between statuses only if it is still in fromStatus,
+// so two employees acting on the same item cannot both succeed
+export const transitionTransaction = (transactionId, fromStatus, changes) => {
+  const fields = Object.keys(changes).filter(field => columns[field]);
+  const result = getDatabase()
+    .prepare(`
+      UPDATE transactions
+      SET ${fields.map(field => `${columns[field]} = ?`).join(', ')}
+      WHERE transaction_id = ? AND status = ?
+    `)
+    .run(...fields.map(field => toColumnValue(field, changes[field])), transactionId, fromStatus);
+
+  return result.changes === 1 ? findTransactionById(transactionId) : null;
+};
+
+// Transactions created before UETRs were issued get one on first use
+export const assignUetr = (transactionId, uetr) => {
+  getDatabase()
+    .prepare('UPDATE transactions SET uetr = ? WHERE transaction_id = ? AND uetr IS NULL')
+    .run(uetr, transactionId);
+  return findTransactionById(transactionId);
+};
@@ -0,0 +1,212 @@
+import { getDatabase } from '../db/index.js';
+
+const fromRow = (row) => {
+  if (!row) return null;
+  return {
+    id: row.id,
+    email: row.email,
+    password: row.password_hash,
+    userType: row.user_type,
+    role: row.role,
+    fullName: row.full_name,
+    idNumber: row.id_number,
+    accountNumber: row.account_number,
+    mfaSecret: row.mfa_secret,
+    mfaPendingSecret: row.mfa_pending_secret,
+    mfaEnabledAt: row.mfa_enabled_at ? new Date(row.mfa_enabled_at) : null,
+    mfaLastStep: row.mfa_last_step,
+    passwordChangedAt: row.password_changed_at ? new Date(row.password_changed_at) : null,
+    passwordResetRequired: row.password_reset_required === 1,
+    disabledAt: row.disabled_at ? new Date(row.disabled_at) : null,
+    disabledBy: row.disabled_by,
+    lastLoginAt: row.last_login_at ? new Date(row.last_login_at) : null,
+    createdAt: new Date(row.created_at)
+  };
+};
+
+export const findUserByEmail = (email) => {
+  const row = getDatabase()
+    .prepare('SELECT * FROM users WHERE email = ?')
+    .get(email);
+  return fromRow(row);
+};
+
+export const findUserByIdNumber = (idNumber) => {
+  const row = getDatabase()
+    .prepare('SELECT * FROM users WHERE id_number = ?')
+    .get(idNumber);
+  return fromRow(row);
+};
+
+export const findUserByAccountNumber = (accountNumber) => {
+  const row = getDatabase()
+    .prepare('SELECT * FROM users WHERE account_number = ?')
+    .get(accountNumber);
+  return fromRow(row);
+};
+
+export const createUser = ({
+  email,
+  password,
+  userType,
+  role,
+  fullName = null,
+  idNumber = null,
+  accountNumber = null,
+  createdAt = new Date()
+}) => {
+  const result = getDatabase()
+    .prepare(`
+      INSERT INTO users (email, password_hash, user_type, role, full_name, id_number, account_number, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `)
+    .run(email, password, userType, role, fullName, idNumber, accountNumber, createdAt.toISOString());
+  return {
+    id: result.lastInsertRowid,
+    email,
+    password,
+    userType,
+    role,
+    fullName,
+    idNumber,
+    accountNumber,
+    createdAt
+  };
+};
+
+export const updateUserRole = (email, role) => {
+  getDatabase()
+    .prepare('UPDATE users SET role = ? WHERE email = ?')
+    .run(role, email);
+};
+
+// Any new password satisfies a reset an administrator asked for
+export const updatePassword = (email, passwordHash, changedAt = new Date()) => {
+  getDatabase()
+    .prepare(`
+      UPDATE users SET password_hash = ?, password_changed_at = ?, password_reset_required = 0
+      WHERE email = ?
+    `)
+    .run(passwordHash, changedAt.toISOString(), email);
+};
+
+export const requirePasswordReset = (email) => {
+  getDatabase()
+    .prepare('UPDATE users SET password_reset_required = 1 WHERE email = ?')
+    .run(email);
+};
+
+// disabledAt null re-enables the account
+export const setUserDisabled = (email, { disabledAt, disabledBy }) => {
+  getDatabase()
+    .prepare('UPDATE users SET disabled_at = ?, disabled_by = ? WHERE email = ?')
+    .run(disabledAt ? disabledAt.toISOString() : null, disabledAt ? disabledBy : null, email);
+};
+
+export const isUserDisabled = (email) => {
+  const row = getDatabase()
+    .prepare('SELECT disabled_at FROM users WHERE email = ?')
+    .get(email);
+  return !row || row.disabled_at !== null;
+};
+
+export const recordLastLogin = (email, at = new Date()) => {
+  getDatabase()
+    .prepare('UPDATE users SET last_login_at = ? WHERE email = ?')
+    .run(at.toISOString(), email);
+};
+
+const escapeLike = (text) => text.replace(/[\\%_]/g, character => `\\${character}`);
+
+// Users in email order, after the given email when paging
+export const listUsers = ({ userType = null, status = null, search = null, after = null, limit = 100 }) => {
+  const conditions = [];
+  const params = [];
+
+  if (userType) {
+    conditions.push('user_type = ?');
+    params.push(userType);
+  }
+  if (status === 'active') conditions.push('disabled_at IS NULL');
+  if (status === 'disabled') conditions.push('disabled_at IS NOT NULL');
+  if (search) {
+    conditions.push("(email LIKE ? ESCAPE '\\' OR full_name LIKE ? ESCAPE '\\')");
+    params.push(`%${escapeLike(search)}%`, `%${escapeLike(search)}%`);
+  }
+  if (after) {
+    conditions.push('email > ?');
+    params.push(after);
+  }
+
+  return getDatabase()
+    .prepare(`
+      SELECT * FROM users
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY email ASC
+      LIMIT ?
+    `)
+    .all(...params, limit)
+    .map(fromRow);
+};
+
+export const setPendingMfaSecret = (email, secret) => {
+  getDatabase()
+    .prepare('UPDATE users SET mfa_pending_secret = ? WHERE email = ?')
+    .run(secret, email);
+};
+
+export const enableMfa = (email, enabledAt = new Date()) => {
+  getDatabase()
+    .prepare(`
+      UPDATE users
+      SET mfa_secret = mfa_pending_secret, mfa_pending_secret = NULL, mfa_enabled_at = ?
+      WHERE email = ? AND mfa_pending_secret IS NOT NULL
+    `)
+    .run(enabledAt.toISOString(), email);
+};
+
+export const disableMfa = (email) => {
+  const db = getDatabase();
+  db.prepare(`
+    UPDATE users
+    SET mfa_secret = NULL, mfa_pending_secret = NULL, mfa_enabled_at = NULL, mfa_last_step = NULL
+    WHERE email = ?
+  `).run(email);
+  db.prepare('DELETE FROM mfa_recovery_codes WHERE user_email = ?').run(email);
+};
+
+// Only moves forward, so a code can't be replayed within its time window
+export const advanceMfaLastStep = (email, step) => {
+  const result = getDatabase()
+    .prepare(`
+      UPDATE users SET mfa_last_step = ?
+      WHERE email = ? AND (mfa_last_step IS NULL OR mfa_last_step < ?)
+    `)
+    .run(step, email, step);
+  return result.changes === 1;
+};
+
+export const replaceRecoveryCodes = (email, codeHashes) => {
+  const db = getDatabase();
+  db.prepare('DELETE FROM mfa_recovery_codes WHERE user_email = ?').run(email);
+  const insert = db.prepare('INSERT INTO mfa_recovery_codes (user_email, code_hash) VALUES (?, ?)');
+  for (const codeHash of codeHashes) {
+    insert.run(email, codeHash);
+  }
+};
+
+export const consumeRecoveryCode = (email, codeHash, usedAt = new Date()) => {
+  const result = getDatabase()
+    .prepare(`
+      UPDATE mfa_recovery_codes SET used_at = ?
+      WHERE user_email = ? AND code_hash = ? AND used_at IS NULL
+    `)
+    .run(usedAt.toISOString(), email, codeHash);
+  return result.changes === 1;
+};
+
+export const countUnusedRecoveryCodes = (email) => {
+  return getDatabase()
+    .prepare('SELECT COUNT(*) AS count FROM mfa_recovery_codes WHERE user_email = ? AND used_at IS NULL')
+    .get(email).count;
+};
@@ -0,0 +1,210 @@
+import { getDatabase } from '../db/index.js';
+
+const subscriptionFromRow = (row) => {
+  if (!row) return null;
+  return {
+    subscriptionId: row.subscription_id,
+    ownerEmail: row.owner_email,
+    url: row.url,
+    eventTypes: JSON.parse(row.event_types),
+    secret: row.secret,
+    createdAt: new Date(row.created_at),
+    deletedAt: row.deleted_at ? new Date(row.deleted_at) : null
+  };
+};
+
+const deliveryFromRow = (row) => {
+  if (!row) return null;
+  return {
+    deliveryId: row.delivery_id,
+    subscriptionId: row.subscription_id,
+    eventId: row.event_id,
+    eventType: row.event_type,
+    transactionId: row.transaction_id,
+    payload: row.payload,
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.next_attempt_at ? new Date(row.next_attempt_at) : null,
+    lastError: row.last_error,
+    redeliveryOf: row.redelivery_of,
+    createdAt: new Date(row.created_at),
+    deliveredAt: row.delivered_at ? new Date(row.delivered_at) : null
+  };
+};
+
+const attemptFromRow = (row) => ({
+  attemptedAt: new Date(row.attempted_at),
+  statusCode: row.status_code,
+  error: row.error,
+  durationMs: row.duration_ms
+});
+
+// ============================================
+// SUBSCRIPTIONS
+// ============================================
+
+export const createWebhookSubscription = ({ subscriptionId, ownerEmail, url, eventTypes, secret, createdAt = new Date() }) => {
+  getDatabase()
+    .prepare(`
+      INSERT INTO webhook_subscriptions (subscription_id, owner_email, url, event_types, secret, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `)
+    .run(subscriptionId, ownerEmail, url, JSON.stringify(eventTypes), secret, createdAt.toISOString());
+  return findWebhookSubscriptionById(subscriptionId);
+};
+
+export const findWebhookSubscriptionById = (subscriptionId) => {
+  const row = getDatabase()
+    .prepare('SELECT * FROM webhook_subscriptions WHERE subscription_id = ?')
+    .get(subscriptionId);
+  return subscriptionFromRow(row);
+};
+
+export const findActiveWebhookSubscriptions = (ownerEmail) => {
+  return getDatabase()
+    .prepare(`
+      SELECT * FROM webhook_subscriptions
+      WHERE owner_email = ? AND deleted_at IS NULL
+      ORDER BY created_at ASC
+    `)
+    .all(ownerEmail)
+    .map(subscriptionFromRow);
+};
+
+// Deleted subscriptions are kept so their delivery log still makes sense
+export const markWebhookSubscriptionDeleted = (subscriptionId, deletedAt = new Date()) => {
+  getDatabase()
+    .prepare('UPDATE webhook_subscriptions SET deleted_at = ? WHERE subscription_id = ? AND deleted_at IS NULL')
+    .run(deletedAt.toISOString(), subscriptionId);
+};
+
+// ============================================
+// DELIVERIES
+// ============================================
+
+export const createWebhookDelivery = ({
+  deliveryId,
+  subscriptionId,
+  eventId,
+  eventType,
+  transactionId,
+  payload,
+  redeliveryOf = null,
+  createdAt = new Date()
+}) => {
+  getDatabase()
+    .prepare(`
+      INSERT INTO webhook_deliveries (
+        delivery_id, subscription_id, event_id, event_type, transaction_id, payload,
+        status, next_attempt_at, redelivery_of, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, 'pending', ?, ?, ?)
+    `)
+    .run(
+      deliveryId,
+      subscriptionId,
+      eventId,
+      eventType,
+      transactionId,
+      payload,
+      createdAt.toISOString(),
+      redeliveryOf,
+      createdAt.toISOString()
+    );
+  return findWebhookDeliveryById(deliveryId);
+};
+
+export const findWebhookDeliveryById = (deliveryId) => {
+  const row = getDatabase()
+    .prepare('SELECT * FROM webhook_deliveries WHERE delivery_id = ?')
+    .get(deliveryId);
+  return deliveryFromRow(row);
+};
+
+// Pending deliveries whose next attempt is due, oldest first
+export const findDueWebhookDeliveries = (now, limit) => {
+  return getDatabase()
+    .prepare(`
+      SELECT * FROM webhook_deliveries
+      WHERE status = 'pending' AND next_attempt_at <= ?
+      ORDER BY next_attempt_at ASC
+      LIMIT ?
+    `)
+    .all(now.toISOString(), limit)
+    .map(deliveryFromRow);
+};
+
+// A customer's deliveries, newest first, optionally for one subscription or
+// in one status, starting before a created_at/delivery_id position
+export const findWebhookDeliveriesByOwner = (ownerEmail, { subscriptionId, status, before = null, limit }) => {
+  const conditions = ['s.owner_email = ?'];
+  const params = [ownerEmail];
+
+  if (subscriptionId) {
+    conditions.push('d.subscription_id = ?');
+    params.push(subscriptionId);
+  }
+  if (status) {
+    conditions.push('d.status = ?');
+    params.push(status);
+  }
+  if (before) {
+    conditions.push('(d.created_at, d.delivery_id) < (?, ?)');
+    params.push(before.createdAt, before.deliveryId);
+  }
+
+  return getDatabase()
+    .prepare(`
+      SELECT d.* FROM webhook_deliveries d
+      JOIN webhook_subscriptions s ON s.subscription_id = d.subscription_id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY d.created_at DESC, d.delivery_id DESC
+      LIMIT ?
+    `)
+    .all(...params, limit)
+    .map(deliveryFromRow);
+};
+
+export const recordWebhookAttempt = (deliveryId, { attemptedAt, statusCode = null, error = null, durationMs }) => {
+  getDatabase()
+    .prepare(`
+      INSERT INTO webhook_delivery_attempts (delivery_id, attempted_at, status_code, error, duration_ms)
+      VALUES (?, ?, ?, ?, ?)
+    `)
+    .run(deliveryId, attemptedAt.toISOString(), statusCode, error, durationMs);
+};
+
+export const findWebhookAttempts = (deliveryId) => {
+  return getDatabase()
+    .prepare('SELECT * FROM webhook_delivery_attempts WHERE delivery_id = ? ORDER BY id ASC')
+    .all(deliveryId)
+    .map(attemptFromRow);
+};
+
+// Outcome of an attempt: delivered, pending again at nextAttemptAt, or dead
+export const updateWebhookDelivery = (deliveryId, { status, attempts, nextAttemptAt = null, lastError = null, deliveredAt = null }) => {
+  getDatabase()
+    .prepare(`
+      UPDATE webhook_deliveries
+      SET status = ?, attempts = ?, next_attempt_at = ?, last_error = ?, delivered_at = ?
+      WHERE delivery_id = ?
+    `)
+    .run(
+      status,
+      attempts,
+      nextAttemptAt ? nextAttemptAt.toISOString() : null,
+      lastError,
+      deliveredAt ? deliveredAt.toISOString() : null,
+      deliveryId
+    );
+};
+
+// Stops retrying everything still queued for a subscription
+export const abandonPendingWebhookDeliveries = (subscriptionId, reason) => {
+  getDatabase()
+    .prepare(`
+      UPDATE webhook_deliveries
+      SET status = 'dead', next_attempt_at = NULL, last_error = ?
+      WHERE subscription_id = ? AND status = 'pending'
+    `)
+    .run(reason, subscriptionId);
+};
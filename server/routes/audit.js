@@ -0,0 +1,106 @@
+import express from 'express';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../services/permissions.js';
+import { AUDIT_OUTCOMES, queryAuditLog, verifyAuditChain } from '../services/audit.js';
+
+const router = express.Router();
+
+const MAX_PAGE_SIZE = 500;
+
+const parseDate = (value) => {
+  if (value === undefined) return { value: undefined };
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? { error: true } : { value: date };
+};
+
+const parsePositiveInt = (value, max = Number.MAX_SAFE_INTEGER) => {
+  if (value === undefined) return { value: undefined };
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 && number <= max ? { value: number } : { error: true };
+};
+
+// Query Audit Log (audit:read)
+router.get('/', verifyToken, requirePermission(PERMISSIONS.AUDIT_READ), async (req, res) => {
+  try {
+    const { actor, action, target, outcome } = req.query;
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+    const before = parsePositiveInt(req.query.before);
+    const limit = parsePositiveInt(req.query.limit, MAX_PAGE_SIZE);
+
+    const errors = {};
+    if (from.error) errors.from = 'from must be an ISO 8601 date';
+    if (to.error) errors.to = 'to must be an ISO 8601 date';
+    if (before.error) errors.before = 'before must be an entry id';
+    if (limit.error) errors.limit = `limit must be between 1 and ${MAX_PAGE_SIZE}`;
+    if (outcome !== undefined && !AUDIT_OUTCOMES.includes(outcome)) {
+      errors.outcome = `outcome must be one of ${AUDIT_OUTCOMES.join(', ')}`;
+    }
+
+    if (Object.keys(errors).length > 0) {
+      req.log.info('audit query rejected', { errors });
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid audit log filters',
+        errors
+      });
+    }
+
+    const entries = queryAuditLog({
+      actor,
+      action,
+      target,
+      outcome,
+      from: from.value,
+      to: to.value,
+      beforeId: before.value,
+      limit: limit.value || 100
+    });
+
+    req.log.info('audit log queried', {
+      employee: req.user.email,
+      filters: { actor, action, target, outcome, from: from.value, to: to.value },
+      entries: entries.length
+    });
+
+    res.json({
+      success: true,
+      entries,
+      nextBefore: entries.length > 0 ? entries[entries.length - 1].id : null
+    });
+
+  } catch (error) {
+    req.log.error('audit query failed', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve audit log'
+    });
+  }
+});
+
+// Verify Hash Chain (audit:read)
+router.get('/verify', verifyToken, requirePermission(PERMISSIONS.AUDIT_READ), async (req, res) => {
+  try {
+    const result = verifyAuditChain();
+
+    if (result.valid) {
+      req.log.info('audit chain verified', { employee: req.user.email, entriesChecked: result.entriesChecked });
+    } else {
+      req.log.error('audit chain broken', { employee: req.user.email, ...result });
+    }
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    req.log.error('audit chain check failed', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Audit log integrity check failed'
+    });
+  }
+});
+
+export default router;
@@ -1,176 +1,1039 @@
 import express from 'express';
 import bcrypt from 'bcrypt';
-import jwt from 'jsonwebtoken';
 import validator from 'validator';
+import { withTransaction } from '../db/index.js';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
+import {
+  beginLoginAttempt,
+  checkLoginAllowed,
+  listLockouts,
+  recordLoginFailure,
+  recordLoginSuccess,
+  reportLockouts,
+  unlockAccount
+} from '../services/loginThrottle.js';
+import {
+  MFA_TOKEN_TTL_SECONDS,
+  beginEnrollment,
+  confirmEnrollment,
+  consumeMfaToken,
+  isMfaEnabled,
+  isMfaRequired,
+  signMfaToken,
+  verifyMfaToken,
+  verifySecondFactor
+} from '../services/mfa.js';
+import { AUDIT_ACTIONS, recordAuditEvent, requestContext } from '../services/audit.js';
+import {
+  findSession,
+  listActiveSessions,
+  revokeOtherSessions,
+  revokeSession,
+  rotateSession,
+  startSession
+} from '../services/sessions.js';
+import {
+  countUnusedRecoveryCodes,
+  createUser,
+  disableMfa,
+  findUserByAccountNumber,
+  findUserByEmail,
+  findUserByIdNumber,
+  recordLastLogin,
+  updatePassword
+} from '../repositories/users.js';
+import { reauthenticate, rejectReauth } from '../services/reauth.js';
+import {
+  DEFAULT_EMPLOYEE_ROLE,
+  EMPLOYEE_ROLES,
+  PERMISSIONS,
+  permissionsForRole
+} from '../services/permissions.js';
+import { PASSWORD_REQUIREMENTS, validatePassword } from '../services/accounts.js';
 
-const users = new Map();
+const router = express.Router();
 
-let accountsSeeded = false;
+// Validation Functions
+const validateEmail = (email) => validator.isEmail(email);
 
-// Pre-seed employee account
-(async () => {
-   if (accountsSeeded) return;
-   accountsSeeded = true;
-  const hashedPass = await bcrypt.hash('Employee123!', 10);
-  users.set('employee@company.com', {
-    email: 'employee@company.com',
-    password: hashedPass,
-    userType: 'employee',
-    createdAt: new Date()
-  });
+const sanitizeInput = (input) => validator.escape(input.trim());
 
-  const customerHashedPass = await bcrypt.hash('Customer123!', 10);
-  users.set('customer@example.com', {
-    email: 'customer@example.com',
-    password: customerHashedPass,
-    userType: 'customer',
-    createdAt: new Date()
-  });
+// South African ID: YYMMDD SSSS C A Z, where Z is a Luhn check digit
+const validateIdNumber = (idNumber) => {
+  const format = /^[0-9]{13}$/.test(idNumber);
 
-  console.log('\n🔐 [AUTH] Pre-seeded accounts created with hashed passwords');
-  console.log('   Employee: employee@company.com');
-  console.log('   Customer: customer@example.com');
-})();
+  let validDate = false;
+  let validChecksum = false;
 
-const router = express.Router();
+  if (format) {
+    const month = parseInt(idNumber.substring(2, 4), 10);
+    const day = parseInt(idNumber.substring(4, 6), 10);
+    const date = new Date(Date.UTC(2000, month - 1, day));
+    validDate = date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+
+    let sum = 0;
+    for (let i = 0; i < 13; i++) {
+      let digit = parseInt(idNumber[12 - i], 10);
+      if (i % 2 === 1) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+    }
+    validChecksum = sum % 10 === 0;
+  }
 
-// Validation Functions with Logging
-const validateEmail = (email) => {
-  const isValid = validator.isEmail(email);
-  console.log(`   📧 Email Validation: ${email} - ${isValid ? '✓ VALID' : '✗ INVALID'}`);
-  return isValid;
+  return format && validDate && validChecksum;
 };
 
-const validatePassword = (password) => {
-  const minLength = password.length >= 8;
-  const hasUpper = /[A-Z]/.test(password);
-  const hasLower = /[a-z]/.test(password);
-  const hasNumber = /[0-9]/.test(password);
-  const hasSpecial = /[!@#$%^&*(),.?":{}|<>]/.test(password);
-  
-  console.log(`   🔒 Password Validation:`);
-  console.log(`      - Length (8+): ${minLength ? '✓' : '✗'}`);
-  console.log(`      - Uppercase: ${hasUpper ? '✓' : '✗'}`);
-  console.log(`      - Lowercase: ${hasLower ? '✓' : '✗'}`);
-  console.log(`      - Number: ${hasNumber ? '✓' : '✗'}`);
-  console.log(`      - Special char: ${hasSpecial ? '✓' : '✗'}`);
-  
-  const isValid = minLength && hasUpper && hasLower && hasNumber && hasSpecial;
-  console.log(`      - Overall: ${isValid ? '✓ VALID' : '✗ INVALID'}`);
-  return isValid;
+const validateFullName = (fullName) => {
+  return /^[A-Za-zÀ-ÖØ-öø-ÿ' -]{2,100}$/.test(fullName) && /[A-Za-zÀ-ÖØ-öø-ÿ]{2}/.test(fullName);
 };
 
-const sanitizeInput = (input) => {
-  const sanitized = validator.escape(input.trim());
-  console.log(`   🧹 Input Sanitized: "${input}" → "${sanitized}"`);
-  return sanitized;
+const validateAccountNumber = (accountNumber) => /^[0-9]{7,16}$/.test(accountNumber);
+
+const readString = (value) => (typeof value === 'string' ? value.trim() : '');
+
+// Validates onboarding input and returns a map of field -> message
+const validateRegistration = ({ fullName, idNumber, accountNumber, email, password }, { customer }) => {
+  const errors = {};
+
+  if (!validateFullName(fullName)) {
+    errors.fullName = 'Full name must be 2-100 letters, spaces, hyphens or apostrophes';
+  }
+  if (customer && !validateIdNumber(idNumber)) {
+    errors.idNumber = 'Invalid ID number';
+  }
+  if (customer && !validateAccountNumber(accountNumber)) {
+    errors.accountNumber = 'Account number must be 7-16 digits';
+  }
+  if (!validateEmail(email)) {
+    errors.email = 'Invalid email format';
+  }
+  if (!validatePassword(password)) {
+    errors.password = PASSWORD_REQUIREMENTS;
+  }
+
+  return errors;
 };
 
-// Register Route
+// Inserts the user unless the email, ID number or account number is taken.
+// Returns null on a duplicate without saying which field clashed.
+const registerUser = (user) => {
+  return withTransaction(() => {
+    const duplicate = findUserByEmail(user.email)
+      || (user.idNumber && findUserByIdNumber(user.idNumber))
+      || (user.accountNumber && findUserByAccountNumber(user.accountNumber));
+
+    if (duplicate) return null;
+
+    return createUser(user);
+  });
+};
+
+// Register Route (customers only - employees are created by employees)
 router.post('/register', async (req, res) => {
-  console.log('\n📝 [REGISTER] Registration attempt');
-  console.log('   Status: DISABLED (Security measure - pre-seeded accounts only)');
-  
+  try {
+    const fullName = readString(req.body.fullName);
+    const idNumber = readString(req.body.idNumber);
+    const accountNumber = readString(req.body.accountNumber);
+    const email = readString(req.body.email).toLowerCase();
+    const password = typeof req.body.password === 'string' ? req.body.password : '';
+
+    // STEP 1: User Type Check
+    if (req.body.userType !== undefined && req.body.userType !== 'customer') {
+      req.log.info('registration rejected', {
+        reason: 'self_registration_not_allowed',
+        userType: req.body.userType
+      });
+      return res.status(403).json({
+        success: false,
+        message: 'Employee accounts cannot be self-registered'
+      });
+    }
+
+    // STEP 2: Input Validation (RegEx)
+    const errors = validateRegistration(
+      { fullName, idNumber, accountNumber, email, password },
+      { customer: true }
+    );
+
+    if (Object.keys(errors).length > 0) {
+      req.log.info('registration rejected', { reason: 'validation', fields: Object.keys(errors) });
+      return res.status(400).json({
+        success: false,
+        message: 'Please correct the highlighted fields',
+        errors
+      });
+    }
+
+    // STEP 3: Password Hashing (bcrypt)
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    // STEP 4: Duplicate Check & Storage
+    const user = registerUser({
+      email,
+      password: hashedPassword,
+      userType: 'customer',
+      role: 'customer',
+      fullName: sanitizeInput(fullName),
+      idNumber,
+      accountNumber
+    });
+
+    if (!user) {
+      req.log.info('registration rejected', { reason: 'duplicate' });
+      return res.status(409).json({
+        success: false,
+        message: 'An account with these details already exists'
+      });
+    }
+
+    req.log.info('customer registered', { email: user.email });
+
+    res.status(201).json({
+      success: true,
+      message: 'Registration successful',
+      user: {
+        email: user.email,
+        fullName: user.fullName,
+        userType: user.userType,
+        role: user.role
+      }
+    });
+
+  } catch (error) {
+    req.log.error('registration failed', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Registration failed'
+    });
+  }
+});
+
+// Create Employee Route (user administrators only)
+router.post('/employees', verifyToken, requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  try {
+    const fullName = readString(req.body.fullName);
+    const email = readString(req.body.email).toLowerCase();
+    const password = typeof req.body.password === 'string' ? req.body.password : '';
+    const role = req.body.role === undefined ? DEFAULT_EMPLOYEE_ROLE : req.body.role;
+
+    // STEP 1: Input Validation (RegEx)
+    const errors = validateRegistration({ fullName, email, password }, { customer: false });
+    if (!EMPLOYEE_ROLES.includes(role)) {
+      errors.role = `Role must be one of: ${EMPLOYEE_ROLES.join(', ')}`;
+    }
+
+    if (Object.keys(errors).length > 0) {
+      req.log.info('employee creation rejected', { reason: 'validation', fields: Object.keys(errors) });
+      return res.status(400).json({
+        success: false,
+        message: 'Please correct the highlighted fields',
+        errors
+      });
+    }
+
+    // STEP 2: Password Hashing (bcrypt)
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    // STEP 3: Duplicate Check & Storage
+    const user = registerUser({
+      email,
+      password: hashedPassword,
+      userType: 'employee',
+      role,
+      fullName: sanitizeInput(fullName)
+    });
+
+    if (!user) {
+      req.log.info('employee creation rejected', { reason: 'duplicate' });
+      return res.status(409).json({
+        success: false,
+        message: 'An account with this email already exists'
+      });
+    }
+
+    recordAuditEvent({
+      actor: req.user.email,
+      action: AUDIT_ACTIONS.USER_CREATE,
+      target: user.email,
+      outcome: 'success',
+      ...requestContext(req),
+      details: { userType: user.userType, role: user.role }
+    });
+
+    req.log.info('employee account created', { email: user.email, role: user.role, createdBy: req.user.email });
+
+    res.status(201).json({
+      success: true,
+      message: 'Employee account created',
+      user: {
+        email: user.email,
+        fullName: user.fullName,
+        userType: user.userType,
+        role: user.role
+      }
+    });
+
+  } catch (error) {
+    req.log.error('employee creation failed', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Employee account creation failed'
+    });
+  }
+});
+
+// Compared against when there is no real hash to check, so unknown,
+// throttled and locked accounts take as long to reject as a wrong password
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('not-a-real-password', 10);
+
+const rejectLogin = (res) => {
+  return res.status(401).json({
+    success: false,
+    message: 'Invalid credentials'
+  });
+};
+
+// The actor of a login event is the account being logged into; for failed
+// attempts that's only the claimed email
+const auditLogin = (req, email, outcome, details) => {
+  recordAuditEvent({
+    actor: email,
+    action: AUDIT_ACTIONS.LOGIN,
+    target: email,
+    outcome,
+    ...requestContext(req),
+    details
+  });
+};
+
+const recordFailedLogin = (req, email, reason) => {
+  const lockouts = recordLoginFailure(email, req.ip);
+  auditLogin(req, email, 'failure', { reason });
+  reportLockouts(req, lockouts);
+};
+
+const rejectDisabledLogin = (req, res, email) => {
+  req.log.info('login failed', { email, reason: 'disabled' });
+  auditLogin(req, email, 'denied', { reason: 'disabled' });
   return res.status(403).json({
     success: false,
-    message: 'Registration feature is currently unavailable. Coming Soon!'
+    message: 'This account has been disabled'
   });
-});
+};
+
+// Final login step, shared by password-only and two-factor logins. An
+// account an administrator reset gets a token to choose a new password with
+// instead of a session, but only once a second factor it already had was
+// checked: the current password may be exactly what was compromised.
+const sendLoginSuccess = (req, res, user, extra = {}, { secondFactorVerified = false } = {}) => {
+  // Re-checked here as the account may have been disabled mid-login
+  if (user.disabledAt) {
+    return rejectDisabledLogin(req, res, user.email);
+  }
+
+  if (user.passwordResetRequired && !secondFactorVerified) {
+    req.log.warn('login failed', { email: user.email, reason: 'reset_without_second_factor' });
+    auditLogin(req, user.email, 'denied', { reason: 'reset_without_second_factor' });
+    return res.status(403).json({
+      success: false,
+      message: 'Your password was reset by the bank. Contact us to get back into your account'
+    });
+  }
+
+  recordLoginSuccess(user.email);
+
+  if (user.passwordResetRequired) {
+    req.log.info('login awaiting password reset', { email: user.email });
+    return res.json({
+      success: true,
+      message: 'Choose a new password',
+      passwordResetRequired: true,
+      resetToken: signMfaToken(user, 'password_reset'),
+      expiresIn: MFA_TOKEN_TTL_SECONDS,
+      ...extra
+    });
+  }
+
+  // STEP 8: Session & Token Generation
+  const session = startSession(user, { ip: req.ip, userAgent: req.get('user-agent') });
+  recordLastLogin(user.email);
+  auditLogin(req, user.email, 'success', { userType: user.userType, sessionId: session.sessionId });
+
+  req.log.info('login succeeded', { email: user.email, userType: user.userType, sessionId: session.sessionId });
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    token: session.accessToken,
+    refreshToken: session.refreshToken,
+    expiresIn: session.expiresIn,
+    user: {
+      email: user.email,
+      userType: user.userType,
+      role: user.role,
+      permissions: permissionsForRole(user.role),
+      mfaEnabled: isMfaEnabled(user) || !!extra.recoveryCodes
+    },
+    ...extra
+  });
+};
 
 // Login Route with Enhanced Logging
 router.post('/login', async (req, res) => {
-  console.log('\n🔓 [LOGIN] Login attempt initiated');
-  console.log(`   Time: ${new Date().toISOString()}`);
-  console.log(`   IP: ${req.ip}`);
-  
   try {
     let { email, password, userType } = req.body;
 
-    console.log('\n   STEP 1: Input Sanitization');
-    email = sanitizeInput(email);
+    // STEP 1: Input Sanitization
+    email = sanitizeInput(email).toLowerCase();
     userType = sanitizeInput(userType);
 
-    console.log('\n   STEP 2: Email Validation (RegEx)');
+    // STEP 2: Email Validation (RegEx)
     if (!validateEmail(email)) {
-      console.log('   ❌ Login FAILED: Invalid email format\n');
+      req.log.info('login rejected', { reason: 'invalid_email' });
       return res.status(400).json({
         success: false,
         message: 'Invalid email format'
       });
     }
 
-    console.log('\n   STEP 3: User Lookup');
-    const user = users.get(email);
+    // STEP 3: Brute-Force Throttle Check. The attempt is held until its
+    // outcome is recorded, so parallel guesses can't all pass the check.
+    const throttle = beginLoginAttempt(email, req.ip);
 
-    if (!user) {
-      console.log('   ❌ Login FAILED: User not found\n');
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials'
+    if (!throttle.allowed) {
+      // Same response and timing as a wrong password
+      await bcrypt.compare(String(password), DUMMY_PASSWORD_HASH);
+      req.log.warn('login blocked', {
+        email,
+        scope: throttle.scope,
+        reason: throttle.reason,
+        retryAt: throttle.retryAt
       });
+      auditLogin(req, email, 'denied', { reason: throttle.reason, scope: throttle.scope });
+      return rejectLogin(res);
+    }
+
+    // STEP 4: User Lookup
+    const user = findUserByEmail(email);
+    let failure = null;
+
+    // STEP 5: Password Verification (bcrypt). Unknown accounts are checked
+    // against a dummy hash so both take as long.
+    try {
+      const isValidPassword = await bcrypt.compare(String(password), user ? user.password : DUMMY_PASSWORD_HASH);
+
+      if (!user || !isValidPassword) {
+        failure = user ? 'invalid_password' : 'unknown_user';
+        recordFailedLogin(req, email, failure);
+      }
+    } finally {
+      throttle.end();
     }
-    console.log('   ✓ User found in database');
 
-    console.log('\n   STEP 4: User Type Verification');
-    console.log(`      - Requested: ${userType}`);
-    console.log(`      - Actual: ${user.userType}`);
-    
+    if (failure) {
+      req.log.info('login failed', { email, reason: failure });
+      return rejectLogin(res);
+    }
+
+    // Checked after the password so these can't be used to probe accounts
+    if (user.disabledAt) {
+      return rejectDisabledLogin(req, res, email);
+    }
+
+    // STEP 6: User Type Verification
     if (user.userType !== userType) {
-      console.log(`   ❌ Login FAILED: User type mismatch\n`);
+      req.log.info('login failed', { email, reason: 'wrong_portal', requestedUserType: userType });
+      auditLogin(req, email, 'failure', { reason: 'wrong_portal', requestedUserType: userType });
       return res.status(401).json({
         success: false,
         message: `This account is registered for ${user.userType} portal`
       });
     }
-    console.log('   ✓ User type verified');
 
-    console.log('\n   STEP 5: Password Verification (bcrypt)');
-    console.log('      - Comparing hashed password...');
-    const isValidPassword = await bcrypt.compare(password, user.password);
+    // STEP 7: Second Factor Check (TOTP)
+    if (isMfaEnabled(user) || isMfaRequired(user)) {
+      const enrolled = isMfaEnabled(user);
+      const mfaToken = signMfaToken(user, enrolled ? 'mfa_verify' : 'mfa_enroll');
+
+      req.log.info('login awaiting second factor', { email, enrolled });
 
-    if (!isValidPassword) {
-      console.log('   ❌ Login FAILED: Invalid password\n');
+      return res.json({
+        success: true,
+        message: enrolled ? 'Enter your authentication code' : 'Set up two-factor authentication',
+        mfaRequired: enrolled,
+        mfaEnrollmentRequired: !enrolled,
+        mfaToken,
+        expiresIn: MFA_TOKEN_TTL_SECONDS
+      });
+    }
+
+    sendLoginSuccess(req, res, user);
+
+  } catch (error) {
+    req.log.error('login error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Login failed'
+    });
+  }
+});
+
+// ============================================
+// TWO-FACTOR AUTHENTICATION (TOTP)
+// ============================================
+
+// Enrolment is reachable either by a logged-in user (optional for customers)
+// or, for employees who haven't enrolled yet, by the MFA pending token from /login
+const authenticateForEnrollment = (req, res, next) => {
+  if (!req.body.mfaToken) {
+    return verifyToken(req, res, next);
+  }
+
+  const decoded = verifyMfaToken(req.body.mfaToken, 'mfa_enroll');
+  if (!decoded) {
+    req.log.info('mfa enrolment rejected', { reason: 'invalid_mfa_token' });
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired MFA token'
+    });
+  }
+
+  req.user = { email: decoded.email, userType: decoded.userType, role: findUserByEmail(decoded.email)?.role };
+  req.mfaToken = decoded;
+  next();
+};
+
+// Mid-login, the mfaToken already proves the password; with a session the
+// password is asked for, so a stolen token can't switch on an attacker's app
+const reauthenticateForEnrollment = (req) => {
+  if (req.mfaToken) return { verified: true };
+  return reauthenticate(req, req.body);
+};
+
+// Second Login Step - exchanges the MFA pending token for a session
+router.post('/mfa/verify', async (req, res) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
+
+    // STEP 1: MFA Token Verification
+    const decoded = verifyMfaToken(mfaToken, 'mfa_verify');
+
+    if (!decoded) {
+      req.log.info('mfa verification rejected', { reason: 'invalid_mfa_token' });
       return res.status(401).json({
         success: false,
-        message: 'Invalid credentials'
+        message: 'Invalid or expired MFA token'
       });
     }
-    console.log('   ✓ Password verified successfully');
 
-    console.log('\n   STEP 6: JWT Token Generation');
-    const token = jwt.sign(
-      { 
-        email: user.email,
-        userType: user.userType
-      },
-      process.env.JWT_SECRET || 'test',
-      { expiresIn: '1h' }
-    );
-    console.log('   ✓ JWT token generated (1h expiration)');
-    console.log(`   ✓ Token payload: { email: ${user.email}, userType: ${user.userType} }`);
+    // STEP 2: Brute-Force Throttle Check
+    const throttle = checkLoginAllowed(decoded.email, req.ip);
+    const user = findUserByEmail(decoded.email);
+
+    if (!throttle.allowed || !user || !isMfaEnabled(user)) {
+      req.log.warn('mfa verification blocked', {
+        email: decoded.email,
+        reason: throttle.allowed ? 'mfa_not_enabled' : throttle.reason
+      });
+      auditLogin(req, decoded.email, 'denied', { reason: throttle.allowed ? 'mfa_not_enabled' : throttle.reason });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    // STEP 3: Code Verification
+    const method = verifySecondFactor(user, { code, recoveryCode });
+
+    if (!method) {
+      recordFailedLogin(req, decoded.email, 'invalid_second_factor');
+      req.log.info('mfa verification failed', { email: decoded.email, reason: 'invalid_code' });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
 
-    console.log('\n   ✅ LOGIN SUCCESSFUL');
-    console.log(`      - User: ${user.email}`);
-    console.log(`      - Type: ${user.userType}`);
-    console.log(`      - Token: ${token.substring(0, 20)}...`);
-    console.log('');
+    consumeMfaToken(decoded);
+    req.log.info('second factor verified', { email: user.email, method });
+
+    sendLoginSuccess(req, res, user, method === 'recovery_code'
+      ? { recoveryCodesRemaining: countUnusedRecoveryCodes(user.email) }
+      : {}, { secondFactorVerified: true });
+
+  } catch (error) {
+    req.log.error('mfa verification error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Verification failed'
+    });
+  }
+});
+
+// Two-Factor Status
+router.get('/mfa', verifyToken, requirePermission(PERMISSIONS.ACCOUNT_MANAGE), async (req, res) => {
+  try {
+    const user = findUserByEmail(req.user.email);
 
     res.json({
       success: true,
-      message: 'Login successful',
-      token,
-      user: {
-        email: user.email,
-        userType: user.userType
+      enabled: isMfaEnabled(user),
+      required: isMfaRequired(user),
+      recoveryCodesRemaining: isMfaEnabled(user) ? countUnusedRecoveryCodes(user.email) : 0
+    });
+
+  } catch (error) {
+    req.log.error('mfa status error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve two-factor status'
+    });
+  }
+});
+
+// Start Enrolment - returns a new secret as otpauth URI and QR code
+router.post('/mfa/enroll', authenticateForEnrollment, requirePermission(PERMISSIONS.ACCOUNT_MANAGE), async (req, res) => {
+  try {
+    const user = findUserByEmail(req.user.email);
+
+    if (isMfaEnabled(user)) {
+      req.log.info('mfa enrolment rejected', { email: req.user.email, reason: 'already_enrolled' });
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const reauth = await reauthenticateForEnrollment(req);
+
+    if (!reauth.verified) {
+      req.log.info('mfa enrolment rejected', { email: req.user.email, reason: 'reauthentication_failed' });
+      return rejectReauth(res, reauth);
+    }
+
+    const enrollment = await beginEnrollment(user);
+    req.log.info('mfa enrolment started', { email: req.user.email });
+
+    res.json({
+      success: true,
+      otpauthUri: enrollment.otpauthUri,
+      qrCode: enrollment.qrCode,
+      secret: enrollment.secret
+    });
+
+  } catch (error) {
+    req.log.error('mfa enrolment error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Enrolment failed'
+    });
+  }
+});
+
+// Confirm Enrolment - activates TOTP and returns one-time recovery codes
+router.post('/mfa/enroll/confirm', authenticateForEnrollment, requirePermission(PERMISSIONS.ACCOUNT_MANAGE), async (req, res) => {
+  try {
+    const reauth = await reauthenticateForEnrollment(req);
+
+    if (!reauth.verified) {
+      req.log.info('mfa enrolment confirmation rejected', { email: req.user.email, reason: 'reauthentication_failed' });
+      return rejectReauth(res, reauth);
+    }
+
+    const user = findUserByEmail(req.user.email);
+    const recoveryCodes = confirmEnrollment(user, req.body.code);
+
+    if (!recoveryCodes) {
+      req.log.info('mfa enrolment confirmation failed', { email: req.user.email, reason: 'invalid_code' });
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+    req.log.info('mfa enabled', { email: req.user.email });
+
+    // Employees enrolling mid-login finish logging in here
+    if (req.mfaToken) {
+      consumeMfaToken(req.mfaToken);
+      return sendLoginSuccess(req, res, user, { recoveryCodes });
+    }
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    req.log.error('mfa enrolment confirmation error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Enrolment failed'
+    });
+  }
+});
+
+// Disable Two-Factor (customers only - it is mandatory for employees).
+// Confirmed with the password and a code, which is used up like a login code.
+router.post('/mfa/disable', verifyToken, requirePermission(PERMISSIONS.ACCOUNT_MANAGE), async (req, res) => {
+  try {
+    const user = findUserByEmail(req.user.email);
+
+    if (isMfaRequired(user)) {
+      req.log.warn('mfa disable rejected', { email: req.user.email, reason: 'mfa_required' });
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your account'
+      });
+    }
+
+    if (!isMfaEnabled(user)) {
+      req.log.info('mfa disable rejected', { email: req.user.email, reason: 'not_enabled' });
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const reauth = await reauthenticate(req, req.body);
+
+    if (!reauth.verified) {
+      req.log.info('mfa disable rejected', { email: req.user.email, reason: 'reauthentication_failed' });
+      return rejectReauth(res, reauth);
+    }
+
+    disableMfa(user.email);
+    req.log.info('mfa disabled', { email: req.user.email });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    req.log.error('mfa disable error', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable two-factor authentication'
+    });
+  }
+});
+
+// Change Password - confirmed with the current password (and code, with
+// two-factor). Every other session is signed out.
+router.post('/password', verifyToken, requirePermission(PERMISSIONS.ACCOUNT_MANAGE), async (req, res) => {
+  try {
+    const newPassword = typeof req.body.newPassword === 'string' ? req.body.newPassword : '';
+
+    // STEP 1: New Password Validation
+    if (!validatePassword(newPassword)) {
+      req.log.info('password change rejected', { email: req.user.email, reason: 'weak_password' });
+      return res.status(400).json({
+        success: false,
+        message: PASSWORD_REQUIREMENTS,
+        errors: { newPassword: PASSWORD_REQUIREMENTS }
+      });
+    }
+
+    if (newPassword === req.body.password) {
+      req.log.info('password change rejected', { email: req.user.email, reason: 'unchanged' });
+      return res.status(400).json({
+        success: false,
+        message: 'The new password must be different from the current one',
+        errors: { newPassword: 'The new password must be different from the current one' }
+      });
+    }
+
+    // STEP 2: Re-authentication
+    const reauth = await reauthenticate(req, req.body);
+
+    if (!reauth.verified) {
+      req.log.info('password change rejected', { email: req.user.email, reason: 'reauthentication_failed' });
+      return rejectReauth(res, reauth);
+    }
+
+    // STEP 3: Storage & Sign-out Elsewhere
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    const revokedSessions = withTransaction(() => {
+      updatePassword(req.user.email, hashedPassword);
+      const revoked = revokeOtherSessions(req.user.email, req.user.sessionId);
+      recordAuditEvent({
+        actor: req.user.email,
+        action: AUDIT_ACTIONS.PASSWORD_CHANGE,
+        target: req.user.email,
+        outcome: 'success',
+        ...requestContext(req),
+        details: { revokedSessions: revoked }
+      });
+      return revoked;
+    });
+
+    req.log.info('password changed', { email: req.user.email, revokedSessions });
+
+    res.json({
+      success: true,
+      message: revokedSessions > 0
+        ? `Password changed. ${revokedSessions} other session(s) signed out`
+        : 'Password changed'
+    });
+
+  } catch (error) {
+    req.log.error('password change failed', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change password'
+    });
+  }
+});
+
+// Forced Password Reset - the last login step for an account an
+// administrator reset. Exchanges the reset token from /mfa/verify and a
+// new password for a session.
+router.post('/password/reset', async (req, res) => {
+  try {
+    const newPassword = typeof req.body.newPassword === 'string' ? req.body.newPassword : '';
+
+    // STEP 1: Reset Token Verification
+    const decoded = verifyMfaToken(req.body.resetToken, 'password_reset');
+    const user = decoded && findUserByEmail(decoded.email);
+
+    if (!user || !user.passwordResetRequired) {
+      req.log.info('password reset rejected', { reason: 'invalid_reset_token' });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    // STEP 2: New Password Validation
+    if (!validatePassword(newPassword)) {
+      req.log.info('password reset rejected', { email: user.email, reason: 'weak_password' });
+      return res.status(400).json({
+        success: false,
+        message: PASSWORD_REQUIREMENTS,
+        errors: { newPassword: PASSWORD_REQUIREMENTS }
+      });
+    }
+
+    if (await bcrypt.compare(newPassword, user.password)) {
+      req.log.info('password reset rejected', { email: user.email, reason: 'unchanged' });
+      return res.status(400).json({
+        success: false,
+        message: 'The new password must be different from the current one',
+        errors: { newPassword: 'The new password must be different from the current one' }
+      });
+    }
+
+    // STEP 3: Storage
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    withTransaction(() => {
+      updatePassword(user.email, hashedPassword);
+      consumeMfaToken(decoded);
+      recordAuditEvent({
+        actor: user.email,
+        action: AUDIT_ACTIONS.PASSWORD_CHANGE,
+        target: user.email,
+        outcome: 'success',
+        ...requestContext(req),
+        details: { forced: true }
+      });
+    });
+
+    req.log.info('password reset completed', { email: user.email });
+
+    sendLoginSuccess(req, res, findUserByEmail(user.email));
+
+  } catch (error) {
+    req.log.error('password reset failed', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset password'
+    });
+  }
+});
+
+// List Lockouts (users:manage)
+router.get('/lockouts', verifyToken, requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  try {
+    const lockouts = listLockouts({ activeOnly: req.query.active === 'true' });
+
+    req.log.debug('lockouts retrieved', { employee: req.user.email, lockouts: lockouts.length });
+
+    res.json({
+      success: true,
+      lockouts
+    });
+
+  } catch (error) {
+    req.log.error('lockout retrieval failed', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve lockouts'
+    });
+  }
+});
+
+// Unlock Account (users:manage)
+router.post('/lockouts/unlock', verifyToken, requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  try {
+    const email = readString(req.body.email).toLowerCase();
+
+    if (!validateEmail(email)) {
+      req.log.info('unlock rejected', { reason: 'invalid_email' });
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid email format'
+      });
+    }
+
+    const wasThrottled = unlockAccount(email, req.user.email);
+    recordAuditEvent({
+      actor: req.user.email,
+      action: AUDIT_ACTIONS.UNLOCK,
+      target: `account:${email}`,
+      outcome: 'success',
+      ...requestContext(req),
+      details: { wasLocked: wasThrottled }
+    });
+    req.log.info('account unlocked', { email, employee: req.user.email, wasLocked: wasThrottled });
+
+    res.json({
+      success: true,
+      message: wasThrottled ? 'Account unlocked' : 'Account was not locked'
+    });
+
+  } catch (error) {
+    req.log.error('unlock failed', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Account unlock failed'
+    });
+  }
+});
+
+// Refresh Route - rotates the refresh token and issues a new access token
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (typeof refreshToken !== 'string' || !refreshToken) {
+      req.log.info('refresh rejected', { reason: 'missing_refresh_token' });
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token required'
+      });
+    }
+
+    const result = rotateSession(refreshToken);
+
+    if (result.error) {
+      if (result.error === 'reused') {
+        req.log.warn('refresh token reuse detected, session revoked', { sessionId: result.sessionId });
       }
+      req.log.info('refresh rejected', { reason: result.error });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    req.log.debug('session rotated', { sessionId: result.sessionId });
+
+    res.json({
+      success: true,
+      token: result.accessToken,
+      refreshToken: result.refreshToken,
+      expiresIn: result.expiresIn
     });
 
   } catch (error) {
-    console.error('\n❌ [LOGIN ERROR]', error);
-    console.error('');
+    req.log.error('refresh failed', { error });
     res.status(500).json({
       success: false,
-      message: 'Login failed'
+      message: 'Token refresh failed'
+    });
+  }
+});
+
+// Logout Route - revokes the current session and its access token
+router.post('/logout', verifyToken, requirePermission(PERMISSIONS.ACCOUNT_MANAGE), async (req, res) => {
+  try {
+    revokeSession(req.user.sessionId);
+    req.log.info('logged out', { email: req.user.email, sessionId: req.user.sessionId });
+
+    res.json({
+      success: true,
+      message: 'Logged out'
+    });
+
+  } catch (error) {
+    req.log.error('logout failed', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed'
+    });
+  }
+});
+
+// List Active Sessions
+router.get('/sessions', verifyToken, requirePermission(PERMISSIONS.ACCOUNT_MANAGE), async (req, res) => {
+  try {
+    const sessions = listActiveSessions(req.user.email).map(session => ({
+      sessionId: session.sessionId,
+      ip: session.ip,
+      userAgent: session.userAgent,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: session.sessionId === req.user.sessionId
+    }));
+
+    req.log.debug('sessions retrieved', { email: req.user.email, sessions: sessions.length });
+
+    res.json({
+      success: true,
+      sessions
+    });
+
+  } catch (error) {
+    req.log.error('session retrieval failed', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve sessions'
+    });
+  }
+});
+
+// Revoke One Session
+router.delete('/sessions/:sessionId', verifyToken, requirePermission(PERMISSIONS.ACCOUNT_MANAGE), async (req, res) => {
+  try {
+    const session = findSession(req.params.sessionId);
+
+    // Someone else's session looks the same as a missing one
+    if (!session || session.userEmail !== req.user.email || session.revokedAt) {
+      req.log.info('session revocation rejected', { reason: 'not_found', sessionId: req.params.sessionId });
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    revokeSession(session.sessionId);
+    req.log.info('session revoked', { email: req.user.email, sessionId: req.params.sessionId });
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+
+  } catch (error) {
+    req.log.error('session revocation failed', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session'
     });
   }
 });
@@ -0,0 +1,315 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { findAuditEntries } from '../repositories/auditLog.js';
+import { AUDIT_ACTIONS } from '../services/audit.js';
+import { LOGIN_THROTTLE_POLICY, recordLoginFailure } from '../services/loginThrottle.js';
+import { verifySecondFactor } from '../services/mfa.js';
+import { currentStep, generateCode } from '../services/totp.js';
+import { TEST_PASSWORD, createAccount, nextCode, signedInAccount, startTestServer } from '../testing/http.js';
+
+const passwordChecks = (action, email) =>
+  findAuditEntries({ action, actor: email, outcome: 'failure' }).filter(
+    (entry) => entry.details.reason === 'invalid_password'
+  );
+
+const REGISTRATION = {
+  fullName: "Thandi O'Neill-Mokoena",
+  idNumber: '8001015009087',
+  accountNumber: '62001234567',
+  email: 'Thandi@Example.com',
+  password: TEST_PASSWORD
+};
+
+describe('registration', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestServer();
+  });
+
+  after(() => api.close());
+
+  const register = (body) => api.request('POST', '/auth/register', { body });
+
+  it('creates a customer who can then log in', async () => {
+    const { status, body } = await register(REGISTRATION);
+    assert.equal(status, 201);
+    assert.deepEqual(body.user, {
+      email: 'thandi@example.com',
+      fullName: 'Thandi O&#x27;Neill-Mokoena',
+      userType: 'customer',
+      role: 'customer'
+    });
+
+    const login = await api.request('POST', '/auth/login', {
+      body: { email: 'thandi@example.com', password: TEST_PASSWORD, userType: 'customer' }
+    });
+    assert.equal(login.status, 200);
+    assert.ok(login.body.token);
+  });
+
+  it('names every field that needs correcting', async () => {
+    const { status, body } = await register({
+      fullName: 'X',
+      idNumber: '8001015009086',
+      accountNumber: '12-34',
+      email: 'not-an-email',
+      password: 'short'
+    });
+    assert.equal(status, 400);
+    assert.deepEqual(Object.keys(body.errors).sort(), ['accountNumber', 'email', 'fullName', 'idNumber', 'password']);
+  });
+
+  it("doesn't say which detail is already registered", async () => {
+    const clashes = [
+      { email: 'thandi@example.com' },
+      { idNumber: '8001015009087' },
+      { accountNumber: '62001234567' }
+    ];
+
+    for (const clash of clashes) {
+      const { status, body } = await register({
+        ...REGISTRATION,
+        email: 'someone@example.com',
+        idNumber: '9001015009086',
+        accountNumber: '62007654321',
+        ...clash
+      });
+      assert.equal(status, 409);
+      assert.equal(body.message, 'An account with these details already exists');
+    }
+  });
+
+  it('refuses employee sign-ups', async () => {
+    const { status } = await register({ ...REGISTRATION, email: 'teller@example.com', userType: 'employee' });
+    assert.equal(status, 403);
+  });
+});
+
+describe('sessions', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestServer();
+  });
+
+  after(() => api.close());
+
+  const login = async (email) => {
+    const { body } = await api.request('POST', '/auth/login', {
+      body: { email, password: TEST_PASSWORD, userType: 'customer' }
+    });
+    return body;
+  };
+  const refresh = (refreshToken) => api.request('POST', '/auth/refresh', { body: { refreshToken } });
+  const listSessions = (token) => api.request('GET', '/auth/sessions', { token });
+
+  it('rotates the refresh token, and a reused one ends the session', async () => {
+    const { email } = createAccount({ email: 'rotate@example.com' });
+    const first = await login(email);
+
+    const rotated = await refresh(first.refreshToken);
+    assert.equal(rotated.status, 200);
+    assert.notEqual(rotated.body.refreshToken, first.refreshToken);
+    assert.equal((await listSessions(first.token)).status, 401);
+    assert.equal((await listSessions(rotated.body.token)).status, 200);
+
+    assert.equal((await refresh(first.refreshToken)).status, 401);
+    assert.equal((await refresh(rotated.body.refreshToken)).status, 401);
+    assert.equal((await listSessions(rotated.body.token)).status, 401);
+  });
+
+  it('revokes the access and refresh tokens at logout', async () => {
+    const { email } = createAccount({ email: 'logout@example.com' });
+    const { token, refreshToken } = await login(email);
+
+    assert.equal((await api.request('POST', '/auth/logout', { token, body: {} })).status, 200);
+    assert.equal((await listSessions(token)).status, 401);
+    assert.equal((await refresh(refreshToken)).status, 401);
+  });
+
+  it("lists and revokes the account's own sessions only", async () => {
+    const { email } = createAccount({ email: 'devices@example.com' });
+    const laptop = await login(email);
+    const phone = await login(email);
+
+    const { body } = await listSessions(laptop.token);
+    assert.equal(body.sessions.length, 2);
+    const other = body.sessions.find(session => !session.current);
+
+    const stranger = signedInAccount({ email: 'stranger@example.com' });
+    const hidden = await api.request('DELETE', `/auth/sessions/${other.sessionId}`, { token: stranger.token });
+    assert.equal(hidden.status, 404);
+
+    const revoked = await api.request('DELETE', `/auth/sessions/${other.sessionId}`, { token: laptop.token });
+    assert.equal(revoked.status, 200);
+    assert.equal((await listSessions(phone.token)).status, 401);
+    assert.equal((await refresh(phone.refreshToken)).status, 401);
+    assert.equal((await listSessions(laptop.token)).body.sessions.length, 1);
+  });
+
+  it('refuses requests without a valid access token', async () => {
+    assert.equal((await listSessions(undefined)).status, 401);
+    assert.equal((await listSessions('not-a-token')).status, 401);
+    assert.equal((await refresh('not-a-token')).status, 401);
+    assert.equal((await api.request('POST', '/auth/refresh', { body: {} })).status, 400);
+  });
+});
+
+describe('login lockout', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestServer();
+  });
+
+  after(() => api.close());
+
+  const login = (email, password) =>
+    api.request('POST', '/auth/login', { body: { email, password, userType: 'customer' } });
+
+  it('checks at most lockAfter passwords when guesses arrive together', async () => {
+    const { email } = createAccount({ email: 'parallel@example.com', bcryptCost: 10 });
+
+    const responses = await Promise.all(
+      Array.from({ length: 40 }, (_, index) => login(email, `Wrong-guess-${index}`))
+    );
+
+    assert.ok(responses.every(({ status }) => status === 401));
+    const checked = passwordChecks(AUDIT_ACTIONS.LOGIN, email).length;
+    assert.ok(checked >= 1 && checked <= LOGIN_THROTTLE_POLICY.account.lockAfter, `${checked} passwords checked`);
+  });
+
+  it('refuses the right password once the account is locked, until it is unlocked', async () => {
+    const { email } = createAccount({ email: 'locked@example.com' });
+    const admin = signedInAccount({ email: 'admin@example.com', role: 'admin' });
+
+    for (let attempt = 0; attempt < LOGIN_THROTTLE_POLICY.account.lockAfter; attempt += 1) {
+      recordLoginFailure(email, '127.0.0.1');
+    }
+
+    assert.equal((await login(email, TEST_PASSWORD)).status, 401);
+    const [denied] = findAuditEntries({ action: AUDIT_ACTIONS.LOGIN, actor: email, outcome: 'denied' });
+    assert.equal(denied.details.reason, 'locked');
+
+    const unlocked = await api.request('POST', '/auth/lockouts/unlock', { token: admin.token, body: { email } });
+    assert.equal(unlocked.status, 200);
+    assert.equal(unlocked.body.message, 'Account unlocked');
+
+    const { status, body } = await login(email, TEST_PASSWORD);
+    assert.equal(status, 200);
+    assert.ok(body.token);
+  });
+
+  it('asks employees for their second factor before starting a session', async () => {
+    const teller = createAccount({ email: 'teller@example.com', role: 'teller' });
+
+    const first = await api.request('POST', '/auth/login', {
+      body: { email: teller.email, password: TEST_PASSWORD, userType: 'employee' }
+    });
+    assert.equal(first.status, 200);
+    assert.equal(first.body.mfaRequired, true);
+    assert.equal(first.body.token, undefined);
+
+    const second = await api.request('POST', '/auth/mfa/verify', {
+      body: { mfaToken: first.body.mfaToken, code: nextCode(teller) }
+    });
+    assert.equal(second.status, 200);
+    assert.ok(second.body.token);
+  });
+});
+
+describe('re-authentication lockout', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestServer();
+  });
+
+  after(() => api.close());
+
+  it('checks at most lockAfter passwords when confirmations arrive together', async () => {
+    const customer = signedInAccount({ email: 'reauth@example.com', bcryptCost: 10 });
+
+    const responses = await Promise.all(
+      Array.from({ length: 20 }, (_, index) =>
+        api.request('POST', '/auth/password', {
+          token: customer.token,
+          body: { password: `Wrong-guess-${index}`, newPassword: 'N3w-Passw0rd!' }
+        })
+      )
+    );
+
+    assert.ok(responses.every(({ status }) => status === 403 || status === 429));
+    const checked = passwordChecks(AUDIT_ACTIONS.REAUTH, customer.email).length;
+    assert.ok(checked >= 1 && checked <= LOGIN_THROTTLE_POLICY.account.lockAfter, `${checked} passwords checked`);
+  });
+});
+
+describe('two-factor settings', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestServer();
+  });
+
+  after(() => api.close());
+
+  it('asks for the password to enrol with a session', async () => {
+    const customer = signedInAccount({ email: 'enrol@example.com' });
+    const post = (path, body) => api.request('POST', path, { token: customer.token, body });
+
+    const bare = await post('/auth/mfa/enroll', {});
+    assert.equal(bare.status, 403);
+    assert.equal(bare.body.reauthRequired, true);
+
+    const started = await post('/auth/mfa/enroll', { password: TEST_PASSWORD });
+    assert.equal(started.status, 200);
+
+    const code = generateCode(started.body.secret, currentStep());
+    assert.equal((await post('/auth/mfa/enroll/confirm', { code })).status, 403);
+    assert.equal((await post('/auth/mfa/enroll/confirm', { password: 'Wrong-guess-1', code })).status, 403);
+
+    const confirmed = await post('/auth/mfa/enroll/confirm', { password: TEST_PASSWORD, code });
+    assert.equal(confirmed.status, 200);
+    assert.equal(confirmed.body.recoveryCodes.length, 10);
+  });
+
+  it('asks for the password and an unused code to disable', async () => {
+    const customer = signedInAccount({ email: 'disable@example.com', mfa: true });
+    const disable = (body) => api.request('POST', '/auth/mfa/disable', { token: customer.token, body });
+
+    const usedCode = nextCode(customer);
+    assert.equal(verifySecondFactor(customer, { code: usedCode }), 'totp');
+
+    assert.equal((await disable({ code: '000000' })).status, 403);
+    const replayed = await disable({ password: TEST_PASSWORD, code: usedCode });
+    assert.equal(replayed.status, 403);
+    assert.equal(replayed.body.mfaRequired, true);
+
+    const disabled = await disable({ password: TEST_PASSWORD, code: nextCode(customer) });
+    assert.equal(disabled.status, 200);
+
+    const status = await api.request('GET', '/auth/mfa', { token: customer.token });
+    assert.equal(status.body.enabled, false);
+  });
+
+  it('lets employees enrol mid-login without asking for the password again', async () => {
+    createAccount({ email: 'new-teller@example.com', role: 'teller', mfa: false });
+
+    const login = await api.request('POST', '/auth/login', {
+      body: { email: 'new-teller@example.com', password: TEST_PASSWORD, userType: 'employee' }
+    });
+    assert.equal(login.body.mfaEnrollmentRequired, true);
+
+    const { mfaToken } = login.body;
+    const started = await api.request('POST', '/auth/mfa/enroll', { body: { mfaToken } });
+    assert.equal(started.status, 200);
+
+    const confirmed = await api.request('POST', '/auth/mfa/enroll/confirm', {
+      body: { mfaToken, code: generateCode(started.body.secret, currentStep()) }
+    });
+    assert.equal(confirmed.status, 200);
+    assert.ok(confirmed.body.token);
+  });
+});
@@ -0,0 +1,495 @@
+import crypto from 'crypto';
+import express from 'express';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS, hasPermission } from '../services/permissions.js';
+import { withTransaction } from '../db/index.js';
+import {
+  createPaymentBatch,
+  findPaymentBatchById,
+  findPaymentBatchesByOwner,
+  markPaymentBatchCancelled
+} from '../repositories/paymentBatches.js';
+import {
+  createTransaction,
+  findTransactionsByBatch,
+  transitionTransaction
+} from '../repositories/transactions.js';
+import { formatMinorUnits } from '../services/currencies.js';
+import { sanitizeInput } from '../services/paymentRequests.js';
+import {
+  MAX_BATCH_CSV_LENGTH,
+  parsePaymentCsv,
+  totalsByCurrency
+} from '../services/paymentBatches.js';
+import { createPaymentScreening } from '../repositories/paymentScreenings.js';
+import { AUDIT_ACTIONS, recordAuditEvent, requestContext } from '../services/audit.js';
+import { checkBatchVelocity, checkPaymentLimits } from '../services/limits.js';
+import { screenPayment, summarizeHits } from '../services/sanctions.js';
+import { riskContext, scorePaymentRisk, withoutRiskAssessment } from '../services/risk.js';
+import { paymentStatusChanged } from '../services/paymentEvents.js';
+
+const router = express.Router();
+
+// Payments waiting for an employee's sanctions or risk review
+const HELD_STATUSES = new Set(['screening_hold', 'risk_hold']);
+
+// Statuses a payment can be in for its batch to still be cancelled
+const CANCELLABLE_STATUSES = new Set([...HELD_STATUSES, 'pending', 'rejected', 'cancelled']);
+
+const readCsv = (req, res) => {
+  const { csv } = req.body;
+
+  if (typeof csv !== 'string' || csv.trim() === '') {
+    req.log.info('batch upload rejected', { reason: 'missing_csv' });
+    res.status(400).json({
+      success: false,
+      message: 'csv must contain the uploaded file'
+    });
+    return null;
+  }
+
+  if (csv.length > MAX_BATCH_CSV_LENGTH) {
+    req.log.info('batch upload rejected', { reason: 'file_too_large', length: csv.length });
+    res.status(413).json({
+      success: false,
+      message: 'The file is too large'
+    });
+    return null;
+  }
+
+  const parsed = parsePaymentCsv(csv);
+
+  if (parsed.error) {
+    req.log.info('batch upload rejected', { reason: 'unreadable_csv', detail: parsed.error });
+    res.status(400).json({
+      success: false,
+      message: parsed.error
+    });
+    return null;
+  }
+
+  return parsed.rows;
+};
+
+const summarizeRows = (rows) => {
+  const valid = rows.filter(row => row.valid);
+  return {
+    total: rows.length,
+    valid: valid.length,
+    invalid: rows.length - valid.length,
+    totals: totalsByCurrency(valid.map(row => row.payment))
+  };
+};
+
+// Preview rows keep the customer's own spelling so errors can be matched to the file
+const presentRow = ({ row, input, valid, errors, payment }) => ({
+  row,
+  input,
+  valid,
+  ...(valid
+    ? { payment: { ...payment, amount: formatMinorUnits(payment.amountMinor, payment.currency) } }
+    : { errors })
+});
+
+const presentBatch = (batch, transactions) => ({
+  ...batch,
+  statusCounts: transactions.reduce((counts, txn) => {
+    counts[txn.status] = (counts[txn.status] || 0) + 1;
+    return counts;
+  }, {}),
+  totals: totalsByCurrency(transactions)
+});
+
+const presentTransaction = (transaction) => ({
+  ...withoutRiskAssessment(transaction),
+  amount: formatMinorUnits(transaction.amountMinor, transaction.currency)
+});
+
+const findAccessibleBatch = (req, res) => {
+  const { batchId } = req.params;
+  const batch = findPaymentBatchById(batchId);
+
+  if (!batch) {
+    req.log.info('batch not found', { batchId });
+    res.status(404).json({
+      success: false,
+      message: 'Batch not found'
+    });
+    return null;
+  }
+
+  // Authorization check: owner, or anyone allowed to see every payment
+  if (batch.createdBy !== req.user.email && !hasPermission(req.user, PERMISSIONS.PAYMENTS_READ_ALL)) {
+    req.log.warn('batch access denied', { batchId, user: req.user.email, owner: batch.createdBy });
+    res.status(403).json({
+      success: false,
+      message: 'Unauthorized access'
+    });
+    return null;
+  }
+
+  return batch;
+};
+
+// Preview a CSV Upload (nothing is stored)
+router.post('/preview', verifyToken, requirePermission(PERMISSIONS.PAYMENTS_CREATE), async (req, res) => {
+  try {
+    const rows = readCsv(req, res);
+    if (!rows) return;
+
+    const summary = summarizeRows(rows);
+
+    req.log.info('batch previewed', {
+      user: req.user.email,
+      rows: summary.total,
+      validRows: summary.valid,
+      invalidRows: summary.invalid
+    });
+
+    res.json({
+      success: true,
+      summary,
+      rows: rows.map(presentRow)
+    });
+
+  } catch (error) {
+    req.log.error('batch preview failed', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Batch preview failed'
+    });
+  }
+});
+
+// Create a Batch from the valid rows of a CSV Upload
+router.post('/', verifyToken, requirePermission(PERMISSIONS.PAYMENTS_CREATE), async (req, res) => {
+  try {
+    // STEP 1: Parse & Validate every row (the preview is never trusted)
+    const rows = readCsv(req, res);
+    if (!rows) return;
+
+    const validRows = rows.filter(row => row.valid);
+
+    if (validRows.length === 0) {
+      req.log.info('batch upload rejected', { reason: 'no_valid_rows', rows: rows.length });
+      return res.status(400).json({
+        success: false,
+        message: 'No row in the file is a valid payment',
+        rows: rows.map(presentRow)
+      });
+    }
+
+    const fileName = typeof req.body.fileName === 'string' && req.body.fileName.trim()
+      ? sanitizeInput(req.body.fileName).slice(0, 255)
+      : null;
+
+    // STEP 2: Limits & Velocity Check (the whole batch counts against the
+    // amount limits, and each row against the hourly payment counts)
+    const payments = validRows.map(({ payment }) => payment);
+    const limitCheck = checkPaymentLimits(req.user.email, payments);
+
+    if (!limitCheck.allowed) {
+      const { row } = validRows[limitCheck.index];
+      req.log.warn('batch upload rejected', { reason: 'limit_exceeded', code: limitCheck.code, row, user: req.user.email, ...limitCheck.limit });
+      recordAuditEvent({
+        actor: req.user.email,
+        action: AUDIT_ACTIONS.BATCH_CREATE,
+        outcome: 'denied',
+        ...requestContext(req),
+        details: { code: limitCheck.code, row, currency: limitCheck.limit.currency }
+      });
+      return res.status(422).json({
+        success: false,
+        message: `Row ${row}: ${limitCheck.message}`,
+        code: limitCheck.code,
+        row,
+        limit: limitCheck.limit
+      });
+    }
+
+    const velocityCheck = checkBatchVelocity(req.user.email, payments);
+
+    if (!velocityCheck.allowed) {
+      req.log.warn('batch upload rejected', {
+        reason: 'velocity_exceeded',
+        code: velocityCheck.code,
+        payments: payments.length,
+        user: req.user.email,
+        ...velocityCheck.velocity
+      });
+      recordAuditEvent({
+        actor: req.user.email,
+        action: AUDIT_ACTIONS.BATCH_CREATE,
+        outcome: 'denied',
+        ...requestContext(req),
+        details: { code: velocityCheck.code, payments: payments.length }
+      });
+      if (velocityCheck.velocity.retryAt) {
+        res.set('Retry-After', String(Math.max(Math.ceil((velocityCheck.velocity.retryAt - Date.now()) / 1000), 1)));
+      }
+      return res.status(velocityCheck.status).json({
+        success: false,
+        message: velocityCheck.message,
+        code: velocityCheck.code,
+        velocity: velocityCheck.velocity
+      });
+    }
+
+    // STEP 3: Sanctions Screening & Risk Scoring (rows with a possible match
+    // or a high score are held for review)
+    const screenings = validRows.map(({ payment }) => screenPayment(payment));
+    const risks = validRows.map(({ payment }) => scorePaymentRisk(payment, riskContext(req)));
+
+    // STEP 4: Batch & Transaction Storage (all rows or none)
+    const batchId = `BAT${Date.now()}${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
+    const createdAt = new Date();
+
+    const transactions = withTransaction(() => {
+      createPaymentBatch({
+        batchId,
+        createdBy: req.user.email,
+        createdAt,
+        fileName,
+        paymentCount: validRows.length
+      });
+
+      const created = validRows.map(({ row, payment }, index) => {
+        const screening = screenings[index];
+        const risk = risks[index];
+        const status = screening.outcome === 'hold' ? 'screening_hold' : (risk.hold ? 'risk_hold' : 'pending');
+        const transaction = createTransaction({
+          transactionId: `TXN${Date.now()}${Math.random().toString(36).substr(2, 9).toUpperCase()}`,
+          ...payment,
+          initiatedBy: req.user.email,
+          userType: req.user.userType,
+          status,
+          uetr: crypto.randomUUID(),
+          batchId,
+          riskScore: risk.score,
+          riskReasons: risk.reasons,
+          ...(status === 'risk_hold' && { riskHeldAt: createdAt }),
+          timestamp: createdAt
+        });
+        paymentStatusChanged(transaction);
+        createPaymentScreening({ transactionId: transaction.transactionId, screenedAt: createdAt, ...screening });
+        recordAuditEvent({
+          actor: req.user.email,
+          action: AUDIT_ACTIONS.PAYMENT_CREATE,
+          target: transaction.transactionId,
+          outcome: 'success',
+          ...requestContext(req),
+          details: {
+            amountMinor: payment.amountMinor,
+            currency: payment.currency,
+            provider: payment.provider,
+            swiftCode: payment.swiftCode,
+            screening: screening.outcome,
+            riskScore: risk.score,
+            riskRules: risk.reasons.map(reason => reason.rule),
+            batchId,
+            row
+          }
+        });
+        return transaction;
+      });
+
+      recordAuditEvent({
+        actor: req.user.email,
+        action: AUDIT_ACTIONS.BATCH_CREATE,
+        target: batchId,
+        outcome: 'success',
+        ...requestContext(req),
+        details: { payments: created.length, skippedRows: rows.length - created.length }
+      });
+      return created;
+    });
+
+    const batch = findPaymentBatchById(batchId);
+    const skipped = rows.filter(row => !row.valid);
+    const held = transactions.filter(txn => HELD_STATUSES.has(txn.status));
+
+    transactions.forEach((txn, index) => {
+      if (txn.status === 'screening_hold') {
+        req.log.warn('payment held for screening', {
+          transactionId: txn.transactionId,
+          batchId,
+          hits: summarizeHits(screenings[index].hits)
+        });
+      } else if (txn.status === 'risk_hold') {
+        req.log.warn('payment held for risk review', {
+          transactionId: txn.transactionId,
+          batchId,
+          riskScore: txn.riskScore,
+          rules: txn.riskReasons.map(reason => reason.rule)
+        });
+      }
+    });
+
+    req.log.info('batch submitted', {
+      batchId,
+      user: req.user.email,
+      payments: transactions.length,
+      held: held.length,
+      skippedRows: skipped.length
+    });
+
+    res.status(201).json({
+      success: true,
+      message: held.length > 0
+        ? `${transactions.length} payment(s) submitted, ${held.length} held for review`
+        : `${transactions.length} payment(s) submitted for verification`,
+      batch: presentBatch(batch, transactions),
+      transactions: transactions.map(presentTransaction),
+      skipped: skipped.map(presentRow)
+    });
+
+  } catch (error) {
+    req.log.error('batch submission failed', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Batch submission failed'
+    });
+  }
+});
+
+// List My Batches
+router.get('/', verifyToken, requirePermission(PERMISSIONS.PAYMENTS_READ), async (req, res) => {
+  try {
+    const batches = findPaymentBatchesByOwner(req.user.email)
+      .map(batch => presentBatch(batch, findTransactionsByBatch(batch.batchId)));
+
+    res.json({
+      success: true,
+      batches
+    });
+
+  } catch (error) {
+    req.log.error('batch list retrieval failed', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve batches'
+    });
+  }
+});
+
+// Get Batch with its Payments (owner, or payments:read_all)
+router.get('/:batchId', verifyToken, requirePermission(PERMISSIONS.PAYMENTS_READ), async (req, res) => {
+  try {
+    const batch = findAccessibleBatch(req, res);
+    if (!batch) return;
+
+    const transactions = findTransactionsByBatch(batch.batchId);
+
+    res.json({
+      success: true,
+      batch: presentBatch(batch, transactions),
+      transactions: transactions.map(presentTransaction)
+    });
+
+  } catch (error) {
+    req.log.error('batch retrieval failed', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve batch'
+    });
+  }
+});
+
+// Cancel a Batch (owner only): every pending payment in it, or none
+router.post('/:batchId/cancel', verifyToken, requirePermission(PERMISSIONS.PAYMENTS_CREATE), async (req, res) => {
+  try {
+    const result = withTransaction(() => {
+      const batch = findAccessibleBatch(req, res);
+      if (!batch) return null;
+
+      if (batch.createdBy !== req.user.email) {
+        req.log.warn('batch cancel denied', { batchId: batch.batchId, user: req.user.email });
+        res.status(403).json({
+          success: false,
+          message: 'Only the customer who uploaded a batch can cancel it'
+        });
+        return null;
+      }
+
+      if (batch.status === 'cancelled') {
+        req.log.info('batch cancel refused', { batchId: batch.batchId, reason: 'already_cancelled' });
+        res.status(409).json({
+          success: false,
+          message: 'Batch has already been cancelled'
+        });
+        return null;
+      }
+
+      const transactions = findTransactionsByBatch(batch.batchId);
+      const processed = transactions.filter(txn => !CANCELLABLE_STATUSES.has(txn.status));
+
+      if (processed.length > 0) {
+        req.log.info('batch cancel refused', {
+          batchId: batch.batchId,
+          reason: 'payments_already_processed',
+          transactionIds: processed.map(txn => txn.transactionId)
+        });
+        res.status(409).json({
+          success: false,
+          message: 'Some payments in this batch have already been verified and can no longer be cancelled',
+          transactionIds: processed.map(txn => txn.transactionId)
+        });
+        return null;
+      }
+
+      markPaymentBatchCancelled(batch.batchId, req.user.email);
+
+      const cancelled = transactions
+        .filter(txn => txn.status === 'pending' || HELD_STATUSES.has(txn.status))
+        .map(txn => {
+          const updated = transitionTransaction(txn.transactionId, txn.status, { status: 'cancelled' });
+          paymentStatusChanged(updated, txn.status);
+          recordAuditEvent({
+            actor: req.user.email,
+            action: AUDIT_ACTIONS.PAYMENT_CANCEL,
+            target: txn.transactionId,
+            outcome: 'success',
+            ...requestContext(req),
+            details: { batchId: batch.batchId }
+          });
+          return txn.transactionId;
+        });
+
+      recordAuditEvent({
+        actor: req.user.email,
+        action: AUDIT_ACTIONS.BATCH_CANCEL,
+        target: batch.batchId,
+        outcome: 'success',
+        ...requestContext(req),
+        details: { payments: cancelled.length }
+      });
+
+      return { batchId: batch.batchId, cancelled };
+    });
+    if (!result) return;
+
+    req.log.info('batch cancelled', {
+      batchId: result.batchId,
+      user: req.user.email,
+      payments: result.cancelled.length
+    });
+
+    const transactions = findTransactionsByBatch(result.batchId);
+
+    res.json({
+      success: true,
+      message: `Batch cancelled (${result.cancelled.length} payment(s))`,
+      batch: presentBatch(findPaymentBatchById(result.batchId), transactions),
+      transactions: transactions.map(presentTransaction)
+    });
+
+  } catch (error) {
+    req.log.error('batch cancellation failed', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Batch cancellation failed'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,131 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { signedInAccount, startTestServer } from '../testing/http.js';
+
+// One payment per account number, to South African accounts
+const csvFor = (accounts) => [
+  'amount,currency,recipientName,recipientAccount,swiftCode',
+  ...accounts.map(account => `100.00,ZAR,Recipient ${account},${account},ABSAZAJJ`)
+].join('\n');
+
+describe('batch upload', () => {
+  let api;
+  let teller;
+
+  before(async () => {
+    api = await startTestServer();
+    teller = signedInAccount({ email: 'teller@example.com', role: 'teller' });
+  });
+
+  after(() => api.close());
+
+  const asCustomer = (customer) => (method, path, body) => api.request(method, path, { token: customer.token, body });
+
+  it('previews every row without storing anything', async () => {
+    const call = asCustomer(signedInAccount({ email: 'preview@example.com' }));
+    const csv = `${csvFor(['100000001'])}\nabc,ZAR,Nobody,100000002,ABSAZAJJ`;
+
+    const { status, body } = await call('POST', '/batches/preview', { csv });
+    assert.equal(status, 200);
+    assert.deepEqual(
+      { total: body.summary.total, valid: body.summary.valid, invalid: body.summary.invalid },
+      { total: 2, valid: 1, invalid: 1 }
+    );
+    assert.ok(body.rows[1].errors.amount);
+
+    const { body: list } = await call('GET', '/batches');
+    assert.deepEqual(list.batches, []);
+  });
+
+  it('submits the valid rows and lists the skipped ones', async () => {
+    const call = asCustomer(signedInAccount({ email: 'upload@example.com' }));
+    const csv = `${csvFor(['100000001', '100000002'])}\nabc,ZAR,Nobody,100000003,ABSAZAJJ`;
+
+    const { status, body } = await call('POST', '/batches', { csv, fileName: 'salaries.csv' });
+    assert.equal(status, 201);
+    assert.equal(body.transactions.length, 2);
+    assert.ok(body.transactions.every(txn => txn.status === 'pending' && txn.batchId === body.batch.batchId));
+    assert.deepEqual(body.skipped.map(row => row.row), [3]);
+
+    const invalidOnly = await call('POST', '/batches', { csv: 'amount,currency\nabc,ZAR' });
+    assert.equal(invalidOnly.status, 400);
+    assert.equal((await call('POST', '/batches', {})).status, 400);
+  });
+
+  it('cancels every payment in the batch, once', async () => {
+    const call = asCustomer(signedInAccount({ email: 'cancel@example.com' }));
+    const { body } = await call('POST', '/batches', { csv: csvFor(['100000001', '100000002']) });
+    const path = `/batches/${body.batch.batchId}`;
+
+    const cancelled = await call('POST', `${path}/cancel`, {});
+    assert.equal(cancelled.status, 200);
+
+    const { body: detail } = await call('GET', path);
+    assert.equal(detail.batch.status, 'cancelled');
+    assert.ok(detail.transactions.every(txn => txn.status === 'cancelled'));
+
+    assert.equal((await call('POST', `${path}/cancel`, {})).status, 409);
+  });
+
+  it("won't cancel once a payment in it has been verified", async () => {
+    const call = asCustomer(signedInAccount({ email: 'too-late@example.com' }));
+    const { body } = await call('POST', '/batches', { csv: csvFor(['100000001', '100000002']) });
+    const [first, second] = body.transactions;
+
+    await api.request('POST', `/payments/${first.transactionId}/verify`, {
+      token: teller.token,
+      body: { swiftCodeChecked: true, beneficiaryChecked: true }
+    });
+
+    const refused = await call('POST', `/batches/${body.batch.batchId}/cancel`, {});
+    assert.equal(refused.status, 409);
+    assert.deepEqual(refused.body.transactionIds, [first.transactionId]);
+
+    const { body: detail } = await api.request('GET', `/payments/${second.transactionId}`, { token: teller.token });
+    assert.equal(detail.transaction.status, 'pending');
+  });
+
+  it('shows a batch to its owner and employees, and only the owner cancels it', async () => {
+    const owner = asCustomer(signedInAccount({ email: 'owner@example.com' }));
+    const other = asCustomer(signedInAccount({ email: 'other@example.com' }));
+    const { body } = await owner('POST', '/batches', { csv: csvFor(['100000001']) });
+    const path = `/batches/${body.batch.batchId}`;
+
+    assert.equal((await other('GET', path)).status, 403);
+    assert.equal((await other('POST', `${path}/cancel`, {})).status, 403);
+    assert.equal((await api.request('GET', path, { token: teller.token })).status, 200);
+    assert.equal((await api.request('POST', `${path}/cancel`, { token: teller.token, body: {} })).status, 403);
+    assert.equal((await owner('GET', '/batches/BAT0')).status, 404);
+  });
+});
+
+describe('batch velocity', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestServer();
+  });
+
+  after(() => api.close());
+
+  it('counts every row to a new beneficiary against the hourly allowance', async () => {
+    const customer = signedInAccount({ email: 'bulk@example.com' });
+    const upload = (accounts) => api.request('POST', '/batches', { token: customer.token, body: { csv: csvFor(accounts) } });
+
+    const refused = await upload(['100000001', '100000002', '100000003', '100000004']);
+    assert.equal(refused.status, 422);
+    assert.equal(refused.body.code, 'NEW_BENEFICIARY_VELOCITY_EXCEEDED');
+
+    const accepted = await upload(['100000001', '100000002']);
+    assert.equal(accepted.status, 201);
+
+    // Two of these are new, one more than is left this hour
+    const waiting = await upload(['100000001', '100000002', '100000003', '100000004']);
+    assert.equal(waiting.status, 429);
+    assert.equal(waiting.body.velocity.count, 2);
+    assert.ok(Number(waiting.headers.get('retry-after')) > 0);
+
+    const repeat = await upload(['100000001', '100000002', '100000003']);
+    assert.equal(repeat.status, 201);
+  });
+});
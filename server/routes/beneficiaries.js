@@ -0,0 +1,263 @@
+import express from 'express';
+import validator from 'validator';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../services/permissions.js';
+import { withTransaction } from '../db/index.js';
+import {
+  createBeneficiary,
+  deleteBeneficiary,
+  findBeneficiariesByOwner,
+  findBeneficiaryByNickname,
+  findOwnedBeneficiary,
+  updateBeneficiary
+} from '../repositories/beneficiaries.js';
+import { sanitizeInput, validateBeneficiaryDetails } from '../services/paymentRequests.js';
+import { reauthenticate, rejectReauth } from '../services/reauth.js';
+import { AUDIT_ACTIONS, recordAuditEvent, requestContext } from '../services/audit.js';
+
+const router = express.Router();
+
+const MAX_NICKNAME_LENGTH = 50;
+
+const presentBeneficiary = ({ ownerEmail, ...beneficiary }) => beneficiary;
+
+const readNickname = (value) => (typeof value === 'string' ? sanitizeInput(value) : '');
+
+const validateNickname = (nickname) => nickname.length >= 1 && nickname.length <= MAX_NICKNAME_LENGTH;
+
+// Validates the nickname and bank details together so every field error is
+// reported at once. Returns { beneficiary } or { errors }.
+const validateBeneficiary = ({ nickname, ...details }) => {
+  const errors = {};
+  const cleanNickname = readNickname(nickname);
+
+  if (!validateNickname(cleanNickname)) {
+    errors.nickname = `Nickname must be 1-${MAX_NICKNAME_LENGTH} characters`;
+  }
+
+  const validation = validateBeneficiaryDetails(details);
+  if (!validation.valid) Object.assign(errors, validation.errors);
+
+  return Object.keys(errors).length > 0
+    ? { errors }
+    : { beneficiary: { nickname: cleanNickname, ...validation.beneficiary } };
+};
+
+const rejectInvalid = (req, res, action, errors) => {
+  req.log.info(`beneficiary ${action} rejected`, { reason: 'validation', fields: Object.keys(errors) });
+  return res.status(400).json({
+    success: false,
+    message: Object.values(errors)[0],
+    errors
+  });
+};
+
+const rejectDuplicateNickname = (req, res, action) => {
+  req.log.info(`beneficiary ${action} rejected`, { reason: 'duplicate_nickname' });
+  return res.status(409).json({
+    success: false,
+    message: 'You already have a beneficiary with this nickname',
+    errors: { nickname: 'You already have a beneficiary with this nickname' }
+  });
+};
+
+const findBeneficiaryForRequest = (req, res) => {
+  const beneficiaryId = Number(req.params.beneficiaryId);
+  const beneficiary = Number.isSafeInteger(beneficiaryId)
+    ? findOwnedBeneficiary(req.user.email, beneficiaryId)
+    : null;
+
+  if (!beneficiary) {
+    req.log.info('beneficiary not found', { beneficiaryId: req.params.beneficiaryId });
+    res.status(404).json({
+      success: false,
+      message: 'Beneficiary not found'
+    });
+    return null;
+  }
+
+  return beneficiary;
+};
+
+const auditBeneficiary = (req, action, beneficiaryId, details) => {
+  recordAuditEvent({
+    actor: req.user.email,
+    action,
+    target: String(beneficiaryId),
+    outcome: 'success',
+    ...requestContext(req),
+    details
+  });
+};
+
+// List My Beneficiaries
+router.get('/', verifyToken, requirePermission(PERMISSIONS.BENEFICIARIES_MANAGE), async (req, res) => {
+  try {
+    const beneficiaries = findBeneficiariesByOwner(req.user.email).map(presentBeneficiary);
+
+    req.log.debug('beneficiaries retrieved', { user: req.user.email, beneficiaries: beneficiaries.length });
+
+    res.json({
+      success: true,
+      beneficiaries
+    });
+
+  } catch (error) {
+    req.log.error('beneficiary list retrieval failed', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve beneficiaries'
+    });
+  }
+});
+
+// Checks the password (and code) before a change to who a nickname pays.
+// Returns true, or sends the refusal and returns false.
+const confirmOwner = async (req, res, action, beneficiaryId) => {
+  const reauth = await reauthenticate(req, req.body);
+  if (reauth.verified) return true;
+
+  req.log.info(`beneficiary ${action} rejected`, { beneficiaryId, reason: 'reauthentication_failed' });
+  rejectReauth(res, reauth);
+  return false;
+};
+
+// Save a Beneficiary - needs the password (and code), as deleting one and
+// saving another under its nickname would otherwise change bank details
+router.post('/', verifyToken, requirePermission(PERMISSIONS.BENEFICIARIES_MANAGE), async (req, res) => {
+  try {
+    // STEP 1: Input Validation (same checks as a payment to them)
+    const { beneficiary, errors } = validateBeneficiary(req.body);
+    if (errors) return rejectInvalid(req, res, 'create', errors);
+
+    // STEP 2: Re-authentication
+    if (!(await confirmOwner(req, res, 'create'))) return;
+
+    // STEP 3: Duplicate Nickname Check & Storage
+    const created = withTransaction(() => {
+      if (findBeneficiaryByNickname(req.user.email, beneficiary.nickname)) return null;
+
+      const saved = createBeneficiary({ ownerEmail: req.user.email, ...beneficiary });
+      auditBeneficiary(req, AUDIT_ACTIONS.BENEFICIARY_CREATE, saved.beneficiaryId, {
+        nickname: saved.nickname,
+        swiftCode: saved.swiftCode
+      });
+      return saved;
+    });
+
+    if (!created) return rejectDuplicateNickname(req, res, 'create');
+
+    req.log.info('beneficiary saved', { user: req.user.email, beneficiaryId: created.beneficiaryId });
+
+    res.status(201).json({
+      success: true,
+      message: 'Beneficiary saved',
+      beneficiary: presentBeneficiary(created)
+    });
+
+  } catch (error) {
+    req.log.error('beneficiary creation failed', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save beneficiary'
+    });
+  }
+});
+
+// Update a Beneficiary - a new recipient name or new bank details need the
+// password (and code)
+router.put('/:beneficiaryId', verifyToken, requirePermission(PERMISSIONS.BENEFICIARIES_MANAGE), async (req, res) => {
+  try {
+    const existing = findBeneficiaryForRequest(req, res);
+    if (!existing) return;
+
+    // STEP 1: Input Validation (omitted fields keep their saved values)
+    const pick = (field, saved) => (req.body[field] !== undefined ? req.body[field] : saved);
+    const { beneficiary, errors } = validateBeneficiary({
+      nickname: pick('nickname', validator.unescape(existing.nickname)),
+      recipientName: pick('recipientName', validator.unescape(existing.recipientName)),
+      recipientAccount: pick('recipientAccount', existing.recipientAccount),
+      swiftCode: pick('swiftCode', existing.swiftCode)
+    });
+    if (errors) return rejectInvalid(req, res, 'update', errors);
+
+    // STEP 2: Re-authentication (compared after normalization, so reformatting
+    // an IBAN or lowercasing a BIC doesn't count as a change). The recipient
+    // name counts, as it is who the bank pays.
+    const bankDetailsChanged = beneficiary.recipientName !== existing.recipientName
+      || beneficiary.recipientAccount !== existing.recipientAccount
+      || beneficiary.swiftCode !== existing.swiftCode;
+
+    if (bankDetailsChanged && !(await confirmOwner(req, res, 'update', existing.beneficiaryId))) return;
+
+    // STEP 3: Duplicate Nickname Check & Storage
+    const updated = withTransaction(() => {
+      const clash = findBeneficiaryByNickname(req.user.email, beneficiary.nickname);
+      if (clash && clash.beneficiaryId !== existing.beneficiaryId) return null;
+
+      const saved = updateBeneficiary(existing.beneficiaryId, beneficiary);
+      auditBeneficiary(req, AUDIT_ACTIONS.BENEFICIARY_UPDATE, existing.beneficiaryId, {
+        fields: ['nickname', 'recipientName', 'recipientAccount', 'swiftCode']
+          .filter(field => saved[field] !== existing[field]),
+        bankDetailsChanged,
+        ...(bankDetailsChanged && { previousSwiftCode: existing.swiftCode, swiftCode: saved.swiftCode })
+      });
+      return saved;
+    });
+
+    if (!updated) return rejectDuplicateNickname(req, res, 'update');
+
+    req.log.info('beneficiary updated', {
+      user: req.user.email,
+      beneficiaryId: updated.beneficiaryId,
+      bankDetailsChanged
+    });
+
+    res.json({
+      success: true,
+      message: 'Beneficiary updated',
+      beneficiary: presentBeneficiary(updated)
+    });
+
+  } catch (error) {
+    req.log.error('beneficiary update failed', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update beneficiary'
+    });
+  }
+});
+
+// Delete a Beneficiary (payments already made to them are kept). Needs the
+// password (and code), like saving one.
+router.delete('/:beneficiaryId', verifyToken, requirePermission(PERMISSIONS.BENEFICIARIES_MANAGE), async (req, res) => {
+  try {
+    const existing = findBeneficiaryForRequest(req, res);
+    if (!existing) return;
+
+    if (!(await confirmOwner(req, res, 'delete', existing.beneficiaryId))) return;
+
+    withTransaction(() => {
+      deleteBeneficiary(existing.beneficiaryId);
+      auditBeneficiary(req, AUDIT_ACTIONS.BENEFICIARY_DELETE, existing.beneficiaryId, {
+        nickname: existing.nickname
+      });
+    });
+
+    req.log.info('beneficiary deleted', { user: req.user.email, beneficiaryId: existing.beneficiaryId });
+
+    res.json({
+      success: true,
+      message: 'Beneficiary deleted'
+    });
+
+  } catch (error) {
+    req.log.error('beneficiary deletion failed', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete beneficiary'
+    });
+  }
+});
+
+export default router;
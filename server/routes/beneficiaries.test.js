@@ -0,0 +1,109 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { TEST_PASSWORD, nextCode, signedInAccount, startTestServer } from '../testing/http.js';
+
+const MUM = {
+  nickname: 'Mum',
+  recipientName: 'Anna Schmidt',
+  recipientAccount: 'DE89370400440532013000',
+  swiftCode: 'COBADEFFXXX'
+};
+
+const SOMEONE_ELSE = {
+  recipientName: 'Mallory Jones',
+  recipientAccount: 'GB82WEST12345698765432',
+  swiftCode: 'NWBKGB2L'
+};
+
+describe('beneficiaries', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestServer();
+  });
+
+  after(() => api.close());
+
+  const asCustomer = (customer) => (method, path, body) => api.request(method, path, { token: customer.token, body });
+
+  it('asks for the password to save one', async () => {
+    const call = asCustomer(signedInAccount({ email: 'save@example.com' }));
+
+    const bare = await call('POST', '/beneficiaries', MUM);
+    assert.equal(bare.status, 403);
+    assert.equal(bare.body.reauthRequired, true);
+
+    const saved = await call('POST', '/beneficiaries', { ...MUM, password: TEST_PASSWORD });
+    assert.equal(saved.status, 201);
+    assert.equal(saved.body.beneficiary.nickname, 'Mum');
+
+    const duplicate = await call('POST', '/beneficiaries', { ...MUM, nickname: 'MUM', password: TEST_PASSWORD });
+    assert.equal(duplicate.status, 409);
+  });
+
+  it("can't swap the bank details behind a nickname without the password", async () => {
+    const call = asCustomer(signedInAccount({ email: 'swap@example.com' }));
+    const { body } = await call('POST', '/beneficiaries', { ...MUM, password: TEST_PASSWORD });
+    const path = `/beneficiaries/${body.beneficiary.beneficiaryId}`;
+
+    assert.equal((await call('DELETE', path)).status, 403);
+    assert.equal((await call('PUT', path, { recipientName: 'Mallory Jones' })).status, 403);
+    assert.equal((await call('PUT', path, {
+      recipientAccount: SOMEONE_ELSE.recipientAccount,
+      swiftCode: SOMEONE_ELSE.swiftCode
+    })).status, 403);
+
+    const deleted = await call('DELETE', path, { password: TEST_PASSWORD });
+    assert.equal(deleted.status, 200);
+    assert.equal((await call('POST', '/beneficiaries', { nickname: 'Mum', ...SOMEONE_ELSE })).status, 403);
+
+    const { body: list } = await call('GET', '/beneficiaries');
+    assert.deepEqual(list.beneficiaries, []);
+  });
+
+  it('renames without the password, and reformatted details are no change', async () => {
+    const call = asCustomer(signedInAccount({ email: 'rename@example.com' }));
+    const { body } = await call('POST', '/beneficiaries', { ...MUM, password: TEST_PASSWORD });
+    const path = `/beneficiaries/${body.beneficiary.beneficiaryId}`;
+
+    const renamed = await call('PUT', path, {
+      nickname: 'Mother',
+      recipientAccount: 'de89 3704 0044 0532 0130 00',
+      swiftCode: 'cobadeffxxx'
+    });
+    assert.equal(renamed.status, 200);
+    assert.equal(renamed.body.beneficiary.nickname, 'Mother');
+
+    const changed = await call('PUT', path, { ...SOMEONE_ELSE, password: TEST_PASSWORD });
+    assert.equal(changed.status, 200);
+    assert.equal(changed.body.beneficiary.recipientName, SOMEONE_ELSE.recipientName);
+  });
+
+  it('asks for the code as well with two-factor on', async () => {
+    const customer = signedInAccount({ email: 'mfa-save@example.com', mfa: true });
+    const call = asCustomer(customer);
+
+    const passwordOnly = await call('POST', '/beneficiaries', { ...MUM, password: TEST_PASSWORD });
+    assert.equal(passwordOnly.status, 403);
+    assert.equal(passwordOnly.body.mfaRequired, true);
+
+    const saved = await call('POST', '/beneficiaries', { ...MUM, password: TEST_PASSWORD, code: nextCode(customer) });
+    assert.equal(saved.status, 201);
+  });
+
+  it("hides other customers' beneficiaries", async () => {
+    const owner = asCustomer(signedInAccount({ email: 'owner@example.com' }));
+    const other = asCustomer(signedInAccount({ email: 'other@example.com' }));
+    const { body } = await owner('POST', '/beneficiaries', { ...MUM, password: TEST_PASSWORD });
+    const path = `/beneficiaries/${body.beneficiary.beneficiaryId}`;
+
+    assert.equal((await other('PUT', path, { nickname: 'Mine' })).status, 404);
+    assert.equal((await other('DELETE', path, { password: TEST_PASSWORD })).status, 404);
+  });
+
+  it('is for customers only', async () => {
+    const teller = asCustomer(signedInAccount({ email: 'teller@example.com', role: 'teller' }));
+
+    assert.equal((await teller('GET', '/beneficiaries')).status, 403);
+  });
+});
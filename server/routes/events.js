@@ -0,0 +1,34 @@
+import express from 'express';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../services/permissions.js';
+import { MAX_STREAMS_PER_USER, countUserStreams, openLiveStream } from '../services/liveUpdates.js';
+
+const router = express.Router();
+
+// Live Updates - a Server-Sent Events stream of payment status changes. Sent
+// with the usual Authorization header, so clients read it with fetch() rather
+// than EventSource, and reconnect with a fresh token when it ends.
+router.get('/', verifyToken, requirePermission(PERMISSIONS.PAYMENTS_READ), async (req, res) => {
+  try {
+    if (countUserStreams(req.user.email) >= MAX_STREAMS_PER_USER) {
+      req.log.warn('live updates stream refused', { reason: 'too_many_streams', user: req.user.email });
+      return res.status(429).json({
+        success: false,
+        message: 'Too many open live update connections'
+      });
+    }
+
+    openLiveStream(req, res);
+
+  } catch (error) {
+    req.log.error('live updates stream failed', { error });
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to open live updates'
+      });
+    }
+  }
+});
+
+export default router;
@@ -0,0 +1,118 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { MAX_STREAMS_PER_USER } from '../services/liveUpdates.js';
+import { TEST_PAYMENT, signedInAccount, startTestServer } from '../testing/http.js';
+
+// Opens the live updates stream. next() resolves to the next named event as
+// { event, data }, or null once the server ends the stream.
+const openStream = async (api, token) => {
+  const controller = new AbortController();
+  const response = await fetch(`${api.base}/events`, {
+    headers: { Authorization: `Bearer ${token}` },
+    signal: controller.signal
+  });
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+
+  const next = async () => {
+    for (;;) {
+      const end = buffer.indexOf('\n\n');
+      if (end >= 0) {
+        const fields = Object.fromEntries(buffer.slice(0, end).split('\n').map(line => {
+          const colon = line.indexOf(':');
+          return [line.slice(0, colon), line.slice(colon + 1).trim()];
+        }));
+        buffer = buffer.slice(end + 2);
+        // Retry hints and keep-alive comments have no event name
+        if (fields.event) return { event: fields.event, data: JSON.parse(fields.data) };
+        continue;
+      }
+
+      const { value, done } = await reader.read();
+      if (done) return null;
+      buffer += value;
+    }
+  };
+
+  return { status: response.status, next, close: () => controller.abort() };
+};
+
+describe('live updates', () => {
+  let api;
+  let teller;
+
+  before(async () => {
+    api = await startTestServer();
+    teller = signedInAccount({ email: 'teller@example.com', role: 'teller' });
+  });
+
+  after(() => api.close());
+
+  const submit = (customer) => api.request('POST', '/payments/process', { token: customer.token, body: TEST_PAYMENT });
+
+  it("sends customers their own payments' changes, without the risk score", async () => {
+    const owner = signedInAccount({ email: 'owner@example.com' });
+    const other = signedInAccount({ email: 'other@example.com' });
+    const ownerStream = await openStream(api, owner.token);
+    const otherStream = await openStream(api, other.token);
+    const tellerStream = await openStream(api, teller.token);
+
+    assert.equal(ownerStream.status, 200);
+    assert.equal((await ownerStream.next()).event, 'ready');
+    await otherStream.next();
+    await tellerStream.next();
+
+    const { body: owned } = await submit(owner);
+    const { body: theirs } = await submit(other);
+
+    const ownerUpdate = await ownerStream.next();
+    assert.equal(ownerUpdate.event, 'payment');
+    assert.equal(ownerUpdate.data.transactionId, owned.transactionId);
+    assert.equal(ownerUpdate.data.status, 'pending');
+    assert.equal(ownerUpdate.data.transaction.riskScore, undefined);
+
+    // The other customer's first update is their own payment, not the owner's
+    assert.equal((await otherStream.next()).data.transactionId, theirs.transactionId);
+
+    const tellerUpdate = await tellerStream.next();
+    assert.equal(tellerUpdate.data.transactionId, owned.transactionId);
+    assert.equal(typeof tellerUpdate.data.transaction.riskScore, 'number');
+
+    ownerStream.close();
+    otherStream.close();
+    tellerStream.close();
+  });
+
+  it('ends the stream once its session is logged out', async () => {
+    const customer = signedInAccount({ email: 'leaving@example.com' });
+    const stream = await openStream(api, customer.token);
+    await stream.next();
+
+    const { body } = await submit(customer);
+    assert.equal((await stream.next()).data.status, 'pending');
+
+    await api.request('POST', '/auth/logout', { token: customer.token, body: {} });
+    await api.request('POST', `/payments/${body.transactionId}/verify`, {
+      token: teller.token,
+      body: { swiftCodeChecked: true, beneficiaryChecked: true }
+    });
+
+    assert.equal(await stream.next(), null);
+  });
+
+  it('limits the streams one user can hold open', async () => {
+    const customer = signedInAccount({ email: 'tabs@example.com' });
+    const streams = [];
+    for (let tab = 0; tab < MAX_STREAMS_PER_USER; tab += 1) {
+      const stream = await openStream(api, customer.token);
+      await stream.next();
+      streams.push(stream);
+    }
+
+    const refused = await openStream(api, customer.token);
+    assert.equal(refused.status, 429);
+
+    streams.forEach(stream => stream.close());
+    assert.equal((await api.request('GET', '/events')).status, 401);
+  });
+});
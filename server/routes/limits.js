@@ -0,0 +1,185 @@
+import express from 'express';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../services/permissions.js';
+import { withTransaction } from '../db/index.js';
+import { findUserByEmail } from '../repositories/users.js';
+import { deleteCustomerLimit, findCustomerLimit, saveCustomerLimit } from '../repositories/customerLimits.js';
+import { formatMinorUnits, isSupportedCurrency, parseAmountToMinorUnits } from '../services/currencies.js';
+import { LIMIT_TYPES, defaultLimits, describeCurrencyLimits, describeCustomerLimits } from '../services/limits.js';
+import { AUDIT_ACTIONS, recordAuditEvent, requestContext } from '../services/audit.js';
+
+const router = express.Router();
+
+const COLUMNS = {
+  perTransaction: 'perTransactionMinor',
+  daily: 'dailyMinor',
+  monthly: 'monthlyMinor'
+};
+
+// A customer's own limits as decimal strings, null where the default applies
+const presentOwnLimits = (override, currency) => Object.fromEntries(LIMIT_TYPES.map(type => [
+  type,
+  override?.[COLUMNS[type]] ? formatMinorUnits(override[COLUMNS[type]], currency) : null
+]));
+
+const findCustomerForRequest = (req, res) => {
+  const customer = findUserByEmail(req.params.email);
+
+  if (!customer || customer.userType !== 'customer') {
+    req.log.info('customer not found', { email: req.params.email });
+    res.status(404).json({
+      success: false,
+      message: 'Customer not found'
+    });
+    return null;
+  }
+
+  return customer;
+};
+
+// My Limits & Usage
+router.get('/', verifyToken, requirePermission(PERMISSIONS.LIMITS_READ), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      ...describeCustomerLimits(req.user.email)
+    });
+
+  } catch (error) {
+    req.log.error('limits retrieval failed', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve limits'
+    });
+  }
+});
+
+// A Customer's Limits & Usage
+router.get('/:email', verifyToken, requirePermission(PERMISSIONS.LIMITS_MANAGE), async (req, res) => {
+  try {
+    const customer = findCustomerForRequest(req, res);
+    if (!customer) return;
+
+    res.json({
+      success: true,
+      customer: { email: customer.email, fullName: customer.fullName },
+      ...describeCustomerLimits(customer.email)
+    });
+
+  } catch (error) {
+    req.log.error('limits retrieval failed', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve limits'
+    });
+  }
+});
+
+// Change a Customer's Limits in one Currency - each of perTransaction, daily
+// and monthly is a decimal string, null to go back to the default, or left
+// out to stay as it is
+router.put('/:email/:currency', verifyToken, requirePermission(PERMISSIONS.LIMITS_MANAGE), async (req, res) => {
+  try {
+    const customer = findCustomerForRequest(req, res);
+    if (!customer) return;
+
+    const currency = req.params.currency.toUpperCase();
+    if (!isSupportedCurrency(currency)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unsupported currency'
+      });
+    }
+
+    // STEP 1: Input Validation
+    const existing = findCustomerLimit(customer.email, currency);
+    const errors = {};
+    const own = {};
+
+    for (const type of LIMIT_TYPES) {
+      const value = req.body[type];
+      if (value === undefined) {
+        own[type] = existing?.[COLUMNS[type]] ?? null;
+      } else if (value === null) {
+        own[type] = null;
+      } else {
+        const parsed = parseAmountToMinorUnits(value, currency);
+        if (parsed.error) errors[type] = parsed.error;
+        own[type] = parsed.amountMinor ?? null;
+      }
+    }
+
+    if (Object.keys(errors).length === 0) {
+      const defaults = defaultLimits(currency);
+      const effective = Object.fromEntries(LIMIT_TYPES.map(type => [type, own[type] ?? defaults[type]]));
+
+      if (effective.perTransaction > effective.daily) {
+        errors.perTransaction = 'The per-payment limit cannot be more than the daily limit';
+      } else if (effective.daily > effective.monthly) {
+        errors.daily = 'The daily limit cannot be more than the monthly limit';
+      }
+    }
+
+    if (Object.keys(errors).length > 0) {
+      req.log.info('limits update rejected', { reason: 'validation', fields: Object.keys(errors) });
+      return res.status(400).json({
+        success: false,
+        message: Object.values(errors)[0],
+        errors
+      });
+    }
+
+    // STEP 2: Storage (a currency with nothing of its own left is removed)
+    const saved = withTransaction(() => {
+      let updated = null;
+      if (LIMIT_TYPES.every(type => own[type] === null)) {
+        deleteCustomerLimit(customer.email, currency);
+      } else {
+        updated = saveCustomerLimit({
+          customerEmail: customer.email,
+          currency,
+          perTransactionMinor: own.perTransaction,
+          dailyMinor: own.daily,
+          monthlyMinor: own.monthly,
+          updatedBy: req.user.email
+        });
+      }
+
+      recordAuditEvent({
+        actor: req.user.email,
+        action: AUDIT_ACTIONS.LIMITS_UPDATE,
+        target: customer.email,
+        outcome: 'success',
+        ...requestContext(req),
+        details: {
+          currency,
+          before: presentOwnLimits(existing, currency),
+          after: presentOwnLimits(updated, currency)
+        }
+      });
+      return updated;
+    });
+
+    req.log.info('limits updated', {
+      customer: customer.email,
+      currency,
+      updatedBy: req.user.email,
+      limits: presentOwnLimits(saved, currency)
+    });
+
+    res.json({
+      success: true,
+      message: `${currency} limits updated`,
+      limits: describeCurrencyLimits(customer.email, currency, saved)
+    });
+
+  } catch (error) {
+    req.log.error('limits update failed', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update limits'
+    });
+  }
+});
+
+export default router;
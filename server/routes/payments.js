@@ -1,137 +1,342 @@
+import crypto from 'crypto';
 import express from 'express';
 import validator from 'validator';
-import { verifyToken } from '../middleware/auth.js';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS, hasPermission } from '../services/permissions.js';
+import { withTransaction } from '../db/index.js';
+import {
+  createTransaction,
+  assignUetr,
+  countTransactions,
+  findTransactionById,
+  findTransactionsByIds,
+  findTransactionsByStatus,
+  queryTransactions,
+  transitionTransaction
+} from '../repositories/transactions.js';
+import { findUserByEmail } from '../repositories/users.js';
+import { findOwnedBeneficiary } from '../repositories/beneficiaries.js';
+import { createPaymentExport, findPaymentExportById } from '../repositories/paymentExports.js';
+import { findPaymentBatchById } from '../repositories/paymentBatches.js';
+import {
+  createPaymentApproval,
+  findPaymentApprovals,
+  findPaymentApprovalsByTransactionIds
+} from '../repositories/paymentApprovals.js';
+import {
+  createPaymentScreening,
+  findPaymentScreening,
+  recordScreeningDecision
+} from '../repositories/paymentScreenings.js';
+import { CURRENCIES, PROVIDERS, formatMinorUnits } from '../services/currencies.js';
+import { validateBeneficiaryAccount } from '../services/accountValidation.js';
+import { sanitizeInput, validatePaymentRequest, validateSwiftCode } from '../services/paymentRequests.js';
+import {
+  IDEMPOTENCY_KEY_HEADER,
+  findStoredResponse,
+  hashRequestBody,
+  isValidIdempotencyKey,
+  storeResponse
+} from '../services/idempotency.js';
+import { AUDIT_ACTIONS, recordAuditEvent, requestContext } from '../services/audit.js';
+import { getBankIdentity } from '../services/bank.js';
+import { PAIN001_VERSION, buildPain001, validatePain001 } from '../services/pain001.js';
+import { MT103_FORMAT, renderMt103 } from '../services/mt103.js';
+import { encodeCursor, parseHistoryQuery } from '../services/transactionQuery.js';
+import { checkPaymentLimits, checkPaymentVelocity } from '../services/limits.js';
+import { screenPayment, summarizeHits } from '../services/sanctions.js';
+import { getRiskSettings, riskContext, scorePaymentRisk, withoutRiskAssessment } from '../services/risk.js';
+import { paymentStatusChanged } from '../services/paymentEvents.js';
+import { publishPaymentUpdate } from '../services/liveUpdates.js';
+import { approvalRefusal, approvalRuleFor, describeApprovals, getApprovalThresholds } from '../services/approvals.js';
 
 const router = express.Router();
 
-const transactions = new Map();
+// API shape of a stored transaction: integer minor units plus a decimal string
+const presentTransaction = (transaction) => ({
+  ...transaction,
+  amount: formatMinorUnits(transaction.amountMinor, transaction.currency)
+});
 
-const sanitizeInput = (input) => {
-  const sanitized = validator.escape(input.trim());
-  console.log(`   🧹 Sanitized: "${input}" → "${sanitized}"`);
-  return sanitized;
+// Each payment's four-eyes approval progress, looked up for a whole list at once
+const withApprovals = (transactions) => {
+  const decisions = findPaymentApprovalsByTransactionIds(transactions.map(txn => txn.transactionId));
+  const thresholds = getApprovalThresholds();
+  return transactions.map(txn => ({
+    ...txn,
+    approval: describeApprovals(txn, decisions.get(txn.transactionId), thresholds)
+  }));
 };
 
-const validateSwiftCode = (code) => {
-  const swiftRegex = /^[A-Z]{6}[A-Z0-9]{2}([A-Z0-9]{3})?$/;
-  const isValid = swiftRegex.test(code);
-  console.log(`   🏦 SWIFT Code Validation (RegEx):`);
-  console.log(`      - Pattern: /^[A-Z]{6}[A-Z0-9]{2}([A-Z0-9]{3})?$/`);
-  console.log(`      - Input: ${code}`);
-  console.log(`      - Result: ${isValid ? '✓ VALID' : '✗ INVALID'}`);
-  return isValid;
+// Status changes in the order they happened, read from the fields each
+// transition stamps. Cancellation is stamped on the batch, not the payment,
+// and a screening hold and its release on the screening. The notes never say
+// why a payment was held, as customers see them too.
+const statusTimeline = (transaction, screening) => {
+  const timeline = [];
+  const screeningHold = screening?.outcome === 'hold';
+  const screeningReleased = screeningHold && screening.decision === 'released';
+
+  if (screeningHold) {
+    timeline.push({
+      status: 'screening_hold',
+      at: transaction.timestamp,
+      by: transaction.initiatedBy,
+      note: 'Held for a compliance review'
+    });
+  }
+  if (transaction.riskHeldAt) {
+    timeline.push({
+      status: 'risk_hold',
+      at: transaction.riskHeldAt,
+      by: screeningHold ? screening.reviewedBy : transaction.initiatedBy,
+      note: screeningHold ? 'Released after review, then held for a security review' : 'Held for a security review'
+    });
+  }
+
+  if (transaction.riskReleasedAt) {
+    timeline.push({
+      status: 'pending',
+      at: transaction.riskReleasedAt,
+      by: transaction.riskReleasedBy,
+      note: 'Released after review'
+    });
+  } else if (screeningReleased && !transaction.riskHeldAt) {
+    timeline.push({ status: 'pending', at: screening.reviewedAt, by: screening.reviewedBy, note: 'Released after review' });
+  } else if (!screeningHold && !transaction.riskHeldAt) {
+    timeline.push({ status: 'pending', at: transaction.timestamp, by: transaction.initiatedBy });
+  }
+
+  if (transaction.verifiedAt) {
+    timeline.push({ status: 'verified', at: transaction.verifiedAt, by: transaction.verifiedBy });
+  }
+  if (transaction.rejectedAt) {
+    timeline.push({
+      status: 'rejected',
+      at: transaction.rejectedAt,
+      by: transaction.rejectedBy,
+      note: transaction.rejectionReason
+    });
+  }
+  if (transaction.submittedAt) {
+    timeline.push({
+      status: 'submitted',
+      at: transaction.submittedAt,
+      by: transaction.submittedBy,
+      note: transaction.mt103Reference
+        ? `Sent to the bank as MT103 ${transaction.mt103Reference}`
+        : `Sent to the bank in ${transaction.exportId}`
+    });
+  }
+  if (transaction.status === 'cancelled') {
+    const batch = transaction.batchId ? findPaymentBatchById(transaction.batchId) : null;
+    timeline.push({ status: 'cancelled', at: batch?.cancelledAt || null, by: batch?.cancelledBy });
+  }
+
+  return timeline;
 };
 
+// Supported Currencies & Providers
+router.get('/currencies', verifyToken, requirePermission(PERMISSIONS.PAYMENTS_READ), async (req, res) => {
+  res.json({
+    success: true,
+    currencies: Object.entries(CURRENCIES).map(([code, currency]) => ({ code, ...currency })),
+    providers: Object.entries(PROVIDERS).map(([code, provider]) => ({ code, ...provider }))
+  });
+});
+
 // Process Payment Route
-router.post('/process', verifyToken, async (req, res) => {
-  console.log('\n💳 [PAYMENT] Payment processing initiated');
-  console.log(`   Time: ${new Date().toISOString()}`);
-  console.log(`   User: ${req.user.email} (${req.user.userType})`);
-  console.log(`   IP: ${req.ip}`);
-  
+router.post('/process', verifyToken, requirePermission(PERMISSIONS.PAYMENTS_CREATE), async (req, res) => {
   try {
-    let { amount, recipientName, recipientAccount, swiftCode } = req.body;
-
-    console.log('\n   STEP 1: JWT Token Verification');
-    console.log('   ✓ Token verified by middleware');
-    console.log(`   ✓ Authenticated user: ${req.user.email}`);
-
-    console.log('\n   STEP 2: Input Sanitization (XSS Protection)');
-    recipientName = sanitizeInput(recipientName);
-    recipientAccount = sanitizeInput(recipientAccount);
-    swiftCode = sanitizeInput(swiftCode.toUpperCase());
-
-    console.log('\n   STEP 3: Amount Validation');
-    const parsedAmount = parseFloat(amount);
-    console.log(`      - Input: ${amount}`);
-    console.log(`      - Parsed: ${parsedAmount}`);
-    console.log(`      - Valid: ${!isNaN(parsedAmount) && parsedAmount > 0 ? '✓' : '✗'}`);
-    
-    if (isNaN(parsedAmount) || parsedAmount <= 0) {
-      console.log('   ❌ Payment FAILED: Invalid amount\n');
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid amount'
-      });
+    // STEP 1: JWT Token Verification (verifyToken middleware)
+
+    // STEP 2: Idempotency Key Check
+    const idempotencyKey = req.get(IDEMPOTENCY_KEY_HEADER);
+    const requestHash = hashRequestBody(req.body);
+
+    if (idempotencyKey !== undefined) {
+      if (!isValidIdempotencyKey(idempotencyKey)) {
+        req.log.info('payment rejected', { reason: 'malformed_idempotency_key' });
+        return res.status(400).json({
+          success: false,
+          message: `${IDEMPOTENCY_KEY_HEADER} must be 1-255 printable characters`
+        });
+      }
+
+      const stored = findStoredResponse(req.user.email, idempotencyKey, requestHash);
+
+      if (stored?.conflict) {
+        req.log.warn('payment rejected', { reason: 'idempotency_key_conflict', idempotencyKey });
+        return res.status(409).json({
+          success: false,
+          message: `${IDEMPOTENCY_KEY_HEADER} has already been used for a different payment`
+        });
+      }
+
+      if (stored) {
+        req.log.info('payment replayed', { idempotencyKey, transactionId: stored.body.transactionId });
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(stored.statusCode).json(stored.body);
+      }
     }
 
-    console.log('\n   STEP 4: Recipient Name Validation');
-    console.log(`      - Length: ${recipientName.length} chars`);
-    console.log(`      - Valid: ${recipientName.length >= 2 ? '✓' : '✗'}`);
-    
-    if (!recipientName || recipientName.length < 2) {
-      console.log('   ❌ Payment FAILED: Invalid recipient name\n');
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid recipient name'
-      });
+    // STEP 3: Saved Beneficiary Lookup (optional, replaces the recipient fields)
+    let recipient = req.body;
+    const { beneficiaryId } = req.body;
+
+    if (beneficiaryId !== undefined) {
+      const beneficiary = Number.isSafeInteger(beneficiaryId)
+        ? findOwnedBeneficiary(req.user.email, beneficiaryId)
+        : null;
+
+      if (!beneficiary) {
+        req.log.info('payment rejected', { reason: 'unknown_beneficiary', beneficiaryId });
+        return res.status(404).json({
+          success: false,
+          message: 'Beneficiary not found'
+        });
+      }
+
+      // Stored names are already escaped; validation escapes them again
+      recipient = {
+        ...req.body,
+        recipientName: validator.unescape(beneficiary.recipientName),
+        recipientAccount: beneficiary.recipientAccount,
+        swiftCode: beneficiary.swiftCode
+      };
     }
 
-    console.log('\n   STEP 5: Account Number Validation');
-    console.log(`      - Length: ${recipientAccount.length} chars`);
-    console.log(`      - Valid: ${recipientAccount.length >= 5 ? '✓' : '✗'}`);
-    
-    if (!recipientAccount || recipientAccount.length < 5) {
-      console.log('   ❌ Payment FAILED: Invalid account number\n');
+    // STEP 4: Payment Validation (sanitization, currency, amount, recipient, SWIFT, account)
+    const validation = validatePaymentRequest(recipient);
+
+    if (!validation.valid) {
+      req.log.info('payment rejected', { reason: validation.reason, errors: validation.errors });
       return res.status(400).json({
         success: false,
-        message: 'Invalid recipient account number'
+        message: Object.values(validation.errors)[0],
+        errors: validation.errors
       });
     }
+    const { payment } = validation;
 
-    console.log('\n   STEP 6: SWIFT Code Validation (RegEx)');
-    if (!validateSwiftCode(swiftCode)) {
-      console.log('   ❌ Payment FAILED: Invalid SWIFT code\n');
-      return res.status(400).json({
+    // STEP 5: Limits & Velocity Check (nothing is awaited between here and
+    // storage, so concurrent requests can't both fit under the same limit)
+    const limitCheck = checkPaymentLimits(req.user.email, [payment]);
+    const check = limitCheck.allowed ? checkPaymentVelocity(req.user.email, payment) : limitCheck;
+
+    if (!check.allowed) {
+      const details = check.limit || check.velocity;
+      req.log.warn('payment rejected', { reason: 'limit_exceeded', code: check.code, user: req.user.email, ...details });
+      recordAuditEvent({
+        actor: req.user.email,
+        action: AUDIT_ACTIONS.PAYMENT_CREATE,
+        outcome: 'denied',
+        ...requestContext(req),
+        details: {
+          code: check.code,
+          amountMinor: payment.amountMinor,
+          currency: payment.currency,
+          swiftCode: payment.swiftCode
+        }
+      });
+      if (check.velocity) {
+        res.set('Retry-After', String(Math.max(Math.ceil((check.velocity.retryAt - Date.now()) / 1000), 1)));
+      }
+      return res.status(check.status).json({
         success: false,
-        message: 'Invalid SWIFT/BIC code format'
+        message: check.message,
+        code: check.code,
+        ...(check.limit && { limit: check.limit }),
+        ...(check.velocity && { velocity: check.velocity })
       });
     }
 
-    console.log('\n   STEP 7: Transaction ID Generation');
+    // STEP 6: Sanctions Screening & Risk Scoring (a possible match or a high
+    // score is held for review, not refused; sanctions are reviewed first)
+    const screening = screenPayment(payment);
+    const risk = scorePaymentRisk(payment, riskContext(req));
+    const status = screening.outcome === 'hold' ? 'screening_hold' : (risk.hold ? 'risk_hold' : 'pending');
+
+    // STEP 7: Transaction ID Generation
     const transactionId = `TXN${Date.now()}${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
-    console.log(`   ✓ Generated: ${transactionId}`);
 
-    console.log('\n   STEP 8: Transaction Storage');
+    // STEP 8: Transaction Storage
     const transaction = {
       transactionId,
-      amount: parsedAmount,
-      recipientName,
-      recipientAccount,
-      swiftCode,
+      ...payment,
       initiatedBy: req.user.email,
       userType: req.user.userType,
-      status: 'completed',
+      status,
+      uetr: crypto.randomUUID(),
+      riskScore: risk.score,
+      riskReasons: risk.reasons,
       timestamp: new Date()
     };
+    if (status === 'risk_hold') transaction.riskHeldAt = transaction.timestamp;
 
-    transactions.set(transactionId, transaction);
-    console.log('   ✓ Transaction saved to database');
-
-    console.log('\n   ✅ PAYMENT SUCCESSFUL');
-    console.log(`      - Transaction ID: ${transactionId}`);
-    console.log(`      - Amount: $${parsedAmount}`);
-    console.log(`      - Recipient: ${recipientName}`);
-    console.log(`      - Account: ${recipientAccount}`);
-    console.log(`      - SWIFT: ${swiftCode}`);
-    console.log('');
-
-    res.json({
+    const responseBody = {
       success: true,
-      message: 'Payment processed successfully',
+      message: status === 'pending'
+        ? 'Payment submitted for verification'
+        : 'Payment submitted. It needs a further review before it can be verified',
       transactionId,
       transaction: {
         transactionId,
-        amount: parsedAmount,
-        recipientName,
-        status: 'completed',
+        amount: formatMinorUnits(payment.amountMinor, payment.currency),
+        amountMinor: payment.amountMinor,
+        currency: payment.currency,
+        provider: payment.provider,
+        recipientName: payment.recipientName,
+        status,
         timestamp: transaction.timestamp
       }
+    };
+
+    // The payment and its stored response commit together, so a retry can
+    // never see a saved payment without the response to replay
+    withTransaction(() => {
+      paymentStatusChanged(createTransaction(transaction));
+      createPaymentScreening({ transactionId, screenedAt: transaction.timestamp, ...screening });
+      recordAuditEvent({
+        actor: req.user.email,
+        action: AUDIT_ACTIONS.PAYMENT_CREATE,
+        target: transactionId,
+        outcome: 'success',
+        ...requestContext(req),
+        details: {
+          amountMinor: payment.amountMinor,
+          currency: payment.currency,
+          provider: payment.provider,
+          swiftCode: payment.swiftCode,
+          screening: screening.outcome,
+          riskScore: risk.score,
+          riskRules: risk.reasons.map(reason => reason.rule),
+          ...(beneficiaryId !== undefined && { beneficiaryId })
+        }
+      });
+      if (idempotencyKey !== undefined) {
+        storeResponse(req.user.email, idempotencyKey, requestHash, 200, responseBody);
+      }
+    });
+
+    if (status === 'screening_hold') {
+      req.log.warn('payment held for screening', { transactionId, hits: summarizeHits(screening.hits) });
+    } else if (status === 'risk_hold') {
+      req.log.warn('payment held for risk review', { transactionId, riskScore: risk.score, rules: transaction.riskReasons.map(reason => reason.rule) });
+    }
+
+    req.log.info('payment submitted', {
+      transactionId,
+      user: req.user.email,
+      ...payment,
+      status,
+      idempotencyKey
     });
 
+    res.json(responseBody);
+
   } catch (error) {
-    console.error('\n❌ [PAYMENT ERROR]', error);
-    console.error('');
+    req.log.error('payment processing failed', { error });
     res.status(500).json({
       success: false,
       message: 'Payment processing failed'
@@ -139,30 +344,66 @@ router.post('/process', verifyToken, async (req, res) => {
   }
 });
 
-// Get Transaction History
-router.get('/history', verifyToken, async (req, res) => {
-  console.log('\n📋 [HISTORY] Transaction history request');
-  console.log(`   User: ${req.user.email} (${req.user.userType})`);
-  
+// Get Transaction History - filtered, sorted and paged. Customers see their
+// own payments; employees see every customer's, or one with ?initiatedBy=
+router.get('/history', verifyToken, requirePermission(PERMISSIONS.PAYMENTS_READ), async (req, res) => {
   try {
-    console.log('   ✓ JWT token verified');
-    console.log('   ✓ Filtering transactions by user...');
-    
-    const userTransactions = Array.from(transactions.values())
-      .filter(txn => txn.initiatedBy === req.user.email)
-      .sort((a, b) => b.timestamp - a.timestamp);
+    // STEP 1: Query Validation
+    const { query, errors } = parseHistoryQuery(req.query);
+
+    if (errors) {
+      req.log.info('history query rejected', { errors });
+      return res.status(400).json({
+        success: false,
+        message: Object.values(errors)[0],
+        errors
+      });
+    }
+
+    // STEP 2: Scope (customers only ever see their own payments)
+    const initiatedBy = typeof req.query.initiatedBy === 'string' ? req.query.initiatedBy.trim().toLowerCase() : '';
+
+    const readAll = hasPermission(req.user, PERMISSIONS.PAYMENTS_READ_ALL);
+
+    if (!readAll) {
+      if (initiatedBy && initiatedBy !== req.user.email) {
+        req.log.warn('history access denied', { user: req.user.email, initiatedBy });
+        return res.status(403).json({
+          success: false,
+          message: 'Unauthorized access'
+        });
+      }
+      query.filters.initiatedBy = req.user.email;
+    } else if (initiatedBy) {
+      query.filters.initiatedBy = initiatedBy;
+    }
+
+    // STEP 3: Page & Total (one extra row tells whether there is a next page)
+    const rows = queryTransactions({ ...query, limit: query.limit + 1 });
+    const page = rows.slice(0, query.limit);
+    const total = countTransactions(query.filters);
+    const nextCursor = rows.length > query.limit ? encodeCursor(query, page[page.length - 1]) : null;
 
-    console.log(`   ✓ Found ${userTransactions.length} transaction(s)`);
-    console.log('');
+    req.log.debug('history retrieved', {
+      user: req.user.email,
+      userType: req.user.userType,
+      sort: query.sort,
+      order: query.order,
+      transactions: page.length,
+      total
+    });
 
     res.json({
       success: true,
-      transactions: userTransactions
+      transactions: page
+        .map(txn => (readAll ? txn : withoutRiskAssessment(txn)))
+        .map(presentTransaction),
+      total,
+      nextCursor
     });
 
   } catch (error) {
-    console.error('\n❌ [HISTORY ERROR]', error);
-    console.error('');
+    req.log.error('history retrieval failed', { error });
     res.status(500).json({
       success: false,
       message: 'Failed to retrieve transaction history'
@@ -170,47 +411,1014 @@ router.get('/history', verifyToken, async (req, res) => {
   }
 });
 
+// ============================================
+// EMPLOYEE VERIFICATION QUEUE
+// ============================================
+
+// Automated checks shown to the employee alongside each pending payment
+const runVerificationChecks = (transaction) => {
+  const swiftValid = validateSwiftCode(transaction.swiftCode);
+  const account = swiftValid
+    ? validateBeneficiaryAccount(transaction.recipientAccount, transaction.swiftCode)
+    : { valid: false, error: 'Cannot check the account without a valid SWIFT/BIC code' };
+
+  return {
+    swiftCode: {
+      valid: swiftValid,
+      bankCode: transaction.swiftCode.substring(0, 4),
+      countryCode: transaction.swiftCode.substring(4, 6),
+      locationCode: transaction.swiftCode.substring(6, 8),
+      branchCode: transaction.swiftCode.substring(8) || 'XXX'
+    },
+    beneficiary: {
+      nameValid: transaction.recipientName.length >= 2,
+      accountValid: account.valid,
+      accountType: account.type || null,
+      accountCountry: account.country || null,
+      accountError: account.error || null
+    }
+  };
+};
+
+// Looks up the transaction in the URL and checks it is in one of statuses
+const findTransactionToDecide = (req, res, statuses = ['pending'], messages = {}) => {
+  const { transactionId } = req.params;
+  const transaction = findTransactionById(transactionId);
+
+  if (!transaction) {
+    req.log.info('transaction not found', { transactionId });
+    res.status(404).json({
+      success: false,
+      message: 'Transaction not found'
+    });
+    return null;
+  }
+
+  if (!statuses.includes(transaction.status)) {
+    req.log.info('transaction not in expected status', { transactionId, status: transaction.status, expected: statuses });
+    const statusMessages = {
+      screening_hold: 'Transaction is on hold until its sanctions screening is reviewed',
+      risk_hold: 'Transaction is on hold until its risk score is reviewed',
+      pending: 'Transaction is not on hold',
+      ...messages
+    };
+    res.status(409).json({
+      success: false,
+      message: statusMessages[transaction.status] || `Transaction has already been ${transaction.status}`
+    });
+    return null;
+  }
+
+  return transaction;
+};
+
+// List Pending Payments (payments:verify)
+router.get('/pending', verifyToken, requirePermission(PERMISSIONS.PAYMENTS_VERIFY), async (req, res) => {
+  try {
+    const pending = findTransactionsByStatus('pending')
+      .map(txn => ({ ...presentTransaction(txn), checks: runVerificationChecks(txn) }));
+
+    req.log.debug('verification queue retrieved', { employee: req.user.email, pending: pending.length });
+
+    res.json({
+      success: true,
+      transactions: pending
+    });
+
+  } catch (error) {
+    req.log.error('verification queue retrieval failed', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve pending payments'
+    });
+  }
+});
+
+// Verify Payment (payments:verify)
+router.post('/:transactionId/verify', verifyToken, requirePermission(PERMISSIONS.PAYMENTS_VERIFY), async (req, res) => {
+  try {
+    const { swiftCodeChecked, beneficiaryChecked } = req.body;
+
+    // STEP 1: Employee Checks
+    if (swiftCodeChecked !== true || beneficiaryChecked !== true) {
+      req.log.info('payment verification refused', {
+        transactionId: req.params.transactionId,
+        reason: 'checks_not_confirmed'
+      });
+      return res.status(400).json({
+        success: false,
+        message: 'SWIFT code and beneficiary must both be checked before verifying'
+      });
+    }
+
+    // STEP 2: Automated Checks
+    const transaction = withTransaction(() => {
+      const pending = findTransactionToDecide(req, res);
+      if (!pending) return null;
+
+      const checks = runVerificationChecks(pending);
+
+      if (!checks.swiftCode.valid || !checks.beneficiary.nameValid || !checks.beneficiary.accountValid) {
+        req.log.warn('payment verification refused', {
+          transactionId: pending.transactionId,
+          reason: 'automated_checks_failed',
+          checks
+        });
+        recordAuditEvent({
+          actor: req.user.email,
+          action: AUDIT_ACTIONS.PAYMENT_VERIFY,
+          target: pending.transactionId,
+          outcome: 'failure',
+          ...requestContext(req),
+          details: { reason: 'automated_checks_failed', checks }
+        });
+        res.status(400).json({
+          success: false,
+          message: 'Payment failed automated checks and cannot be verified'
+        });
+        return null;
+      }
+
+      // The approval rule is fixed now, so a later threshold change can't
+      // relax it for payments already waiting for approval
+      const verified = transitionTransaction(pending.transactionId, 'pending', {
+        status: 'verified',
+        verifiedBy: req.user.email,
+        verifiedAt: new Date(),
+        ...approvalRuleFor(pending)
+      });
+      paymentStatusChanged(verified, 'pending');
+      recordAuditEvent({
+        actor: req.user.email,
+        action: AUDIT_ACTIONS.PAYMENT_VERIFY,
+        target: pending.transactionId,
+        outcome: 'success',
+        ...requestContext(req),
+        details: { approvalsRequired: verified.approvalsRequired }
+      });
+      return verified;
+    });
+    if (!transaction) return;
+
+    const required = transaction.approvalsRequired;
+
+    req.log.info('payment verified', { transactionId: transaction.transactionId, employee: req.user.email, approvalsRequired: required });
+
+    res.json({
+      success: true,
+      message: required > 0
+        ? `Payment verified. It needs ${required} approvals before it can be sent to the bank`
+        : 'Payment verified',
+      transaction: presentTransaction(transaction)
+    });
+
+  } catch (error) {
+    req.log.error('payment verification failed', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Payment verification failed'
+    });
+  }
+});
+
+// Reject Payment (payments:verify, payments:release or payments:approve)
+router.post('/:transactionId/reject', verifyToken, requirePermission(
+  PERMISSIONS.PAYMENTS_VERIFY,
+  PERMISSIONS.PAYMENTS_RELEASE,
+  PERMISSIONS.PAYMENTS_APPROVE
+), async (req, res) => {
+  try {
+    const reason = typeof req.body.reason === 'string' ? sanitizeInput(req.body.reason) : '';
+
+    if (reason.length < 3) {
+      req.log.info('payment rejection refused', {
+        transactionId: req.params.transactionId,
+        reason: 'missing_reason'
+      });
+      return res.status(400).json({
+        success: false,
+        message: 'A rejection reason is required'
+      });
+    }
+
+    // Held payments can be rejected straight from the screening or risk
+    // review, and verified ones by an approver while they await approval
+    const transaction = withTransaction(() => {
+      const pending = findTransactionToDecide(req, res, ['pending', 'screening_hold', 'risk_hold', 'verified']);
+      if (!pending) return null;
+
+      // Rejecting is part of verifying a pending payment, reviewing a held
+      // one, or deciding on a verified one's approval
+      const required = {
+        pending: PERMISSIONS.PAYMENTS_VERIFY,
+        verified: PERMISSIONS.PAYMENTS_APPROVE
+      }[pending.status] || PERMISSIONS.PAYMENTS_RELEASE;
+      if (!hasPermission(req.user, required)) {
+        req.log.warn('authorization denied', { reason: 'permission', required: [required], role: req.user.role, user: req.user.email });
+        res.status(403).json({
+          success: false,
+          message: 'Insufficient permissions'
+        });
+        return null;
+      }
+
+      const approval = pending.status === 'verified'
+        ? describeApprovals(pending, findPaymentApprovals(pending.transactionId))
+        : null;
+      if (approval && approval.required === 0) {
+        req.log.info('payment rejection refused', { transactionId: pending.transactionId, reason: 'no_approval_needed' });
+        res.status(409).json({
+          success: false,
+          message: 'Transaction has already been verified'
+        });
+        return null;
+      }
+
+      const rejectedAt = new Date();
+      const rejected = transitionTransaction(pending.transactionId, pending.status, {
+        status: 'rejected',
+        rejectionReason: reason,
+        rejectedBy: req.user.email,
+        rejectedAt
+      });
+      paymentStatusChanged(rejected, pending.status);
+      if (pending.status === 'screening_hold') {
+        recordScreeningDecision(pending.transactionId, {
+          decision: 'rejected',
+          reviewedBy: req.user.email,
+          reviewedAt: rejectedAt,
+          reviewNote: reason
+        });
+      }
+      if (approval) {
+        createPaymentApproval({
+          approvalId: `APR${Date.now()}${Math.random().toString(36).substr(2, 9).toUpperCase()}`,
+          transactionId: pending.transactionId,
+          decidedBy: req.user.email,
+          decision: 'rejected',
+          reason,
+          decidedAt: rejectedAt
+        });
+      }
+      recordAuditEvent({
+        actor: req.user.email,
+        action: AUDIT_ACTIONS.PAYMENT_REJECT,
+        target: pending.transactionId,
+        outcome: 'success',
+        ...requestContext(req),
+        details: {
+          reason,
+          ...(pending.status === 'screening_hold' && { screeningHold: true }),
+          ...(pending.status === 'risk_hold' && { riskHold: true }),
+          ...(approval && { approvals: approval.approvals, approvalsRequired: approval.required })
+        }
+      });
+      return rejected;
+    });
+    if (!transaction) return;
+
+    req.log.info('payment rejected by employee', {
+      transactionId: transaction.transactionId,
+      employee: req.user.email
+    });
+
+    res.json({
+      success: true,
+      message: 'Payment rejected',
+      transaction: presentTransaction(transaction)
+    });
+
+  } catch (error) {
+    req.log.error('payment rejection failed', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Payment rejection failed'
+    });
+  }
+});
+
+// Approve a Verified Payment above its currency's threshold (payments:approve).
+// It can be exported once it has approvals from two different employees,
+// neither of whom initiated, verified or released it.
+router.post('/:transactionId/approve', verifyToken, requirePermission(PERMISSIONS.PAYMENTS_APPROVE), async (req, res) => {
+  try {
+    // STEP 1: Input Validation
+    const reason = typeof req.body.reason === 'string' ? sanitizeInput(req.body.reason) : '';
+
+    if (reason.length < 3) {
+      req.log.info('payment approval refused', {
+        transactionId: req.params.transactionId,
+        reason: 'missing_reason'
+      });
+      return res.status(400).json({
+        success: false,
+        message: 'An approval reason is required'
+      });
+    }
+
+    // STEP 2: Approval Rules & Storage
+    const result = withTransaction(() => {
+      const verified = findTransactionToDecide(req, res, ['verified'], {
+        pending: 'Transaction has not been verified yet'
+      });
+      if (!verified) return null;
+
+      const decisions = findPaymentApprovals(verified.transactionId);
+      const current = describeApprovals(verified, decisions);
+
+      if (current.required === 0 || current.complete) {
+        req.log.info('payment approval refused', {
+          transactionId: verified.transactionId,
+          reason: current.required === 0 ? 'not_required' : 'already_approved'
+        });
+        res.status(409).json({
+          success: false,
+          message: current.required === 0
+            ? 'This payment does not need approval'
+            : 'This payment already has the approvals it needs'
+        });
+        return null;
+      }
+
+      const refusal = approvalRefusal(verified, decisions, req.user.email, {
+        screening: findPaymentScreening(verified.transactionId)
+      });
+      if (refusal) {
+        req.log.warn('payment approval refused', { transactionId: verified.transactionId, reason: refusal.reason, employee: req.user.email });
+        recordAuditEvent({
+          actor: req.user.email,
+          action: AUDIT_ACTIONS.PAYMENT_APPROVE,
+          target: verified.transactionId,
+          outcome: 'denied',
+          ...requestContext(req),
+          details: { reason: refusal.reason }
+        });
+        res.status(403).json({
+          success: false,
+          message: refusal.message
+        });
+        return null;
+      }
+
+      createPaymentApproval({
+        approvalId: `APR${Date.now()}${Math.random().toString(36).substr(2, 9).toUpperCase()}`,
+        transactionId: verified.transactionId,
+        decidedBy: req.user.email,
+        decision: 'approved',
+        reason
+      });
+      const approval = describeApprovals(verified, findPaymentApprovals(verified.transactionId));
+      recordAuditEvent({
+        actor: req.user.email,
+        action: AUDIT_ACTIONS.PAYMENT_APPROVE,
+        target: verified.transactionId,
+        outcome: 'success',
+        ...requestContext(req),
+        details: { reason, approvals: approval.approvals, approvalsRequired: approval.required }
+      });
+      // The status is unchanged, but employees' lists show the progress
+      publishPaymentUpdate(verified, 'verified');
+      return { transaction: verified, approval };
+    });
+    if (!result) return;
+
+    req.log.info('payment approved', {
+      transactionId: result.transaction.transactionId,
+      employee: req.user.email,
+      approvals: result.approval.approvals,
+      approvalsRequired: result.approval.required
+    });
+
+    res.json({
+      success: true,
+      message: result.approval.complete
+        ? 'Payment approved and ready to send to the bank'
+        : `Approval ${result.approval.approvals} of ${result.approval.required} recorded`,
+      transaction: { ...presentTransaction(result.transaction), approval: result.approval }
+    });
+
+  } catch (error) {
+    req.log.error('payment approval failed', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Payment approval failed'
+    });
+  }
+});
+
+// ============================================
+// HELD PAYMENT REVIEW (sanctions screening & risk score)
+// ============================================
+
+// List Payments on Screening Hold, with what they matched (payments:release)
+router.get('/screening', verifyToken, requirePermission(PERMISSIONS.PAYMENTS_RELEASE), async (req, res) => {
+  try {
+    const held = findTransactionsByStatus('screening_hold')
+      .map(txn => ({ ...presentTransaction(txn), screening: findPaymentScreening(txn.transactionId) }));
+
+    req.log.debug('screening queue retrieved', { employee: req.user.email, held: held.length });
+
+    res.json({
+      success: true,
+      transactions: held
+    });
+
+  } catch (error) {
+    req.log.error('screening queue retrieval failed', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve payments on hold'
+    });
+  }
+});
+
+// List Payments on Risk Hold, with the rules behind their score (payments:release)
+router.get('/risk-review', verifyToken, requirePermission(PERMISSIONS.PAYMENTS_RELEASE), async (req, res) => {
+  try {
+    const held = findTransactionsByStatus('risk_hold').map(presentTransaction);
+
+    req.log.debug('risk review queue retrieved', { employee: req.user.email, held: held.length });
+
+    res.json({
+      success: true,
+      holdThreshold: getRiskSettings().holdThreshold,
+      transactions: held
+    });
+
+  } catch (error) {
+    req.log.error('risk review queue retrieval failed', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve payments on hold'
+    });
+  }
+});
+
+// Release a Held Payment to the Verification Queue (payments:release) - the
+// note records why the match or the score was a false positive. A payment
+// held by screening that also scored high goes on to the risk review.
+router.post('/:transactionId/release', verifyToken, requirePermission(PERMISSIONS.PAYMENTS_RELEASE), async (req, res) => {
+  try {
+    const note = typeof req.body.note === 'string' ? sanitizeInput(req.body.note) : '';
+
+    if (note.length < 3) {
+      req.log.info('payment release refused', {
+        transactionId: req.params.transactionId,
+        reason: 'missing_note'
+      });
+      return res.status(400).json({
+        success: false,
+        message: 'A note explaining the release is required'
+      });
+    }
+
+    const result = withTransaction(() => {
+      const held = findTransactionToDecide(req, res, ['screening_hold', 'risk_hold']);
+      if (!held) return null;
+
+      const releasedAt = new Date();
+      let released;
+      let details;
+
+      if (held.status === 'screening_hold') {
+        // A payment that also scored over the risk threshold still needs its risk review
+        const riskHold = held.riskScore >= getRiskSettings().holdThreshold;
+        released = transitionTransaction(
+          held.transactionId,
+          'screening_hold',
+          riskHold ? { status: 'risk_hold', riskHeldAt: releasedAt } : { status: 'pending' }
+        );
+        const screening = recordScreeningDecision(held.transactionId, {
+          decision: 'released',
+          reviewedBy: req.user.email,
+          reviewedAt: releasedAt,
+          reviewNote: note
+        });
+        details = { hold: 'screening', note, hits: summarizeHits(screening.hits), listsVersion: screening.listsVersion };
+      } else {
+        released = transitionTransaction(held.transactionId, 'risk_hold', {
+          status: 'pending',
+          riskReleasedBy: req.user.email,
+          riskReleasedAt: releasedAt,
+          riskReleaseNote: note
+        });
+        details = { hold: 'risk', note, riskScore: held.riskScore, riskRules: held.riskReasons.map(reason => reason.rule) };
+      }
+      paymentStatusChanged(released, held.status);
+
+      recordAuditEvent({
+        actor: req.user.email,
+        action: AUDIT_ACTIONS.PAYMENT_RELEASE,
+        target: held.transactionId,
+        outcome: 'success',
+        ...requestContext(req),
+        details
+      });
+      return { transaction: released, hold: details.hold };
+    });
+    if (!result) return;
+
+    const { transaction, hold } = result;
+    req.log.info('payment released from hold', {
+      transactionId: transaction.transactionId,
+      employee: req.user.email,
+      hold,
+      status: transaction.status
+    });
+
+    res.json({
+      success: true,
+      message: transaction.status === 'risk_hold'
+        ? 'Screening review complete. The payment now needs a risk review'
+        : 'Payment released for verification',
+      transaction: presentTransaction(transaction)
+    });
+
+  } catch (error) {
+    req.log.error('payment release failed', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Payment release failed'
+    });
+  }
+});
+
+// ============================================
+// BANK SUBMISSION (ISO 20022 pain.001)
+// ============================================
+
+const MAX_EXPORT_SIZE = 1000;
+
+// The paying customer's name and account with us, keyed by email. Users
+// missing either are left out, as no bank file can be built for them.
+const findDebtors = (transactions) => {
+  const debtors = new Map();
+  for (const email of new Set(transactions.map(txn => txn.initiatedBy))) {
+    const user = findUserByEmail(email);
+    if (user?.fullName && user?.accountNumber) debtors.set(email, user);
+  }
+  return debtors;
+};
+
+const newExportId = () => `EXP${Date.now()}${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
+
+// pain.001 files are XML; an MT103 is stored as an export of one payment
+const sendExportFile = (res, paymentExport) => {
+  const isMt103 = paymentExport.format === MT103_FORMAT;
+  res.set('Content-Disposition', `attachment; filename="${paymentExport.exportId}.${isMt103 ? 'fin' : 'xml'}"`);
+  res.type(isMt103 ? 'text/plain' : 'application/xml');
+  res.send(paymentExport.document);
+};
+
+// List Verified Payments awaiting export (payments:export)
+router.get('/verified', verifyToken, requirePermission(PERMISSIONS.PAYMENTS_EXPORT), async (req, res) => {
+  try {
+    const verified = withApprovals(findTransactionsByStatus('verified')).map(presentTransaction);
+
+    req.log.debug('verified payments retrieved', { employee: req.user.email, verified: verified.length });
+
+    res.json({
+      success: true,
+      transactions: verified
+    });
+
+  } catch (error) {
+    req.log.error('verified payments retrieval failed', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve verified payments'
+    });
+  }
+});
+
+// Export Verified Payments as a pain.001 credit transfer file (payments:export)
+router.post('/exports/pain001', verifyToken, requirePermission(PERMISSIONS.PAYMENTS_EXPORT), async (req, res) => {
+  try {
+    const { transactionIds } = req.body;
+
+    // STEP 1: Selection (listed transactions, or every verified one)
+    if (transactionIds !== undefined && (
+      !Array.isArray(transactionIds)
+      || transactionIds.length === 0
+      || transactionIds.length > MAX_EXPORT_SIZE
+      || !transactionIds.every(id => typeof id === 'string')
+    )) {
+      req.log.info('payment export rejected', { reason: 'invalid_selection' });
+      return res.status(400).json({
+        success: false,
+        message: `transactionIds must be a list of 1-${MAX_EXPORT_SIZE} transaction IDs`
+      });
+    }
+
+    // Payments still awaiting four-eyes approval are left out of "export all",
+    // and refused when selected
+    let selected;
+    if (transactionIds === undefined) {
+      selected = withApprovals(findTransactionsByStatus('verified'))
+        .filter(txn => txn.approval.complete)
+        .slice(0, MAX_EXPORT_SIZE);
+    } else {
+      const requested = [...new Set(transactionIds)];
+      selected = findTransactionsByIds(requested);
+
+      const found = new Set(selected.map(txn => txn.transactionId));
+      const missing = requested.filter(id => !found.has(id));
+      if (missing.length > 0) {
+        req.log.info('payment export rejected', { reason: 'transactions_not_found', missing });
+        return res.status(404).json({
+          success: false,
+          message: 'Some transactions were not found',
+          transactionIds: missing
+        });
+      }
+
+      const notVerified = selected.filter(txn => txn.status !== 'verified');
+      if (notVerified.length > 0) {
+        req.log.info('payment export rejected', {
+          reason: 'transactions_not_verified',
+          transactionIds: notVerified.map(txn => txn.transactionId)
+        });
+        return res.status(409).json({
+          success: false,
+          message: 'Only verified payments can be exported',
+          transactionIds: notVerified.map(txn => txn.transactionId)
+        });
+      }
+
+      const unapproved = withApprovals(selected).filter(txn => !txn.approval.complete);
+      if (unapproved.length > 0) {
+        req.log.info('payment export rejected', {
+          reason: 'approval_required',
+          transactionIds: unapproved.map(txn => txn.transactionId)
+        });
+        return res.status(409).json({
+          success: false,
+          message: 'Some payments still need approval',
+          transactionIds: unapproved.map(txn => txn.transactionId)
+        });
+      }
+    }
+
+    if (selected.length === 0) {
+      req.log.info('payment export rejected', { reason: 'nothing_to_export' });
+      return res.status(409).json({
+        success: false,
+        message: 'No approved, verified payments to export'
+      });
+    }
+
+    // STEP 2: Debtor Details (the customer's name and account with us)
+    const debtors = findDebtors(selected);
+    const missingDebtor = selected.filter(txn => !debtors.has(txn.initiatedBy));
+    if (missingDebtor.length > 0) {
+      req.log.warn('payment export rejected', {
+        reason: 'debtor_details_missing',
+        transactionIds: missingDebtor.map(txn => txn.transactionId)
+      });
+      return res.status(422).json({
+        success: false,
+        message: 'The paying customer has no name or account number on file',
+        transactionIds: missingDebtor.map(txn => txn.transactionId)
+      });
+    }
+
+    // STEP 3: Document Generation
+    const exportId = newExportId();
+    const createdAt = new Date();
+    const { document, transactionCount, controlSum } = buildPain001({
+      messageId: exportId,
+      createdAt,
+      bank: getBankIdentity(),
+      transactions: selected,
+      debtors
+    });
+
+    // STEP 4: XSD Validation
+    const validation = await validatePain001(document);
+
+    if (!validation.valid) {
+      req.log.error('payment export failed schema validation', { exportId, errors: validation.errors });
+      return res.status(500).json({
+        success: false,
+        message: `Generated ${PAIN001_VERSION} file failed schema validation`
+      });
+    }
+
+    // STEP 5: Mark Submitted
+    // Statuses are re-checked inside the transaction: another export may have
+    // claimed some of these payments while the file was being validated
+    const paymentExport = withTransaction(() => {
+      const current = findTransactionsByIds(selected.map(txn => txn.transactionId));
+      const claimed = current.filter(txn => txn.status !== 'verified');
+
+      if (claimed.length > 0) {
+        req.log.warn('payment export rejected', {
+          reason: 'concurrent_export',
+          transactionIds: claimed.map(txn => txn.transactionId)
+        });
+        res.status(409).json({
+          success: false,
+          message: 'Some payments were exported or changed in the meantime; please retry',
+          transactionIds: claimed.map(txn => txn.transactionId)
+        });
+        return null;
+      }
+
+      const record = {
+        exportId,
+        format: PAIN001_VERSION,
+        createdBy: req.user.email,
+        createdAt,
+        transactionCount,
+        controlSum,
+        document
+      };
+      createPaymentExport(record);
+
+      for (const txn of selected) {
+        const submitted = transitionTransaction(txn.transactionId, 'verified', {
+          status: 'submitted',
+          exportId,
+          submittedAt: createdAt,
+          submittedBy: req.user.email
+        });
+        paymentStatusChanged(submitted, 'verified');
+        recordAuditEvent({
+          actor: req.user.email,
+          action: AUDIT_ACTIONS.PAYMENT_EXPORT,
+          target: txn.transactionId,
+          outcome: 'success',
+          ...requestContext(req),
+          details: { exportId, format: PAIN001_VERSION }
+        });
+      }
+      return record;
+    });
+    if (!paymentExport) return;
+
+    req.log.info('payments exported', {
+      exportId,
+      employee: req.user.email,
+      format: PAIN001_VERSION,
+      transactionCount,
+      controlSum
+    });
+
+    sendExportFile(res, paymentExport);
+
+  } catch (error) {
+    req.log.error('payment export failed', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Payment export failed'
+    });
+  }
+});
+
+// Download a previous export again (payments:export)
+router.get('/exports/:exportId', verifyToken, requirePermission(PERMISSIONS.PAYMENTS_EXPORT), async (req, res) => {
+  try {
+    const paymentExport = findPaymentExportById(req.params.exportId);
+
+    if (!paymentExport) {
+      req.log.info('payment export not found', { exportId: req.params.exportId });
+      return res.status(404).json({
+        success: false,
+        message: 'Export not found'
+      });
+    }
+
+    req.log.info('payment export downloaded', { exportId: paymentExport.exportId, employee: req.user.email });
+
+    sendExportFile(res, paymentExport);
+
+  } catch (error) {
+    req.log.error('payment export retrieval failed', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve export'
+    });
+  }
+});
+
+// Send one verified payment as a FIN MT103 (payments:export). Like a pain.001
+// export this marks it submitted, so it can't be sent to the bank again, and
+// keeps the message so it can be downloaded again.
+router.post('/:transactionId/mt103', verifyToken, requirePermission(PERMISSIONS.PAYMENTS_EXPORT), async (req, res) => {
+  try {
+    const { transactionId } = req.params;
+    const receiver = typeof req.body.receiver === 'string' ? req.body.receiver.toUpperCase() : undefined;
+
+    // STEP 1: Transaction Lookup
+    const transaction = findTransactionById(transactionId);
+
+    if (!transaction) {
+      req.log.info('transaction not found', { transactionId });
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+
+    if (transaction.status !== 'verified') {
+      req.log.info('mt103 refused', { transactionId, reason: 'not_verified', status: transaction.status });
+      return res.status(409).json({
+        success: false,
+        message: transaction.status !== 'submitted'
+          ? 'Only verified payments can be sent as MT103'
+          : transaction.exportId
+            ? `This payment has already been sent to the bank in ${transaction.exportId}`
+            : 'This payment has already been sent to the bank',
+        ...(transaction.exportId && { exportId: transaction.exportId })
+      });
+    }
+
+    const approval = describeApprovals(transaction, findPaymentApprovals(transactionId));
+    if (!approval.complete) {
+      req.log.info('mt103 refused', { transactionId, reason: 'approval_required', approvals: approval.approvals });
+      return res.status(409).json({
+        success: false,
+        message: `This payment needs ${approval.required} approvals before it can be sent`
+      });
+    }
+
+    // STEP 2: Receiver (correspondent bank, defaults to the beneficiary's bank)
+    if (receiver !== undefined && !validateSwiftCode(receiver)) {
+      req.log.info('mt103 refused', { transactionId, reason: 'invalid_receiver' });
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid receiver SWIFT/BIC code format',
+        errors: { receiver: 'Invalid receiver SWIFT/BIC code format' }
+      });
+    }
+
+    // STEP 3: Ordering Customer
+    const debtor = findDebtors([transaction]).get(transaction.initiatedBy);
+
+    if (!debtor) {
+      req.log.warn('mt103 refused', { transactionId, reason: 'debtor_details_missing' });
+      return res.status(422).json({
+        success: false,
+        message: 'The paying customer has no name or account number on file'
+      });
+    }
+
+    // STEP 4: Message Rendering, Storage & Mark Submitted
+    // The status is re-checked inside the transaction: an export or another
+    // MT103 may have sent the payment in the meantime
+    const exportId = newExportId();
+    const rendered = withTransaction(() => {
+      const withUetr = transaction.uetr ? transaction : assignUetr(transactionId, crypto.randomUUID());
+      const submittedAt = new Date();
+      const mt103 = renderMt103({
+        transaction: withUetr,
+        debtor,
+        senderBic: getBankIdentity().bic,
+        receiverBic: receiver || transaction.swiftCode,
+        valueDate: submittedAt
+      });
+      if (mt103.error) return mt103;
+      if (findTransactionById(transactionId).status !== 'verified') return { conflict: true };
+
+      const record = {
+        exportId,
+        format: MT103_FORMAT,
+        createdBy: req.user.email,
+        createdAt: submittedAt,
+        transactionCount: 1,
+        controlSum: formatMinorUnits(transaction.amountMinor, transaction.currency),
+        document: mt103.message
+      };
+      createPaymentExport(record);
+
+      const submitted = transitionTransaction(transactionId, 'verified', {
+        status: 'submitted',
+        exportId,
+        mt103Reference: mt103.reference,
+        submittedAt,
+        submittedBy: req.user.email
+      });
+
+      paymentStatusChanged(submitted, 'verified');
+      recordAuditEvent({
+        actor: req.user.email,
+        action: AUDIT_ACTIONS.PAYMENT_MT103,
+        target: transactionId,
+        outcome: 'success',
+        ...requestContext(req),
+        details: {
+          exportId,
+          reference: mt103.reference,
+          receiver: receiver || transaction.swiftCode,
+          uetr: withUetr.uetr
+        }
+      });
+      return { ...record, reference: mt103.reference };
+    });
+
+    if (rendered.conflict) {
+      req.log.warn('mt103 refused', { transactionId, reason: 'concurrent_submission' });
+      return res.status(409).json({
+        success: false,
+        message: 'This payment was sent to the bank or changed in the meantime'
+      });
+    }
+
+    if (rendered.error) {
+      req.log.info('mt103 refused', { transactionId, reason: 'unrepresentable_text', detail: rendered.error });
+      return res.status(422).json({
+        success: false,
+        message: rendered.error
+      });
+    }
+
+    req.log.info('mt103 rendered', {
+      transactionId,
+      exportId,
+      reference: rendered.reference,
+      employee: req.user.email
+    });
+
+    sendExportFile(res, rendered);
+
+  } catch (error) {
+    req.log.error('mt103 rendering failed', { error });
+    res.status(500).json({
+      success: false,
+      message: 'MT103 rendering failed'
+    });
+  }
+});
+
+// Download a payment's MT103 again (payments:export)
+router.get('/:transactionId/mt103', verifyToken, requirePermission(PERMISSIONS.PAYMENTS_EXPORT), async (req, res) => {
+  try {
+    const { transactionId } = req.params;
+    const transaction = findTransactionById(transactionId);
+    const paymentExport = transaction?.exportId && findPaymentExportById(transaction.exportId);
+
+    if (!paymentExport || paymentExport.format !== MT103_FORMAT) {
+      req.log.info('mt103 not found', { transactionId });
+      return res.status(404).json({
+        success: false,
+        message: 'This payment has not been sent as MT103'
+      });
+    }
+
+    req.log.info('payment export downloaded', { exportId: paymentExport.exportId, employee: req.user.email });
+
+    sendExportFile(res, paymentExport);
+
+  } catch (error) {
+    req.log.error('mt103 retrieval failed', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve MT103'
+    });
+  }
+});
+
 // Get Single Transaction
-router.get('/:transactionId', verifyToken, async (req, res) => {
-  console.log('\n🔍 [TRANSACTION] Single transaction lookup');
-  console.log(`   Transaction ID: ${req.params.transactionId}`);
-  console.log(`   User: ${req.user.email}`);
-  
+router.get('/:transactionId', verifyToken, requirePermission(PERMISSIONS.PAYMENTS_READ), async (req, res) => {
   try {
     const { transactionId } = req.params;
-    const transaction = transactions.get(transactionId);
+    const transaction = findTransactionById(transactionId);
 
     if (!transaction) {
-      console.log('   ❌ Transaction not found\n');
+      req.log.info('transaction not found', { transactionId });
       return res.status(404).json({
         success: false,
         message: 'Transaction not found'
       });
     }
-    console.log('   ✓ Transaction found');
 
-    console.log('\n   STEP: Authorization Check');
-    console.log(`      - Transaction owner: ${transaction.initiatedBy}`);
-    console.log(`      - Requesting user: ${req.user.email}`);
-    
-    if (transaction.initiatedBy !== req.user.email) {
-      console.log('   ❌ Unauthorized access attempt\n');
+    // Authorization check: owner, or anyone allowed to see every payment
+    const readAll = hasPermission(req.user, PERMISSIONS.PAYMENTS_READ_ALL);
+    if (transaction.initiatedBy !== req.user.email && !readAll) {
+      req.log.warn('transaction access denied', {
+        transactionId,
+        user: req.user.email,
+        owner: transaction.initiatedBy
+      });
       return res.status(403).json({
         success: false,
         message: 'Unauthorized access'
       });
     }
-    console.log('   ✓ Authorization verified');
-    console.log('');
+
+    // What a held payment matched, its risk score and who approved it are for employees only
+    const screening = findPaymentScreening(transactionId);
+    const approval = readAll ? describeApprovals(transaction, findPaymentApprovals(transactionId)) : null;
 
     res.json({
       success: true,
-      transaction
+      transaction: presentTransaction(readAll ? transaction : withoutRiskAssessment(transaction)),
+      timeline: statusTimeline(transaction, screening),
+      ...(readAll && { screening, approval })
     });
 
   } catch (error) {
-    console.error('\n❌ [TRANSACTION ERROR]', error);
-    console.error('');
+    req.log.error('transaction retrieval failed', { error });
     res.status(500).json({
       success: false,
       message: 'Failed to retrieve transaction'
@@ -0,0 +1,431 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { findAuditEntries } from '../repositories/auditLog.js';
+import { AUDIT_ACTIONS } from '../services/audit.js';
+import { TEST_PAYMENT, signedInAccount, startTestServer, verifiedPayment } from '../testing/http.js';
+
+const submit = (api, customer, payment = {}, headers = {}) =>
+  api.request('POST', '/payments/process', { token: customer.token, body: { ...TEST_PAYMENT, ...payment }, headers });
+
+describe('verification queue', () => {
+  let api;
+  let customer;
+  let teller;
+
+  before(async () => {
+    api = await startTestServer();
+    customer = signedInAccount({ email: 'customer@example.com' });
+    teller = signedInAccount({ email: 'teller@example.com', role: 'teller' });
+  });
+
+  after(() => api.close());
+
+  it('lists pending payments with their automated checks for tellers', async () => {
+    const { body } = await submit(api, customer);
+
+    const queue = await api.request('GET', '/payments/pending', { token: teller.token });
+    assert.equal(queue.status, 200);
+    const [listed] = queue.body.transactions.filter(txn => txn.transactionId === body.transactionId);
+    assert.equal(listed.checks.swiftCode.valid, true);
+    assert.equal(listed.checks.beneficiary.accountType, 'iban');
+
+    assert.equal((await api.request('GET', '/payments/pending', { token: customer.token })).status, 403);
+  });
+
+  it('verifies only once both checks are confirmed', async () => {
+    const { body } = await submit(api, customer);
+    const verify = (token, checks) => api.request('POST', `/payments/${body.transactionId}/verify`, { token, body: checks });
+
+    assert.equal((await verify(customer.token, { swiftCodeChecked: true, beneficiaryChecked: true })).status, 403);
+    assert.equal((await verify(teller.token, { swiftCodeChecked: true })).status, 400);
+
+    const verified = await verify(teller.token, { swiftCodeChecked: true, beneficiaryChecked: true });
+    assert.equal(verified.status, 200);
+    assert.equal(verified.body.transaction.status, 'verified');
+    assert.equal(verified.body.transaction.verifiedBy, teller.email);
+
+    const again = await verify(teller.token, { swiftCodeChecked: true, beneficiaryChecked: true });
+    assert.equal(again.status, 409);
+  });
+
+  it('rejects with a reason, after which the payment cannot be verified', async () => {
+    const { body } = await submit(api, customer);
+    const path = `/payments/${body.transactionId}`;
+
+    assert.equal((await api.request('POST', `${path}/reject`, { token: teller.token, body: {} })).status, 400);
+
+    const rejected = await api.request('POST', `${path}/reject`, { token: teller.token, body: { reason: 'Beneficiary name mismatch' } });
+    assert.equal(rejected.status, 200);
+    assert.equal(rejected.body.transaction.status, 'rejected');
+
+    const verified = await api.request('POST', `${path}/verify`, {
+      token: teller.token,
+      body: { swiftCodeChecked: true, beneficiaryChecked: true }
+    });
+    assert.equal(verified.status, 409);
+
+    const detail = await api.request('GET', path, { token: customer.token });
+    assert.equal(detail.body.transaction.rejectionReason, 'Beneficiary name mismatch');
+  });
+
+  it('shows customers their own payments only', async () => {
+    const { body } = await submit(api, customer);
+    const other = signedInAccount({ email: 'other@example.com' });
+
+    assert.equal((await api.request('GET', `/payments/${body.transactionId}`, { token: other.token })).status, 403);
+    assert.equal((await api.request('GET', '/payments/TXN0', { token: teller.token })).status, 404);
+  });
+});
+
+describe('idempotent submission', () => {
+  let api;
+  let customer;
+
+  before(async () => {
+    api = await startTestServer();
+    customer = signedInAccount({ email: 'customer@example.com' });
+  });
+
+  after(() => api.close());
+
+  const withKey = (key) => ({ 'Idempotency-Key': key });
+
+  it('replays the first response for a retry with the same key', async () => {
+    const first = await submit(api, customer, {}, withKey('retry-1'));
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('idempotent-replayed'), null);
+
+    const retry = await submit(api, customer, {}, withKey('retry-1'));
+    assert.equal(retry.status, 200);
+    assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+    assert.deepEqual(retry.body, first.body);
+
+    const fresh = await submit(api, customer, {}, withKey('retry-2'));
+    assert.notEqual(fresh.body.transactionId, first.body.transactionId);
+  });
+
+  it('stores one payment for retries that arrive together', async () => {
+    const owner = signedInAccount({ email: 'together@example.com' });
+    const responses = await Promise.all(
+      Array.from({ length: 5 }, () => submit(api, owner, {}, withKey('together')))
+    );
+
+    assert.equal(new Set(responses.map(({ body }) => body.transactionId)).size, 1);
+    const { body } = await api.request('GET', '/payments/history', { token: owner.token });
+    assert.equal(body.transactions.length, 1);
+  });
+
+  it('refuses a key reused for a different payment', async () => {
+    await submit(api, customer, {}, withKey('reused'));
+
+    const changed = await submit(api, customer, { amount: '200.00' }, withKey('reused'));
+    assert.equal(changed.status, 409);
+  });
+
+  it('scopes keys to the customer', async () => {
+    const mine = await submit(api, customer, {}, withKey('shared'));
+    const theirs = await submit(api, signedInAccount({ email: 'someone@example.com' }), {}, withKey('shared'));
+
+    assert.equal(theirs.status, 200);
+    assert.equal(theirs.headers.get('idempotent-replayed'), null);
+    assert.notEqual(theirs.body.transactionId, mine.body.transactionId);
+  });
+
+  it('rejects a malformed key', async () => {
+    const { status } = await submit(api, customer, {}, withKey('has spaces'));
+    assert.equal(status, 400);
+  });
+});
+
+describe('sanctions screening', () => {
+  let api;
+  let customer;
+  let teller;
+  let compliance;
+
+  before(async () => {
+    api = await startTestServer();
+    customer = signedInAccount({ email: 'customer@example.com' });
+    teller = signedInAccount({ email: 'teller@example.com', role: 'teller' });
+    compliance = signedInAccount({ email: 'compliance@example.com', role: 'compliance' });
+  });
+
+  after(() => api.close());
+
+  const LISTED = { recipientName: 'Boris Testoff' };
+
+  it('holds a payment to a listed name away from the verification queue', async () => {
+    const { body } = await submit(api, customer, LISTED);
+    assert.equal(body.transaction.status, 'screening_hold');
+
+    const pending = await api.request('GET', '/payments/pending', { token: teller.token });
+    assert.ok(!pending.body.transactions.some(txn => txn.transactionId === body.transactionId));
+
+    const verified = await api.request('POST', `/payments/${body.transactionId}/verify`, {
+      token: teller.token,
+      body: { swiftCodeChecked: true, beneficiaryChecked: true }
+    });
+    assert.equal(verified.status, 409);
+
+    const detail = await api.request('GET', `/payments/${body.transactionId}`, { token: customer.token });
+    assert.equal(detail.body.screening, undefined);
+  });
+
+  it('shows compliance what matched, and releases with a note', async () => {
+    const { body } = await submit(api, customer, LISTED);
+    const path = `/payments/${body.transactionId}`;
+
+    assert.equal((await api.request('GET', '/payments/screening', { token: teller.token })).status, 403);
+    const queue = await api.request('GET', '/payments/screening', { token: compliance.token });
+    const [held] = queue.body.transactions.filter(txn => txn.transactionId === body.transactionId);
+    assert.ok(held.screening.hits.length > 0);
+
+    assert.equal((await api.request('POST', `${path}/release`, { token: teller.token, body: { note: 'Different person' } })).status, 403);
+    assert.equal((await api.request('POST', `${path}/release`, { token: compliance.token, body: {} })).status, 400);
+
+    const released = await api.request('POST', `${path}/release`, {
+      token: compliance.token,
+      body: { note: 'Different person, date of birth checked' }
+    });
+    assert.equal(released.status, 200);
+    assert.equal(released.body.transaction.status, 'pending');
+
+    const detail = await api.request('GET', path, { token: compliance.token });
+    assert.equal(detail.body.screening.decision, 'released');
+    assert.equal(detail.body.screening.reviewedBy, compliance.email);
+  });
+
+  it('leaves rejecting a held payment to compliance', async () => {
+    const { body } = await submit(api, customer, LISTED);
+    const reject = (token) => api.request('POST', `/payments/${body.transactionId}/reject`, {
+      token,
+      body: { reason: 'Confirmed match' }
+    });
+
+    assert.equal((await reject(teller.token)).status, 403);
+    const rejected = await reject(compliance.token);
+    assert.equal(rejected.status, 200);
+    assert.equal(rejected.body.transaction.status, 'rejected');
+  });
+
+  it('shows the watch lists to employees allowed to read them', async () => {
+    const auditor = signedInAccount({ email: 'auditor@example.com', role: 'auditor' });
+
+    const status = await api.request('GET', '/sanctions', { token: auditor.token });
+    assert.equal(status.status, 200);
+    assert.equal(status.body.status.loaded, true);
+    assert.equal((await api.request('GET', '/sanctions', { token: customer.token })).status, 403);
+
+    assert.equal((await api.request('POST', '/sanctions/reload', { token: auditor.token, body: {} })).status, 403);
+    assert.equal((await api.request('POST', '/sanctions/reload', { token: compliance.token, body: {} })).status, 200);
+  });
+});
+
+describe('risk review', () => {
+  let api;
+  let customer;
+  let teller;
+  let compliance;
+
+  before(async () => {
+    api = await startTestServer();
+    customer = signedInAccount({ email: 'customer@example.com' });
+    teller = signedInAccount({ email: 'teller@example.com', role: 'teller' });
+    compliance = signedInAccount({ email: 'compliance@example.com', role: 'compliance' });
+  });
+
+  after(() => api.close());
+
+  // A new beneficiary at a bank in a high-risk country scores the hold threshold
+  const HIGH_RISK = { currency: 'USD', recipientAccount: '0012345678', swiftCode: 'KBZBMMMY' };
+
+  it('lets a low-scoring payment through to verification', async () => {
+    const { body } = await submit(api, customer);
+    assert.equal(body.transaction.status, 'pending');
+
+    const detail = await api.request('GET', `/payments/${body.transactionId}`, { token: teller.token });
+    assert.equal(detail.body.transaction.riskScore, 20);
+    assert.deepEqual(detail.body.transaction.riskReasons.map(reason => reason.rule), ['new_beneficiary']);
+  });
+
+  it('holds a high-scoring payment and keeps its score from the customer', async () => {
+    const { body } = await submit(api, customer, HIGH_RISK);
+    assert.equal(body.transaction.status, 'risk_hold');
+
+    const detail = await api.request('GET', `/payments/${body.transactionId}`, { token: customer.token });
+    assert.equal(detail.body.transaction.riskScore, undefined);
+    assert.equal(detail.body.transaction.riskReasons, undefined);
+
+    assert.equal((await api.request('GET', '/payments/risk-review', { token: teller.token })).status, 403);
+    const queue = await api.request('GET', '/payments/risk-review', { token: compliance.token });
+    const [held] = queue.body.transactions.filter(txn => txn.transactionId === body.transactionId);
+    assert.deepEqual(held.riskReasons.map(reason => reason.rule).sort(), ['high_risk_country', 'new_beneficiary']);
+    assert.ok(held.riskScore >= queue.body.holdThreshold);
+  });
+
+  it('releases a held payment to the verification queue with a note', async () => {
+    const { body } = await submit(api, customer, { ...HIGH_RISK, recipientAccount: '0087654321' });
+    const release = (token, note) => api.request('POST', `/payments/${body.transactionId}/release`, { token, body: { note } });
+
+    assert.equal((await release(teller.token, 'Known supplier')).status, 403);
+
+    const released = await release(compliance.token, 'Known supplier, confirmed by phone');
+    assert.equal(released.status, 200);
+    assert.equal(released.body.transaction.status, 'pending');
+    assert.equal(released.body.transaction.riskReleasedBy, compliance.email);
+
+    assert.equal((await release(compliance.token, 'Again')).status, 409);
+  });
+});
+
+describe('four-eyes approval', () => {
+  let api;
+  let customer;
+  let teller;
+  let approvers;
+
+  before(async () => {
+    api = await startTestServer();
+    customer = signedInAccount({ email: 'customer@example.com' });
+    teller = signedInAccount({ email: 'teller@example.com', role: 'teller' });
+    approvers = ['first', 'second', 'third'].map(name => signedInAccount({ email: `${name}@example.com`, role: 'approver' }));
+  });
+
+  after(() => api.close());
+
+  // Above the default EUR approval threshold, within the default limits
+  const LARGE = { amount: '6000.00' };
+
+  const approve = (transactionId, employee, reason = 'Checked with the customer') =>
+    api.request('POST', `/payments/${transactionId}/approve`, { token: employee.token, body: { reason } });
+
+  it('needs two different approvers before a large payment is sent', async () => {
+    const [first, second, third] = approvers;
+    const transactionId = await verifiedPayment(api, { customer, teller, payment: LARGE });
+    const send = () => api.request('POST', `/payments/${transactionId}/mt103`, { token: first.token, body: {} });
+
+    const { body: detail } = await api.request('GET', `/payments/${transactionId}`, { token: first.token });
+    assert.equal(detail.approval.required, 2);
+
+    assert.equal((await approve(transactionId, first, '')).status, 400);
+    assert.equal((await approve(transactionId, teller)).status, 403);
+    assert.equal((await send()).status, 409);
+
+    const once = await approve(transactionId, first);
+    assert.equal(once.status, 200);
+    assert.equal(once.body.transaction.approval.approvals, 1);
+    assert.equal((await approve(transactionId, first)).status, 403);
+
+    const exported = await api.request('POST', '/payments/exports/pain001', { token: first.token, body: { transactionIds: [transactionId] } });
+    assert.equal(exported.status, 409);
+    assert.deepEqual(exported.body.transactionIds, [transactionId]);
+
+    const twice = await approve(transactionId, second);
+    assert.equal(twice.status, 200);
+    assert.equal(twice.body.transaction.approval.complete, true);
+    assert.equal((await approve(transactionId, third)).status, 409);
+
+    assert.equal((await send()).status, 200);
+  });
+
+  it('refuses an approval from the employee who verified the payment', async () => {
+    const admin = signedInAccount({ email: 'admin@example.com', role: 'admin' });
+    const transactionId = await verifiedPayment(api, { customer, teller: admin, payment: LARGE });
+
+    const refused = await approve(transactionId, admin);
+    assert.equal(refused.status, 403);
+    assert.equal(refused.body.message, 'You cannot approve a payment you verified');
+
+    const [denied] = findAuditEntries({ action: AUDIT_ACTIONS.PAYMENT_APPROVE, target: transactionId, outcome: 'denied' });
+    assert.equal(denied.details.reason, 'verifier');
+  });
+
+  it('lets an approver reject a large payment instead', async () => {
+    const transactionId = await verifiedPayment(api, { customer, teller, payment: LARGE });
+
+    const rejected = await api.request('POST', `/payments/${transactionId}/reject`, {
+      token: approvers[0].token,
+      body: { reason: 'Customer did not recognise it' }
+    });
+    assert.equal(rejected.status, 200);
+    assert.equal(rejected.body.transaction.status, 'rejected');
+
+    const { body } = await api.request('GET', `/payments/${transactionId}`, { token: approvers[1].token });
+    assert.deepEqual(body.approval.decisions.map(({ decision }) => decision), ['rejected']);
+  });
+
+  it('only takes approvals for verified payments that need them', async () => {
+    const small = await verifiedPayment(api, { customer, teller });
+    assert.equal((await approve(small, approvers[0])).status, 409);
+    const rejected = await api.request('POST', `/payments/${small}/reject`, {
+      token: approvers[0].token,
+      body: { reason: 'Changed my mind' }
+    });
+    assert.equal(rejected.status, 409);
+
+    const { body } = await submit(api, customer, LARGE);
+    const unverified = await approve(body.transactionId, approvers[0]);
+    assert.equal(unverified.status, 409);
+    assert.equal(unverified.body.message, 'Transaction has not been verified yet');
+  });
+});
+
+describe('MT103', () => {
+  let api;
+  let customer;
+  let teller;
+  let approver;
+
+  before(async () => {
+    api = await startTestServer();
+    customer = signedInAccount({ email: 'customer@example.com' });
+    teller = signedInAccount({ email: 'teller@example.com', role: 'teller' });
+    approver = signedInAccount({ email: 'approver@example.com', role: 'approver' });
+  });
+
+  after(() => api.close());
+
+  it('sends a verified payment once and keeps the message', async () => {
+    const transactionId = await verifiedPayment(api, { customer, teller });
+    const send = () => api.request('POST', `/payments/${transactionId}/mt103`, { token: approver.token, body: {} });
+
+    const sent = await send();
+    assert.equal(sent.status, 200);
+    assert.match(sent.body, /^\{1:F01/);
+    const [, exportId] = /filename="(EXP\w+)\.fin"/.exec(sent.headers.get('content-disposition'));
+
+    const detail = await api.request('GET', `/payments/${transactionId}`, { token: approver.token });
+    assert.equal(detail.body.transaction.status, 'submitted');
+    assert.equal(detail.body.transaction.exportId, exportId);
+
+    const again = await send();
+    assert.equal(again.status, 409);
+    assert.equal(again.body.exportId, exportId);
+
+    const byTransaction = await api.request('GET', `/payments/${transactionId}/mt103`, { token: approver.token });
+    const byExport = await api.request('GET', `/payments/exports/${exportId}`, { token: approver.token });
+    assert.equal(byTransaction.body, sent.body);
+    assert.equal(byExport.body, sent.body);
+    assert.equal(byExport.headers.get('content-type'), 'text/plain; charset=utf-8');
+
+    const [audit] = findAuditEntries({ action: AUDIT_ACTIONS.PAYMENT_MT103, target: transactionId });
+    assert.equal(audit.details.exportId, exportId);
+  });
+
+  it('is not sent by a GET', async () => {
+    const transactionId = await verifiedPayment(api, { customer, teller });
+
+    const fetched = await api.request('GET', `/payments/${transactionId}/mt103`, { token: approver.token });
+    assert.equal(fetched.status, 404);
+
+    const detail = await api.request('GET', `/payments/${transactionId}`, { token: approver.token });
+    assert.equal(detail.body.transaction.status, 'verified');
+  });
+
+  it('needs payments:export', async () => {
+    const transactionId = await verifiedPayment(api, { customer, teller });
+
+    const sent = await api.request('POST', `/payments/${transactionId}/mt103`, { token: teller.token, body: {} });
+    assert.equal(sent.status, 403);
+  });
+});
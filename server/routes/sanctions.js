@@ -0,0 +1,78 @@
+import express from 'express';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../services/permissions.js';
+import { getSanctionsStatus, loadSanctionsLists } from '../services/sanctions.js';
+import { AUDIT_ACTIONS, recordAuditEvent, requestContext } from '../services/audit.js';
+
+const router = express.Router();
+
+// Watch Lists in Use
+router.get('/', verifyToken, requirePermission(PERMISSIONS.SANCTIONS_READ), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      status: getSanctionsStatus()
+    });
+
+  } catch (error) {
+    req.log.error('sanctions status retrieval failed', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve sanctions list status'
+    });
+  }
+});
+
+// Reload the Watch Lists from Disk - if any file cannot be read the lists
+// already loaded stay in use
+router.post('/reload', verifyToken, requirePermission(PERMISSIONS.SANCTIONS_MANAGE), async (req, res) => {
+  try {
+    const previousVersion = getSanctionsStatus().version || null;
+    const result = await loadSanctionsLists();
+
+    recordAuditEvent({
+      actor: req.user.email,
+      action: AUDIT_ACTIONS.SANCTIONS_RELOAD,
+      target: result.status.version || null,
+      outcome: result.loaded ? 'success' : 'failure',
+      ...requestContext(req),
+      details: result.loaded
+        ? { previousVersion, version: result.status.version, names: result.status.names }
+        : { version: previousVersion, errors: result.errors }
+    });
+
+    if (!result.loaded) {
+      req.log.warn('sanctions lists reload failed', { errors: result.errors, version: previousVersion });
+      return res.status(422).json({
+        success: false,
+        message: previousVersion
+          ? 'The lists could not be loaded; the previous lists are still in use'
+          : 'The lists could not be loaded; payments are held until they are',
+        errors: result.errors,
+        status: result.status
+      });
+    }
+
+    req.log.info('sanctions lists reloaded', {
+      user: req.user.email,
+      previousVersion,
+      version: result.status.version,
+      names: result.status.names
+    });
+
+    res.json({
+      success: true,
+      message: `Sanctions lists loaded (${result.status.names} names)`,
+      status: result.status
+    });
+
+  } catch (error) {
+    req.log.error('sanctions lists reload failed', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reload sanctions lists'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,338 @@
+import express from 'express';
+import validator from 'validator';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
+import { withTransaction } from '../db/index.js';
+import {
+  findUserByEmail,
+  listUsers,
+  requirePasswordReset,
+  setUserDisabled,
+  updateUserRole
+} from '../repositories/users.js';
+import { EMPLOYEE_ROLES, PERMISSIONS, ROLES, permissionsForRole } from '../services/permissions.js';
+import { expireAccessTokens, revokeAllSessions } from '../services/sessions.js';
+import { AUDIT_ACTIONS, recordAuditEvent, requestContext } from '../services/audit.js';
+import { presentAccount } from '../services/accounts.js';
+import { isMfaEnabled } from '../services/mfa.js';
+
+const router = express.Router();
+
+const USER_TYPES = ['customer', 'employee'];
+const USER_STATUSES = ['active', 'disabled'];
+const DEFAULT_USER_PAGE_SIZE = 100;
+const MAX_USER_PAGE_SIZE = 500;
+
+// List Users - in email order, paged with ?after=<email>
+router.get('/', verifyToken, requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  try {
+    const { userType, status, q, after } = req.query;
+    const limit = req.query.limit === undefined ? DEFAULT_USER_PAGE_SIZE : Number(req.query.limit);
+
+    if (userType !== undefined && !USER_TYPES.includes(userType)) {
+      return res.status(400).json({
+        success: false,
+        message: `User type must be one of: ${USER_TYPES.join(', ')}`
+      });
+    }
+    if (status !== undefined && !USER_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${USER_STATUSES.join(', ')}`
+      });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_USER_PAGE_SIZE) {
+      return res.status(400).json({
+        success: false,
+        message: `Limit must be between 1 and ${MAX_USER_PAGE_SIZE}`
+      });
+    }
+
+    // Names are stored escaped, so the search term is too
+    const search = typeof q === 'string' && q.trim() ? validator.escape(q.trim()) : null;
+
+    const rows = listUsers({
+      userType: userType || null,
+      status: status || null,
+      search,
+      after: after ? String(after).toLowerCase() : null,
+      limit: limit + 1
+    });
+    const page = rows.slice(0, limit);
+
+    req.log.debug('users retrieved', { employee: req.user.email, count: page.length });
+
+    res.json({
+      success: true,
+      users: page.map(presentAccount),
+      nextCursor: rows.length > limit ? page[page.length - 1].email : null
+    });
+
+  } catch (error) {
+    req.log.error('user list retrieval failed', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve users'
+    });
+  }
+});
+
+// Roles an employee can be given, with what each allows
+router.get('/roles', verifyToken, requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  res.json({
+    success: true,
+    roles: EMPLOYEE_ROLES.map(role => ({
+      role,
+      label: ROLES[role].label,
+      permissions: permissionsForRole(role)
+    }))
+  });
+});
+
+// Change an Employee's Role - their current access tokens are expired so the
+// new role applies from their next request, without signing them out
+router.put('/:email/role', verifyToken, requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  try {
+    const email = req.params.email.trim().toLowerCase();
+    const { role } = req.body;
+
+    // STEP 1: Input Validation
+    if (!EMPLOYEE_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${EMPLOYEE_ROLES.join(', ')}`,
+        errors: { role: `Role must be one of: ${EMPLOYEE_ROLES.join(', ')}` }
+      });
+    }
+
+    const user = findUserByEmail(email);
+    if (!user || user.userType !== 'employee') {
+      req.log.info('employee not found', { email });
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+
+    // STEP 2: Self-Change Check (an admin could otherwise lock everyone out of user management)
+    if (user.email === req.user.email) {
+      req.log.warn('role change refused', { reason: 'self', user: req.user.email });
+      return res.status(409).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    if (user.role === role) {
+      return res.json({
+        success: true,
+        message: `${user.email} is already ${ROLES[role].label}`,
+        user: { email: user.email, role }
+      });
+    }
+
+    // STEP 3: Update & Audit
+    const expiredSessions = withTransaction(() => {
+      updateUserRole(user.email, role);
+      recordAuditEvent({
+        actor: req.user.email,
+        action: AUDIT_ACTIONS.USER_ROLE_CHANGE,
+        target: user.email,
+        outcome: 'success',
+        ...requestContext(req),
+        details: { before: user.role, after: role }
+      });
+      return expireAccessTokens(user.email);
+    });
+
+    req.log.info('role changed', {
+      email: user.email,
+      before: user.role,
+      after: role,
+      changedBy: req.user.email,
+      expiredSessions
+    });
+
+    res.json({
+      success: true,
+      message: `${user.email} is now ${ROLES[role].label}`,
+      user: { email: user.email, role }
+    });
+
+  } catch (error) {
+    req.log.error('role change failed', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change role'
+    });
+  }
+});
+
+// The account an administration action targets, or null once the response
+// has been sent. Administrators act on other accounts only, so nobody can
+// lock themselves out.
+const findAccountToManage = (req, res, action) => {
+  const user = findUserByEmail(req.params.email.trim().toLowerCase());
+
+  if (!user) {
+    req.log.info('user not found', { email: req.params.email });
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  if (user.email === req.user.email) {
+    req.log.warn(`${action} refused`, { reason: 'self', user: req.user.email });
+    res.status(409).json({
+      success: false,
+      message: `You cannot ${action} your own account`
+    });
+    return null;
+  }
+
+  return user;
+};
+
+// Disable an Account - signs the user out everywhere; any access token they
+// still hold stops working on its next request
+router.post('/:email/disable', verifyToken, requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  try {
+    const user = findAccountToManage(req, res, 'disable');
+    if (!user) return;
+
+    if (user.disabledAt) {
+      return res.json({
+        success: true,
+        message: `${user.email} is already disabled`,
+        user: presentAccount(user)
+      });
+    }
+
+    const reason = typeof req.body.reason === 'string' ? validator.escape(req.body.reason.trim()).slice(0, 500) : '';
+
+    const revokedSessions = withTransaction(() => {
+      setUserDisabled(user.email, { disabledAt: new Date(), disabledBy: req.user.email });
+      const revoked = revokeAllSessions(user.email);
+      recordAuditEvent({
+        actor: req.user.email,
+        action: AUDIT_ACTIONS.USER_DISABLE,
+        target: user.email,
+        outcome: 'success',
+        ...requestContext(req),
+        details: { userType: user.userType, revokedSessions: revoked, ...(reason && { reason }) }
+      });
+      return revoked;
+    });
+
+    req.log.info('account disabled', { email: user.email, disabledBy: req.user.email, revokedSessions });
+
+    res.json({
+      success: true,
+      message: `${user.email} has been disabled`,
+      user: presentAccount(findUserByEmail(user.email))
+    });
+
+  } catch (error) {
+    req.log.error('account disable failed', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable account'
+    });
+  }
+});
+
+// Re-enable an Account - the user logs in again as normal
+router.post('/:email/enable', verifyToken, requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  try {
+    const user = findAccountToManage(req, res, 'enable');
+    if (!user) return;
+
+    if (!user.disabledAt) {
+      return res.json({
+        success: true,
+        message: `${user.email} is already active`,
+        user: presentAccount(user)
+      });
+    }
+
+    withTransaction(() => {
+      setUserDisabled(user.email, { disabledAt: null });
+      recordAuditEvent({
+        actor: req.user.email,
+        action: AUDIT_ACTIONS.USER_ENABLE,
+        target: user.email,
+        outcome: 'success',
+        ...requestContext(req),
+        details: { userType: user.userType, disabledAt: user.disabledAt.toISOString(), disabledBy: user.disabledBy }
+      });
+    });
+
+    req.log.info('account enabled', { email: user.email, enabledBy: req.user.email });
+
+    res.json({
+      success: true,
+      message: `${user.email} has been re-enabled`,
+      user: presentAccount(findUserByEmail(user.email))
+    });
+
+  } catch (error) {
+    req.log.error('account enable failed', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable account'
+    });
+  }
+});
+
+// Force a Password Reset - signs the user out everywhere. Their next login
+// has to get through their current password and second factor, and then
+// choose a new password before it gets a session. The administrator never
+// learns a password that works for the account.
+router.post('/:email/password-reset', verifyToken, requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res) => {
+  try {
+    const user = findAccountToManage(req, res, 'reset the password of');
+    if (!user) return;
+
+    // The reset is completed with the current password and second factor,
+    // so without two-factor it proves nothing a thief couldn't also prove
+    if (!isMfaEnabled(user)) {
+      req.log.warn('forced password reset refused', { reason: 'mfa_not_enabled', email: user.email, resetBy: req.user.email });
+      return res.status(409).json({
+        success: false,
+        message: `${user.email} has not set up two-factor authentication, so a reset would only ask for the current password. Disable the account instead`
+      });
+    }
+
+    const revokedSessions = withTransaction(() => {
+      requirePasswordReset(user.email);
+      const revoked = revokeAllSessions(user.email);
+      recordAuditEvent({
+        actor: req.user.email,
+        action: AUDIT_ACTIONS.USER_PASSWORD_RESET,
+        target: user.email,
+        outcome: 'success',
+        ...requestContext(req),
+        details: { userType: user.userType, revokedSessions: revoked }
+      });
+      return revoked;
+    });
+
+    req.log.info('password reset forced', { email: user.email, resetBy: req.user.email, revokedSessions });
+
+    res.json({
+      success: true,
+      message: `${user.email} has been signed out and must choose a new password at their next login`,
+      user: presentAccount(findUserByEmail(user.email))
+    });
+
+  } catch (error) {
+    req.log.error('forced password reset failed', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset password'
+    });
+  }
+});
+
+export default router;
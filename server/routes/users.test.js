@@ -0,0 +1,209 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { findUserByEmail, requirePasswordReset } from '../repositories/users.js';
+import { startSession } from '../services/sessions.js';
+import { TEST_PASSWORD, createAccount, nextCode, signIn, signedInAccount, startTestServer } from '../testing/http.js';
+
+const NEW_PASSWORD = 'N3w-Passw0rd!';
+
+describe('roles', () => {
+  let api;
+  let admin;
+
+  before(async () => {
+    api = await startTestServer();
+    admin = signedInAccount({ email: 'admin@example.com', role: 'admin' });
+  });
+
+  after(() => api.close());
+
+  const changeRole = (email, role, token = admin.token) =>
+    api.request('PUT', `/users/${encodeURIComponent(email)}/role`, { token, body: { role } });
+
+  it('creates employees with a role, for administrators only', async () => {
+    const compliance = signedInAccount({ email: 'compliance@example.com', role: 'compliance' });
+    const employee = { fullName: 'New Approver', email: 'approver@example.com', password: TEST_PASSWORD, role: 'approver' };
+
+    assert.equal((await api.request('POST', '/auth/employees', { token: compliance.token, body: employee })).status, 403);
+
+    const created = await api.request('POST', '/auth/employees', { token: admin.token, body: employee });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.user.role, 'approver');
+
+    const customerRole = await api.request('POST', '/auth/employees', {
+      token: admin.token,
+      body: { ...employee, email: 'customer-role@example.com', role: 'customer' }
+    });
+    assert.equal(customerRole.status, 400);
+  });
+
+  it('applies a new role from the next token, without signing the employee out', async () => {
+    const employee = createAccount({ email: 'moving@example.com', role: 'teller' });
+    const session = startSession(employee, { ip: '127.0.0.1', userAgent: 'node' });
+
+    assert.equal((await api.request('GET', '/payments/pending', { token: session.accessToken })).status, 200);
+    assert.equal((await api.request('GET', '/audit', { token: session.accessToken })).status, 403);
+
+    const changed = await changeRole(employee.email, 'auditor');
+    assert.equal(changed.status, 200);
+    assert.equal((await api.request('GET', '/payments/pending', { token: session.accessToken })).status, 401);
+
+    const { body } = await api.request('POST', '/auth/refresh', { body: { refreshToken: session.refreshToken } });
+    assert.equal((await api.request('GET', '/payments/pending', { token: body.token })).status, 403);
+    assert.equal((await api.request('GET', '/audit', { token: body.token })).status, 200);
+  });
+
+  it('only gives employees employee roles, and not their own', async () => {
+    const teller = createAccount({ email: 'teller@example.com', role: 'teller' });
+    const customer = createAccount({ email: 'customer@example.com' });
+
+    assert.equal((await changeRole(teller.email, 'customer')).status, 400);
+    assert.equal((await changeRole(teller.email, 'superuser')).status, 400);
+    assert.equal((await changeRole(customer.email, 'teller')).status, 404);
+    assert.equal((await changeRole(admin.email, 'teller')).status, 409);
+    assert.equal((await changeRole(teller.email, 'admin', signIn(teller))).status, 403);
+  });
+
+  it('lists the roles with their permissions for administrators', async () => {
+    const { body } = await api.request('GET', '/users/roles', { token: admin.token });
+    const roles = Object.fromEntries(body.roles.map(({ role, permissions }) => [role, permissions]));
+
+    assert.deepEqual(Object.keys(roles).sort(), ['admin', 'approver', 'auditor', 'compliance', 'teller']);
+    assert.ok(roles.admin.includes('users:manage'));
+    assert.ok(!roles.teller.includes('payments:approve'));
+
+    const customer = signedInAccount({ email: 'curious@example.com' });
+    assert.equal((await api.request('GET', '/users/roles', { token: customer.token })).status, 403);
+  });
+});
+
+describe('account administration', () => {
+  let api;
+  let admin;
+
+  before(async () => {
+    api = await startTestServer();
+    admin = signedInAccount({ email: 'admin@example.com', role: 'admin' });
+  });
+
+  after(() => api.close());
+
+  const manage = (path, token = admin.token) => api.request('POST', path, { token, body: {} });
+  const login = (email) =>
+    api.request('POST', '/auth/login', { body: { email, password: TEST_PASSWORD, userType: 'customer' } });
+
+  it('signs a disabled account out and refuses its logins until it is enabled', async () => {
+    const customer = signedInAccount({ email: 'suspended@example.com' });
+
+    const disabled = await manage(`/users/${customer.email}/disable`);
+    assert.equal(disabled.status, 200);
+    assert.equal(disabled.body.user.status, 'disabled');
+    assert.equal((await api.request('GET', '/payments/history', { token: customer.token })).status, 401);
+    assert.equal((await login(customer.email)).status, 403);
+
+    const again = await manage(`/users/${customer.email}/disable`);
+    assert.equal(again.status, 200);
+    assert.match(again.body.message, /already disabled/);
+
+    const enabled = await manage(`/users/${customer.email}/enable`);
+    assert.equal(enabled.body.user.status, 'active');
+    assert.equal((await login(customer.email)).status, 200);
+  });
+
+  it('is for administrators only, and not on their own account', async () => {
+    const teller = signedInAccount({ email: 'teller@example.com', role: 'teller' });
+
+    assert.equal((await manage(`/users/${admin.email}/disable`)).status, 409);
+    assert.equal((await manage('/users/nobody@example.com/disable')).status, 404);
+    assert.equal((await manage(`/users/${admin.email}/disable`, teller.token)).status, 403);
+    assert.equal((await api.request('GET', '/users', { token: teller.token })).status, 403);
+  });
+
+  it('lists accounts by type, status and name, a page at a time', async () => {
+    createAccount({ email: 'alpha@example.com' });
+    createAccount({ email: 'bravo@example.com' });
+    createAccount({ email: 'charlie@example.com' });
+    const list = async (query) => (await api.request('GET', `/users?${query}`, { token: admin.token })).body;
+
+    const first = await list('userType=customer&status=active&limit=2');
+    assert.deepEqual(first.users.map(user => user.email), ['alpha@example.com', 'bravo@example.com']);
+    const second = await list(`userType=customer&status=active&limit=2&after=${first.nextCursor}`);
+    assert.equal(second.users[0].email, 'charlie@example.com');
+
+    const employees = await list('userType=employee');
+    assert.ok(employees.users.every(user => user.userType === 'employee'));
+    assert.deepEqual((await list('q=charlie')).users.map(user => user.email), ['charlie@example.com']);
+
+    assert.equal((await api.request('GET', '/users?status=locked', { token: admin.token })).status, 400);
+  });
+});
+
+describe('forced password reset', () => {
+  let api;
+  let admin;
+
+  before(async () => {
+    api = await startTestServer();
+    admin = signedInAccount({ email: 'admin@example.com', role: 'admin' });
+  });
+
+  after(() => api.close());
+
+  const reset = (email) => api.request('POST', `/users/${encodeURIComponent(email)}/password-reset`, { token: admin.token });
+  const login = (email, password = TEST_PASSWORD) =>
+    api.request('POST', '/auth/login', { body: { email, password, userType: 'customer' } });
+
+  it('needs the second factor as well as the current password to choose a new one', async () => {
+    const customer = signedInAccount({ email: 'reset@example.com', mfa: true });
+
+    const forced = await reset(customer.email);
+    assert.equal(forced.status, 200);
+    assert.equal(forced.body.user.passwordResetRequired, true);
+    assert.equal((await api.request('GET', '/auth/mfa', { token: customer.token })).status, 401);
+
+    const first = await login(customer.email);
+    assert.equal(first.body.mfaRequired, true);
+    assert.equal(first.body.resetToken, undefined);
+
+    const second = await api.request('POST', '/auth/mfa/verify', {
+      body: { mfaToken: first.body.mfaToken, code: nextCode(customer) }
+    });
+    assert.equal(second.body.passwordResetRequired, true);
+    assert.equal(second.body.token, undefined);
+
+    const chosen = await api.request('POST', '/auth/password/reset', {
+      body: { resetToken: second.body.resetToken, newPassword: NEW_PASSWORD }
+    });
+    assert.equal(chosen.status, 200);
+    assert.ok(chosen.body.token);
+    assert.equal(findUserByEmail(customer.email).passwordResetRequired, false);
+  });
+
+  it('is refused for accounts without two-factor', async () => {
+    const customer = createAccount({ email: 'no-mfa@example.com' });
+
+    const refused = await reset(customer.email);
+    assert.equal(refused.status, 409);
+    assert.equal(findUserByEmail(customer.email).passwordResetRequired, false);
+    assert.equal((await login(customer.email)).status, 200);
+  });
+
+  it("won't hand a reset token to the current password alone", async () => {
+    const customer = createAccount({ email: 'flagged@example.com' });
+    requirePasswordReset(customer.email);
+
+    const { status, body } = await login(customer.email);
+    assert.equal(status, 403);
+    assert.equal(body.resetToken, undefined);
+  });
+
+  it('is for administrators only, and not on their own account', async () => {
+    const approver = signedInAccount({ email: 'approver@example.com', role: 'approver' });
+    const customer = createAccount({ email: 'target@example.com', mfa: true });
+
+    const denied = await api.request('POST', `/users/${customer.email}/password-reset`, { token: approver.token });
+    assert.equal(denied.status, 403);
+    assert.equal((await reset(admin.email)).status, 409);
+    assert.equal((await reset('nobody@example.com')).status, 404);
+  });
+});
@@ -0,0 +1,335 @@
+import express from 'express';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../services/permissions.js';
+import { withTransaction } from '../db/index.js';
+import {
+  abandonPendingWebhookDeliveries,
+  createWebhookSubscription,
+  findActiveWebhookSubscriptions,
+  findWebhookAttempts,
+  findWebhookDeliveriesByOwner,
+  findWebhookDeliveryById,
+  findWebhookSubscriptionById,
+  markWebhookSubscriptionDeleted
+} from '../repositories/webhooks.js';
+import {
+  MAX_WEBHOOK_SUBSCRIPTIONS,
+  WEBHOOK_EVENT_TYPES,
+  generateWebhookSecret,
+  queueRedelivery,
+  validateWebhookUrl
+} from '../services/webhooks.js';
+import { AUDIT_ACTIONS, recordAuditEvent, requestContext } from '../services/audit.js';
+
+const router = express.Router();
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'dead'];
+const DEFAULT_DELIVERY_PAGE_SIZE = 25;
+const MAX_DELIVERY_PAGE_SIZE = 100;
+
+// The secret is only ever returned once, when the subscription is created
+const presentSubscription = ({ ownerEmail, secret, ...subscription }) => subscription;
+
+const presentDelivery = ({ payload, ...delivery }) => delivery;
+
+const auditWebhook = (req, action, target, details) => {
+  recordAuditEvent({
+    actor: req.user.email,
+    action,
+    target,
+    outcome: 'success',
+    ...requestContext(req),
+    details
+  });
+};
+
+const findSubscriptionForRequest = (req, res) => {
+  const subscription = findWebhookSubscriptionById(req.params.subscriptionId);
+
+  if (!subscription || subscription.ownerEmail !== req.user.email || subscription.deletedAt) {
+    req.log.info('webhook subscription not found', { subscriptionId: req.params.subscriptionId });
+    res.status(404).json({
+      success: false,
+      message: 'Webhook not found'
+    });
+    return null;
+  }
+
+  return subscription;
+};
+
+// Deliveries are looked up through their subscription so customers only see their own
+const findDeliveryForRequest = (req, res) => {
+  const delivery = findWebhookDeliveryById(req.params.deliveryId);
+  const subscription = delivery ? findWebhookSubscriptionById(delivery.subscriptionId) : null;
+
+  if (!subscription || subscription.ownerEmail !== req.user.email) {
+    req.log.info('webhook delivery not found', { deliveryId: req.params.deliveryId });
+    res.status(404).json({
+      success: false,
+      message: 'Delivery not found'
+    });
+    return null;
+  }
+
+  return { delivery, subscription };
+};
+
+const validateSubscription = async ({ url, eventTypes }) => {
+  const errors = {};
+
+  const urlError = await validateWebhookUrl(url);
+  if (urlError) errors.url = urlError;
+
+  if (!Array.isArray(eventTypes) || eventTypes.length === 0
+    || !eventTypes.every(type => WEBHOOK_EVENT_TYPES.includes(type))) {
+    errors.eventTypes = `Choose one or more of: ${WEBHOOK_EVENT_TYPES.join(', ')}`;
+  }
+
+  return Object.keys(errors).length > 0
+    ? { errors }
+    : { subscription: { url, eventTypes: [...new Set(eventTypes)] } };
+};
+
+// List My Webhooks
+router.get('/', verifyToken, requirePermission(PERMISSIONS.WEBHOOKS_MANAGE), async (req, res) => {
+  try {
+    const subscriptions = findActiveWebhookSubscriptions(req.user.email).map(presentSubscription);
+
+    req.log.debug('webhook subscriptions retrieved', { user: req.user.email, subscriptions: subscriptions.length });
+
+    res.json({
+      success: true,
+      subscriptions,
+      eventTypes: WEBHOOK_EVENT_TYPES
+    });
+
+  } catch (error) {
+    req.log.error('webhook subscription list retrieval failed', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve webhooks'
+    });
+  }
+});
+
+// Subscribe an Endpoint to Payment Status Events
+router.post('/', verifyToken, requirePermission(PERMISSIONS.WEBHOOKS_MANAGE), async (req, res) => {
+  try {
+    // STEP 1: Input Validation
+    const { subscription, errors } = await validateSubscription(req.body);
+    if (errors) {
+      req.log.info('webhook create rejected', { reason: 'validation', fields: Object.keys(errors) });
+      return res.status(400).json({
+        success: false,
+        message: Object.values(errors)[0],
+        errors
+      });
+    }
+
+    // STEP 2: Subscription Limit & Storage
+    const created = withTransaction(() => {
+      if (findActiveWebhookSubscriptions(req.user.email).length >= MAX_WEBHOOK_SUBSCRIPTIONS) return null;
+
+      const saved = createWebhookSubscription({
+        subscriptionId: `WHS${Date.now()}${Math.random().toString(36).substr(2, 9).toUpperCase()}`,
+        ownerEmail: req.user.email,
+        url: subscription.url,
+        eventTypes: subscription.eventTypes,
+        secret: generateWebhookSecret()
+      });
+      auditWebhook(req, AUDIT_ACTIONS.WEBHOOK_CREATE, saved.subscriptionId, {
+        url: saved.url,
+        eventTypes: saved.eventTypes
+      });
+      return saved;
+    });
+
+    if (!created) {
+      req.log.info('webhook create rejected', { reason: 'limit', user: req.user.email });
+      return res.status(409).json({
+        success: false,
+        message: `You can have at most ${MAX_WEBHOOK_SUBSCRIPTIONS} webhooks`
+      });
+    }
+
+    req.log.info('webhook subscription created', {
+      user: req.user.email,
+      subscriptionId: created.subscriptionId,
+      eventTypes: created.eventTypes
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created. Copy the signing secret now; it will not be shown again.',
+      subscription: presentSubscription(created),
+      signingSecret: created.secret
+    });
+
+  } catch (error) {
+    req.log.error('webhook create failed', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create webhook'
+    });
+  }
+});
+
+// Delivery Log - newest first, paged with ?before=<deliveryId>
+router.get('/deliveries', verifyToken, requirePermission(PERMISSIONS.WEBHOOKS_MANAGE), async (req, res) => {
+  try {
+    const { subscriptionId, status, before } = req.query;
+    const limit = req.query.limit === undefined ? DEFAULT_DELIVERY_PAGE_SIZE : Number(req.query.limit);
+
+    if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${DELIVERY_STATUSES.join(', ')}`
+      });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_DELIVERY_PAGE_SIZE) {
+      return res.status(400).json({
+        success: false,
+        message: `Limit must be between 1 and ${MAX_DELIVERY_PAGE_SIZE}`
+      });
+    }
+
+    let position = null;
+    if (before !== undefined) {
+      const cursor = findWebhookDeliveryById(String(before));
+      if (!cursor) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid cursor'
+        });
+      }
+      position = { createdAt: cursor.createdAt.toISOString(), deliveryId: cursor.deliveryId };
+    }
+
+    const rows = findWebhookDeliveriesByOwner(req.user.email, {
+      subscriptionId: subscriptionId ? String(subscriptionId) : null,
+      status,
+      before: position,
+      limit: limit + 1
+    });
+    const page = rows.slice(0, limit);
+
+    res.json({
+      success: true,
+      deliveries: page.map(presentDelivery),
+      nextCursor: rows.length > limit ? page[page.length - 1].deliveryId : null
+    });
+
+  } catch (error) {
+    req.log.error('webhook delivery log retrieval failed', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve webhook deliveries'
+    });
+  }
+});
+
+// One Delivery with the Event Sent and Every Attempt
+router.get('/deliveries/:deliveryId', verifyToken, requirePermission(PERMISSIONS.WEBHOOKS_MANAGE), async (req, res) => {
+  try {
+    const found = findDeliveryForRequest(req, res);
+    if (!found) return;
+
+    res.json({
+      success: true,
+      delivery: {
+        ...presentDelivery(found.delivery),
+        event: JSON.parse(found.delivery.payload),
+        url: found.subscription.url,
+        attemptLog: findWebhookAttempts(found.delivery.deliveryId)
+      }
+    });
+
+  } catch (error) {
+    req.log.error('webhook delivery retrieval failed', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve webhook delivery'
+    });
+  }
+});
+
+// Send an Event Again - as a new delivery, so the original's attempts stay on record
+router.post('/deliveries/:deliveryId/redeliver', verifyToken, requirePermission(PERMISSIONS.WEBHOOKS_MANAGE), async (req, res) => {
+  try {
+    const found = findDeliveryForRequest(req, res);
+    if (!found) return;
+
+    if (found.subscription.deletedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'This webhook has been deleted'
+      });
+    }
+    if (found.delivery.status === 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: 'This delivery is still being attempted'
+      });
+    }
+
+    const redelivery = withTransaction(() => {
+      const queued = queueRedelivery(found.delivery);
+      auditWebhook(req, AUDIT_ACTIONS.WEBHOOK_REDELIVER, queued.deliveryId, {
+        redeliveryOf: found.delivery.deliveryId,
+        eventId: found.delivery.eventId,
+        eventType: found.delivery.eventType
+      });
+      return queued;
+    });
+
+    req.log.info('webhook redelivery queued', {
+      user: req.user.email,
+      deliveryId: redelivery.deliveryId,
+      redeliveryOf: found.delivery.deliveryId
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Event queued for redelivery',
+      delivery: presentDelivery(redelivery)
+    });
+
+  } catch (error) {
+    req.log.error('webhook redelivery failed', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to redeliver event'
+    });
+  }
+});
+
+// Delete a Webhook - anything still queued for it is moved to dead letters
+router.delete('/:subscriptionId', verifyToken, requirePermission(PERMISSIONS.WEBHOOKS_MANAGE), async (req, res) => {
+  try {
+    const subscription = findSubscriptionForRequest(req, res);
+    if (!subscription) return;
+
+    withTransaction(() => {
+      markWebhookSubscriptionDeleted(subscription.subscriptionId);
+      abandonPendingWebhookDeliveries(subscription.subscriptionId, 'Subscription deleted');
+      auditWebhook(req, AUDIT_ACTIONS.WEBHOOK_DELETE, subscription.subscriptionId, { url: subscription.url });
+    });
+
+    req.log.info('webhook subscription deleted', { user: req.user.email, subscriptionId: subscription.subscriptionId });
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted'
+    });
+
+  } catch (error) {
+    req.log.error('webhook delete failed', { error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete webhook'
+    });
+  }
+});
+
+export default router;
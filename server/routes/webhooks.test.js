@@ -0,0 +1,125 @@
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import http from 'http';
+import { after, before, describe, it } from 'node:test';
+import { setTimeout as sleep } from 'timers/promises';
+import { SIGNATURE_HEADER, verifyWebhookSignature } from '../services/webhookSignature.js';
+import { TEST_PAYMENT, signedInAccount, startTestServer } from '../testing/http.js';
+
+// The receiver below listens on loopback, which endpoints may only use when allowed
+process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+
+// An endpoint that answers 200 and hands each request it gets to the next waiting test
+const startReceiver = async () => {
+  const waiting = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      res.end();
+      waiting.shift()?.({ headers: req.headers, body });
+    });
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hooks`,
+    nextRequest: () => new Promise((resolve) => waiting.push(resolve)),
+    close: () => {
+      server.closeAllConnections();
+      server.close();
+    }
+  };
+};
+
+describe('webhooks', () => {
+  let api;
+  let receiver;
+
+  before(async () => {
+    api = await startTestServer();
+    receiver = await startReceiver();
+  });
+
+  after(async () => {
+    receiver.close();
+    await api.close();
+  });
+
+  const asCustomer = (customer) => (method, path, body) => api.request(method, path, { token: customer.token, body });
+
+  // Deliveries are recorded just after the endpoint answers
+  const settledDelivery = async (call, matches) => {
+    for (let attempt = 0; attempt < 50; attempt += 1) {
+      const { body } = await call('GET', '/webhooks/deliveries');
+      const delivery = body.deliveries.find(entry => matches(entry) && entry.status !== 'pending');
+      if (delivery) return delivery;
+      await sleep(20);
+    }
+    throw new Error('The delivery was not recorded');
+  };
+
+  it('sends signed payment events to the endpoint', async () => {
+    const call = asCustomer(signedInAccount({ email: 'hooked@example.com' }));
+
+    const created = await call('POST', '/webhooks', { url: receiver.url, eventTypes: ['payment.pending'] });
+    assert.equal(created.status, 201);
+    const secret = created.body.signingSecret;
+    assert.match(secret, /^whsec_/);
+
+    const { body: list } = await call('GET', '/webhooks');
+    assert.equal(list.subscriptions.length, 1);
+    assert.equal(list.subscriptions[0].secret, undefined);
+
+    const received = receiver.nextRequest();
+    const { body: payment } = await call('POST', '/payments/process', TEST_PAYMENT);
+    const { headers, body } = await received;
+
+    assert.deepEqual(verifyWebhookSignature(secret, headers[SIGNATURE_HEADER.toLowerCase()], body), { valid: true });
+    const event = JSON.parse(body);
+    assert.equal(event.type, 'payment.pending');
+    assert.equal(event.data.transaction.transactionId, payment.transactionId);
+    assert.equal(event.data.transaction.riskScore, undefined);
+
+    const delivery = await settledDelivery(call, entry => entry.eventId === event.id);
+    assert.equal(delivery.status, 'delivered');
+
+    const redelivered = receiver.nextRequest();
+    const again = await call('POST', `/webhooks/deliveries/${delivery.deliveryId}/redeliver`, {});
+    assert.equal(again.status, 202);
+    assert.equal(JSON.parse((await redelivered).body).id, event.id);
+
+    const redelivery = await settledDelivery(call, entry => entry.deliveryId === again.body.delivery.deliveryId);
+    assert.equal(redelivery.status, 'delivered');
+    assert.equal(redelivery.redeliveryOf, delivery.deliveryId);
+  });
+
+  it('refuses endpoints on private networks and unknown events', async () => {
+    const call = asCustomer(signedInAccount({ email: 'private@example.com' }));
+
+    const privateUrl = await call('POST', '/webhooks', { url: 'http://10.0.0.1/hooks', eventTypes: ['payment.pending'] });
+    assert.equal(privateUrl.status, 400);
+    assert.ok(privateUrl.body.errors.url);
+
+    const unknownEvent = await call('POST', '/webhooks', { url: receiver.url, eventTypes: ['payment.sent'] });
+    assert.equal(unknownEvent.status, 400);
+    assert.ok(unknownEvent.body.errors.eventTypes);
+  });
+
+  it('keeps webhooks and their deliveries to their owner', async () => {
+    const owner = asCustomer(signedInAccount({ email: 'owner@example.com' }));
+    const other = asCustomer(signedInAccount({ email: 'other@example.com' }));
+    const teller = asCustomer(signedInAccount({ email: 'teller@example.com', role: 'teller' }));
+    const { body } = await owner('POST', '/webhooks', { url: receiver.url, eventTypes: ['payment.verified'] });
+    const path = `/webhooks/${body.subscription.subscriptionId}`;
+
+    assert.equal((await teller('GET', '/webhooks')).status, 403);
+    assert.equal((await other('DELETE', path)).status, 404);
+    assert.equal((await other('GET', '/webhooks/deliveries/WHD0')).status, 404);
+
+    assert.equal((await owner('DELETE', path)).status, 200);
+    assert.equal((await owner('DELETE', path)).status, 404);
+  });
+});
@@ -1,288 +1,38 @@
-import express from 'express';
-import cors from 'cors';
-import helmet from 'helmet';
-import rateLimit from 'express-rate-limit';
 import dotenv from 'dotenv';
-import authRoutes from './routes/auth.js';
-import paymentRoutes from './routes/payments.js';
+import { createApp } from './app.js';
+import { loadSanctionsLists } from './services/sanctions.js';
+import { startWebhookDispatcher } from './services/webhooks.js';
+import { seedDemoAccounts } from './db/fixtures.js';
+import { logger } from './logging/logger.js';
 
 dotenv.config();
 
-const app = express();
+const app = createApp();
 const PORT = process.env.PORT || 5000;
 
-// ============================================
-// SECURITY FEATURES DOCUMENTATION LOGGER
-// ============================================
-console.log('\n' + '='.repeat(80));
-console.log('🔒 INTERNATIONAL PAYMENTS PORTAL - SECURITY FEATURES ACTIVATED');
-console.log('='.repeat(80));
-
-// Feature 1: Password Security with Hashing and Salting
-console.log('\n✅ [FEATURE 1] PASSWORD SECURITY');
-console.log('   - Implementation: bcrypt with 10 salt rounds');
-console.log('   - Location: routes/auth.js (lines with bcrypt.hash)');
-console.log('   - Validation: 8+ chars, uppercase, lowercase, number, special char');
-console.log('   - Status: ACTIVE ✓');
-
-// Feature 2: Input Validation with RegEx
-console.log('\n✅ [FEATURE 2] INPUT VALIDATION (REGEX PATTERNS)');
-console.log('   - Email validation: validator.isEmail()');
-console.log('   - Password regex: /[A-Z]/, /[a-z]/, /[0-9]/, /[!@#$%^&*]/');
-console.log('   - SWIFT code regex: /^[A-Z]{6}[A-Z0-9]{2}([A-Z0-9]{3})?$/');
-console.log('   - Account validation: Minimum 5 characters');
-console.log('   - Input sanitization: validator.escape() on all inputs');
-console.log('   - Location: routes/auth.js & routes/payments.js');
-console.log('   - Status: ACTIVE ✓');
-
-// Feature 3: SSL/HTTPS Configuration
-console.log('\n✅ [FEATURE 3] SSL/HTTPS SECURITY');
-console.log('   - HSTS enabled: max-age=31536000 (1 year)');
-console.log('   - includeSubDomains: true');
-console.log('   - preload: true');
-console.log('   - Location: Helmet configuration below');
-console.log('   - Status: ACTIVE ✓');
-
-// Security Middleware with detailed logging
-app.use(helmet({
-  contentSecurityPolicy: {
-    directives: {
-      defaultSrc: ["'self'"],
-      styleSrc: ["'self'", "'unsafe-inline'"],
-      scriptSrc: ["'self'"],
-      imgSrc: ["'self'", "data:", "https:"],
-    },
-  },
-  hsts: {
-    maxAge: 31536000,
-    includeSubDomains: true,
-    preload: true
+// Watch lists load in the background; until they do every payment is held
+loadSanctionsLists().then(({ loaded, errors, status }) => {
+  if (loaded) {
+    logger.info('sanctions lists loaded', { version: status.version, lists: status.lists, names: status.names });
+  } else {
+    logger.error('sanctions lists not loaded, payments will be held', { errors });
   }
-}));
-
-console.log('\n✅ [FEATURE 4] ATTACK PROTECTION - HELMET.JS');
-console.log('   - XSS Protection: Enabled');
-console.log('   - Content Security Policy: Configured');
-console.log('   - X-Frame-Options: DENY (Clickjacking protection)');
-console.log('   - X-Content-Type-Options: nosniff');
-console.log('   - Referrer-Policy: Configured');
-console.log('   - Status: ACTIVE ✓');
-
-// CORS Configuration with logging
-app.use(cors({
-  origin: process.env.FRONTEND_URL || 'http://localhost:3000',
-  credentials: true
-}));
-
-console.log('\n✅ [FEATURE 5] CORS (Cross-Origin Resource Sharing)');
-console.log(`   - Allowed Origin: ${process.env.FRONTEND_URL || 'http://localhost:3000'}`);
-console.log('   - Credentials: Enabled');
-console.log('   - Protection: Only whitelisted origins can access API');
-console.log('   - Status: ACTIVE ✓');
-
-// Rate Limiting with detailed logging
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100,
-  message: 'Too many requests from this IP, please try again later.',
-  handler: (req, res) => {
-    console.log(`⚠️  RATE LIMIT EXCEEDED - IP: ${req.ip} - Time: ${new Date().toISOString()}`);
-    res.status(429).json({
-      success: false,
-      message: 'Too many requests from this IP, please try again later.'
-    });
-  }
-});
-
-app.use('/api/', limiter);
-
-console.log('\n✅ [FEATURE 6] RATE LIMITING (DDoS Protection)');
-console.log('   - Window: 15 minutes');
-console.log('   - Max Requests: 100 per IP');
-console.log('   - Applied to: All /api/* routes');
-console.log('   - Protection: Prevents brute force and DDoS attacks');
-console.log('   - Status: ACTIVE ✓');
-
-// Body Parser
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-
-// Request Logger Middleware
-app.use((req, res, next) => {
-  const timestamp = new Date().toISOString();
-  console.log(`\n📊 [${timestamp}] ${req.method} ${req.path}`);
-  console.log(`   IP: ${req.ip}`);
-  console.log(`   User-Agent: ${req.get('user-agent')}`);
-  next();
-});
-
-console.log('\n✅ [FEATURE 7] JWT AUTHENTICATION');
-console.log('   - Token Type: JSON Web Token (JWT)');
-console.log('   - Expiration: 24 hours');
-console.log('   - Location: middleware/auth.js');
-console.log('   - Protected Routes: /api/payments/* ');
-console.log('   - Status: ACTIVE ✓');
-
-console.log('\n✅ [FEATURE 8] SQL INJECTION PROTECTION');
-console.log('   - Method: Input sanitization with validator.escape()');
-console.log('   - Applied to: All user inputs');
-console.log('   - Location: All routes with sanitizeInput()');
-console.log('   - Status: ACTIVE ✓');
-
-console.log('\n✅ [FEATURE 9] USER TYPE VERIFICATION');
-console.log('   - Types: Customer, Employee');
-console.log('   - Verification: On login and JWT token');
-console.log('   - Portal Separation: Enforced');
-console.log('   - Status: ACTIVE ✓');
-
-console.log('\n✅ [FEATURE 10] SECURE ERROR HANDLING');
-console.log('   - Production: Generic error messages (no stack traces)');
-console.log('   - Development: Detailed error info for debugging');
-console.log('   - Status: ACTIVE ✓');
-
-// Routes
-app.use('/api/auth', authRoutes);
-app.use('/api/payments', paymentRoutes);
-
-// Health Check with Security Status
-app.get('/api/health', (req, res) => {
-  res.json({ 
-    status: 'OK', 
-    message: 'Server is running',
-    security: {
-      helmet: 'ACTIVE',
-      cors: 'ACTIVE',
-      rateLimit: 'ACTIVE',
-      jwt: 'ACTIVE',
-      inputValidation: 'ACTIVE',
-      passwordHashing: 'ACTIVE'
-    },
-    timestamp: new Date().toISOString()
-  });
 });
 
-// Security Features Endpoint (For Demonstration)
-app.get('/api/security/features', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Security Features Overview',
-    features: {
-      authentication: {
-        name: 'JWT Authentication',
-        status: 'ACTIVE',
-        description: 'JSON Web Tokens with 24h expiration',
-        location: 'middleware/auth.js'
-      },
-      passwordSecurity: {
-        name: 'Password Hashing & Salting',
-        status: 'ACTIVE',
-        description: 'bcrypt with 10 salt rounds',
-        requirements: '8+ chars, uppercase, lowercase, number, special char',
-        location: 'routes/auth.js'
-      },
-      inputValidation: {
-        name: 'Input Validation (RegEx)',
-        status: 'ACTIVE',
-        patterns: {
-          email: 'validator.isEmail()',
-          password: 'Multiple regex patterns',
-          swiftCode: '/^[A-Z]{6}[A-Z0-9]{2}([A-Z0-9]{3})?$/',
-          sanitization: 'validator.escape()'
-        },
-        location: 'routes/auth.js & routes/payments.js'
-      },
-      https: {
-        name: 'HTTPS/SSL Security',
-        status: 'ACTIVE',
-        hsts: {
-          maxAge: '31536000 seconds (1 year)',
-          includeSubDomains: true,
-          preload: true
-        },
-        location: 'server.js (Helmet configuration)'
-      },
-      attackProtection: {
-        name: 'Multi-Layer Attack Protection',
-        status: 'ACTIVE',
-        protections: [
-          'XSS (Cross-Site Scripting)',
-          'CSRF (Cross-Site Request Forgery)',
-          'Clickjacking',
-          'SQL Injection',
-          'NoSQL Injection',
-          'DDoS (via Rate Limiting)',
-          'Brute Force (via Rate Limiting)'
-        ],
-        tools: ['Helmet.js', 'express-rate-limit', 'validator']
-      },
-      rateLimiting: {
-        name: 'Rate Limiting',
-        status: 'ACTIVE',
-        config: {
-          window: '15 minutes',
-          maxRequests: 100,
-          appliedTo: '/api/* routes'
-        },
-        location: 'server.js'
-      },
-      cors: {
-        name: 'CORS Protection',
-        status: 'ACTIVE',
-        allowedOrigin: process.env.FRONTEND_URL || 'http://localhost:3000',
-        credentials: true,
-        location: 'server.js'
-      }
-    }
-  });
-});
+// Opt-in, for local development only; see the README for the accounts
+if (process.env.SEED_DEMO_ACCOUNTS === 'true') {
+  seedDemoAccounts().catch(error => logger.error('demo account seeding failed', { error }));
+}
 
-// Error Handler with Security Logging
-app.use((err, req, res, next) => {
-  console.error(`\n❌ ERROR OCCURRED:`);
-  console.error(`   Route: ${req.method} ${req.path}`);
-  console.error(`   IP: ${req.ip}`);
-  console.error(`   Time: ${new Date().toISOString()}`);
-  console.error(`   Error: ${err.message}`);
-  
-  res.status(500).json({
-    success: false,
-    message: 'Internal server error',
-    error: process.env.NODE_ENV === 'development' ? err.message : undefined
-  });
-});
-
-// 404 Handler with Logging
-app.use((req, res) => {
-  console.log(`\n⚠️  404 NOT FOUND: ${req.method} ${req.path} - IP: ${req.ip}`);
-  res.status(404).json({
-    success: false,
-    message: 'Route not found'
-  });
-});
+// Deliveries left pending by a restart are picked up by the first poll
+startWebhookDispatcher();
 
 // Start Server with Complete Feature Summary
 app.listen(PORT, () => {
-  console.log('\n' + '='.repeat(80));
-  console.log('🚀 SERVER STARTED SUCCESSFULLY');
-  console.log('='.repeat(80));
-  console.log(`\n📡 API Available at: http://localhost:${PORT}/api`);
-  console.log(`🏥 Health Check: http://localhost:${PORT}/api/health`);
-  console.log(`🔐 Security Features: http://localhost:${PORT}/api/security/features`);
-  console.log(`\n👤 Pre-seeded Accounts:`);
-  console.log(`   Employee: employee@company.com / Employee123!`);
-  console.log(`   Customer: customer@example.com / CustomerPass1!`);
-  console.log('\n📋 SECURITY FEATURES SUMMARY:');
-  console.log('   ✓ Password Hashing & Salting (bcrypt)');
-  console.log('   ✓ Input Validation with RegEx');
-  console.log('   ✓ HTTPS/SSL with HSTS');
-  console.log('   ✓ JWT Authentication (24h expiration)');
-  console.log('   ✓ Rate Limiting (100 req/15min)');
-  console.log('   ✓ Helmet.js Security Headers');
-  console.log('   ✓ CORS Protection');
-  console.log('   ✓ XSS Protection');
-  console.log('   ✓ SQL Injection Protection');
-  console.log('   ✓ Request Logging');
-  console.log('\n' + '='.repeat(80));
-  console.log('✨ All security features are ACTIVE and ready for demonstration');
-  console.log('='.repeat(80) + '\n');
+  logger.info('server started', {
+    port: Number(PORT),
+    api: `http://localhost:${PORT}/api`,
+    health: `http://localhost:${PORT}/api/health`,
+    securityFeatures: `http://localhost:${PORT}/api/security/features`
+  });
 });
\ No newline at end of file
@@ -0,0 +1,156 @@
+// Beneficiary account validation. IBAN countries are checked against the
+// IBAN registry structure and the ISO 7064 mod-97 checksum; other countries
+// use their domestic account-number rules. The beneficiary's country comes
+// from the IBAN or, for domestic accounts, from the BIC (characters 5-6).
+
+// BBAN structure per the SWIFT IBAN registry: n = digits, a = upper-case
+// letters, c = alphanumerics. IBAN length is 4 + the BBAN length.
+const IBAN_FORMATS = {
+  AD: '4n4n12c', AE: '3n16n', AL: '8n16c', AT: '5n11n', AZ: '4a20c',
+  BA: '3n3n8n2n', BE: '3n7n2n', BG: '4a4n2n8c', BH: '4a14c', BR: '8n5n10n1a1c',
+  CH: '5n12c', CR: '4n14n', CY: '3n5n16c', CZ: '4n6n10n', DE: '8n10n',
+  DK: '4n9n1n', DO: '4c20n', EE: '2n2n11n1n', EG: '4n4n17n', ES: '4n4n1n1n10n',
+  FI: '3n11n', FO: '4n9n1n', FR: '5n5n11c2n', GB: '4a6n8n', GE: '2a16n',
+  GI: '4a15c', GL: '4n9n1n', GR: '3n4n16c', GT: '4c20c', HR: '7n10n',
+  HU: '3n4n1n15n1n', IE: '4a6n8n', IL: '3n3n13n', IQ: '4a3n12n', IS: '4n2n6n10n',
+  IT: '1a5n5n12c', JO: '4a4n18c', KW: '4a22c', KZ: '3n13c', LB: '4n20c',
+  LC: '4a24c', LI: '5n12c', LT: '5n11n', LU: '3n13c', LV: '4a13c',
+  MC: '5n5n11c2n', MD: '2c18c', ME: '3n13n2n', MK: '3n10c2n', MR: '5n5n11n2n',
+  MT: '4a5n18c', MU: '4a2n2n12n3n3a', NL: '4a10n', NO: '4n6n1n', PK: '4a16c',
+  PL: '8n16n', PS: '4a21c', PT: '4n4n11n2n', QA: '4a21c', RO: '4a16c',
+  RS: '3n13n2n', SA: '2n18c', SC: '4a2n2n16n3a', SE: '3n16n1n', SI: '5n8n2n',
+  SK: '4n6n10n', SM: '1a5n5n12c', TN: '2n3n13n2n', TR: '5n1n16c', UA: '6n19c',
+  VA: '3n15n', VG: '4a16n', XK: '4n10n2n'
+};
+
+// Territories whose banks hold BICs with their own country code but issue
+// IBANs of another country
+const IBAN_COUNTRY_ALIASES = {
+  GG: 'GB', IM: 'GB', JE: 'GB',
+  GF: 'FR', GP: 'FR', MQ: 'FR', RE: 'FR', YT: 'FR', PM: 'FR', BL: 'FR', MF: 'FR',
+  NC: 'FR', PF: 'FR', WF: 'FR', TF: 'FR',
+  AX: 'FI'
+};
+
+// Domestic account numbers for common non-IBAN destinations
+const DOMESTIC_FORMATS = {
+  AU: { pattern: /^[0-9]{6}[0-9]{5,9}$/, description: '6-digit BSB followed by a 5-9 digit account number' },
+  BW: { pattern: /^[0-9]{8,16}$/, description: '8-16 digits' },
+  CA: { pattern: /^[0-9]{7,12}$/, description: '7-12 digits' },
+  CN: { pattern: /^[0-9]{12,19}$/, description: '12-19 digits' },
+  HK: { pattern: /^[0-9]{9,12}$/, description: '9-12 digits' },
+  IN: { pattern: /^[0-9]{9,18}$/, description: '9-18 digits' },
+  JP: { pattern: /^[0-9]{7}$/, description: '7 digits' },
+  KE: { pattern: /^[0-9]{10,14}$/, description: '10-14 digits' },
+  NA: { pattern: /^[0-9]{8,13}$/, description: '8-13 digits' },
+  NG: { pattern: /^[0-9]{10}$/, description: '10-digit NUBAN' },
+  NZ: { pattern: /^[0-9]{15,16}$/, description: '15-16 digits (bank, branch, account, suffix)' },
+  SG: { pattern: /^[0-9]{9,12}$/, description: '9-12 digits' },
+  US: { pattern: /^[0-9]{4,17}$/, description: '4-17 digits' },
+  ZA: { pattern: /^[0-9]{7,11}$/, description: '7-11 digits' }
+};
+
+const GENERIC_ACCOUNT = { pattern: /^[A-Z0-9]{5,34}$/, description: '5-34 letters or digits' };
+
+const BBAN_CHARSETS = { n: '[0-9]', a: '[A-Z]', c: '[A-Z0-9]' };
+
+const bbanRegex = (format) => {
+  const parts = format.match(/[0-9]+[nac]/g).map(part => {
+    const length = parseInt(part, 10);
+    return `${BBAN_CHARSETS[part.slice(-1)]}{${length}}`;
+  });
+  return new RegExp(`^${parts.join('')}$`);
+};
+
+const bbanLength = (format) => {
+  return format.match(/[0-9]+/g).reduce((sum, length) => sum + parseInt(length, 10), 0);
+};
+
+// ISO 7064 MOD 97-10 over the rearranged IBAN (letters -> 10..35)
+const ibanChecksumValid = (iban) => {
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+
+  for (const char of rearranged) {
+    const value = /[0-9]/.test(char) ? char : String(char.charCodeAt(0) - 55);
+    for (const digit of value) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+};
+
+export const ibanCountryFor = (country) => IBAN_COUNTRY_ALIASES[country] || country;
+
+export const isIbanCountry = (country) => Object.prototype.hasOwnProperty.call(IBAN_FORMATS, ibanCountryFor(country));
+
+// Strips the spaces and dashes people copy from statements
+export const normalizeAccount = (account) => account.toUpperCase().replace(/[\s-]/g, '');
+
+export const validateIban = (input) => {
+  const iban = normalizeAccount(input);
+  const country = iban.slice(0, 2);
+  const format = IBAN_FORMATS[country];
+
+  if (!/^[A-Z]{2}[0-9]{2}/.test(iban)) {
+    return { valid: false, error: 'IBAN must start with a 2-letter country code and 2 check digits' };
+  }
+  if (!format) {
+    return { valid: false, error: `${country} does not use IBANs` };
+  }
+
+  const expectedLength = 4 + bbanLength(format);
+  if (iban.length !== expectedLength) {
+    return { valid: false, error: `${country} IBANs must be ${expectedLength} characters (got ${iban.length})` };
+  }
+  if (!bbanRegex(format).test(iban.slice(4))) {
+    return { valid: false, error: `IBAN does not match the ${country} account structure` };
+  }
+  if (!ibanChecksumValid(iban)) {
+    return { valid: false, error: 'IBAN check digits are incorrect - please re-check the number' };
+  }
+
+  return { valid: true, iban, country };
+};
+
+// Validates the beneficiary account against the BIC's country.
+// Returns { valid, normalized, type, country } or { valid: false, field, error }.
+export const validateBeneficiaryAccount = (account, swiftCode) => {
+  const normalized = normalizeAccount(account || '');
+  const bicCountry = swiftCode.substring(4, 6);
+  const looksLikeIban = /^[A-Z]{2}[0-9]{2}[A-Z0-9]+$/.test(normalized) && isIbanCountry(normalized.slice(0, 2));
+
+  if (looksLikeIban) {
+    const result = validateIban(normalized);
+    if (!result.valid) {
+      return { valid: false, field: 'recipientAccount', error: result.error };
+    }
+    if (result.country !== ibanCountryFor(bicCountry)) {
+      return {
+        valid: false,
+        field: 'swiftCode',
+        error: `SWIFT/BIC country (${bicCountry}) does not match the IBAN country (${result.country})`
+      };
+    }
+    return { valid: true, normalized: result.iban, type: 'iban', country: result.country };
+  }
+
+  if (isIbanCountry(bicCountry)) {
+    return {
+      valid: false,
+      field: 'recipientAccount',
+      error: `Payments to ${bicCountry} banks require the beneficiary's IBAN`
+    };
+  }
+
+  const rule = DOMESTIC_FORMATS[bicCountry] || GENERIC_ACCOUNT;
+  if (!rule.pattern.test(normalized)) {
+    return {
+      valid: false,
+      field: 'recipientAccount',
+      error: `${bicCountry} account numbers must be ${rule.description}`
+    };
+  }
+
+  return { valid: true, normalized, type: 'domestic', country: bicCountry };
+};
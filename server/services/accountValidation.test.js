@@ -0,0 +1,71 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { validateBeneficiaryAccount, validateIban } from './accountValidation.js';
+
+describe('validateIban', () => {
+  for (const iban of ['GB82WEST12345698765432', 'DE89370400440532013000', 'FR1420041010050500013M02606', 'NL91ABNA0417164300']) {
+    it(`accepts ${iban}`, () => {
+      assert.deepEqual(validateIban(iban), { valid: true, iban, country: iban.slice(0, 2) });
+    });
+  }
+
+  it('strips spaces and dashes and upper-cases', () => {
+    assert.equal(validateIban('gb82 west 1234-5698-7654-32').iban, 'GB82WEST12345698765432');
+  });
+
+  it('rejects wrong check digits', () => {
+    const result = validateIban('GB83WEST12345698765432');
+    assert.equal(result.valid, false);
+    assert.match(result.error, /check digits/);
+  });
+
+  it('rejects a single mistyped digit', () => {
+    assert.equal(validateIban('DE89370400440532013001').valid, false);
+  });
+
+  it('rejects two swapped digits', () => {
+    assert.equal(validateIban('DE89370400440532031000').valid, false);
+  });
+
+  it('rejects the wrong length for the country', () => {
+    assert.match(validateIban('DE8937040044053201300').error, /DE IBANs must be 22 characters/);
+  });
+
+  it('rejects a BBAN that breaks the country structure', () => {
+    assert.match(validateIban('GB82WES112345698765432').error, /GB account structure/);
+  });
+
+  it('rejects countries without IBANs', () => {
+    assert.match(validateIban('US12345678901234').error, /US does not use IBANs/);
+  });
+});
+
+describe('validateBeneficiaryAccount', () => {
+  it('accepts an IBAN from the BIC country', () => {
+    assert.deepEqual(validateBeneficiaryAccount('GB82 WEST 1234 5698 7654 32', 'NWBKGB2L'), {
+      valid: true,
+      normalized: 'GB82WEST12345698765432',
+      type: 'iban',
+      country: 'GB'
+    });
+  });
+
+  it('refuses an IBAN from another country than the BIC', () => {
+    const result = validateBeneficiaryAccount('GB82WEST12345698765432', 'DEUTDEFF');
+    assert.equal(result.valid, false);
+    assert.equal(result.field, 'swiftCode');
+  });
+
+  it('accepts IBANs of the country a territory banks in', () => {
+    assert.equal(validateBeneficiaryAccount('GB82WEST12345698765432', 'RBOSJESH').valid, true);
+  });
+
+  it('requires an IBAN for IBAN countries', () => {
+    assert.match(validateBeneficiaryAccount('12345678', 'DEUTDEFF').error, /require the beneficiary's IBAN/);
+  });
+
+  it('checks domestic account numbers elsewhere', () => {
+    assert.equal(validateBeneficiaryAccount('123456789', 'ABSAZAJJ').type, 'domestic');
+    assert.match(validateBeneficiaryAccount('123', 'ABSAZAJJ').error, /ZA account numbers must be 7-11 digits/);
+  });
+});
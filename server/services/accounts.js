@@ -0,0 +1,27 @@
+export const PASSWORD_REQUIREMENTS = 'Password must be 8+ characters with uppercase, lowercase, number, and special character';
+
+// Shared by sign-up, password changes and the create-admin tool
+export const validatePassword = (password) => {
+  const minLength = password.length >= 8;
+  const hasUpper = /[A-Z]/.test(password);
+  const hasLower = /[a-z]/.test(password);
+  const hasNumber = /[0-9]/.test(password);
+  const hasSpecial = /[!@#$%^&*(),.?":{}|<>]/.test(password);
+
+  return minLength && hasUpper && hasLower && hasNumber && hasSpecial;
+};
+
+// What administrators see of an account
+export const presentAccount = (user) => ({
+  email: user.email,
+  fullName: user.fullName,
+  userType: user.userType,
+  role: user.role,
+  status: user.disabledAt ? 'disabled' : 'active',
+  disabledAt: user.disabledAt,
+  disabledBy: user.disabledBy,
+  passwordResetRequired: user.passwordResetRequired,
+  mfaEnabled: !!user.mfaEnabledAt,
+  lastLoginAt: user.lastLoginAt,
+  createdAt: user.createdAt
+});
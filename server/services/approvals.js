@@ -0,0 +1,97 @@
+import { CURRENCIES, formatMinorUnits, isSupportedCurrency, parseAmountToMinorUnits } from './currencies.js';
+import { DEFAULT_LIMITS_USD, approximateFromUsd } from './limits.js';
+
+// Verified payments above their currency's threshold need this many
+// approvals, each from a different employee, before they go to the bank
+export const REQUIRED_APPROVALS = 2;
+
+// Half the default per-payment limit, so the larger payments customers can
+// make under the default limits are the ones that get a second pair of eyes
+const DEFAULT_THRESHOLD_USD = DEFAULT_LIMITS_USD.perTransaction / 2;
+
+// APPROVAL_THRESHOLDS sets some or all currencies' thresholds as decimal
+// amounts, e.g. "USD=25000,EUR=20000". Other currencies get about USD 5,000
+// at the rough rates the default limits use. Unknown currencies and bad
+// amounts are ignored. Read when used so dotenv has populated process.env.
+export const getApprovalThresholds = () => {
+  const thresholds = Object.fromEntries(Object.keys(CURRENCIES).map(currency => [
+    currency,
+    approximateFromUsd(DEFAULT_THRESHOLD_USD, currency)
+  ]));
+
+  for (const pair of (process.env.APPROVAL_THRESHOLDS || '').split(',')) {
+    const [code, value] = pair.split('=').map(part => part.trim());
+    const currency = code?.toUpperCase();
+    if (!isSupportedCurrency(currency)) continue;
+
+    const parsed = parseAmountToMinorUnits(value, currency);
+    if (!parsed.error) thresholds[currency] = parsed.amountMinor;
+  }
+
+  return thresholds;
+};
+
+/**
+ * The approval rule for a payment being verified, under the current
+ * thresholds: { approvalThresholdMinor, approvalsRequired }. It is stored on
+ * the payment, so later threshold changes don't apply to it.
+ */
+export const approvalRuleFor = (transaction, thresholds = getApprovalThresholds()) => {
+  const approvalThresholdMinor = thresholds[transaction.currency];
+  return {
+    approvalThresholdMinor,
+    approvalsRequired: transaction.amountMinor > approvalThresholdMinor ? REQUIRED_APPROVALS : 0
+  };
+};
+
+// The stored rule; payments verified before rules were stored get the current one
+const ruleOf = (transaction, thresholds) => (
+  transaction.approvalsRequired === undefined ? approvalRuleFor(transaction, thresholds) : transaction
+);
+
+/**
+ * Where a payment stands in four-eyes approval, from its recorded decisions:
+ * { required, threshold, approvals, decisions, complete }. A payment below
+ * the threshold needs none and is always complete.
+ */
+export const describeApprovals = (transaction, decisions, thresholds = getApprovalThresholds()) => {
+  const { approvalThresholdMinor, approvalsRequired: required } = ruleOf(transaction, thresholds);
+  const approvals = decisions.filter(decision => decision.decision === 'approved').length;
+
+  return {
+    required,
+    threshold: formatMinorUnits(approvalThresholdMinor, transaction.currency),
+    approvals,
+    decisions: decisions.map(({ decidedBy, decision, reason, decidedAt }) => ({ decidedBy, decision, reason, decidedAt })),
+    complete: approvals >= required
+  };
+};
+
+// Who took each earlier step on a payment. None of them may also approve it,
+// or one person could both pass a payment on and sign it off.
+const earlierSteps = (transaction, screening) => [
+  { actor: transaction.initiatedBy, reason: 'initiator', message: 'You cannot approve a payment you initiated' },
+  { actor: transaction.verifiedBy, reason: 'verifier', message: 'You cannot approve a payment you verified' },
+  {
+    actor: screening?.reviewedBy,
+    reason: 'screening_reviewer',
+    message: 'You cannot approve a payment you released from sanctions screening'
+  },
+  {
+    actor: transaction.riskReleasedBy,
+    reason: 'risk_reviewer',
+    message: 'You cannot approve a payment you released from risk review'
+  }
+];
+
+// Why this employee may not approve the payment, or null if they may
+export const approvalRefusal = (transaction, decisions, email, { screening = null } = {}) => {
+  const step = earlierSteps(transaction, screening).find(({ actor }) => actor === email);
+  if (step) {
+    return { reason: step.reason, message: step.message };
+  }
+  if (decisions.some(decision => decision.decision === 'approved' && decision.decidedBy === email)) {
+    return { reason: 'already_approved', message: 'You have already approved this payment' };
+  }
+  return null;
+};
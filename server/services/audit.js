@@ -0,0 +1,121 @@
+import crypto from 'crypto';
+import { withTransaction } from '../db/index.js';
+import {
+  findAuditEntries,
+  findLastAuditEntry,
+  insertAuditEntry,
+  iterateAuditEntries
+} from '../repositories/auditLog.js';
+
+export const AUDIT_ACTIONS = {
+  LOGIN: 'auth.login',
+  LOCKOUT: 'auth.lockout',
+  UNLOCK: 'auth.unlock',
+  REAUTH: 'auth.reauth',
+  PASSWORD_CHANGE: 'auth.password_change',
+  PAYMENT_CREATE: 'payment.create',
+  PAYMENT_VERIFY: 'payment.verify',
+  PAYMENT_REJECT: 'payment.reject',
+  PAYMENT_EXPORT: 'payment.export',
+  PAYMENT_MT103: 'payment.mt103',
+  PAYMENT_CANCEL: 'payment.cancel',
+  PAYMENT_RELEASE: 'payment.release',
+  PAYMENT_APPROVE: 'payment.approve',
+  BATCH_CREATE: 'batch.create',
+  BATCH_CANCEL: 'batch.cancel',
+  BENEFICIARY_CREATE: 'beneficiary.create',
+  BENEFICIARY_UPDATE: 'beneficiary.update',
+  BENEFICIARY_DELETE: 'beneficiary.delete',
+  LIMITS_UPDATE: 'limits.update',
+  SANCTIONS_RELOAD: 'sanctions.reload',
+  WEBHOOK_CREATE: 'webhook.create',
+  WEBHOOK_DELETE: 'webhook.delete',
+  WEBHOOK_REDELIVER: 'webhook.redeliver',
+  USER_CREATE: 'user.create',
+  USER_ROLE_CHANGE: 'user.role_change',
+  USER_DISABLE: 'user.disable',
+  USER_ENABLE: 'user.enable',
+  USER_PASSWORD_RESET: 'user.password_reset'
+};
+
+export const AUDIT_OUTCOMES = ['success', 'failure', 'denied'];
+
+// prev_hash of the first entry
+export const GENESIS_HASH = '0'.repeat(64);
+
+// Each hash covers the entry's own fields and the previous entry's hash, so
+// editing, removing or reordering any entry breaks every hash after it
+const hashEntry = (entry) => {
+  const payload = JSON.stringify([
+    entry.id,
+    entry.occurredAt.toISOString(),
+    entry.actor,
+    entry.action,
+    entry.target,
+    entry.ip,
+    entry.userAgent,
+    entry.outcome,
+    entry.details,
+    entry.prevHash
+  ]);
+  return crypto.createHash('sha256').update(payload).digest('hex');
+};
+
+// IP and user agent of the request an event came from
+export const requestContext = (req) => ({
+  ip: req.ip || null,
+  userAgent: req.get('user-agent') || null
+});
+
+// Appends one entry. Called inside the caller's transaction where there is one,
+// so the entry commits or rolls back with the change it describes.
+export const recordAuditEvent = ({ actor, action, target = null, outcome, ip = null, userAgent = null, details = null }) => {
+  return withTransaction(() => {
+    const last = findLastAuditEntry();
+    const entry = {
+      id: last ? last.id + 1 : 1,
+      occurredAt: new Date(),
+      actor,
+      action,
+      target,
+      ip,
+      userAgent,
+      outcome,
+      details,
+      prevHash: last ? last.hash : GENESIS_HASH
+    };
+    entry.hash = hashEntry(entry);
+
+    insertAuditEntry(entry);
+    return entry;
+  });
+};
+
+export const queryAuditLog = (filters) => findAuditEntries(filters);
+
+// Walks the whole chain. Reports the first entry whose hash, link or
+// sequence number doesn't match.
+export const verifyAuditChain = () => {
+  let expectedId = 1;
+  let prevHash = GENESIS_HASH;
+
+  for (const entry of iterateAuditEntries()) {
+    let reason = null;
+    if (entry.id !== expectedId) {
+      reason = `expected entry ${expectedId} but found ${entry.id}`;
+    } else if (entry.prevHash !== prevHash) {
+      reason = 'previous-hash link does not match the preceding entry';
+    } else if (hashEntry(entry) !== entry.hash) {
+      reason = 'entry contents do not match its hash';
+    }
+
+    if (reason) {
+      return { valid: false, entriesChecked: expectedId - 1, brokenAt: entry.id, reason };
+    }
+
+    expectedId += 1;
+    prevHash = entry.hash;
+  }
+
+  return { valid: true, entriesChecked: expectedId - 1, lastHash: prevHash };
+};
@@ -0,0 +1,97 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+import { closeDatabase, getDatabase, withTransaction } from '../db/index.js';
+import { AUDIT_ACTIONS, GENESIS_HASH, recordAuditEvent, verifyAuditChain } from './audit.js';
+
+const recordEvents = (count) => Array.from({ length: count }, (_, index) => recordAuditEvent({
+  actor: `user${index}@example.com`,
+  action: AUDIT_ACTIONS.LOGIN,
+  outcome: 'success',
+  details: { attempt: index }
+}));
+
+// What someone with direct database access could do; the triggers stop
+// anything short of that
+const tamper = (sql, ...params) => {
+  const db = getDatabase();
+  db.exec('DROP TRIGGER audit_log_no_update; DROP TRIGGER audit_log_no_delete;');
+  db.prepare(sql).run(...params);
+};
+
+beforeEach(() => closeDatabase());
+
+describe('recordAuditEvent', () => {
+  it('links each entry to the hash of the one before', () => {
+    const [first, second, third] = recordEvents(3);
+
+    assert.equal(first.id, 1);
+    assert.equal(first.prevHash, GENESIS_HASH);
+    assert.equal(second.prevHash, first.hash);
+    assert.equal(third.prevHash, second.hash);
+  });
+
+  it('rolls back with the change it describes', () => {
+    assert.throws(() => withTransaction(() => {
+      recordEvents(1);
+      throw new Error('change failed');
+    }), /change failed/);
+
+    assert.deepEqual(verifyAuditChain(), { valid: true, entriesChecked: 0, lastHash: GENESIS_HASH });
+  });
+});
+
+describe('audit_log', () => {
+  it('refuses updates and deletes', () => {
+    recordEvents(1);
+    const db = getDatabase();
+
+    assert.throws(() => db.prepare("UPDATE audit_log SET actor = 'x'").run(), /append-only/);
+    assert.throws(() => db.prepare('DELETE FROM audit_log').run(), /append-only/);
+  });
+});
+
+describe('verifyAuditChain', () => {
+  it('accepts an untouched chain', () => {
+    const entries = recordEvents(5);
+
+    assert.deepEqual(verifyAuditChain(), { valid: true, entriesChecked: 5, lastHash: entries[4].hash });
+  });
+
+  it('finds an edited entry', () => {
+    recordEvents(5);
+    tamper("UPDATE audit_log SET actor = 'someone-else@example.com' WHERE id = 3");
+
+    assert.deepEqual(verifyAuditChain(), {
+      valid: false,
+      entriesChecked: 2,
+      brokenAt: 3,
+      reason: 'entry contents do not match its hash'
+    });
+  });
+
+  it('finds edited details', () => {
+    recordEvents(3);
+    tamper('UPDATE audit_log SET details = ? WHERE id = 2', JSON.stringify({ attempt: 99 }));
+
+    assert.equal(verifyAuditChain().brokenAt, 2);
+  });
+
+  it('finds a removed entry', () => {
+    recordEvents(5);
+    tamper('DELETE FROM audit_log WHERE id = 3');
+
+    assert.deepEqual(verifyAuditChain(), {
+      valid: false,
+      entriesChecked: 2,
+      brokenAt: 4,
+      reason: 'expected entry 3 but found 4'
+    });
+  });
+
+  it('finds a broken link between entries', () => {
+    recordEvents(3);
+    tamper('UPDATE audit_log SET prev_hash = ? WHERE id = 2', GENESIS_HASH);
+
+    assert.equal(verifyAuditChain().reason, 'previous-hash link does not match the preceding entry');
+  });
+});
@@ -0,0 +1,10 @@
+// The portal's own bank: the debtor agent and initiating party of pain.001
+// files and the sender of MT103 messages
+export const getBankIdentity = () => {
+  const name = process.env.BANK_NAME || 'International Payments Portal';
+  if (process.env.BANK_BIC) return { bic: process.env.BANK_BIC, name };
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('BANK_BIC must be set in production');
+  }
+  return { bic: 'PORTZAJJXXX', name };
+};
@@ -0,0 +1,55 @@
+/**
+ * Parses RFC 4180 CSV text into an array of records (arrays of strings).
+ * Handles quoted fields with embedded commas, quotes ("") and line breaks,
+ * CRLF or LF line endings and a leading byte-order mark. Blank lines are
+ * skipped. Returns { records } or { error } for an unterminated quote.
+ */
+export const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+
+  const endField = () => {
+    record.push(field);
+    field = '';
+  };
+
+  const endRecord = () => {
+    endField();
+    if (record.length > 1 || record[0].trim() !== '') records.push(record);
+    record = [];
+  };
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    return { error: 'Unterminated quoted field' };
+  }
+  if (field !== '' || record.length > 0) endRecord();
+
+  return { records };
+};
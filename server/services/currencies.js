@@ -0,0 +1,95 @@
+// ISO 4217 currencies the portal accepts, with the number of minor units
+// (decimal places) each one allows. Amounts are stored as integer minor units.
+export const CURRENCIES = {
+  AED: { name: 'UAE Dirham', minorUnits: 2 },
+  AUD: { name: 'Australian Dollar', minorUnits: 2 },
+  BHD: { name: 'Bahraini Dinar', minorUnits: 3 },
+  BRL: { name: 'Brazilian Real', minorUnits: 2 },
+  BWP: { name: 'Botswana Pula', minorUnits: 2 },
+  CAD: { name: 'Canadian Dollar', minorUnits: 2 },
+  CHF: { name: 'Swiss Franc', minorUnits: 2 },
+  CLP: { name: 'Chilean Peso', minorUnits: 0 },
+  CNY: { name: 'Chinese Yuan', minorUnits: 2 },
+  DKK: { name: 'Danish Krone', minorUnits: 2 },
+  EUR: { name: 'Euro', minorUnits: 2 },
+  GBP: { name: 'Pound Sterling', minorUnits: 2 },
+  HKD: { name: 'Hong Kong Dollar', minorUnits: 2 },
+  INR: { name: 'Indian Rupee', minorUnits: 2 },
+  ISK: { name: 'Iceland Krona', minorUnits: 0 },
+  JOD: { name: 'Jordanian Dinar', minorUnits: 3 },
+  JPY: { name: 'Japanese Yen', minorUnits: 0 },
+  KES: { name: 'Kenyan Shilling', minorUnits: 2 },
+  KRW: { name: 'South Korean Won', minorUnits: 0 },
+  KWD: { name: 'Kuwaiti Dinar', minorUnits: 3 },
+  MUR: { name: 'Mauritius Rupee', minorUnits: 2 },
+  MXN: { name: 'Mexican Peso', minorUnits: 2 },
+  NAD: { name: 'Namibia Dollar', minorUnits: 2 },
+  NGN: { name: 'Nigerian Naira', minorUnits: 2 },
+  NOK: { name: 'Norwegian Krone', minorUnits: 2 },
+  NZD: { name: 'New Zealand Dollar', minorUnits: 2 },
+  OMR: { name: 'Omani Rial', minorUnits: 3 },
+  PLN: { name: 'Polish Zloty', minorUnits: 2 },
+  SAR: { name: 'Saudi Riyal', minorUnits: 2 },
+  SEK: { name: 'Swedish Krona', minorUnits: 2 },
+  SGD: { name: 'Singapore Dollar', minorUnits: 2 },
+  TND: { name: 'Tunisian Dinar', minorUnits: 3 },
+  USD: { name: 'US Dollar', minorUnits: 2 },
+  ZAR: { name: 'South African Rand', minorUnits: 2 }
+};
+
+export const DEFAULT_CURRENCY = 'ZAR';
+
+// Payment rails a customer can choose. SWIFT is the only one live so far.
+export const PROVIDERS = {
+  SWIFT: { name: 'SWIFT' }
+};
+
+export const isSupportedCurrency = (code) => {
+  return typeof code === 'string' && Object.prototype.hasOwnProperty.call(CURRENCIES, code);
+};
+
+export const isSupportedProvider = (code) => {
+  return typeof code === 'string' && Object.prototype.hasOwnProperty.call(PROVIDERS, code);
+};
+
+// Parses a decimal string such as "1234.5" into integer minor units without
+// going through floating point. Returns { amountMinor } or { error }.
+export const parseAmountToMinorUnits = (amount, currency) => {
+  const { minorUnits } = CURRENCIES[currency];
+  const text = typeof amount === 'string' ? amount.trim() : typeof amount === 'number' ? String(amount) : '';
+  const match = /^([0-9]+)(?:\.([0-9]+))?$/.exec(text);
+
+  if (!match) {
+    return { error: 'Invalid amount' };
+  }
+
+  const [, whole, fraction = ''] = match;
+
+  if (fraction.length > minorUnits) {
+    return {
+      error: minorUnits === 0
+        ? `${currency} amounts cannot have decimal places`
+        : `${currency} amounts can have at most ${minorUnits} decimal place${minorUnits === 1 ? '' : 's'}`
+    };
+  }
+
+  const amountMinor = BigInt(whole) * 10n ** BigInt(minorUnits) + BigInt(fraction.padEnd(minorUnits, '0') || '0');
+
+  if (amountMinor <= 0n) {
+    return { error: 'Amount must be greater than zero' };
+  }
+  if (amountMinor > BigInt(Number.MAX_SAFE_INTEGER)) {
+    return { error: 'Amount is too large' };
+  }
+
+  return { amountMinor: Number(amountMinor) };
+};
+
+// 123450 ZAR -> "1234.50", 5000 JPY -> "5000"
+export const formatMinorUnits = (amountMinor, currency) => {
+  const { minorUnits } = CURRENCIES[currency];
+  if (minorUnits === 0) return String(amountMinor);
+
+  const digits = String(amountMinor).padStart(minorUnits + 1, '0');
+  return `${digits.slice(0, -minorUnits)}.${digits.slice(-minorUnits)}`;
+};
@@ -0,0 +1,50 @@
+import crypto from 'crypto';
+import { findIdempotencyRecord, saveIdempotencyRecord } from '../repositories/idempotencyKeys.js';
+
+export const IDEMPOTENCY_KEY_HEADER = 'Idempotency-Key';
+export const IDEMPOTENCY_KEY_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Printable ASCII without spaces, as sent by clients generating UUIDs
+export const isValidIdempotencyKey = (key) => typeof key === 'string' && /^[\x21-\x7E]{1,255}$/.test(key);
+
+// Key order must not change the hash, so objects are serialized with sorted keys
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+export const hashRequestBody = (body) => {
+  return crypto.createHash('sha256').update(canonicalJson(body ?? {})).digest('hex');
+};
+
+// Keys are scoped to the user, so two customers can never collide.
+// Returns null for an unused key, { conflict: true } when the key was used
+// for a different request, otherwise the stored { statusCode, body }.
+export const findStoredResponse = (userEmail, key, requestHash) => {
+  const record = findIdempotencyRecord(userEmail, key);
+  if (!record) return null;
+
+  if (record.requestHash !== requestHash) {
+    return { conflict: true };
+  }
+  return { statusCode: record.statusCode, body: record.responseBody };
+};
+
+export const storeResponse = (userEmail, key, requestHash, statusCode, body) => {
+  const now = new Date();
+  saveIdempotencyRecord({
+    userEmail,
+    idempotencyKey: key,
+    requestHash,
+    statusCode,
+    responseBody: body,
+    createdAt: now,
+    expiresAt: new Date(now.getTime() + IDEMPOTENCY_KEY_TTL_MS)
+  });
+};
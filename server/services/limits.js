@@ -0,0 +1,319 @@
+import { CURRENCIES, formatMinorUnits } from './currencies.js';
+import { findCustomerLimit, findCustomerLimits } from '../repositories/customerLimits.js';
+import {
+  countCustomerPaymentsSince,
+  findNthCustomerPaymentSince,
+  hasPaidBeneficiary,
+  sumCustomerAmountSince
+} from '../repositories/transactions.js';
+
+export const LIMIT_TYPES = ['perTransaction', 'daily', 'monthly'];
+
+// Defaults for customers without their own limits, set in US dollars and
+// converted with the rough rates below, rounded to two significant figures.
+// They only need to be the right order of magnitude.
+export const DEFAULT_LIMITS_USD = { perTransaction: 10000, daily: 25000, monthly: 100000 };
+
+const APPROXIMATE_UNITS_PER_USD = {
+  AED: 3.67, AUD: 1.5, BHD: 0.376, BRL: 5.5, BWP: 13.5, CAD: 1.37, CHF: 0.88, CLP: 950,
+  CNY: 7.2, DKK: 6.9, EUR: 0.92, GBP: 0.79, HKD: 7.8, INR: 83, ISK: 138, JOD: 0.71,
+  JPY: 150, KES: 130, KRW: 1350, KWD: 0.31, MUR: 46, MXN: 18, NAD: 18, NGN: 1500,
+  NOK: 10.7, NZD: 1.65, OMR: 0.385, PLN: 4, SAR: 3.75, SEK: 10.5, SGD: 1.35, TND: 3.1,
+  USD: 1, ZAR: 18
+};
+
+const LIMIT_CODES = {
+  perTransaction: 'PER_TRANSACTION_LIMIT_EXCEEDED',
+  daily: 'DAILY_LIMIT_EXCEEDED',
+  monthly: 'MONTHLY_LIMIT_EXCEEDED'
+};
+
+const LIMIT_LABELS = {
+  perTransaction: 'per-payment',
+  daily: 'daily',
+  monthly: 'monthly'
+};
+
+// Daily and monthly limits run on UTC calendar days and months
+const WINDOWS = {
+  daily: {
+    start: (now) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())),
+    end: (now) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1))
+  },
+  monthly: {
+    start: (now) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)),
+    end: (now) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+  }
+};
+
+const readPositiveInt = (value, fallback) => {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : fallback;
+};
+
+// Read when used so dotenv has populated process.env
+export const getVelocityRules = () => [
+  {
+    code: 'NEW_BENEFICIARY_VELOCITY_EXCEEDED',
+    description: 'payments to new beneficiaries',
+    max: readPositiveInt(process.env.VELOCITY_NEW_BENEFICIARIES_PER_HOUR, 3),
+    windowMs: 60 * 60 * 1000,
+    newBeneficiariesOnly: true
+  },
+  {
+    code: 'PAYMENT_VELOCITY_EXCEEDED',
+    description: 'payments',
+    max: readPositiveInt(process.env.VELOCITY_PAYMENTS_PER_HOUR, 20),
+    windowMs: 60 * 60 * 1000,
+    newBeneficiariesOnly: false
+  }
+];
+
+const roundToTwoFigures = (value) => {
+  const magnitude = 10 ** (Math.floor(Math.log10(value)) - 1);
+  return Math.round(value / magnitude) * magnitude;
+};
+
+// A US dollar amount in the currency's minor units, at the rough rates above
+export const approximateFromUsd = (amountUsd, currency) => (
+  Math.round(roundToTwoFigures(amountUsd * APPROXIMATE_UNITS_PER_USD[currency]) * 10 ** CURRENCIES[currency].minorUnits)
+);
+
+export const defaultLimits = (currency) => Object.fromEntries(LIMIT_TYPES.map(type => [
+  type,
+  approximateFromUsd(DEFAULT_LIMITS_USD[type], currency)
+]));
+
+const resolveLimits = (currency, override) => {
+  const defaults = defaultLimits(currency);
+  const own = {
+    perTransaction: override?.perTransactionMinor ?? null,
+    daily: override?.dailyMinor ?? null,
+    monthly: override?.monthlyMinor ?? null
+  };
+
+  return {
+    limits: Object.fromEntries(LIMIT_TYPES.map(type => [type, own[type] ?? defaults[type]])),
+    custom: LIMIT_TYPES.filter(type => own[type] !== null),
+    updatedBy: override?.updatedBy || null,
+    updatedAt: override?.updatedAt || null
+  };
+};
+
+/**
+ * A customer's limits in one currency, in minor units: their own where an
+ * employee has set one, otherwise the default. custom lists the limit types
+ * that are the customer's own.
+ */
+export const effectiveLimits = (email, currency) => resolveLimits(currency, findCustomerLimit(email, currency));
+
+const formatMoney = (amountMinor, currency) => `${formatMinorUnits(amountMinor, currency)} ${currency}`;
+
+const limitExceeded = ({ type, currency, limit, used = 0, resetsAt = null, index }) => {
+  const remaining = Math.max(limit - used, 0);
+  const message = type === 'perTransaction'
+    ? `This payment is over your per-payment ${currency} limit of ${formatMoney(limit, currency)}`
+    : `This payment is over your ${LIMIT_LABELS[type]} ${currency} limit. Remaining ${type === 'daily' ? 'today' : 'this month'}: ${formatMoney(remaining, currency)}`;
+
+  return {
+    allowed: false,
+    status: 422,
+    code: LIMIT_CODES[type],
+    message,
+    index,
+    limit: {
+      type,
+      currency,
+      limit: formatMinorUnits(limit, currency),
+      used: formatMinorUnits(used, currency),
+      remaining: formatMinorUnits(remaining, currency),
+      resetsAt
+    }
+  };
+};
+
+/**
+ * Checks payments, in order, against the customer's per-payment, daily and
+ * monthly limits. Earlier payments in the list count towards the later ones,
+ * so a whole batch can be checked at once.
+ *
+ * Returns { allowed: true } or the first violation:
+ * { allowed: false, status, code, message, index, limit: { type, currency,
+ * limit, used, remaining, resetsAt } } with amounts as decimal strings.
+ */
+export const checkPaymentLimits = (email, payments, now = new Date()) => {
+  const limitsByCurrency = new Map();
+  const usage = new Map();
+
+  for (const [index, { currency, amountMinor }] of payments.entries()) {
+    if (!limitsByCurrency.has(currency)) {
+      limitsByCurrency.set(currency, effectiveLimits(email, currency).limits);
+    }
+    const limits = limitsByCurrency.get(currency);
+
+    if (amountMinor > limits.perTransaction) {
+      return limitExceeded({ type: 'perTransaction', currency, limit: limits.perTransaction, index });
+    }
+
+    for (const [type, window] of Object.entries(WINDOWS)) {
+      const key = `${type}:${currency}`;
+      if (!usage.has(key)) {
+        usage.set(key, sumCustomerAmountSince(email, currency, window.start(now)));
+      }
+      const used = usage.get(key);
+
+      if (used + amountMinor > limits[type]) {
+        return limitExceeded({
+          type,
+          currency,
+          limit: limits[type],
+          used,
+          resetsAt: window.end(now),
+          index
+        });
+      }
+      usage.set(key, used + amountMinor);
+    }
+  }
+
+  return { allowed: true };
+};
+
+const velocityExceeded = ({ rule, count, retryAt, status = 429, message }) => {
+  const windowMinutes = rule.windowMs / 60000;
+  return {
+    allowed: false,
+    status,
+    code: rule.code,
+    message: message || `You can make at most ${rule.max} ${rule.description} in ${windowMinutes} minutes. Try again after ${retryAt.toISOString()}`,
+    velocity: {
+      description: rule.description,
+      max: rule.max,
+      windowMinutes,
+      count,
+      remaining: Math.max(rule.max - count, 0),
+      retryAt
+    }
+  };
+};
+
+/**
+ * Checks one new payment against the velocity rules. The new-beneficiary
+ * rule only applies when the customer has never paid this account/BIC.
+ *
+ * Returns { allowed: true } or { allowed: false, status: 429, code, message,
+ * velocity: { description, max, windowMinutes, count, remaining, retryAt } }.
+ */
+export const checkPaymentVelocity = (email, { recipientAccount, swiftCode }, now = new Date()) => {
+  const newBeneficiary = !hasPaidBeneficiary(email, recipientAccount, swiftCode);
+
+  for (const rule of getVelocityRules()) {
+    if (rule.newBeneficiariesOnly && !newBeneficiary) continue;
+
+    const since = new Date(now.getTime() - rule.windowMs);
+    const { count, oldestAt } = countCustomerPaymentsSince(email, since, rule);
+
+    if (count >= rule.max) {
+      return velocityExceeded({ rule, count, retryAt: new Date(oldestAt.getTime() + rule.windowMs) });
+    }
+  }
+
+  return { allowed: true };
+};
+
+/**
+ * Checks a batch against the velocity rules, as if its rows were made one by
+ * one: every row counts as a payment, and every row to an account/BIC the
+ * customer has never paid as a payment to a new beneficiary. (Rows share
+ * their batch's timestamp, so each of those is counted as a first payment
+ * later on too.)
+ *
+ * Returns { allowed: true } or the first rule it breaks, shaped as for
+ * checkPaymentVelocity. A batch bigger than a rule allows at all gets 422
+ * with no retryAt, as waiting won't help.
+ */
+export const checkBatchVelocity = (email, payments, now = new Date()) => {
+  const toNewBeneficiaries = payments
+    .filter(({ recipientAccount, swiftCode }) => !hasPaidBeneficiary(email, recipientAccount, swiftCode))
+    .length;
+
+  for (const rule of getVelocityRules()) {
+    const adding = rule.newBeneficiariesOnly ? toNewBeneficiaries : payments.length;
+    if (adding === 0) continue;
+
+    const windowMinutes = rule.windowMs / 60000;
+    const since = new Date(now.getTime() - rule.windowMs);
+    const { count } = countCustomerPaymentsSince(email, since, rule);
+
+    if (adding > rule.max) {
+      return velocityExceeded({
+        rule,
+        count,
+        retryAt: null,
+        status: 422,
+        message: `This batch has ${adding} ${rule.description}, more than the ${rule.max} you can make in ${windowMinutes} minutes`
+      });
+    }
+
+    if (count + adding > rule.max) {
+      // Room for the batch opens up once enough of the counted payments
+      // are older than the window
+      const freedBy = findNthCustomerPaymentSince(email, since, count + adding - rule.max, rule);
+      const retryAt = new Date(freedBy.getTime() + rule.windowMs);
+      return velocityExceeded({
+        rule,
+        count,
+        retryAt,
+        message: `This batch has ${adding} ${rule.description}, but you can make only ${rule.max - count} more in the next ${windowMinutes} minutes. Try again after ${retryAt.toISOString()}`
+      });
+    }
+  }
+
+  return { allowed: true };
+};
+
+// Limits, usage and what is left in one currency. override is the customer's
+// saved row, or null where only the defaults apply.
+export const describeCurrencyLimits = (email, currency, override, now = new Date()) => {
+  const { limits, custom, updatedBy, updatedAt } = resolveLimits(currency, override);
+  const usedToday = sumCustomerAmountSince(email, currency, WINDOWS.daily.start(now));
+  const usedThisMonth = sumCustomerAmountSince(email, currency, WINDOWS.monthly.start(now));
+  const format = (amountMinor) => formatMinorUnits(amountMinor, currency);
+
+  return {
+    currency,
+    perTransaction: format(limits.perTransaction),
+    daily: format(limits.daily),
+    monthly: format(limits.monthly),
+    custom,
+    updatedBy,
+    updatedAt,
+    usedToday: format(usedToday),
+    usedThisMonth: format(usedThisMonth),
+    remainingToday: format(Math.max(limits.daily - usedToday, 0)),
+    remainingThisMonth: format(Math.max(limits.monthly - usedThisMonth, 0))
+  };
+};
+
+// Every currency's limits and usage, plus where the customer stands against
+// each velocity rule
+export const describeCustomerLimits = (email, now = new Date()) => {
+  const overrides = new Map(findCustomerLimits(email).map(override => [override.currency, override]));
+
+  const currencies = Object.keys(CURRENCIES)
+    .map(currency => describeCurrencyLimits(email, currency, overrides.get(currency) || null, now));
+
+  const velocity = getVelocityRules().map(rule => {
+    const { count } = countCustomerPaymentsSince(email, new Date(now.getTime() - rule.windowMs), rule);
+    return {
+      code: rule.code,
+      description: rule.description,
+      max: rule.max,
+      windowMinutes: rule.windowMs / 60000,
+      count,
+      remaining: Math.max(rule.max - count, 0)
+    };
+  });
+
+  return { currencies, velocity };
+};
@@ -0,0 +1,218 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { closeDatabase } from '../db/index.js';
+import { saveCustomerLimit } from '../repositories/customerLimits.js';
+import { createTransaction } from '../repositories/transactions.js';
+import { checkBatchVelocity, checkPaymentLimits, checkPaymentVelocity, defaultLimits, effectiveLimits } from './limits.js';
+
+const EMAIL = 'customer@example.com';
+const NOW = new Date('2026-03-15T12:00:00Z');
+const HOUR = 60 * 60 * 1000;
+
+// Default ZAR limits: R180,000 a payment, R450,000 a day, R1,800,000 a month
+const ZAR_LIMITS = { perTransaction: 18000000, daily: 45000000, monthly: 180000000 };
+
+let sequence = 0;
+
+const recordPayment = ({ amountMinor = 100000, currency = 'ZAR', status = 'pending', at = NOW, recipientAccount = '123456789', swiftCode = 'ABSAZAJJ' } = {}) => {
+  sequence += 1;
+  return createTransaction({
+    transactionId: `TXN${sequence}`,
+    amountMinor,
+    currency,
+    provider: 'SWIFT',
+    recipientName: 'Jane Doe',
+    recipientAccount,
+    swiftCode,
+    initiatedBy: EMAIL,
+    userType: 'customer',
+    status,
+    timestamp: at
+  });
+};
+
+beforeEach(() => closeDatabase());
+
+describe('defaultLimits', () => {
+  it('converts the US dollar defaults, rounded to two significant figures', () => {
+    assert.deepEqual(defaultLimits('ZAR'), ZAR_LIMITS);
+    assert.deepEqual(defaultLimits('USD'), { perTransaction: 1000000, daily: 2500000, monthly: 10000000 });
+    assert.deepEqual(defaultLimits('JPY'), { perTransaction: 1500000, daily: 3800000, monthly: 15000000 });
+  });
+});
+
+describe('effectiveLimits', () => {
+  it("uses the customer's own limit where set and the default elsewhere", () => {
+    saveCustomerLimit({ customerEmail: EMAIL, currency: 'ZAR', perTransactionMinor: 500000, dailyMinor: null, monthlyMinor: null, updatedBy: 'employee@company.com' });
+
+    const { limits, custom } = effectiveLimits(EMAIL, 'ZAR');
+    assert.deepEqual(limits, { ...ZAR_LIMITS, perTransaction: 500000 });
+    assert.deepEqual(custom, ['perTransaction']);
+  });
+});
+
+describe('checkPaymentLimits', () => {
+  it('allows a payment within every limit', () => {
+    assert.deepEqual(checkPaymentLimits(EMAIL, [{ currency: 'ZAR', amountMinor: 100000 }], NOW), { allowed: true });
+  });
+
+  it('refuses a payment over the per-payment limit', () => {
+    const result = checkPaymentLimits(EMAIL, [{ currency: 'ZAR', amountMinor: ZAR_LIMITS.perTransaction + 1 }], NOW);
+
+    assert.equal(result.allowed, false);
+    assert.equal(result.status, 422);
+    assert.equal(result.code, 'PER_TRANSACTION_LIMIT_EXCEEDED');
+    assert.equal(result.limit.limit, '180000.00');
+  });
+
+  it("counts today's payments towards the daily limit", () => {
+    recordPayment({ amountMinor: 15000000, at: new Date('2026-03-15T01:00:00Z') });
+    recordPayment({ amountMinor: 15000000, at: new Date('2026-03-15T02:00:00Z') });
+    recordPayment({ amountMinor: 14000000, at: new Date('2026-03-15T03:00:00Z') });
+
+    assert.equal(checkPaymentLimits(EMAIL, [{ currency: 'ZAR', amountMinor: 1000000 }], NOW).allowed, true);
+
+    const result = checkPaymentLimits(EMAIL, [{ currency: 'ZAR', amountMinor: 1000001 }], NOW);
+    assert.equal(result.code, 'DAILY_LIMIT_EXCEEDED');
+    assert.equal(result.limit.used, '440000.00');
+    assert.equal(result.limit.remaining, '10000.00');
+    assert.deepEqual(result.limit.resetsAt, new Date('2026-03-16T00:00:00Z'));
+  });
+
+  it('leaves out rejected and cancelled payments and other currencies', () => {
+    recordPayment({ amountMinor: 15000000, status: 'rejected' });
+    recordPayment({ amountMinor: 15000000, status: 'cancelled' });
+    recordPayment({ amountMinor: 15000000, currency: 'USD' });
+
+    const result = checkPaymentLimits(EMAIL, [
+      { currency: 'ZAR', amountMinor: 15000000 },
+      { currency: 'ZAR', amountMinor: 15000000 },
+      { currency: 'ZAR', amountMinor: 15000000 }
+    ], NOW);
+    assert.deepEqual(result, { allowed: true });
+  });
+
+  it('counts earlier days of the month towards the monthly limit only', () => {
+    for (let day = 1; day <= 10; day++) {
+      recordPayment({ amountMinor: 17500000, at: new Date(Date.UTC(2026, 2, day)) });
+    }
+    recordPayment({ amountMinor: 17500000, at: new Date('2026-02-28T12:00:00Z') });
+
+    const result = checkPaymentLimits(EMAIL, [{ currency: 'ZAR', amountMinor: 5000001 }], NOW);
+    assert.equal(result.code, 'MONTHLY_LIMIT_EXCEEDED');
+    assert.equal(result.limit.used, '1750000.00');
+    assert.deepEqual(result.limit.resetsAt, new Date('2026-04-01T00:00:00Z'));
+  });
+
+  it('counts earlier payments in a batch towards later ones', () => {
+    recordPayment({ amountMinor: 15000000 });
+
+    const result = checkPaymentLimits(EMAIL, [
+      { currency: 'ZAR', amountMinor: 15000000 },
+      { currency: 'USD', amountMinor: 100000 },
+      { currency: 'ZAR', amountMinor: 15000001 }
+    ], NOW);
+    assert.equal(result.code, 'DAILY_LIMIT_EXCEEDED');
+    assert.equal(result.index, 2);
+  });
+
+  it("applies the customer's own limits", () => {
+    saveCustomerLimit({ customerEmail: EMAIL, currency: 'ZAR', perTransactionMinor: null, dailyMinor: 200000, monthlyMinor: null, updatedBy: 'employee@company.com' });
+    recordPayment({ amountMinor: 150000 });
+
+    assert.equal(checkPaymentLimits(EMAIL, [{ currency: 'ZAR', amountMinor: 60000 }], NOW).code, 'DAILY_LIMIT_EXCEEDED');
+  });
+});
+
+describe('checkPaymentVelocity', () => {
+  const saved = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...saved };
+  });
+
+  it('limits payments to new beneficiaries per hour', () => {
+    for (let index = 0; index < 3; index++) {
+      recordPayment({ recipientAccount: `10000000${index}`, at: new Date(NOW.getTime() - (50 - index) * 60000) });
+    }
+
+    const result = checkPaymentVelocity(EMAIL, { recipientAccount: '999999999', swiftCode: 'ABSAZAJJ' }, NOW);
+    assert.equal(result.allowed, false);
+    assert.equal(result.status, 429);
+    assert.equal(result.code, 'NEW_BENEFICIARY_VELOCITY_EXCEEDED');
+    assert.deepEqual(result.velocity.retryAt, new Date(NOW.getTime() + 10 * 60000));
+  });
+
+  it('still allows payments to a beneficiary paid before', () => {
+    for (let index = 0; index < 3; index++) {
+      recordPayment({ recipientAccount: `10000000${index}`, at: new Date(NOW.getTime() - (50 - index) * 60000) });
+    }
+
+    assert.deepEqual(checkPaymentVelocity(EMAIL, { recipientAccount: '100000000', swiftCode: 'ABSAZAJJ' }, NOW), { allowed: true });
+  });
+
+  it('only counts the last hour', () => {
+    for (let index = 0; index < 3; index++) {
+      recordPayment({ recipientAccount: `10000000${index}`, at: new Date(NOW.getTime() - HOUR - index * 60000) });
+    }
+
+    assert.deepEqual(checkPaymentVelocity(EMAIL, { recipientAccount: '999999999', swiftCode: 'ABSAZAJJ' }, NOW), { allowed: true });
+  });
+
+  it('limits all payments per hour, as configured', () => {
+    process.env.VELOCITY_PAYMENTS_PER_HOUR = '2';
+    recordPayment({ at: new Date(NOW.getTime() - 30 * 60000) });
+    recordPayment({ at: new Date(NOW.getTime() - 20 * 60000) });
+
+    const result = checkPaymentVelocity(EMAIL, { recipientAccount: '123456789', swiftCode: 'ABSAZAJJ' }, NOW);
+    assert.equal(result.code, 'PAYMENT_VELOCITY_EXCEEDED');
+    assert.equal(result.velocity.max, 2);
+  });
+});
+
+describe('checkBatchVelocity', () => {
+  const saved = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...saved };
+  });
+
+  const rows = (count, account = (index) => `20000000${index}`) => Array.from({ length: count }, (_, index) => ({
+    recipientAccount: account(index),
+    swiftCode: 'ABSAZAJJ'
+  }));
+
+  it('counts every row to an account never paid as a new beneficiary', () => {
+    recordPayment({ recipientAccount: '100000000', at: new Date(NOW.getTime() - 50 * 60000) });
+
+    const result = checkBatchVelocity(EMAIL, rows(3), NOW);
+    assert.equal(result.status, 429);
+    assert.equal(result.code, 'NEW_BENEFICIARY_VELOCITY_EXCEEDED');
+    assert.equal(result.velocity.count, 1);
+    assert.deepEqual(result.velocity.retryAt, new Date(NOW.getTime() + 10 * 60000));
+
+    assert.deepEqual(checkBatchVelocity(EMAIL, rows(2), NOW), { allowed: true });
+    assert.deepEqual(checkBatchVelocity(EMAIL, rows(5, () => '100000000'), NOW), { allowed: true });
+  });
+
+  it('waits until enough payments leave the hour for the whole batch', () => {
+    process.env.VELOCITY_PAYMENTS_PER_HOUR = '4';
+    recordPayment({ at: new Date(NOW.getTime() - 50 * 60000) });
+    recordPayment({ at: new Date(NOW.getTime() - 40 * 60000) });
+    recordPayment({ at: new Date(NOW.getTime() - 30 * 60000) });
+
+    const result = checkBatchVelocity(EMAIL, rows(3, () => '123456789'), NOW);
+    assert.equal(result.code, 'PAYMENT_VELOCITY_EXCEEDED');
+    assert.equal(result.velocity.remaining, 1);
+    assert.deepEqual(result.velocity.retryAt, new Date(NOW.getTime() + 20 * 60000));
+  });
+
+  it('refuses a batch bigger than a rule allows outright', () => {
+    process.env.VELOCITY_PAYMENTS_PER_HOUR = '2';
+
+    const result = checkBatchVelocity(EMAIL, rows(3, () => '123456789'), NOW);
+    assert.equal(result.status, 422);
+    assert.equal(result.code, 'PAYMENT_VELOCITY_EXCEEDED');
+    assert.equal(result.velocity.retryAt, null);
+  });
+});
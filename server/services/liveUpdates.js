@@ -0,0 +1,102 @@
+import { findTransactionById } from '../repositories/transactions.js';
+import { logger } from '../logging/logger.js';
+import { formatMinorUnits } from './currencies.js';
+import { withoutRiskAssessment } from './risk.js';
+import { PERMISSIONS, hasPermission } from './permissions.js';
+import { isAccessTokenRevoked } from './sessions.js';
+
+// Browsers keep an idle stream open only if something arrives now and then;
+// proxies commonly drop connections silent for a minute
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+// How long the browser waits before reconnecting after the stream drops
+const RECONNECT_DELAY_MS = 5 * 1000;
+export const MAX_STREAMS_PER_USER = 5;
+
+const streams = new Set();
+let nextEventId = 1;
+
+const writeEvent = (stream, event, data) => {
+  stream.res.write(`id: ${nextEventId++}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+export const countUserStreams = (email) => [...streams].filter(stream => stream.user.email === email).length;
+
+/**
+ * Turns the response into a Server-Sent Events stream for the authenticated
+ * user. The stream is closed when the access token expires or is revoked,
+ * so a client has to reconnect with a current token to keep receiving.
+ */
+export const openLiveStream = (req, res) => {
+  const stream = { user: req.user, res, openedAt: Date.now() };
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    // Stops nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+  writeEvent(stream, 'ready', { userType: req.user.userType });
+
+  const heartbeat = setInterval(() => {
+    if (isAccessTokenRevoked(req.user.jti)) {
+      res.end();
+      return;
+    }
+    res.write(': keep-alive\n\n');
+  }, HEARTBEAT_INTERVAL_MS);
+  const expiry = setTimeout(() => res.end(), Math.max(req.user.tokenExpiresAt.getTime() - Date.now(), 0));
+
+  streams.add(stream);
+  req.log.info('live updates stream opened', { user: req.user.email, role: req.user.role, streams: streams.size });
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    streams.delete(stream);
+    req.log.info('live updates stream closed', {
+      user: req.user.email,
+      durationMs: Date.now() - stream.openedAt,
+      streams: streams.size
+    });
+  });
+};
+
+/**
+ * Tells connected users that a payment changed status: its owner, and everyone
+ * allowed to see every payment. Call inside the transaction that changed the status; the update
+ * is sent once that transaction has committed, and not at all if it rolled back.
+ */
+export const publishPaymentUpdate = (transaction, previousStatus = null) => {
+  if (streams.size === 0) return;
+
+  setImmediate(() => {
+    const current = findTransactionById(transaction.transactionId);
+    if (!current || current.status !== transaction.status) return;
+
+    const presented = { ...current, amount: formatMinorUnits(current.amountMinor, current.currency) };
+    const forCustomer = { ...withoutRiskAssessment(current), amount: presented.amount };
+    let recipients = 0;
+
+    for (const stream of streams) {
+      const readAll = hasPermission(stream.user, PERMISSIONS.PAYMENTS_READ_ALL);
+      if (!readAll && stream.user.email !== current.initiatedBy) continue;
+      if (isAccessTokenRevoked(stream.user.jti)) {
+        stream.res.end();
+        continue;
+      }
+
+      writeEvent(stream, 'payment', {
+        transactionId: current.transactionId,
+        status: current.status,
+        previousStatus,
+        transaction: readAll ? presented : forCustomer
+      });
+      recipients += 1;
+    }
+
+    logger.debug('live payment update sent', { transactionId: current.transactionId, status: current.status, recipients });
+  });
+};
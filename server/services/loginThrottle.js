@@ -0,0 +1,168 @@
+import { withTransaction } from '../db/index.js';
+import { AUDIT_ACTIONS, recordAuditEvent, requestContext } from './audit.js';
+import {
+  createLockoutEvent,
+  deleteThrottle,
+  findLockoutEvents,
+  findThrottle,
+  markLockoutsUnlocked,
+  saveThrottle
+} from '../repositories/loginThrottles.js';
+
+// Failures are counted per account (even ones that don't exist, so the
+// counter can't be used to enumerate users) and per client IP.
+export const LOGIN_THROTTLE_POLICY = {
+  account: { backoffAfter: 3, lockAfter: 5 },
+  ip: { backoffAfter: 10, lockAfter: 30 },
+  windowMs: 15 * 60 * 1000,
+  lockoutMs: 15 * 60 * 1000,
+  baseDelayMs: 1000,
+  maxDelayMs: 60 * 1000
+};
+
+const subjectsFor = (email, ip) => [
+  { scope: 'account', subject: email },
+  { scope: 'ip', subject: ip }
+];
+
+// Password checks under way, by scope and subject. A check awaits bcrypt and
+// only records its failure afterwards, so these are counted alongside the
+// recorded failures; otherwise parallel guesses would all pass the check.
+const attemptsInProgress = new Map();
+
+const attemptKey = (scope, subject) => `${scope}:${subject}`;
+
+const backoffDelay = (failureCount, backoffAfter) => {
+  if (failureCount < backoffAfter) return 0;
+  const delay = LOGIN_THROTTLE_POLICY.baseDelayMs * 2 ** (failureCount - backoffAfter);
+  return Math.min(delay, LOGIN_THROTTLE_POLICY.maxDelayMs);
+};
+
+// Returns { allowed: true } or { allowed: false, scope, reason, retryAt }.
+// The route must not reveal the difference to the caller.
+export const checkLoginAllowed = (email, ip, now = new Date()) => {
+  for (const { scope, subject } of subjectsFor(email, ip)) {
+    const throttle = findThrottle(scope, subject);
+
+    if (throttle?.lockedUntil && throttle.lockedUntil > now) {
+      return { allowed: false, scope, reason: 'locked', retryAt: throttle.lockedUntil };
+    }
+    if (throttle?.nextAttemptAt && throttle.nextAttemptAt > now) {
+      return { allowed: false, scope, reason: 'backoff', retryAt: throttle.nextAttemptAt };
+    }
+
+    // Checks may run side by side only while all of them failing would stay
+    // short of the backoff; past that they go one at a time, so the lockout
+    // triggers after exactly lockAfter failures.
+    const inProgress = attemptsInProgress.get(attemptKey(scope, subject)) || 0;
+    const recent = throttle && throttle.lastFailureAt.getTime() >= now.getTime() - LOGIN_THROTTLE_POLICY.windowMs;
+    const failureCount = recent ? throttle.failureCount : 0;
+
+    if (inProgress > 0 && failureCount + inProgress >= LOGIN_THROTTLE_POLICY[scope].backoffAfter) {
+      return { allowed: false, scope, reason: 'in_progress', retryAt: now };
+    }
+  }
+  return { allowed: true };
+};
+
+/**
+ * Checks the throttle and, when allowed, holds the attempt until end() is
+ * called. Call end() once the outcome has been recorded with
+ * recordLoginFailure or recordLoginSuccess, in a finally block.
+ */
+export const beginLoginAttempt = (email, ip, now = new Date()) => {
+  const check = checkLoginAllowed(email, ip, now);
+  if (!check.allowed) return check;
+
+  const keys = subjectsFor(email, ip).map(({ scope, subject }) => attemptKey(scope, subject));
+  keys.forEach((key) => attemptsInProgress.set(key, (attemptsInProgress.get(key) || 0) + 1));
+
+  let ended = false;
+  const end = () => {
+    if (ended) return;
+    ended = true;
+    for (const key of keys) {
+      const remaining = attemptsInProgress.get(key) - 1;
+      if (remaining > 0) attemptsInProgress.set(key, remaining);
+      else attemptsInProgress.delete(key);
+    }
+  };
+
+  return { allowed: true, end };
+};
+
+// Records a failed login. Returns the lockouts it triggered (if any).
+export const recordLoginFailure = (email, ip, now = new Date()) => {
+  return withTransaction(() => {
+    const lockouts = [];
+
+    for (const { scope, subject } of subjectsFor(email, ip)) {
+      const { backoffAfter, lockAfter } = LOGIN_THROTTLE_POLICY[scope];
+      const existing = findThrottle(scope, subject);
+      const windowStart = now.getTime() - LOGIN_THROTTLE_POLICY.windowMs;
+      const stale = !existing || existing.lastFailureAt.getTime() < windowStart;
+      const failureCount = stale ? 1 : existing.failureCount + 1;
+
+      let lockedUntil = stale ? null : existing.lockedUntil;
+      if (failureCount >= lockAfter) {
+        lockedUntil = new Date(now.getTime() + LOGIN_THROTTLE_POLICY.lockoutMs);
+        createLockoutEvent({ scope, subject, failureCount, ip, lockedAt: now, lockedUntil });
+        lockouts.push({ scope, subject, failureCount, lockedUntil });
+      }
+
+      const delay = backoffDelay(failureCount, backoffAfter);
+
+      saveThrottle({
+        scope,
+        subject,
+        failureCount,
+        lastFailureAt: now,
+        nextAttemptAt: delay > 0 ? new Date(now.getTime() + delay) : null,
+        lockedUntil
+      });
+    }
+
+    return lockouts;
+  });
+};
+
+// Logs and audits the lockouts a failure triggered, wherever the password or
+// code was checked (login, second factor or re-authentication)
+export const reportLockouts = (req, lockouts) => {
+  for (const lockout of lockouts) {
+    req.log.warn('login lockout', {
+      scope: lockout.scope,
+      subject: lockout.subject,
+      failureCount: lockout.failureCount,
+      lockedUntil: lockout.lockedUntil
+    });
+    recordAuditEvent({
+      actor: 'system',
+      action: AUDIT_ACTIONS.LOCKOUT,
+      target: `${lockout.scope}:${lockout.subject}`,
+      outcome: 'success',
+      ...requestContext(req),
+      details: {
+        failureCount: lockout.failureCount,
+        lockedUntil: lockout.lockedUntil.toISOString()
+      }
+    });
+  }
+};
+
+// Successful login clears the account counter; the IP counter is left to
+// decay so one valid account can't be used to reset it.
+export const recordLoginSuccess = (email) => {
+  deleteThrottle('account', email);
+};
+
+export const unlockAccount = (email, unlockedBy) => {
+  return withTransaction(() => {
+    const throttle = findThrottle('account', email);
+    markLockoutsUnlocked('account', email, unlockedBy);
+    deleteThrottle('account', email);
+    return !!throttle;
+  });
+};
+
+export const listLockouts = (options) => findLockoutEvents(options);
@@ -0,0 +1,103 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import QRCode from 'qrcode';
+import { withTransaction } from '../db/index.js';
+import {
+  advanceMfaLastStep,
+  consumeRecoveryCode,
+  enableMfa,
+  replaceRecoveryCodes,
+  setPendingMfaSecret
+} from '../repositories/users.js';
+import { getJwtSecret, isAccessTokenRevoked, revokeTokenId } from './sessions.js';
+import { buildOtpauthUri, generateSecret, verifyCode } from './totp.js';
+
+export const MFA_TOKEN_TTL_SECONDS = 5 * 60;
+export const MFA_ISSUER = 'International Payments Portal';
+const RECOVERY_CODE_COUNT = 10;
+
+// Employees can release money, so they may not skip the second factor
+export const isMfaRequired = (user) => user.userType === 'employee';
+
+export const isMfaEnabled = (user) => !!user.mfaEnabledAt;
+
+// Short-lived proof that the password step passed. It carries no session id,
+// so verifyToken never accepts it as an access token.
+export const signMfaToken = (user, purpose) => {
+  return jwt.sign(
+    { email: user.email, userType: user.userType, purpose },
+    getJwtSecret(),
+    { expiresIn: MFA_TOKEN_TTL_SECONDS, jwtid: crypto.randomUUID(), audience: 'mfa' }
+  );
+};
+
+export const verifyMfaToken = (token, purpose) => {
+  if (typeof token !== 'string') return null;
+  try {
+    const decoded = jwt.verify(token, getJwtSecret(), { audience: 'mfa' });
+    if (decoded.purpose !== purpose || isAccessTokenRevoked(decoded.jti)) return null;
+    return decoded;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const consumeMfaToken = (decoded) => {
+  revokeTokenId(decoded.jti, new Date(decoded.exp * 1000));
+};
+
+const normalizeRecoveryCode = (code) => code.toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const hashRecoveryCode = (code) => {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+};
+
+// XXXXX-XXXXX from an alphabet without 0/O or 1/I look-alikes
+const generateRecoveryCode = () => {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  const bytes = crypto.randomBytes(10);
+  const chars = Array.from(bytes, byte => alphabet[byte % alphabet.length]).join('');
+  return `${chars.substring(0, 5)}-${chars.substring(5)}`;
+};
+
+export const beginEnrollment = async (user) => {
+  const secret = generateSecret();
+  setPendingMfaSecret(user.email, secret);
+
+  const otpauthUri = buildOtpauthUri({ secret, accountName: user.email, issuer: MFA_ISSUER });
+  const qrCode = await QRCode.toDataURL(otpauthUri);
+
+  return { secret, otpauthUri, qrCode };
+};
+
+// Activates the pending secret once the user proves their app produces codes
+// for it. Returns the plaintext recovery codes (shown once) or null.
+export const confirmEnrollment = (user, code) => {
+  return withTransaction(() => {
+    if (!user.mfaPendingSecret) return null;
+
+    const step = verifyCode(user.mfaPendingSecret, code);
+    if (step === null) return null;
+
+    enableMfa(user.email);
+    advanceMfaLastStep(user.email, step);
+
+    const recoveryCodes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+    replaceRecoveryCodes(user.email, recoveryCodes.map(hashRecoveryCode));
+    return recoveryCodes;
+  });
+};
+
+// Checks a TOTP code or a one-time recovery code. Returns the method used or null.
+export const verifySecondFactor = (user, { code, recoveryCode }) => {
+  return withTransaction(() => {
+    if (typeof recoveryCode === 'string' && recoveryCode) {
+      return consumeRecoveryCode(user.email, hashRecoveryCode(recoveryCode)) ? 'recovery_code' : null;
+    }
+
+    const step = verifyCode(user.mfaSecret, code);
+    if (step === null) return null;
+
+    return advanceMfaLastStep(user.email, step) ? 'totp' : null;
+  });
+};
@@ -0,0 +1,94 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+import { closeDatabase } from '../db/index.js';
+import { createUser, findUserByEmail } from '../repositories/users.js';
+import {
+  beginEnrollment,
+  confirmEnrollment,
+  consumeMfaToken,
+  signMfaToken,
+  verifyMfaToken,
+  verifySecondFactor
+} from './mfa.js';
+import { currentStep, generateCode } from './totp.js';
+
+const EMAIL = 'employee@company.com';
+
+// An employee with two-factor turned on. Returns the secret, the step the
+// enrolment code used and the recovery codes.
+const enrol = async () => {
+  createUser({ email: EMAIL, password: 'hash', userType: 'employee', role: 'admin' });
+  const { secret } = await beginEnrollment(findUserByEmail(EMAIL));
+  const step = currentStep();
+  const recoveryCodes = confirmEnrollment(findUserByEmail(EMAIL), generateCode(secret, step));
+  return { secret, step, recoveryCodes };
+};
+
+beforeEach(() => closeDatabase());
+
+describe('confirmEnrollment', () => {
+  it('refuses a code from another secret', async () => {
+    createUser({ email: EMAIL, password: 'hash', userType: 'employee', role: 'admin' });
+    await beginEnrollment(findUserByEmail(EMAIL));
+
+    assert.equal(confirmEnrollment(findUserByEmail(EMAIL), generateCode('AAAAAAAAAAAAAAAA', currentStep())), null);
+    assert.equal(findUserByEmail(EMAIL).mfaEnabledAt, null);
+  });
+
+  it('turns two-factor on and returns ten recovery codes', async () => {
+    const { recoveryCodes } = await enrol();
+
+    assert.equal(recoveryCodes.length, 10);
+    assert.ok(findUserByEmail(EMAIL).mfaEnabledAt);
+  });
+});
+
+describe('verifySecondFactor', () => {
+  it('refuses the code already used to enrol', async () => {
+    const { secret, step } = await enrol();
+
+    assert.equal(verifySecondFactor(findUserByEmail(EMAIL), { code: generateCode(secret, step) }), null);
+  });
+
+  it('accepts a code once and refuses it when replayed', async () => {
+    const { secret, step } = await enrol();
+    const code = generateCode(secret, step + 1);
+
+    assert.equal(verifySecondFactor(findUserByEmail(EMAIL), { code }), 'totp');
+    assert.equal(verifySecondFactor(findUserByEmail(EMAIL), { code }), null);
+  });
+
+  it('refuses an older code once a newer one was accepted', async () => {
+    const { secret, step } = await enrol();
+
+    assert.equal(verifySecondFactor(findUserByEmail(EMAIL), { code: generateCode(secret, step + 1) }), 'totp');
+    assert.equal(verifySecondFactor(findUserByEmail(EMAIL), { code: generateCode(secret, step - 1) }), null);
+  });
+
+  it('accepts each recovery code once, in any format', async () => {
+    const { recoveryCodes } = await enrol();
+    const recoveryCode = recoveryCodes[0].toLowerCase().replace('-', ' ');
+
+    assert.equal(verifySecondFactor(findUserByEmail(EMAIL), { recoveryCode }), 'recovery_code');
+    assert.equal(verifySecondFactor(findUserByEmail(EMAIL), { recoveryCode }), null);
+    assert.equal(verifySecondFactor(findUserByEmail(EMAIL), { recoveryCode: recoveryCodes[1] }), 'recovery_code');
+  });
+});
+
+describe('MFA tokens', () => {
+  const user = { email: EMAIL, userType: 'employee' };
+
+  it('are only accepted for the purpose they were issued for', () => {
+    const token = signMfaToken(user, 'mfa_verify');
+
+    assert.equal(verifyMfaToken(token, 'mfa_verify').email, EMAIL);
+    assert.equal(verifyMfaToken(token, 'mfa_enroll'), null);
+  });
+
+  it('cannot be used again once consumed', () => {
+    const token = signMfaToken(user, 'mfa_verify');
+    consumeMfaToken(verifyMfaToken(token, 'mfa_verify'));
+
+    assert.equal(verifyMfaToken(token, 'mfa_verify'), null);
+  });
+});
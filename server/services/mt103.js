@@ -0,0 +1,124 @@
+import crypto from 'crypto';
+import validator from 'validator';
+import { formatMinorUnits } from './currencies.js';
+import { validateBeneficiaryAccount } from './accountValidation.js';
+import { toLatin } from './transliteration.js';
+
+// FIN text fields are lines of at most 35 characters from the SWIFT "x" set
+export const MT103_FORMAT = 'MT103';
+export const MT103_LINE_LENGTH = 35;
+const MAX_NAME_LINES = 4;
+const REFERENCE_LENGTH = 16;
+
+const SWIFT_X_CHARS = /^[A-Za-z0-9/\-?:().,'+ ]*$/;
+
+/**
+ * Converts stored text to the SWIFT x character set. Stored names are
+ * HTML-escaped by the input sanitizer, so they are unescaped first; other
+ * alphabets are transliterated, accents are dropped and anything else outside
+ * the set becomes '.'.
+ */
+export const toSwiftText = (value) => toLatin(validator.unescape(String(value)))
+  .replace(/&/g, '+')
+  .replace(/\s+/g, ' ')
+  .replace(/[^A-Za-z0-9/\-?:().,'+ ]/g, '.')
+  .trim();
+
+// Word-wraps text into at most maxLines lines of 35 characters. A line may
+// not start with ':' or '-', which FIN would read as a field tag or block end.
+const wrapLines = (text, maxLines) => {
+  const lines = [];
+  let line = '';
+
+  for (let word of text.split(' ').filter(Boolean)) {
+    while (word.length > MT103_LINE_LENGTH) {
+      if (line) lines.push(line);
+      lines.push(word.slice(0, MT103_LINE_LENGTH));
+      word = word.slice(MT103_LINE_LENGTH);
+      line = '';
+    }
+    if (!line) {
+      line = word;
+    } else if (line.length + 1 + word.length <= MT103_LINE_LENGTH) {
+      line += ` ${word}`;
+    } else {
+      lines.push(line);
+      line = word;
+    }
+  }
+  if (line) lines.push(line);
+
+  return lines.slice(0, maxLines).map(content => content.replace(/^[:-]/, '.'));
+};
+
+// 32A amounts use a decimal comma, which is mandatory even without decimals
+export const formatSwiftAmount = (amountMinor, currency) => {
+  const amount = formatMinorUnits(amountMinor, currency);
+  return amount.includes('.') ? amount.replace('.', ',') : `${amount},`;
+};
+
+const formatSwiftDate = (date) => date.toISOString().slice(2, 10).replace(/-/g, '');
+
+// 12-character logical terminal address: BIC8, terminal code, branch
+const terminalAddress = (bic, terminalCode) => `${bic.slice(0, 8)}${terminalCode}${bic.slice(8) || 'XXX'}`;
+
+// Every content line must be representable and fit; anything else is a bug
+// in this renderer, not bad input
+const assertFieldLines = (tag, lines) => {
+  for (const line of lines) {
+    if (!SWIFT_X_CHARS.test(line) || line.length > MT103_LINE_LENGTH || /^[:-]/.test(line)) {
+      throw new Error(`MT103 field ${tag} has a line that breaks FIN rules`);
+    }
+  }
+};
+
+/**
+ * Renders a FIN MT103 single customer credit transfer for a transaction.
+ * debtor is the paying customer ({ fullName, accountNumber }); valueDate
+ * fills 32A. Returns { message, reference } or { error } when the payment
+ * cannot be expressed in the SWIFT character set.
+ */
+export const renderMt103 = ({ transaction, debtor, senderBic, receiverBic, valueDate }) => {
+  const orderingName = wrapLines(toSwiftText(debtor.fullName), MAX_NAME_LINES);
+  const beneficiaryName = wrapLines(toSwiftText(transaction.recipientName), MAX_NAME_LINES);
+
+  if (!/[A-Za-z]/.test(orderingName.join(''))) {
+    return { error: 'The ordering customer name cannot be written in the SWIFT character set' };
+  }
+  if (!/[A-Za-z]/.test(beneficiaryName.join(''))) {
+    return { error: 'The beneficiary name cannot be written in the SWIFT character set' };
+  }
+
+  const beneficiaryAccount = validateBeneficiaryAccount(transaction.recipientAccount, transaction.swiftCode);
+  const reference = transaction.transactionId.slice(-REFERENCE_LENGTH);
+
+  const fields = [
+    [':20:', [reference]],
+    [':23B:', ['CRED']],
+    [':32A:', [`${formatSwiftDate(valueDate)}${transaction.currency}${formatSwiftAmount(transaction.amountMinor, transaction.currency)}`]],
+    [':50K:', [`/${debtor.accountNumber}`, ...orderingName]],
+    [':57A:', [transaction.swiftCode]],
+    [':59:', [`/${beneficiaryAccount.valid ? beneficiaryAccount.normalized : transaction.recipientAccount}`, ...beneficiaryName]],
+    [':70:', [`/ROC/${transaction.transactionId}`]],
+    [':71A:', ['SHA']]
+  ];
+
+  fields.forEach(([tag, lines]) => assertFieldLines(tag, lines));
+
+  const text = fields.map(([tag, [first, ...rest]]) => [`${tag}${first}`, ...rest].join('\r\n')).join('\r\n');
+  const block4 = `{4:\r\n${text}\r\n-}`;
+
+  // The network computes the real CHK trailer on delivery; this one lets the
+  // receiving interface detect a file altered after it was generated
+  const checksum = crypto.createHash('sha256').update(block4).digest('hex').slice(0, 12).toUpperCase();
+
+  const message = [
+    `{1:F01${terminalAddress(senderBic, 'A')}0000000000}`,
+    `{2:I103${terminalAddress(receiverBic, 'X')}N}`,
+    `{3:{121:${transaction.uetr}}}`,
+    block4,
+    `{5:{CHK:${checksum}}}`
+  ].join('');
+
+  return { message, reference };
+};
@@ -0,0 +1,106 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { MT103_LINE_LENGTH, formatSwiftAmount, renderMt103, toSwiftText } from './mt103.js';
+
+const TRANSACTION = {
+  transactionId: 'TXN1773576000000ABCDEFGHI',
+  amountMinor: 1234567,
+  currency: 'EUR',
+  recipientName: 'Jane Doe',
+  recipientAccount: 'de89 3704 0044 0532 0130 00',
+  swiftCode: 'DEUTDEFF',
+  uetr: '8a562c67-ca16-48ba-b074-65581be6f001'
+};
+
+const DEBTOR = { fullName: 'Alice Smith', accountNumber: '1234567890' };
+
+const render = (overrides = {}, debtor = DEBTOR) => renderMt103({
+  transaction: { ...TRANSACTION, ...overrides },
+  debtor,
+  senderBic: 'PORTZAJJXXX',
+  receiverBic: 'DEUTDEFF',
+  valueDate: new Date('2026-03-15T12:00:00Z')
+});
+
+// The lines of block 4, without its opening and closing markers
+const textBlock = (message) => message.match(/\{4:\r\n([\s\S]*)\r\n-\}/)[1].split('\r\n');
+
+describe('renderMt103', () => {
+  it('renders the header blocks, text block and trailer', () => {
+    const { message, reference } = render();
+
+    assert.equal(reference, '6000000ABCDEFGHI');
+    assert.ok(message.startsWith('{1:F01PORTZAJJAXXX0000000000}{2:I103DEUTDEFFXXXXN}'));
+    assert.match(message, /\{3:\{121:8a562c67-ca16-48ba-b074-65581be6f001\}\}/);
+    assert.match(message, /\{5:\{CHK:[0-9A-F]{12}\}\}$/);
+  });
+
+  it('fills the mandatory fields', () => {
+    assert.deepEqual(textBlock(render().message), [
+      ':20:6000000ABCDEFGHI',
+      ':23B:CRED',
+      ':32A:260315EUR12345,67',
+      ':50K:/1234567890',
+      'Alice Smith',
+      ':57A:DEUTDEFF',
+      ':59:/DE89370400440532013000',
+      'Jane Doe',
+      ':70:/ROC/TXN1773576000000ABCDEFGHI',
+      ':71A:SHA'
+    ]);
+  });
+
+  it('wraps long names at 35 characters, four lines at most', () => {
+    const recipientName = 'Internationale Handelsgesellschaft fuer Maschinenbau und Anlagentechnik mit beschraenkter Haftung Niederlassung Frankfurt am Main';
+    const lines = textBlock(render({ recipientName }).message);
+    const name = lines.slice(lines.indexOf(':59:/DE89370400440532013000') + 1, lines.indexOf(':70:/ROC/TXN1773576000000ABCDEFGHI'));
+
+    assert.equal(name.length, 4);
+    assert.ok(name.every(line => line.length <= MT103_LINE_LENGTH));
+    assert.equal(name[0], 'Internationale Handelsgesellschaft');
+  });
+
+  it('never starts a line with a colon or dash', () => {
+    const lines = textBlock(render({ recipientName: ':59:/FAKE -} {5:' }).message);
+
+    assert.ok(lines.includes('.59:/FAKE -. .5:'));
+  });
+
+  it('transliterates and unescapes names into the SWIFT character set', () => {
+    const lines = textBlock(render({ recipientName: 'Zo&#x27;ë &amp; Søren Müller' }).message);
+
+    assert.ok(lines.includes("Zo'e + Soren Muller"));
+  });
+
+  it('refuses names with nothing left in the SWIFT character set', () => {
+    assert.deepEqual(render({ recipientName: '***' }), {
+      error: 'The beneficiary name cannot be written in the SWIFT character set'
+    });
+    assert.deepEqual(render({}, { ...DEBTOR, fullName: '!!!' }), {
+      error: 'The ordering customer name cannot be written in the SWIFT character set'
+    });
+  });
+
+  it('changes the checksum when the text block changes', () => {
+    const checksum = (message) => message.match(/CHK:([0-9A-F]+)/)[1];
+
+    assert.equal(checksum(render().message), checksum(render().message));
+    assert.notEqual(checksum(render().message), checksum(render({ amountMinor: 1234568 }).message));
+  });
+});
+
+describe('formatSwiftAmount', () => {
+  it('uses a decimal comma, even without decimals', () => {
+    assert.equal(formatSwiftAmount(1234567, 'EUR'), '12345,67');
+    assert.equal(formatSwiftAmount(1, 'USD'), '0,01');
+    assert.equal(formatSwiftAmount(500, 'JPY'), '500,');
+    assert.equal(formatSwiftAmount(1234, 'KWD'), '1,234');
+  });
+});
+
+describe('toSwiftText', () => {
+  it('replaces characters outside the x set', () => {
+    assert.equal(toSwiftText('a_b@c;d'), 'a.b.c.d');
+    assert.equal(toSwiftText('  several   spaces\there '), 'several spaces here');
+  });
+});
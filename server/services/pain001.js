@@ -0,0 +1,161 @@
+import fs from 'fs';
+import validator from 'validator';
+import { validateXML } from 'xmllint-wasm';
+import { formatMinorUnits } from './currencies.js';
+import { validateBeneficiaryAccount } from './accountValidation.js';
+
+export const PAIN001_VERSION = 'pain.001.001.09';
+export const PAIN001_NAMESPACE = `urn:iso:std:iso:20022:tech:xsd:${PAIN001_VERSION}`;
+
+const SCHEMA_URL = new URL(`../schemas/${PAIN001_VERSION}.xsd`, import.meta.url);
+
+let schema = null;
+
+const loadSchema = () => {
+  if (!schema) schema = fs.readFileSync(SCHEMA_URL, 'utf8');
+  return schema;
+};
+
+// Characters XML 1.0 cannot carry at all, even escaped
+const INVALID_XML_CHARS = /[^\t\n\r\x20-\u{D7FF}\u{E000}-\u{FFFD}\u{10000}-\u{10FFFF}]/gu;
+
+const escapeXml = (value) => String(value)
+  .replace(INVALID_XML_CHARS, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Names are stored HTML-escaped by the input sanitizer; the bank needs the
+// original text, cut to the field's length in characters
+const plainText = (value, maxLength) => Array.from(validator.unescape(value)).slice(0, maxLength).join('');
+
+const element = (name, children, attributes = {}) => ({ name, children, attributes });
+
+const render = ({ name, children, attributes }, indent = '') => {
+  const attrs = Object.entries(attributes).map(([key, value]) => ` ${key}="${escapeXml(value)}"`).join('');
+  if (!Array.isArray(children)) {
+    return `${indent}<${name}${attrs}>${escapeXml(children)}</${name}>`;
+  }
+  return [
+    `${indent}<${name}${attrs}>`,
+    ...children.map(child => render(child, `${indent}  `)),
+    `${indent}</${name}>`
+  ].join('\n');
+};
+
+// Adds decimal strings exactly, at the finest scale among them
+const sumDecimals = (amounts) => {
+  const scale = Math.max(0, ...amounts.map(amount => (amount.split('.')[1] || '').length));
+  const total = amounts.reduce((sum, amount) => {
+    const [units, fraction = ''] = amount.split('.');
+    return sum + BigInt(units + fraction.padEnd(scale, '0'));
+  }, 0n);
+
+  if (scale === 0) return total.toString();
+  const digits = total.toString().padStart(scale + 1, '0');
+  return `${digits.slice(0, -scale)}.${digits.slice(-scale)}`;
+};
+
+const party = (name) => element('Nm', plainText(name, 140));
+
+const agent = (bic) => element('FinInstnId', [element('BICFI', bic)]);
+
+const account = ({ iban, id }) => element('Id', [
+  iban ? element('IBAN', iban) : element('Othr', [element('Id', id)])
+]);
+
+const creditorAccount = (transaction) => {
+  const beneficiary = validateBeneficiaryAccount(transaction.recipientAccount, transaction.swiftCode);
+  return beneficiary.valid && beneficiary.type === 'iban'
+    ? { iban: beneficiary.normalized }
+    : { id: transaction.recipientAccount };
+};
+
+const creditTransfer = (transaction) => element('CdtTrfTxInf', [
+  element('PmtId', [
+    element('InstrId', transaction.transactionId),
+    element('EndToEndId', transaction.transactionId.slice(0, 35))
+  ]),
+  element('Amt', [
+    element('InstdAmt', formatMinorUnits(transaction.amountMinor, transaction.currency), {
+      Ccy: transaction.currency
+    })
+  ]),
+  element('CdtrAgt', [agent(transaction.swiftCode)]),
+  element('Cdtr', [party(transaction.recipientName)]),
+  element('CdtrAcct', [account(creditorAccount(transaction))])
+]);
+
+// One payment information block per debtor and currency, since a block
+// carries a single debtor account and its control sum is per currency
+const groupInstructions = (transactions) => {
+  const groups = new Map();
+  for (const transaction of transactions) {
+    const key = `${transaction.initiatedBy}\n${transaction.currency}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(transaction);
+  }
+  return [...groups.values()];
+};
+
+const amountsOf = (transactions) => transactions.map(txn => formatMinorUnits(txn.amountMinor, txn.currency));
+
+/**
+ * Builds a pain.001.001.09 customer credit transfer initiation for the given
+ * transactions. debtors maps each initiatedBy email to { fullName, accountNumber }.
+ * Returns { document, transactionCount, controlSum }.
+ */
+export const buildPain001 = ({ messageId, createdAt, bank, transactions, debtors }) => {
+  const controlSum = sumDecimals(amountsOf(transactions));
+  const executionDate = createdAt.toISOString().slice(0, 10);
+
+  const paymentInformation = groupInstructions(transactions).map((group, index) => {
+    const debtor = debtors.get(group[0].initiatedBy);
+    return element('PmtInf', [
+      element('PmtInfId', `${messageId}-${index + 1}`),
+      element('PmtMtd', 'TRF'),
+      element('NbOfTxs', String(group.length)),
+      element('CtrlSum', sumDecimals(amountsOf(group))),
+      element('ReqdExctnDt', [element('Dt', executionDate)]),
+      element('Dbtr', [party(debtor.fullName)]),
+      element('DbtrAcct', [account({ id: debtor.accountNumber })]),
+      element('DbtrAgt', [agent(bank.bic)]),
+      element('ChrgBr', 'SHAR'),
+      ...group.map(creditTransfer)
+    ]);
+  });
+
+  const document = element('Document', [
+    element('CstmrCdtTrfInitn', [
+      element('GrpHdr', [
+        element('MsgId', messageId),
+        element('CreDtTm', createdAt.toISOString().replace(/\.\d{3}Z$/, 'Z')),
+        element('NbOfTxs', String(transactions.length)),
+        element('CtrlSum', controlSum),
+        element('InitgPty', [party(bank.name)])
+      ]),
+      ...paymentInformation
+    ])
+  ], { xmlns: PAIN001_NAMESPACE });
+
+  return {
+    document: `<?xml version="1.0" encoding="UTF-8"?>\n${render(document)}\n`,
+    transactionCount: transactions.length,
+    controlSum
+  };
+};
+
+// Validates a generated document against the bundled XSD.
+// Returns { valid, errors } with one message per schema violation.
+export const validatePain001 = async (document) => {
+  const result = await validateXML({
+    xml: [{ fileName: `${PAIN001_VERSION}.xml`, contents: document }],
+    schema: [loadSchema()]
+  });
+  return {
+    valid: result.valid,
+    errors: result.errors.map(error => error.message)
+  };
+};
@@ -0,0 +1,87 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { PAIN001_NAMESPACE, buildPain001, validatePain001 } from './pain001.js';
+
+const BANK = { bic: 'PORTZAJJXXX', name: 'International Payments Portal' };
+const CREATED_AT = new Date('2026-03-15T12:34:56.789Z');
+
+const transaction = (overrides) => ({
+  transactionId: 'TXN1',
+  amountMinor: 12345,
+  currency: 'EUR',
+  recipientName: 'Jane Doe',
+  recipientAccount: 'DE89 3704 0044 0532 0130 00',
+  swiftCode: 'DEUTDEFF',
+  initiatedBy: 'alice@example.com',
+  ...overrides
+});
+
+const DEBTORS = new Map([
+  ['alice@example.com', { fullName: 'Alice Smith', accountNumber: '1234567890' }],
+  ['bob@example.com', { fullName: 'Bob &amp; Sons', accountNumber: '2345678901' }]
+]);
+
+const build = (transactions) => buildPain001({ messageId: 'EXP1', createdAt: CREATED_AT, bank: BANK, transactions, debtors: DEBTORS });
+
+// Text of every element with this name, in document order
+const texts = (document, name) => [...document.matchAll(new RegExp(`<${name}(?: [^>]*)?>([^<]*)</${name}>`, 'g'))].map(match => match[1]);
+
+describe('buildPain001', () => {
+  const transactions = [
+    transaction({ transactionId: 'TXN1', amountMinor: 12345 }),
+    transaction({ transactionId: 'TXN2', amountMinor: 1, initiatedBy: 'bob@example.com' }),
+    transaction({ transactionId: 'TXN3', amountMinor: 500, currency: 'JPY', recipientAccount: '1234567', swiftCode: 'MHCBJPJT' }),
+    transaction({ transactionId: 'TXN4', amountMinor: 99999, recipientName: 'O&#x27;Brien &lt;Ltd&gt;' })
+  ];
+  const { document, transactionCount, controlSum } = build(transactions);
+
+  it('produces a document the pain.001.001.09 schema accepts', async () => {
+    assert.deepEqual(await validatePain001(document), { valid: true, errors: [] });
+  });
+
+  it('declares the pain.001.001.09 namespace', () => {
+    assert.match(document, new RegExp(`<Document xmlns="${PAIN001_NAMESPACE}">`));
+  });
+
+  it('sums every amount exactly, at the finest scale', () => {
+    assert.equal(transactionCount, 4);
+    assert.equal(controlSum, '1623.45');
+    assert.deepEqual(texts(document, 'CtrlSum'), ['1623.45', '1123.44', '0.01', '500']);
+  });
+
+  it('groups payments by debtor and currency', () => {
+    assert.deepEqual(texts(document, 'PmtInfId'), ['EXP1-1', 'EXP1-2', 'EXP1-3']);
+    assert.deepEqual(texts(document, 'NbOfTxs'), ['4', '2', '1', '1']);
+    assert.deepEqual(texts(document, 'InstrId'), ['TXN1', 'TXN4', 'TXN2', 'TXN3']);
+  });
+
+  it('writes amounts in the currency minor units', () => {
+    assert.match(document, /<InstdAmt Ccy="EUR">123.45<\/InstdAmt>/);
+    assert.match(document, /<InstdAmt Ccy="JPY">500<\/InstdAmt>/);
+  });
+
+  it('sends IBANs as IBANs and other accounts as Othr', () => {
+    assert.deepEqual(texts(document, 'IBAN'), ['DE89370400440532013000', 'DE89370400440532013000', 'DE89370400440532013000']);
+    assert.match(document, /<Othr>\s*<Id>1234567<\/Id>\s*<\/Othr>/);
+  });
+
+  it('unescapes stored names and escapes them for XML', () => {
+    assert.ok(texts(document, 'Nm').includes('O&apos;Brien &lt;Ltd&gt;'));
+    assert.ok(texts(document, 'Nm').includes('Bob &amp; Sons'));
+  });
+
+  it('stamps the creation time without milliseconds', () => {
+    assert.deepEqual(texts(document, 'CreDtTm'), ['2026-03-15T12:34:56Z']);
+    assert.deepEqual(texts(document, 'Dt'), ['2026-03-15', '2026-03-15', '2026-03-15']);
+  });
+});
+
+describe('validatePain001', () => {
+  it('reports schema violations', async () => {
+    const { document } = build([transaction({ swiftCode: 'NOT A BIC' })]);
+    const result = await validatePain001(document);
+
+    assert.equal(result.valid, false);
+    assert.ok(result.errors.length > 0);
+  });
+});
@@ -0,0 +1,88 @@
+import { parseCsv } from './csv.js';
+import { formatMinorUnits } from './currencies.js';
+import { validatePaymentRequest } from './paymentRequests.js';
+
+export const MAX_BATCH_ROWS = 500;
+export const MAX_BATCH_CSV_LENGTH = 1024 * 1024;
+
+// Header spellings accepted for each payment field, compared after
+// lowercasing and dropping spaces, dashes and underscores
+const COLUMN_ALIASES = {
+  amount: 'amount',
+  currency: 'currency',
+  provider: 'provider',
+  recipientname: 'recipientName',
+  beneficiaryname: 'recipientName',
+  name: 'recipientName',
+  recipientaccount: 'recipientAccount',
+  beneficiaryaccount: 'recipientAccount',
+  account: 'recipientAccount',
+  accountnumber: 'recipientAccount',
+  iban: 'recipientAccount',
+  swiftcode: 'swiftCode',
+  swift: 'swiftCode',
+  bic: 'swiftCode',
+  swiftbic: 'swiftCode'
+};
+
+export const REQUIRED_COLUMNS = ['amount', 'currency', 'recipientName', 'recipientAccount', 'swiftCode'];
+
+const DEFAULT_PROVIDER = 'SWIFT';
+
+const columnFor = (header) => COLUMN_ALIASES[header.trim().toLowerCase().replace(/[\s_-]/g, '')];
+
+/**
+ * Parses a payments CSV (header row first) and validates every row exactly
+ * as /payments/process would. Returns { error } when the file itself is
+ * unusable, otherwise { rows } with one entry per data row:
+ * { row, input, valid, errors } or { row, input, valid, payment }.
+ */
+export const parsePaymentCsv = (text) => {
+  const { records, error } = parseCsv(text);
+  if (error) return { error };
+
+  const [header, ...dataRows] = records;
+  if (!header) return { error: 'The file is empty' };
+
+  const columns = header.map(columnFor);
+  const missing = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+  if (missing.length > 0) {
+    return { error: `Missing column(s): ${missing.join(', ')}` };
+  }
+
+  if (dataRows.length === 0) return { error: 'The file has no payment rows' };
+  if (dataRows.length > MAX_BATCH_ROWS) {
+    return { error: `A batch can hold at most ${MAX_BATCH_ROWS} payments (got ${dataRows.length})` };
+  }
+
+  const rows = dataRows.map((record, index) => {
+    const input = {};
+    columns.forEach((column, position) => {
+      if (column && input[column] === undefined) input[column] = (record[position] || '').trim();
+    });
+    input.currency = input.currency.toUpperCase();
+    input.provider = (input.provider || DEFAULT_PROVIDER).toUpperCase();
+
+    const validation = validatePaymentRequest(input);
+    return validation.valid
+      ? { row: index + 1, input, valid: true, payment: validation.payment }
+      : { row: index + 1, input, valid: false, errors: validation.errors };
+  });
+
+  return { rows };
+};
+
+// Per-currency totals, as the amounts in a batch cannot be added across currencies
+export const totalsByCurrency = (payments) => {
+  const totals = new Map();
+  for (const { currency, amountMinor } of payments) {
+    const total = totals.get(currency) || { currency, count: 0, amountMinor: 0 };
+    total.count += 1;
+    total.amountMinor += amountMinor;
+    totals.set(currency, total);
+  }
+  return [...totals.values()].map(total => ({
+    ...total,
+    amount: formatMinorUnits(total.amountMinor, total.currency)
+  }));
+};
@@ -0,0 +1,12 @@
+import { publishPaymentUpdate } from './liveUpdates.js';
+import { queuePaymentStatusEvent } from './webhooks.js';
+
+/**
+ * Announces a payment's new status to the owner's webhooks and to everyone
+ * watching live. Call inside the transaction that changed the status, once
+ * for every change, including the status a payment is created with.
+ */
+export const paymentStatusChanged = (transaction, previousStatus = null) => {
+  queuePaymentStatusEvent(transaction, previousStatus);
+  publishPaymentUpdate(transaction, previousStatus);
+};
@@ -0,0 +1,117 @@
+import validator from 'validator';
+import { isSupportedCurrency, isSupportedProvider, parseAmountToMinorUnits } from './currencies.js';
+import { validateBeneficiaryAccount } from './accountValidation.js';
+
+export const sanitizeInput = (input) => validator.escape(input.trim());
+
+export const validateSwiftCode = (code) => /^[A-Z]{6}[A-Z0-9]{2}([A-Z0-9]{3})?$/.test(code);
+
+const readString = (value) => typeof value === 'string' ? value : '';
+
+// Keeps the first error per field, and the first failure overall as the
+// reason to log
+const collectFieldErrors = () => {
+  const errors = {};
+  let reason = null;
+
+  return {
+    errors,
+    fail: (field, failure, message) => {
+      if (errors[field]) return;
+      errors[field] = message;
+      reason = reason || failure;
+    },
+    get reason() {
+      return reason;
+    }
+  };
+};
+
+// Recipient name, then the SWIFT code (RegEx), then the account against the
+// SWIFT code's country. Returns the sanitized, normalized details.
+const checkBeneficiary = ({ recipientName, recipientAccount, swiftCode }, fieldErrors) => {
+  // Input Sanitization (XSS Protection)
+  recipientName = sanitizeInput(readString(recipientName));
+  recipientAccount = sanitizeInput(readString(recipientAccount));
+  swiftCode = sanitizeInput(readString(swiftCode).toUpperCase());
+
+  if (recipientName.length < 2) {
+    fieldErrors.fail('recipientName', 'invalid_recipient_name', 'Invalid recipient name');
+  }
+
+  if (!validateSwiftCode(swiftCode)) {
+    fieldErrors.fail('swiftCode', 'invalid_swift_code', 'Invalid SWIFT/BIC code format');
+    return null;
+  }
+
+  const account = validateBeneficiaryAccount(recipientAccount, swiftCode);
+  if (!account.valid) {
+    fieldErrors.fail(account.field, 'invalid_beneficiary_account', account.error);
+    return null;
+  }
+
+  return { recipientName, recipientAccount: account.normalized, swiftCode };
+};
+
+/**
+ * Validates a beneficiary's name, SWIFT code and account exactly as a payment
+ * to them would be. Returns { valid: true, beneficiary } with sanitized,
+ * normalized fields, or { valid: false, reason, errors }.
+ */
+export const validateBeneficiaryDetails = (input) => {
+  const fieldErrors = collectFieldErrors();
+  const beneficiary = checkBeneficiary(input, fieldErrors);
+
+  return fieldErrors.reason === null
+    ? { valid: true, beneficiary }
+    : { valid: false, reason: fieldErrors.reason, errors: fieldErrors.errors };
+};
+
+/**
+ * Validates a payment as submitted by a customer, one field at a time in the
+ * order the payment form shows them. Shared by single and bulk submission.
+ *
+ * Returns { valid: true, payment } with sanitized, normalized fields ready to
+ * store, or { valid: false, reason, errors } where errors maps each failing
+ * field to a message and reason names the first failure for logging.
+ */
+export const validatePaymentRequest = ({ amount, currency, provider, ...recipient }) => {
+  const fieldErrors = collectFieldErrors();
+
+  // Currency & Provider
+  if (!isSupportedCurrency(currency)) {
+    fieldErrors.fail('currency', 'unsupported_currency', 'Unsupported currency');
+  }
+
+  if (!isSupportedProvider(provider)) {
+    fieldErrors.fail('provider', 'unsupported_provider', 'Unsupported payment provider');
+  }
+
+  // Amount (minor units, so it needs a known currency)
+  let amountMinor = null;
+  if (isSupportedCurrency(currency)) {
+    const parsed = parseAmountToMinorUnits(amount, currency);
+    if (parsed.error) {
+      fieldErrors.fail('amount', 'invalid_amount', parsed.error);
+    } else {
+      amountMinor = parsed.amountMinor;
+    }
+  }
+
+  // Recipient & Bank Details
+  const beneficiary = checkBeneficiary(recipient, fieldErrors);
+
+  if (fieldErrors.reason !== null) {
+    return { valid: false, reason: fieldErrors.reason, errors: fieldErrors.errors };
+  }
+
+  return {
+    valid: true,
+    payment: {
+      amountMinor,
+      currency,
+      provider,
+      ...beneficiary
+    }
+  };
+};
@@ -0,0 +1,98 @@
+// ============================================
+// ROLES & PERMISSIONS
+// ============================================
+
+// What each permission allows. Routes check permissions, never roles, so a
+// role can be given or lose a capability here without touching the routes.
+export const PERMISSIONS = {
+  ACCOUNT_MANAGE: 'account:manage', // own password, two-factor and sessions
+  PAYMENTS_CREATE: 'payments:create', // submit single and bulk payments
+  PAYMENTS_READ: 'payments:read', // own payments and their live updates
+  PAYMENTS_READ_ALL: 'payments:read_all', // every customer's payments
+  PAYMENTS_VERIFY: 'payments:verify', // verify or reject pending payments
+  PAYMENTS_RELEASE: 'payments:release', // release or reject payments held by screening or risk
+  PAYMENTS_APPROVE: 'payments:approve', // approve or reject verified payments above the approval threshold
+  PAYMENTS_EXPORT: 'payments:export', // send verified payments to the bank
+  BENEFICIARIES_MANAGE: 'beneficiaries:manage',
+  WEBHOOKS_MANAGE: 'webhooks:manage',
+  LIMITS_READ: 'limits:read', // own limits and usage
+  LIMITS_MANAGE: 'limits:manage', // any customer's limits
+  SANCTIONS_READ: 'sanctions:read',
+  SANCTIONS_MANAGE: 'sanctions:manage',
+  AUDIT_READ: 'audit:read',
+  USERS_MANAGE: 'users:manage' // employee accounts, roles and lockouts
+};
+
+const P = PERMISSIONS;
+
+const EMPLOYEE_BASE = [P.ACCOUNT_MANAGE, P.PAYMENTS_READ, P.PAYMENTS_READ_ALL];
+
+// Every role belongs to one user type, which decides the portal it logs into
+export const ROLES = {
+  customer: {
+    userType: 'customer',
+    label: 'Customer',
+    permissions: [
+      P.ACCOUNT_MANAGE,
+      P.PAYMENTS_CREATE,
+      P.PAYMENTS_READ,
+      P.BENEFICIARIES_MANAGE,
+      P.WEBHOOKS_MANAGE,
+      P.LIMITS_READ
+    ]
+  },
+  teller: {
+    userType: 'employee',
+    label: 'Teller',
+    permissions: [...EMPLOYEE_BASE, P.PAYMENTS_VERIFY]
+  },
+  approver: {
+    userType: 'employee',
+    label: 'Approver',
+    permissions: [...EMPLOYEE_BASE, P.PAYMENTS_APPROVE, P.PAYMENTS_EXPORT]
+  },
+  compliance: {
+    userType: 'employee',
+    label: 'Compliance Officer',
+    permissions: [
+      ...EMPLOYEE_BASE,
+      P.PAYMENTS_RELEASE,
+      P.LIMITS_MANAGE,
+      P.SANCTIONS_READ,
+      P.SANCTIONS_MANAGE,
+      P.AUDIT_READ
+    ]
+  },
+  auditor: {
+    userType: 'employee',
+    label: 'Auditor',
+    permissions: [...EMPLOYEE_BASE, P.SANCTIONS_READ, P.AUDIT_READ]
+  },
+  admin: {
+    userType: 'employee',
+    label: 'Administrator',
+    permissions: [
+      ...EMPLOYEE_BASE,
+      P.PAYMENTS_VERIFY,
+      P.PAYMENTS_RELEASE,
+      P.PAYMENTS_APPROVE,
+      P.PAYMENTS_EXPORT,
+      P.LIMITS_MANAGE,
+      P.SANCTIONS_READ,
+      P.SANCTIONS_MANAGE,
+      P.AUDIT_READ,
+      P.USERS_MANAGE
+    ]
+  }
+};
+
+export const EMPLOYEE_ROLES = Object.keys(ROLES).filter(role => ROLES[role].userType === 'employee');
+
+// Role given to employees created without one
+export const DEFAULT_EMPLOYEE_ROLE = 'teller';
+
+export const isRole = (role) => Object.hasOwn(ROLES, role);
+
+export const permissionsForRole = (role) => (isRole(role) ? ROLES[role].permissions : []);
+
+export const hasPermission = (user, permission) => permissionsForRole(user?.role).includes(permission);
@@ -0,0 +1,101 @@
+import bcrypt from 'bcrypt';
+import { findUserByEmail } from '../repositories/users.js';
+import { beginLoginAttempt, recordLoginFailure, reportLockouts } from './loginThrottle.js';
+import { isMfaEnabled, verifySecondFactor } from './mfa.js';
+import { AUDIT_ACTIONS, recordAuditEvent, requestContext } from './audit.js';
+
+const auditReauth = (req, outcome, details) => {
+  recordAuditEvent({
+    actor: req.user.email,
+    action: AUDIT_ACTIONS.REAUTH,
+    target: req.user.email,
+    outcome,
+    ...requestContext(req),
+    details
+  });
+};
+
+const failReauth = (req, reason) => {
+  const lockouts = recordLoginFailure(req.user.email, req.ip);
+  auditReauth(req, 'failure', { reason });
+  reportLockouts(req, lockouts);
+  req.log.info('re-authentication failed', { email: req.user.email, reason });
+};
+
+/**
+ * Confirms that the person holding a session is still its owner before a
+ * sensitive change: the password, plus a TOTP or recovery code when two-factor
+ * is enabled. Failures count towards the login lockout, so a stolen session
+ * can't be used to guess the password.
+ *
+ * Returns { verified: true } or { verified: false, status, message } with
+ * mfaRequired set when only the second factor is missing. Never 401, which
+ * the client treats as an expired token.
+ */
+export const reauthenticate = async (req, { password, code, recoveryCode }) => {
+  const throttle = beginLoginAttempt(req.user.email, req.ip);
+
+  if (!throttle.allowed) {
+    req.log.warn('re-authentication blocked', {
+      email: req.user.email,
+      scope: throttle.scope,
+      reason: throttle.reason,
+      retryAt: throttle.retryAt
+    });
+    auditReauth(req, 'denied', { reason: throttle.reason, scope: throttle.scope });
+    return { verified: false, status: 429, message: 'Too many failed attempts. Please try again later.' };
+  }
+
+  // Held until the outcome is recorded, so parallel guesses can't all get
+  // past the throttle check while bcrypt runs
+  try {
+    if (typeof password !== 'string' || !password) {
+      return { verified: false, status: 403, message: 'Enter your password to confirm this change' };
+    }
+
+    const user = findUserByEmail(req.user.email);
+
+    if (!user || !(await bcrypt.compare(password, user.password))) {
+      failReauth(req, 'invalid_password');
+      return { verified: false, status: 403, message: 'Incorrect password' };
+    }
+
+    let method = 'password';
+
+    if (isMfaEnabled(user)) {
+      if (!code && !recoveryCode) {
+        return {
+          verified: false,
+          status: 403,
+          message: 'Enter your authentication code to confirm this change',
+          mfaRequired: true
+        };
+      }
+
+      method = verifySecondFactor(user, { code, recoveryCode });
+
+      if (!method) {
+        failReauth(req, 'invalid_second_factor');
+        return { verified: false, status: 403, message: 'Invalid authentication code', mfaRequired: true };
+      }
+    }
+
+    auditReauth(req, 'success', { method });
+    req.log.info('re-authenticated', { email: req.user.email, method });
+
+    return { verified: true };
+  } finally {
+    throttle.end();
+  }
+};
+
+// The response for a failed reauthenticate(); the client asks for the
+// password, and the code when mfaRequired is set, and tries again
+export const rejectReauth = (res, reauth) => {
+  return res.status(reauth.status).json({
+    success: false,
+    message: reauth.message,
+    reauthRequired: true,
+    ...(reauth.mfaRequired && { mfaRequired: true })
+  });
+};
@@ -0,0 +1,169 @@
+import { findUserByEmail } from '../repositories/users.js';
+import { findRecentVerifiedAmounts, hasPaidBeneficiary } from '../repositories/transactions.js';
+import { listEarlierLoginOrigins } from './sessions.js';
+import { formatMinorUnits } from './currencies.js';
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+// Each rule adds its weight when it fires; the score is capped at 100
+export const DEFAULT_RISK_WEIGHTS = {
+  new_beneficiary: 20,
+  unusual_amount: 30,
+  new_ip: 15,
+  new_user_agent: 10,
+  high_risk_country: 40,
+  recent_password_change: 35
+};
+
+const MAX_SCORE = 100;
+const DEFAULT_HOLD_THRESHOLD = 60;
+const DEFAULT_HIGH_RISK_COUNTRIES = ['IR', 'KP', 'MM'];
+const DEFAULT_UNUSUAL_AMOUNT_FACTOR = 5;
+const DEFAULT_PASSWORD_CHANGE_HOURS = 24;
+
+// Past payments looked at to judge a usual amount, and how many are needed
+// before any amount counts as unusual
+const AMOUNT_HISTORY_SIZE = 50;
+const MIN_AMOUNT_HISTORY = 3;
+
+const readNumber = (value, fallback, { min, max = Infinity }) => {
+  const number = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(number) && number >= min && number <= max
+    ? number
+    : fallback;
+};
+
+// RISK_WEIGHTS overrides some or all weights, e.g. "new_ip=25,new_user_agent=0".
+// A weight of 0 turns a rule off; unknown rules and bad numbers are ignored.
+const getRiskWeights = () => {
+  const weights = { ...DEFAULT_RISK_WEIGHTS };
+
+  for (const pair of (process.env.RISK_WEIGHTS || '').split(',')) {
+    const [rule, value] = pair.split('=').map(part => part.trim());
+    if (Object.hasOwn(weights, rule)) {
+      weights[rule] = readNumber(value, weights[rule], { min: 0, max: MAX_SCORE });
+    }
+  }
+
+  return weights;
+};
+
+// Read when used so dotenv has populated process.env
+export const getRiskSettings = () => ({
+  weights: getRiskWeights(),
+  holdThreshold: readNumber(process.env.RISK_HOLD_THRESHOLD, DEFAULT_HOLD_THRESHOLD, { min: 1, max: MAX_SCORE }),
+  highRiskCountries: process.env.RISK_HIGH_RISK_COUNTRIES
+    ? process.env.RISK_HIGH_RISK_COUNTRIES.split(',').map(code => code.trim().toUpperCase()).filter(Boolean)
+    : DEFAULT_HIGH_RISK_COUNTRIES,
+  unusualAmountFactor: readNumber(process.env.RISK_UNUSUAL_AMOUNT_FACTOR, DEFAULT_UNUSUAL_AMOUNT_FACTOR, { min: 1 }),
+  passwordChangeHours: readNumber(process.env.RISK_PASSWORD_CHANGE_HOURS, DEFAULT_PASSWORD_CHANGE_HOURS, { min: 0 })
+});
+
+// ============================================
+// RULES
+// ============================================
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+};
+
+// Each rule returns a detail for the employee when it fires, null otherwise
+const RULES = {
+  new_beneficiary: ({ email, payment }) => (
+    hasPaidBeneficiary(email, payment.recipientAccount, payment.swiftCode)
+      ? null
+      : 'First payment to this account and SWIFT code'
+  ),
+
+  unusual_amount: ({ email, payment, settings }) => {
+    const amounts = findRecentVerifiedAmounts(email, payment.currency, AMOUNT_HISTORY_SIZE);
+    if (amounts.length < MIN_AMOUNT_HISTORY) return null;
+
+    const usual = median(amounts);
+    if (payment.amountMinor <= Math.max(usual * settings.unusualAmountFactor, ...amounts)) return null;
+
+    return `${formatMinorUnits(payment.amountMinor, payment.currency)} ${payment.currency} is `
+      + `${Math.round(payment.amountMinor / usual)} times the customer's usual `
+      + `${formatMinorUnits(usual, payment.currency)} ${payment.currency}`;
+  },
+
+  new_ip: ({ origins, context }) => (
+    origins.length > 0 && context.ip && !origins.some(origin => origin.ip === context.ip)
+      ? `Logged in from ${context.ip}, not seen at earlier logins`
+      : null
+  ),
+
+  new_user_agent: ({ origins, context }) => (
+    origins.length > 0 && context.userAgent && !origins.some(origin => origin.userAgent === context.userAgent)
+      ? 'Browser or device not seen at earlier logins'
+      : null
+  ),
+
+  high_risk_country: ({ payment, settings }) => {
+    const country = payment.swiftCode.substring(4, 6);
+    return settings.highRiskCountries.includes(country)
+      ? `Beneficiary bank is in ${country}, a high-risk jurisdiction`
+      : null;
+  },
+
+  recent_password_change: ({ user, settings, now }) => {
+    if (!user?.passwordChangedAt) return null;
+
+    const hours = (now - user.passwordChangedAt) / (60 * 60 * 1000);
+    return hours < settings.passwordChangeHours
+      ? `Password changed ${hours < 1 ? 'less than an hour' : `${Math.floor(hours)} hour(s)`} before the payment`
+      : null;
+  }
+};
+
+/**
+ * Scores a payment for fraud risk before it is stored. context is the
+ * submitting session: { email, sessionId, ip, userAgent }.
+ *
+ * Returns { score, reasons, hold }. reasons lists the rules that fired as
+ * { rule, weight, detail }, and hold is true when the score reaches the
+ * hold threshold.
+ */
+export const scorePaymentRisk = (payment, context, now = new Date()) => {
+  const settings = getRiskSettings();
+  const input = {
+    email: context.email,
+    payment,
+    context,
+    settings,
+    now,
+    user: findUserByEmail(context.email),
+    origins: context.sessionId ? listEarlierLoginOrigins(context.email, context.sessionId) : []
+  };
+
+  const reasons = [];
+  for (const [rule, weight] of Object.entries(settings.weights)) {
+    if (weight === 0) continue;
+    const detail = RULES[rule](input);
+    if (detail) reasons.push({ rule, weight, detail });
+  }
+
+  const score = Math.min(MAX_SCORE, reasons.reduce((total, reason) => total + reason.weight, 0));
+  return { score, reasons, hold: score >= settings.holdThreshold };
+};
+
+// The submitting session, as scorePaymentRisk needs it
+export const riskContext = (req) => ({
+  email: req.user.email,
+  sessionId: req.user.sessionId,
+  ip: req.ip,
+  userAgent: req.get('user-agent') || null
+});
+
+// Customers never see how their payments were scored
+export const withoutRiskAssessment = ({
+  riskScore,
+  riskReasons,
+  riskReleasedBy,
+  riskReleaseNote,
+  ...transaction
+}) => transaction;
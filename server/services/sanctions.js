@@ -0,0 +1,491 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import validator from 'validator';
+import { parseCsv } from './csv.js';
+import { toLatin } from './transliteration.js';
+
+// Watch lists are every .csv and .xml file in the list directory, except the
+// embargoed jurisdictions file
+const DEFAULT_LIST_DIR = fileURLToPath(new URL('../sanctions/', import.meta.url));
+const EMBARGO_FILE = 'embargoed-countries.csv';
+
+const DEFAULT_MATCH_THRESHOLD = 0.9;
+const MAX_HITS = 10;
+// Words this similar count towards a name being worth comparing in full
+const CLOSE_WORD_SIMILARITY = 0.75;
+const MAX_CACHED_WORDS = 10000;
+
+// Titles and legal forms say nothing about who a party is
+const NOISE_WORDS = new Set([
+  'mr', 'mrs', 'ms', 'miss', 'dr', 'prof', 'sir', 'the', 'and', 'of',
+  'co', 'company', 'corp', 'corporation', 'inc', 'incorporated', 'llc', 'llp', 'lp', 'ltd',
+  'limited', 'plc', 'gmbh', 'ag', 'sa', 'sas', 'sarl', 'srl', 'spa', 'bv', 'nv', 'jsc',
+  'ojsc', 'pjsc', 'cjsc', 'ooo', 'oao', 'zao', 'pao', 'fze', 'fzco'
+]);
+
+// OFAC writes empty CSV fields as -0-
+const OFAC_EMPTY = '-0-';
+
+// Column names accepted in CSV lists, so OFAC's SDN export works once it has
+// a header row
+const CSV_COLUMNS = {
+  id: ['id', 'uid', 'ent_num'],
+  name: ['name', 'sdn_name'],
+  type: ['type', 'sdn_type'],
+  programs: ['programs', 'program'],
+  aliases: ['aliases', 'alias', 'aka']
+};
+
+// The loaded lists; null until the first load succeeds
+let watchList = null;
+
+const getListDirectory = () => path.resolve(process.env.SANCTIONS_LIST_DIR || DEFAULT_LIST_DIR);
+
+const getMatchThreshold = () => {
+  const threshold = Number(process.env.SANCTIONS_MATCH_THRESHOLD);
+  return threshold > 0 && threshold <= 1 ? threshold : DEFAULT_MATCH_THRESHOLD;
+};
+
+// ============================================
+// NAME MATCHING
+// ============================================
+
+/**
+ * Reduces a name to comparable words: transliterated to Latin, lowercased,
+ * punctuation removed and titles, legal forms and initials dropped, so
+ * "TESTOV, Boris I." and "Борис Тестов" both give ['testov', 'boris'] in some
+ * order.
+ */
+export const normalizeName = (name) => toLatin(name)
+  .toLowerCase()
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(word => word && !NOISE_WORDS.has(word) && !/^[a-z]$/.test(word));
+
+// Scratch space for jaro(), which runs for every word in the lists on every
+// screening; words longer than this are cut short
+const MAX_WORD_LENGTH = 64;
+const aMatched = new Uint8Array(MAX_WORD_LENGTH);
+const bMatched = new Uint8Array(MAX_WORD_LENGTH);
+
+const jaro = (a, b) => {
+  if (a === b) return 1;
+
+  const aLength = Math.min(a.length, MAX_WORD_LENGTH);
+  const bLength = Math.min(b.length, MAX_WORD_LENGTH);
+  const window = Math.max(Math.floor(Math.max(aLength, bLength) / 2) - 1, 0);
+  aMatched.fill(0, 0, aLength);
+  bMatched.fill(0, 0, bLength);
+  let matches = 0;
+
+  for (let i = 0; i < aLength; i++) {
+    const char = a.charCodeAt(i);
+    const end = Math.min(i + window + 1, bLength);
+    for (let j = Math.max(0, i - window); j < end; j++) {
+      if (!bMatched[j] && b.charCodeAt(j) === char) {
+        aMatched[i] = 1;
+        bMatched[j] = 1;
+        matches++;
+        break;
+      }
+    }
+  }
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  let j = 0;
+  for (let i = 0; i < aLength; i++) {
+    if (!aMatched[i]) continue;
+    while (!bMatched[j]) j++;
+    if (a.charCodeAt(i) !== b.charCodeAt(j)) transpositions++;
+    j++;
+  }
+
+  return (matches / aLength + matches / bLength + (matches - transpositions / 2) / matches) / 3;
+};
+
+// Jaro-Winkler similarity, 0 to 1: favours strings that share a prefix
+export const jaroWinkler = (a, b) => {
+  const similarity = jaro(a, b);
+  let prefix = 0;
+  while (prefix < 4 && prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  return similarity + prefix * 0.1 * (1 - similarity);
+};
+
+// Pairs each word of the shorter name with its closest unused word in the
+// longer one, so word order and missing middle names don't matter
+const wordSimilarity = (shorter, longer) => {
+  const unused = [...longer];
+  let total = 0;
+
+  for (const word of shorter) {
+    let best = 0;
+    let bestIndex = -1;
+    unused.forEach((other, index) => {
+      const similarity = jaroWinkler(word, other);
+      if (similarity > best) {
+        best = similarity;
+        bestIndex = index;
+      }
+    });
+    if (bestIndex >= 0) unused.splice(bestIndex, 1);
+    total += best;
+  }
+
+  return total / shorter.length;
+};
+
+const nameSimilarity = (a, b) => {
+  const [shorter, longer] = a.words.length <= b.words.length ? [a, b] : [b, a];
+
+  // One word is not enough to identify someone listed under several
+  const wordScore = shorter.words.length >= Math.min(2, longer.words.length)
+    ? wordSimilarity(shorter.words, longer.words)
+    : 0;
+
+  // Catches words run together or split apart ("Abdulkarim" / "Abdul Karim")
+  const joinedScore = a.words.length !== b.words.length ? jaroWinkler(a.joined, b.joined) : 0;
+
+  return Math.max(wordScore, joinedScore);
+};
+
+const toComparable = (name) => {
+  const words = normalizeName(name);
+  return { words, joined: words.join('') };
+};
+
+// ============================================
+// LIST PARSING
+// ============================================
+
+const splitList = (value) => value.split(';').map(item => item.trim()).filter(Boolean);
+
+const cleanCsvValue = (value) => {
+  const text = (value || '').trim();
+  return text === OFAC_EMPTY ? '' : text;
+};
+
+// CSV with a header row: a name column is required; id, type, programs and
+// aliases (separated by ;) are optional
+const parseCsvList = (text) => {
+  const { records, error } = parseCsv(text);
+  if (error) return { error };
+
+  const [header = [], ...rows] = records;
+  const headings = header.map(heading => heading.trim().toLowerCase());
+  const column = Object.fromEntries(Object.entries(CSV_COLUMNS).map(([field, names]) => [
+    field,
+    headings.findIndex(heading => names.includes(heading))
+  ]));
+
+  if (column.name === -1) {
+    return { error: `CSV lists need a header row with a ${CSV_COLUMNS.name.join(' or ')} column` };
+  }
+
+  const read = (row, field) => (column[field] === -1 ? '' : cleanCsvValue(row[column[field]]));
+
+  const entries = rows
+    .map((row, index) => ({
+      entryId: read(row, 'id') || String(index + 1),
+      name: read(row, 'name'),
+      type: read(row, 'type').toLowerCase() || null,
+      programs: splitList(read(row, 'programs')),
+      aliases: splitList(read(row, 'aliases'))
+    }))
+    .filter(entry => entry.name);
+
+  return { entries };
+};
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const decodeXmlText = (text) => {
+  const cdata = /^\s*<!\[CDATA\[([\s\S]*)\]\]>\s*$/.exec(text);
+  if (cdata) return cdata[1];
+
+  return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|amp|lt|gt|quot|apos);/g, (match, entity) => {
+    if (entity[0] !== '#') return XML_ENTITIES[entity];
+    const codePoint = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : match;
+  });
+};
+
+const xmlElements = (xml, tag) => [...xml.matchAll(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'g'))]
+  .map(match => match[1]);
+
+const xmlText = (xml, tag) => {
+  const [content] = xmlElements(xml, tag);
+  return content === undefined ? '' : decodeXmlText(content).trim();
+};
+
+// The UN Security Council consolidated list format: INDIVIDUAL and ENTITY
+// elements with up to four name parts, aliases and the name in its original
+// script. Only these elements are read, so no general XML parser is needed.
+const parseUnXmlList = (text) => {
+  if (!/<CONSOLIDATED_LIST[\s>]/.test(text)) {
+    return { error: 'Not a UN consolidated list (no CONSOLIDATED_LIST element)' };
+  }
+
+  const entries = [];
+
+  for (const [tag, type] of [['INDIVIDUAL', 'individual'], ['ENTITY', 'entity']]) {
+    for (const xml of xmlElements(text, tag)) {
+      const name = ['FIRST_NAME', 'SECOND_NAME', 'THIRD_NAME', 'FOURTH_NAME']
+        .map(part => xmlText(xml, part))
+        .filter(Boolean)
+        .join(' ');
+      if (!name) continue;
+
+      const aliases = xmlElements(xml, `${tag}_ALIAS`).map(alias => xmlText(alias, 'ALIAS_NAME'));
+      const originalScript = xmlText(xml, 'NAME_ORIGINAL_SCRIPT');
+      const listType = xmlText(xml, 'UN_LIST_TYPE');
+
+      entries.push({
+        entryId: xmlText(xml, 'REFERENCE_NUMBER') || xmlText(xml, 'DATAID'),
+        name,
+        type,
+        programs: listType ? [listType] : [],
+        aliases: [...aliases, originalScript].filter(Boolean)
+      });
+    }
+  }
+
+  return { entries };
+};
+
+// country (ISO 3166 alpha-2), name and programs columns
+const parseEmbargoFile = (text) => {
+  const { records, error } = parseCsv(text);
+  if (error) return { error };
+
+  const [header = [], ...rows] = records;
+  const headings = header.map(heading => heading.trim().toLowerCase());
+  const [country, name, programs] = ['country', 'name', 'programs'].map(field => headings.indexOf(field));
+
+  if (country === -1) return { error: 'The embargo file needs a header row with a country column' };
+
+  const embargoes = new Map();
+  for (const row of rows) {
+    const code = (row[country] || '').trim().toUpperCase();
+    if (!/^[A-Z]{2}$/.test(code)) return { error: `"${row[country]}" is not a two-letter country code` };
+    embargoes.set(code, {
+      country: code,
+      name: name === -1 ? code : (row[name] || '').trim() || code,
+      programs: programs === -1 ? [] : splitList(row[programs] || '')
+    });
+  }
+
+  return { embargoes };
+};
+
+// ============================================
+// LOADING
+// ============================================
+
+// Every name and alias, plus each distinct word across them with the names
+// it appears in
+const buildIndex = (entries) => {
+  const names = [];
+  const byWord = new Map();
+
+  for (const entry of entries) {
+    for (const name of new Set([entry.name, ...entry.aliases])) {
+      const comparable = toComparable(name);
+      if (comparable.words.length === 0) continue;
+
+      const distinctWords = new Set(comparable.words);
+      const indexed = { entry, name, ...comparable, distinctWords: distinctWords.size };
+      names.push(indexed);
+      for (const word of distinctWords) {
+        if (!byWord.has(word)) byWord.set(word, []);
+        byWord.get(word).push(indexed);
+      }
+    }
+  }
+
+  return { names, byWord, vocabulary: [...byWord.keys()], closeWords: new Map() };
+};
+
+/**
+ * Reads the lists from SANCTIONS_LIST_DIR (default server/sanctions) and
+ * swaps them in. If any file can't be read or parsed, the lists already
+ * loaded stay in use and { loaded: false, errors } says why.
+ *
+ * Returns { loaded, errors: [{ file, error }], status }.
+ */
+export const loadSanctionsLists = async () => {
+  const directory = getListDirectory();
+  const errors = [];
+  const lists = [];
+  const entries = [];
+  let embargoes = null;
+  const hash = crypto.createHash('sha256');
+
+  let files = [];
+  try {
+    files = (await fs.readdir(directory)).filter(file => /\.(csv|xml)$/i.test(file)).sort();
+  } catch (error) {
+    errors.push({ file: null, error: `Cannot read the list directory: ${error.message}` });
+  }
+
+  for (const file of files) {
+    let text;
+    try {
+      text = await fs.readFile(path.join(directory, file), 'utf8');
+    } catch (error) {
+      errors.push({ file, error: error.message });
+      continue;
+    }
+    hash.update(file).update('\0').update(text).update('\0');
+
+    if (file === EMBARGO_FILE) {
+      const parsed = parseEmbargoFile(text);
+      if (parsed.error) errors.push({ file, error: parsed.error });
+      embargoes = parsed.embargoes || null;
+      continue;
+    }
+
+    const list = path.basename(file, path.extname(file));
+    const parsed = /\.xml$/i.test(file) ? parseUnXmlList(text) : parseCsvList(text);
+    if (parsed.error) {
+      errors.push({ file, error: parsed.error });
+      continue;
+    }
+
+    entries.push(...parsed.entries.map(entry => ({ ...entry, list })));
+    lists.push({ file, list, entries: parsed.entries.length });
+  }
+
+  if (files.length > 0 && !files.includes(EMBARGO_FILE)) {
+    errors.push({ file: EMBARGO_FILE, error: 'Embargoed jurisdictions file not found' });
+  }
+  if (errors.length === 0 && entries.length === 0) {
+    errors.push({ file: null, error: 'No watch list entries found' });
+  }
+
+  if (errors.length > 0) {
+    return { loaded: false, errors, status: getSanctionsStatus() };
+  }
+
+  watchList = {
+    version: hash.digest('hex').slice(0, 16),
+    loadedAt: new Date(),
+    directory,
+    lists,
+    embargoes,
+    ...buildIndex(entries)
+  };
+
+  return { loaded: true, errors: [], status: getSanctionsStatus() };
+};
+
+// What is loaded, for employees and logs
+export const getSanctionsStatus = () => {
+  if (!watchList) return { loaded: false };
+
+  return {
+    loaded: true,
+    version: watchList.version,
+    loadedAt: watchList.loadedAt,
+    directory: watchList.directory,
+    lists: watchList.lists,
+    names: watchList.names.length,
+    embargoedCountries: [...watchList.embargoes.keys()].sort(),
+    matchThreshold: getMatchThreshold()
+  };
+};
+
+// ============================================
+// SCREENING
+// ============================================
+
+// The words in the lists close to one of a recipient's. The vocabulary is
+// far smaller than the lists' names, and the same recipients come up again
+// and again, so this keeps screening fast on full-size lists.
+const findCloseWords = (word) => {
+  const cache = watchList.closeWords;
+  if (!cache.has(word)) {
+    if (cache.size >= MAX_CACHED_WORDS) cache.clear();
+    cache.set(word, watchList.vocabulary.filter(other => jaroWinkler(word, other) >= CLOSE_WORD_SIMILARITY));
+  }
+  return cache.get(word);
+};
+
+const findNameHits = (recipientName) => {
+  const recipient = toComparable(recipientName);
+  if (recipient.words.length === 0) return [];
+
+  // Only names with two of their words (or all, if fewer) close to one of
+  // the recipient's are compared in full
+  const closeWords = new Set(recipient.words.flatMap(findCloseWords));
+  const candidates = new Map();
+  for (const word of closeWords) {
+    for (const indexed of watchList.byWord.get(word)) {
+      candidates.set(indexed, (candidates.get(indexed) || 0) + 1);
+    }
+  }
+
+  const threshold = getMatchThreshold();
+  const bestByEntry = new Map();
+
+  for (const [indexed, count] of candidates) {
+    if (count < Math.min(2, recipient.words.length, indexed.distinctWords)) continue;
+
+    const score = nameSimilarity(recipient, indexed);
+    if (score < threshold) continue;
+
+    const best = bestByEntry.get(indexed.entry);
+    if (!best || score > best.score) bestByEntry.set(indexed.entry, { score, matchedName: indexed.name });
+  }
+
+  return [...bestByEntry]
+    .sort(([, a], [, b]) => b.score - a.score)
+    .slice(0, MAX_HITS)
+    .map(([entry, { score, matchedName }]) => ({
+      type: 'name',
+      list: entry.list,
+      entryId: entry.entryId,
+      entryName: entry.name,
+      entryType: entry.type,
+      programs: entry.programs,
+      matchedName,
+      score: Math.round(score * 1000) / 1000
+    }));
+};
+
+/**
+ * Screens a payment's beneficiary: the name against every watch list and the
+ * BIC's country against the embargoed jurisdictions. Recipient names are
+ * stored HTML-escaped, so they are unescaped first. With no lists loaded
+ * every payment is held.
+ *
+ * Returns { outcome: 'clear' | 'hold', listsVersion, hits }, where each hit
+ * is a { type: 'name', list, entryId, entryName, matchedName, score, ... },
+ * { type: 'embargo', country, name, programs } or { type: 'lists_unavailable' }.
+ */
+export const screenPayment = ({ recipientName, swiftCode }) => {
+  if (!watchList) {
+    return { outcome: 'hold', listsVersion: null, hits: [{ type: 'lists_unavailable' }] };
+  }
+
+  const hits = [];
+
+  const embargo = watchList.embargoes.get(swiftCode.substring(4, 6));
+  if (embargo) hits.push({ type: 'embargo', ...embargo });
+
+  hits.push(...findNameHits(validator.unescape(recipientName)));
+
+  return {
+    outcome: hits.length > 0 ? 'hold' : 'clear',
+    listsVersion: watchList.version,
+    hits
+  };
+};
+
+// Hits as short references for logs, without the names themselves
+export const summarizeHits = (hits) => hits.map(hit => {
+  if (hit.type === 'name') return `${hit.list}:${hit.entryId}`;
+  if (hit.type === 'embargo') return `embargo:${hit.country}`;
+  return hit.type;
+});
@@ -0,0 +1,183 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { withTransaction } from '../db/index.js';
+import {
+  createRefreshToken,
+  createSession,
+  denylistJti,
+  findActiveSessionsByUser,
+  findEarlierLoginOrigins,
+  findRefreshToken,
+  findSessionById,
+  isJtiDenylisted,
+  markRefreshTokenUsed,
+  markSessionRevoked,
+  touchSession
+} from '../repositories/sessions.js';
+import { findUserByEmail } from '../repositories/users.js';
+
+export const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+export const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+export const getJwtSecret = () => {
+  if (process.env.JWT_SECRET) return process.env.JWT_SECRET;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+  return 'test';
+};
+
+// Refresh tokens are opaque; only their SHA-256 is stored
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = ({ email, userType, role }, sessionId) => {
+  const jti = crypto.randomUUID();
+  const token = jwt.sign(
+    { email, userType, role, sid: sessionId },
+    getJwtSecret(),
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS, jwtid: jti }
+  );
+  return {
+    token,
+    jti,
+    expiresAt: new Date(Date.now() + ACCESS_TOKEN_TTL_SECONDS * 1000)
+  };
+};
+
+const issueRefreshToken = (sessionId, expiresAt) => {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  createRefreshToken({ tokenHash: hashToken(refreshToken), sessionId, expiresAt });
+  return refreshToken;
+};
+
+const revokeLoadedSession = (session) => {
+  if (!markSessionRevoked(session.sessionId)) return false;
+  if (session.accessExpiresAt > new Date()) {
+    denylistJti(session.currentJti, session.accessExpiresAt);
+  }
+  return true;
+};
+
+// Creates a session for a freshly authenticated user
+export const startSession = (user, { ip, userAgent }) => {
+  return withTransaction(() => {
+    const now = new Date();
+    const sessionId = crypto.randomUUID();
+    const expiresAt = new Date(now.getTime() + REFRESH_TOKEN_TTL_MS);
+    const access = signAccessToken(user, sessionId);
+
+    createSession({
+      sessionId,
+      userEmail: user.email,
+      userType: user.userType,
+      currentJti: access.jti,
+      accessExpiresAt: access.expiresAt,
+      ip: ip || null,
+      userAgent: userAgent || null,
+      createdAt: now,
+      lastUsedAt: now,
+      expiresAt
+    });
+
+    return {
+      sessionId,
+      accessToken: access.token,
+      refreshToken: issueRefreshToken(sessionId, expiresAt),
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS
+    };
+  });
+};
+
+// Exchanges a refresh token for a new access/refresh pair. A refresh token
+// that has already been used means it was stolen, so the session is killed.
+export const rotateSession = (refreshToken) => {
+  return withTransaction(() => {
+    const now = new Date();
+    const stored = findRefreshToken(hashToken(refreshToken));
+    if (!stored) return { error: 'invalid' };
+
+    const session = findSessionById(stored.sessionId);
+
+    if (stored.usedAt) {
+      revokeLoadedSession(session);
+      return { error: 'reused', sessionId: session.sessionId };
+    }
+
+    if (session.revokedAt || stored.expiresAt <= now || session.expiresAt <= now) {
+      return { error: 'expired' };
+    }
+
+    markRefreshTokenUsed(stored.tokenHash, now);
+
+    // The previous access token dies with the rotation
+    if (session.accessExpiresAt > now) {
+      denylistJti(session.currentJti, session.accessExpiresAt);
+    }
+
+    // The role is read afresh, so a changed role applies from the next refresh
+    const { role } = findUserByEmail(session.userEmail);
+    const expiresAt = new Date(now.getTime() + REFRESH_TOKEN_TTL_MS);
+    const access = signAccessToken({ email: session.userEmail, userType: session.userType, role }, session.sessionId);
+
+    touchSession(session.sessionId, {
+      currentJti: access.jti,
+      accessExpiresAt: access.expiresAt,
+      lastUsedAt: now,
+      expiresAt
+    });
+
+    return {
+      sessionId: session.sessionId,
+      accessToken: access.token,
+      refreshToken: issueRefreshToken(session.sessionId, expiresAt),
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS
+    };
+  });
+};
+
+export const revokeSession = (sessionId) => {
+  return withTransaction(() => {
+    const session = findSessionById(sessionId);
+    if (!session) return false;
+    return revokeLoadedSession(session);
+  });
+};
+
+// Signs a user out everywhere except the session making the request, e.g.
+// after a password change. Returns how many sessions were revoked.
+export const revokeOtherSessions = (email, keepSessionId) => {
+  return withTransaction(() => findActiveSessionsByUser(email)
+    .filter(session => session.sessionId !== keepSessionId)
+    .filter(revokeLoadedSession)
+    .length);
+};
+
+// Signs a user out everywhere, e.g. when their account is disabled. Returns
+// how many sessions were revoked.
+export const revokeAllSessions = (email) => {
+  return withTransaction(() => findActiveSessionsByUser(email).filter(revokeLoadedSession).length);
+};
+
+// Ends the user's current access tokens without signing them out, so their
+// next request refreshes and picks up e.g. a new role. Returns how many
+// sessions were affected.
+export const expireAccessTokens = (email) => {
+  return withTransaction(() => {
+    const now = new Date();
+    const live = findActiveSessionsByUser(email).filter(session => session.accessExpiresAt > now);
+    live.forEach(session => denylistJti(session.currentJti, session.accessExpiresAt));
+    return live.length;
+  });
+};
+
+export const findSession = (sessionId) => findSessionById(sessionId);
+
+export const listActiveSessions = (email) => findActiveSessionsByUser(email);
+
+// IPs and user agents of the logins before this session
+export const listEarlierLoginOrigins = (email, sessionId) => findEarlierLoginOrigins(email, sessionId);
+
+export const isAccessTokenRevoked = (jti) => isJtiDenylisted(jti);
+
+// Denylists any token id this service signed, e.g. a used MFA token
+export const revokeTokenId = (jti, expiresAt) => denylistJti(jti, expiresAt);
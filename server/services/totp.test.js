@@ -0,0 +1,78 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  base32Decode,
+  base32Encode,
+  buildOtpauthUri,
+  currentStep,
+  generateCode,
+  generateSecret,
+  verifyCode
+} from './totp.js';
+
+// The RFC 6238 appendix B SHA-1 secret, "12345678901234567890" in ASCII
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('base32', () => {
+  it('round-trips arbitrary bytes', () => {
+    const bytes = Buffer.from([0, 1, 2, 250, 251, 252, 253, 254, 255]);
+    assert.deepEqual(base32Decode(base32Encode(bytes)), bytes);
+  });
+
+  it('decodes lower case and padding', () => {
+    assert.equal(base32Decode('mzxw6===').toString(), 'foo');
+  });
+
+  it('rejects characters outside the alphabet', () => {
+    assert.throws(() => base32Decode('ABC1'), /Invalid base32 character/);
+  });
+
+  it('generates 160-bit secrets', () => {
+    assert.equal(base32Decode(generateSecret()).length, 20);
+  });
+});
+
+describe('generateCode', () => {
+  // The last six digits of the RFC 6238 SHA-1 test vectors
+  for (const [seconds, code] of [[59, '287082'], [1111111109, '081804'], [1234567890, '005924'], [2000000000, '279037']]) {
+    it(`matches the RFC 6238 vector at T=${seconds}`, () => {
+      assert.equal(generateCode(RFC_SECRET, currentStep(seconds * 1000)), code);
+    });
+  }
+});
+
+describe('verifyCode', () => {
+  const now = 1111111109 * 1000;
+  const step = currentStep(now);
+
+  it('returns the step a current code belongs to', () => {
+    assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step), { now }), step);
+  });
+
+  it('allows one step of clock drift either way', () => {
+    assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { now }), step - 1);
+    assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), { now }), step + 1);
+  });
+
+  it('rejects codes further out than the window', () => {
+    assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2), { now }), null);
+    assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2), { now }), null);
+  });
+
+  it('rejects anything but six digits', () => {
+    for (const code of ['', '12345', '1234567', 'abcdef', 123456, null]) {
+      assert.equal(verifyCode(RFC_SECRET, code, { now }), null);
+    }
+  });
+});
+
+describe('buildOtpauthUri', () => {
+  it('describes the secret for authenticator apps', () => {
+    const uri = new URL(buildOtpauthUri({ secret: 'ABC', accountName: 'a@b.com', issuer: 'Bank' }));
+    assert.equal(`${uri.protocol}//${uri.host}`, 'otpauth://totp');
+    assert.equal(decodeURIComponent(uri.pathname), '/Bank:a@b.com');
+    assert.equal(uri.searchParams.get('secret'), 'ABC');
+    assert.equal(uri.searchParams.get('digits'), '6');
+    assert.equal(uri.searchParams.get('period'), '30');
+  });
+});
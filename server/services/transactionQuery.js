@@ -0,0 +1,154 @@
+import { TRANSACTION_SORT_FIELDS } from '../repositories/transactions.js';
+import { isSupportedCurrency, parseAmountToMinorUnits } from './currencies.js';
+import { sanitizeInput } from './paymentRequests.js';
+
+export const TRANSACTION_STATUSES = ['screening_hold', 'risk_hold', 'pending', 'verified', 'rejected', 'submitted', 'cancelled'];
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+
+const MAX_SEARCH_TERMS = 10;
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// The value a cursor records for each sort field, read off the last row
+const SORT_VALUES = {
+  createdAt: (transaction) => transaction.timestamp.toISOString(),
+  amount: (transaction) => transaction.amountMinor,
+  recipientName: (transaction) => transaction.recipientName,
+  status: (transaction) => transaction.status
+};
+
+const isIsoTimestamp = (value) => typeof value === 'string' && parseDate(value)?.toISOString() === value;
+const isString = (value) => typeof value === 'string';
+
+// What a cursor's value must look like for each sort field, so a forged one
+// is refused rather than compared against the column
+const SORT_VALUE_CHECKS = {
+  createdAt: isIsoTimestamp,
+  amount: Number.isSafeInteger,
+  recipientName: isString,
+  status: isString
+};
+
+// Cursors are opaque to clients but carry the sort they were issued for, so
+// one can't be replayed against a different ordering
+export const encodeCursor = ({ sort, order }, transaction) => {
+  const payload = [sort, order, SORT_VALUES[sort](transaction), transaction.transactionId];
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+const decodeCursor = (cursor, { sort, order }) => {
+  try {
+    const [cursorSort, cursorOrder, value, transactionId] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (cursorSort !== sort || cursorOrder !== order || typeof transactionId !== 'string') return null;
+    if (!SORT_VALUE_CHECKS[sort](value)) return null;
+    return { value, transactionId };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Free text -> FTS5 query: every word must prefix-match the recipient's name
+// or account. Words are quoted so FTS5 operators in the input are inert.
+const toSearchQuery = (text) => {
+  const terms = text.match(/[\p{L}\p{N}]+/gu) || [];
+  return terms.slice(0, MAX_SEARCH_TERMS).map(term => `"${term}"*`).join(' AND ');
+};
+
+const readText = (value) => (typeof value === 'string' ? value.trim() : '');
+
+/**
+ * Parses GET /payments/history query parameters. Returns { query } ready for
+ * queryTransactions/countTransactions, or { errors } mapping each bad
+ * parameter to a message. Scoping to a customer is left to the route.
+ */
+export const parseHistoryQuery = (params) => {
+  const errors = {};
+  const filters = {};
+
+  const statuses = readText(params.status);
+  if (statuses) {
+    filters.statuses = statuses.split(',').map(status => status.trim());
+    if (!filters.statuses.every(status => TRANSACTION_STATUSES.includes(status))) {
+      errors.status = `status must be one or more of ${TRANSACTION_STATUSES.join(', ')}`;
+    }
+  }
+
+  const currency = readText(params.currency).toUpperCase();
+  if (currency) {
+    if (isSupportedCurrency(currency)) {
+      filters.currency = currency;
+    } else {
+      errors.currency = 'Unsupported currency';
+    }
+  }
+
+  const swiftCode = readText(params.swiftCode).toUpperCase();
+  if (swiftCode) {
+    if (/^[A-Z0-9]{4,11}$/.test(swiftCode)) {
+      filters.swiftCode = swiftCode;
+    } else {
+      errors.swiftCode = 'swiftCode must be 4-11 letters or digits (a prefix matches)';
+    }
+  }
+
+  // Stored names are escaped, so the filter is escaped the same way
+  const recipientName = readText(params.recipientName);
+  if (recipientName) filters.recipientName = sanitizeInput(recipientName);
+
+  const search = readText(params.q);
+  if (search) {
+    filters.search = toSearchQuery(search);
+    if (!filters.search) errors.q = 'q must contain a letter or digit';
+  }
+
+  for (const field of ['from', 'to']) {
+    if (params[field] === undefined) continue;
+    filters[field] = parseDate(params[field]);
+    if (!filters[field]) errors[field] = `${field} must be an ISO 8601 date`;
+  }
+
+  // Minor units differ per currency, so an amount range needs one
+  for (const [field, filter] of [['minAmount', 'minAmountMinor'], ['maxAmount', 'maxAmountMinor']]) {
+    if (params[field] === undefined) continue;
+    if (!filters.currency) {
+      errors[field] = `${field} needs a currency`;
+      continue;
+    }
+    const parsed = parseAmountToMinorUnits(params[field], filters.currency);
+    if (parsed.error) {
+      errors[field] = parsed.error;
+    } else {
+      filters[filter] = parsed.amountMinor;
+    }
+  }
+
+  const sort = params.sort === undefined ? 'createdAt' : params.sort;
+  if (!Object.prototype.hasOwnProperty.call(TRANSACTION_SORT_FIELDS, sort)) {
+    errors.sort = `sort must be one of ${Object.keys(TRANSACTION_SORT_FIELDS).join(', ')}`;
+  }
+
+  const order = params.order === undefined ? 'desc' : params.order;
+  if (order !== 'asc' && order !== 'desc') {
+    errors.order = 'order must be asc or desc';
+  }
+
+  const limit = params.limit === undefined ? DEFAULT_PAGE_SIZE : Number(params.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    errors.limit = `limit must be between 1 and ${MAX_PAGE_SIZE}`;
+  }
+
+  let after = null;
+  if (params.cursor !== undefined && !errors.sort && !errors.order) {
+    after = decodeCursor(String(params.cursor), { sort, order });
+    if (!after) errors.cursor = 'cursor is invalid or was issued for a different sort';
+  }
+
+  if (Object.keys(errors).length > 0) return { errors };
+
+  return { query: { filters, sort, order, after, limit } };
+};
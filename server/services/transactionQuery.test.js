@@ -0,0 +1,113 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+import { closeDatabase } from '../db/index.js';
+import { createTransaction, queryTransactions } from '../repositories/transactions.js';
+import { encodeCursor, parseHistoryQuery } from './transactionQuery.js';
+
+const cursorFor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+// Seven payments with repeated amounts, names and times, so ties need the
+// transaction id to break them
+const seedPayments = () => {
+  const base = Date.parse('2026-03-15T12:00:00Z');
+  const amounts = [500, 100, 300, 100, 500, 200, 100];
+  const names = ['Carol', 'alice', 'Bob', 'Carol', 'alice', 'Dave', 'Bob'];
+  const statuses = ['pending', 'verified', 'pending', 'rejected', 'submitted', 'pending', 'verified'];
+
+  amounts.forEach((amountMinor, index) => createTransaction({
+    transactionId: `TXN${index}`,
+    amountMinor,
+    currency: 'ZAR',
+    provider: 'SWIFT',
+    recipientName: names[index],
+    recipientAccount: `12345678${index}`,
+    swiftCode: 'ABSAZAJJ',
+    initiatedBy: 'customer@example.com',
+    userType: 'customer',
+    status: statuses[index],
+    timestamp: new Date(base + Math.floor(index / 2) * 1000)
+  }));
+};
+
+// Walks every page the way GET /payments/history does and returns the ids
+const readAllPages = (params, pageSize) => {
+  const ids = [];
+  let cursor;
+
+  for (let page = 0; page < 20; page++) {
+    const { query, errors } = parseHistoryQuery({ ...params, limit: String(pageSize), ...(cursor && { cursor }) });
+    assert.equal(errors, undefined);
+
+    const rows = queryTransactions({ ...query, limit: query.limit + 1 });
+    const pageRows = rows.slice(0, query.limit);
+    ids.push(...pageRows.map(row => row.transactionId));
+
+    if (rows.length <= query.limit) return ids;
+    cursor = encodeCursor(query, pageRows[pageRows.length - 1]);
+  }
+  throw new Error('pagination did not finish');
+};
+
+beforeEach(() => {
+  closeDatabase();
+  seedPayments();
+});
+
+describe('cursor pagination', () => {
+  for (const sort of ['createdAt', 'amount', 'recipientName', 'status']) {
+    for (const order of ['asc', 'desc']) {
+      it(`pages through every row once, sorted by ${sort} ${order}`, () => {
+        const all = queryTransactions({ filters: {}, sort, order, limit: 100 }).map(row => row.transactionId);
+
+        for (const pageSize of [1, 2, 3]) {
+          assert.deepEqual(readAllPages({ sort, order }, pageSize), all);
+        }
+      });
+    }
+  }
+
+  it('sorts names without regard to case', () => {
+    const names = queryTransactions({ filters: {}, sort: 'recipientName', order: 'asc', limit: 100 })
+      .map(row => row.recipientName);
+    assert.deepEqual(names, ['alice', 'alice', 'Bob', 'Bob', 'Carol', 'Carol', 'Dave']);
+  });
+
+  it('keeps filters across pages', () => {
+    assert.deepEqual(readAllPages({ status: 'pending,verified', sort: 'amount', order: 'asc' }, 2), ['TXN1', 'TXN6', 'TXN5', 'TXN2', 'TXN0']);
+  });
+});
+
+describe('parseHistoryQuery cursors', () => {
+  const rejects = (params) => {
+    assert.equal(parseHistoryQuery(params).errors?.cursor, 'cursor is invalid or was issued for a different sort');
+  };
+
+  it('rejects a cursor issued for another sort or order', () => {
+    const { query } = parseHistoryQuery({ sort: 'amount', order: 'asc' });
+    const cursor = encodeCursor(query, { amountMinor: 100, transactionId: 'TXN1' });
+
+    assert.equal(parseHistoryQuery({ sort: 'amount', order: 'asc', cursor }).errors, undefined);
+    rejects({ sort: 'amount', order: 'desc', cursor });
+    rejects({ sort: 'createdAt', order: 'asc', cursor });
+  });
+
+  it('rejects cursors that are not base64 JSON', () => {
+    rejects({ cursor: 'not a cursor' });
+    rejects({ cursor: cursorFor('just a string') });
+    rejects({ cursor: cursorFor(null) });
+  });
+
+  it('rejects a cursor without a transaction id', () => {
+    rejects({ cursor: cursorFor(['createdAt', 'desc', '2026-03-15T12:00:00.000Z', 42]) });
+  });
+
+  it('rejects a value of the wrong type for the sort field', () => {
+    rejects({ sort: 'amount', order: 'desc', cursor: cursorFor(['amount', 'desc', '100', 'TXN1']) });
+    rejects({ sort: 'amount', order: 'desc', cursor: cursorFor(['amount', 'desc', 1.5, 'TXN1']) });
+    rejects({ sort: 'amount', order: 'desc', cursor: cursorFor(['amount', 'desc', null, 'TXN1']) });
+    rejects({ sort: 'createdAt', order: 'desc', cursor: cursorFor(['createdAt', 'desc', 1773576000000, 'TXN1']) });
+    rejects({ sort: 'createdAt', order: 'desc', cursor: cursorFor(['createdAt', 'desc', '2026-03-15', 'TXN1']) });
+    rejects({ sort: 'recipientName', order: 'desc', cursor: cursorFor(['recipientName', 'desc', ['Bob'], 'TXN1']) });
+    rejects({ sort: 'status', order: 'desc', cursor: cursorFor(['status', 'desc', { $gt: '' }, 'TXN1']) });
+  });
+});
@@ -0,0 +1,58 @@
+// Latin letters without a decomposed form, spelled out the conventional way
+const LATIN = {
+  'ß': 'ss',
+  'æ': 'ae',
+  'Æ': 'AE',
+  'œ': 'oe',
+  'Œ': 'OE',
+  'ø': 'o',
+  'Ø': 'O',
+  'ł': 'l',
+  'Ł': 'L',
+  'đ': 'd',
+  'Đ': 'D',
+  'þ': 'th',
+  'Þ': 'TH',
+  'ı': 'i'
+};
+
+// Cyrillic as in ICAO Doc 9303 (machine-readable passports), which is how
+// most watch lists spell Russian and Ukrainian names
+const CYRILLIC = {
+  'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'ґ': 'g', 'д': 'd', 'е': 'e', 'ё': 'e',
+  'є': 'ie', 'ж': 'zh', 'з': 'z', 'и': 'i', 'і': 'i', 'ї': 'i', 'й': 'i', 'к': 'k',
+  'л': 'l', 'м': 'm', 'н': 'n', 'о': 'o', 'п': 'p', 'р': 'r', 'с': 's', 'т': 't',
+  'у': 'u', 'ф': 'f', 'х': 'kh', 'ц': 'ts', 'ч': 'ch', 'ш': 'sh', 'щ': 'shch', 'ъ': 'ie',
+  'ы': 'y', 'ь': '', 'э': 'e', 'ю': 'iu', 'я': 'ia'
+};
+
+// Greek as in ELOT 743, where ου is one sound
+const GREEK_DIGRAPHS = { 'ου': 'ou', 'Ου': 'Ou', 'ΟΥ': 'OU' };
+const GREEK = {
+  'α': 'a', 'β': 'v', 'γ': 'g', 'δ': 'd', 'ε': 'e', 'ζ': 'z', 'η': 'i', 'θ': 'th',
+  'ι': 'i', 'κ': 'k', 'λ': 'l', 'μ': 'm', 'ν': 'n', 'ξ': 'x', 'ο': 'o', 'π': 'p',
+  'ρ': 'r', 'σ': 's', 'ς': 's', 'τ': 't', 'υ': 'y', 'φ': 'f', 'χ': 'ch', 'ψ': 'ps',
+  'ω': 'o'
+};
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+const TRANSLITERATIONS = { ...LATIN };
+for (const [letter, latin] of Object.entries({ ...CYRILLIC, ...GREEK })) {
+  TRANSLITERATIONS[letter] = latin;
+  TRANSLITERATIONS[letter.toUpperCase()] = capitalize(latin);
+}
+
+const TRANSLITERATED_CHARS = new RegExp(`[${Object.keys(TRANSLITERATIONS).join('')}]`, 'g');
+
+/**
+ * Writes text in the Latin alphabet without accents: diacritics are dropped
+ * first (so й and ё go through и and е), then Cyrillic and Greek are
+ * transliterated and letters such as ß and ø spelled out. Other scripts are
+ * left as they are.
+ */
+export const toLatin = (text) => String(text)
+  .normalize('NFD')
+  .replace(/\p{M}/gu, '')
+  .replace(/ου|Ου|ΟΥ/g, digraph => GREEK_DIGRAPHS[digraph])
+  .replace(TRANSLITERATED_CHARS, char => TRANSLITERATIONS[char]);
@@ -0,0 +1,136 @@
+import dns from 'dns';
+import net from 'net';
+
+// Webhook endpoints are URLs customers choose, so the server must not be
+// talked into posting to itself, the internal network or a cloud metadata
+// service. Addresses are checked when a subscription is created and again,
+// after DNS resolution, on every connection, so a name that later resolves
+// somewhere private (DNS rebinding) is caught too.
+
+const blocked = new net.BlockList();
+[
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16], // link-local, including 169.254.169.254 metadata
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24], // documentation ranges
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15], // benchmarking
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved and broadcast
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], // unspecified
+  ['::1', 128],
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8], // multicast
+  ['2001:db8::', 32] // documentation
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, 'ipv6'));
+
+// The eight 16-bit groups of an IPv6 address, with "::" and a dotted IPv4
+// tail expanded
+const ipv6Groups = (address) => {
+  let text = address.toLowerCase().split('%')[0];
+  const dotted = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted[1].split('.').map(Number);
+    text = text.slice(0, -dotted[1].length) + `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const [head, tail] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const missing = tail === undefined ? 0 : 8 - headGroups.length - tailGroups.length;
+  return [...headGroups, ...Array(missing).fill('0'), ...tailGroups].map(group => parseInt(group, 16));
+};
+
+// IPv4 carried inside an IPv6 address, which reaches the IPv4 host:
+// IPv4-mapped (::ffff:a.b.c.d), IPv4-compatible (::a.b.c.d) and NAT64
+// (64:ff9b::a.b.c.d). Null for any other address.
+const embeddedIpv4 = (address) => {
+  const groups = ipv6Groups(address);
+  const prefix = groups.slice(0, 6);
+  const mapped = prefix.slice(0, 5).every(group => group === 0) && (prefix[5] === 0xffff || prefix[5] === 0);
+  const nat64 = prefix[0] === 0x64 && prefix[1] === 0xff9b && prefix.slice(2).every(group => group === 0);
+  if (!mapped && !nat64) return null;
+
+  return [groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff].join('.');
+};
+
+export const isPublicAddress = (address) => {
+  if (net.isIPv4(address)) return !blocked.check(address, 'ipv4');
+  if (!net.isIPv6(address)) return false;
+
+  const ipv4 = embeddedIpv4(address);
+  if (ipv4 && ipv4 !== '0.0.0.0' && ipv4 !== '0.0.0.1') return !blocked.check(ipv4, 'ipv4');
+  return !blocked.check(address, 'ipv6');
+};
+
+// WEBHOOK_ALLOWED_HOSTS lists host names or addresses that may be private,
+// e.g. "localhost,127.0.0.1" for a local receiver. Ignored in production.
+// Read when used so dotenv has populated process.env.
+const getAllowedHosts = () => {
+  if (process.env.NODE_ENV === 'production') return new Set();
+  return new Set((process.env.WEBHOOK_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase().replace(/^\[|\]$/g, ''))
+    .filter(Boolean));
+};
+
+// URL.hostname keeps the brackets around IPv6 literals
+export const bareHostname = (hostname) => hostname.toLowerCase().replace(/^\[|\]$/g, '');
+
+export const isAllowedHost = (hostname) => getAllowedHosts().has(bareHostname(hostname));
+
+// Whether a host name can be told apart as private without resolving it
+export const isPrivateHostname = (hostname) => {
+  const host = bareHostname(hostname);
+  if (host === 'localhost' || host.endsWith('.localhost')) return true;
+  return net.isIP(host) !== 0 && !isPublicAddress(host);
+};
+
+const notAllowed = (hostname, address) => {
+  const error = new Error(`${hostname} resolves to a private address (${address})`);
+  error.code = 'EADDRNOTALLOWED';
+  return error;
+};
+
+/**
+ * A dns.lookup replacement for outgoing webhook requests. It refuses a host
+ * if any of its addresses is private, unless the host is allow-listed, so
+ * the address checked is the one connected to.
+ */
+export const webhookLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (!isAllowedHost(hostname)) {
+      const privateAddress = addresses.find(({ address }) => !isPublicAddress(address));
+      if (privateAddress) return callback(notAllowed(hostname, privateAddress.address));
+    }
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Resolves a host name ahead of time, for a clear error when a subscription
+// is created. Null when it is fine, or can't be resolved right now (delivery
+// checks again).
+export const findPrivateAddress = async (hostname) => {
+  if (isAllowedHost(hostname)) return null;
+  if (isPrivateHostname(hostname)) return bareHostname(hostname);
+
+  try {
+    const addresses = await dns.promises.lookup(bareHostname(hostname), { all: true });
+    return addresses.find(({ address }) => !isPublicAddress(address))?.address || null;
+  } catch (error) {
+    return null;
+  }
+};
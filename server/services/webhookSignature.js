@@ -0,0 +1,45 @@
+import crypto from 'crypto';
+
+export const SIGNATURE_HEADER = 'X-Webhook-Signature';
+
+// Receivers should refuse signatures older than this, so a captured request
+// can't be replayed later
+export const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+const hmac = (secret, timestamp, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+/**
+ * The signature header for a request body: "t=<unix seconds>,v1=<hex>",
+ * where v1 is HMAC-SHA256 over "<t>.<body>" keyed with the subscription's
+ * secret.
+ */
+export const signWebhookBody = (secret, body, now = new Date()) => {
+  const timestamp = Math.floor(now.getTime() / 1000);
+  return `t=${timestamp},v1=${hmac(secret, timestamp, body)}`;
+};
+
+/**
+ * Checks a signature header against the raw body as received. Returns
+ * { valid: true } or { valid: false, reason }.
+ */
+export const verifyWebhookSignature = (secret, header, body, now = new Date()) => {
+  const parts = Object.fromEntries(String(header || '')
+    .split(',')
+    .map(part => part.trim().split('='))
+    .filter(pair => pair.length === 2));
+  const timestamp = Number(parts.t);
+
+  if (!Number.isInteger(timestamp) || !/^[0-9a-f]{64}$/.test(parts.v1 || '')) {
+    return { valid: false, reason: 'malformed' };
+  }
+  if (Math.abs(now.getTime() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    return { valid: false, reason: 'expired' };
+  }
+
+  const expected = Buffer.from(hmac(secret, timestamp, body), 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+  return crypto.timingSafeEqual(expected, received) ? { valid: true } : { valid: false, reason: 'mismatch' };
+};
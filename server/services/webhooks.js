@@ -0,0 +1,326 @@
+import crypto from 'crypto';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { withTransaction } from '../db/index.js';
+import {
+  createWebhookDelivery,
+  findActiveWebhookSubscriptions,
+  findDueWebhookDeliveries,
+  findWebhookSubscriptionById,
+  recordWebhookAttempt,
+  updateWebhookDelivery
+} from '../repositories/webhooks.js';
+import { logger } from '../logging/logger.js';
+import { formatMinorUnits } from './currencies.js';
+import { TRANSACTION_STATUSES } from './transactionQuery.js';
+import { withoutRiskAssessment } from './risk.js';
+import { SIGNATURE_HEADER, signWebhookBody } from './webhookSignature.js';
+import {
+  bareHostname,
+  findPrivateAddress,
+  isAllowedHost,
+  isPublicAddress,
+  webhookLookup
+} from './webhookAddress.js';
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+// One event type per status a payment can move into
+export const WEBHOOK_EVENT_TYPES = TRANSACTION_STATUSES.map(status => `payment.${status}`);
+
+export const MAX_WEBHOOK_SUBSCRIPTIONS = 10;
+const MAX_URL_LENGTH = 2048;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const DISPATCH_BATCH_SIZE = 10;
+const MAX_RETRY_DELAY_SECONDS = 60 * 60;
+const USER_AGENT = 'PaymentsPortal-Webhooks/1.0';
+
+const readPositiveInt = (value, fallback) => {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : fallback;
+};
+
+// Read when used so dotenv has populated process.env
+export const getWebhookSettings = () => ({
+  maxAttempts: readPositiveInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10),
+  retryBaseSeconds: readPositiveInt(process.env.WEBHOOK_RETRY_BASE_SECONDS, 30),
+  pollIntervalMs: readPositiveInt(process.env.WEBHOOK_POLL_INTERVAL_MS, 5000)
+});
+
+// ============================================
+// SUBSCRIPTIONS
+// ============================================
+
+export const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+
+/**
+ * Resolves to an error message for a URL that can't be used as a webhook
+ * endpoint, or null. Endpoints may not point at loopback, private or
+ * link-local addresses, unless WEBHOOK_ALLOWED_HOSTS lists them outside
+ * production. In production they must also be HTTPS.
+ */
+export const validateWebhookUrl = async (value) => {
+  if (typeof value !== 'string' || value.length === 0 || value.length > MAX_URL_LENGTH) {
+    return 'Enter the URL that should receive events';
+  }
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return 'Enter a valid URL';
+  }
+
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') return 'The URL must use HTTPS';
+  if (url.username || url.password) return 'The URL may not contain a user name or password';
+
+  if (process.env.NODE_ENV === 'production' && url.protocol !== 'https:') return 'The URL must use HTTPS';
+  if (await findPrivateAddress(url.hostname)) return 'The URL must be reachable on the internet';
+
+  return null;
+};
+
+// Endpoint as it can be logged: query strings may carry tokens
+const describeEndpoint = (url) => {
+  const { origin, pathname } = new URL(url);
+  return `${origin}${pathname}`;
+};
+
+// ============================================
+// EVENTS
+// ============================================
+
+/**
+ * Queues a payment.<status> event for each of the payment owner's
+ * subscriptions that wants it. Call inside the transaction that changed the
+ * status, so an event is queued exactly when the change commits. Delivery
+ * starts once the current transaction has finished.
+ */
+export const queuePaymentStatusEvent = (transaction, previousStatus = null, now = new Date()) => {
+  const eventType = `payment.${transaction.status}`;
+  const subscriptions = findActiveWebhookSubscriptions(transaction.initiatedBy)
+    .filter(subscription => subscription.eventTypes.includes(eventType));
+  if (subscriptions.length === 0) return;
+
+  const eventId = `EVT${Date.now()}${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
+  const payload = JSON.stringify({
+    id: eventId,
+    type: eventType,
+    createdAt: now.toISOString(),
+    data: {
+      previousStatus,
+      transaction: {
+        ...withoutRiskAssessment(transaction),
+        amount: formatMinorUnits(transaction.amountMinor, transaction.currency)
+      }
+    }
+  });
+
+  for (const subscription of subscriptions) {
+    createWebhookDelivery({
+      deliveryId: `WHD${Date.now()}${Math.random().toString(36).substr(2, 9).toUpperCase()}`,
+      subscriptionId: subscription.subscriptionId,
+      eventId,
+      eventType,
+      transactionId: transaction.transactionId,
+      payload,
+      createdAt: now
+    });
+  }
+
+  scheduleWebhookDispatch();
+};
+
+// Sends the same event again as a new delivery, e.g. from the dead-letter store
+export const queueRedelivery = (delivery, now = new Date()) => {
+  const redelivery = createWebhookDelivery({
+    deliveryId: `WHD${Date.now()}${Math.random().toString(36).substr(2, 9).toUpperCase()}`,
+    subscriptionId: delivery.subscriptionId,
+    eventId: delivery.eventId,
+    eventType: delivery.eventType,
+    transactionId: delivery.transactionId,
+    payload: delivery.payload,
+    redeliveryOf: delivery.deliveryId,
+    createdAt: now
+  });
+  scheduleWebhookDispatch();
+  return redelivery;
+};
+
+// ============================================
+// DELIVERY
+// ============================================
+
+// 30s, 1m, 2m, 4m ... up to an hour, with up to 10% jitter so failed
+// deliveries to one endpoint don't all retry at the same moment
+const retryDelayMs = (attempts, { retryBaseSeconds }) => {
+  const seconds = Math.min(retryBaseSeconds * 2 ** (attempts - 1), MAX_RETRY_DELAY_SECONDS);
+  return Math.round(seconds * 1000 * (1 + Math.random() * 0.1));
+};
+
+// POSTs the body and resolves to the response status. Redirects are not
+// followed: one could point anywhere, so it counts as a failure. The host's
+// addresses are checked by webhookLookup as the connection is made; an IP
+// literal skips DNS, so it is checked here.
+const postToEndpoint = (endpoint, { headers, body }) => new Promise((resolve, reject) => {
+  const url = new URL(endpoint);
+  const host = bareHostname(url.hostname);
+  if (net.isIP(host) && !isPublicAddress(host) && !isAllowedHost(host)) {
+    const error = new Error(`${host} is a private address`);
+    error.code = 'EADDRNOTALLOWED';
+    return reject(error);
+  }
+
+  const request = (url.protocol === 'https:' ? https : http).request(url, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    lookup: webhookLookup,
+    agent: false
+  }, (response) => {
+    // Drain the body so the socket is released; its content isn't kept
+    response.resume();
+    response.on('end', () => resolve(response.statusCode));
+    response.on('error', reject);
+  });
+
+  request.setTimeout(REQUEST_TIMEOUT_MS, () => {
+    const error = new Error('Timed out');
+    error.name = 'TimeoutError';
+    request.destroy(error);
+  });
+  request.on('error', reject);
+  request.end(body);
+});
+
+// Kept on the attempt: an error code such as ECONNREFUSED, or why the
+// address was refused
+const describeRequestError = (error) => {
+  if (error.name === 'TimeoutError') return 'Timed out';
+  if (error.code === 'EADDRNOTALLOWED') return error.message;
+  return error.code || error.message;
+};
+
+const postEvent = async (subscription, delivery) => {
+  const startedAt = Date.now();
+  try {
+    const statusCode = await postToEndpoint(subscription.url, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': USER_AGENT,
+        'X-Webhook-Id': delivery.eventId,
+        'X-Webhook-Delivery': delivery.deliveryId,
+        'X-Webhook-Event': delivery.eventType,
+        [SIGNATURE_HEADER]: signWebhookBody(subscription.secret, delivery.payload)
+      },
+      body: delivery.payload
+    });
+    const ok = statusCode >= 200 && statusCode < 300;
+
+    return {
+      statusCode,
+      error: ok ? null : `HTTP ${statusCode}`,
+      durationMs: Date.now() - startedAt
+    };
+  } catch (error) {
+    return {
+      statusCode: null,
+      error: describeRequestError(error),
+      durationMs: Date.now() - startedAt
+    };
+  }
+};
+
+const attemptDelivery = async (delivery, settings) => {
+  const subscription = findWebhookSubscriptionById(delivery.subscriptionId);
+  const attemptedAt = new Date();
+
+  if (!subscription || subscription.deletedAt) {
+    updateWebhookDelivery(delivery.deliveryId, {
+      status: 'dead',
+      attempts: delivery.attempts,
+      lastError: 'Subscription deleted'
+    });
+    return;
+  }
+
+  const result = await postEvent(subscription, delivery);
+  const attempts = delivery.attempts + 1;
+  const log = {
+    deliveryId: delivery.deliveryId,
+    subscriptionId: subscription.subscriptionId,
+    eventType: delivery.eventType,
+    endpoint: describeEndpoint(subscription.url),
+    attempt: attempts,
+    statusCode: result.statusCode,
+    durationMs: result.durationMs
+  };
+
+  withTransaction(() => {
+    recordWebhookAttempt(delivery.deliveryId, { attemptedAt, ...result });
+
+    if (!result.error) {
+      updateWebhookDelivery(delivery.deliveryId, { status: 'delivered', attempts, deliveredAt: new Date() });
+    } else if (attempts >= settings.maxAttempts) {
+      updateWebhookDelivery(delivery.deliveryId, { status: 'dead', attempts, lastError: result.error });
+    } else {
+      updateWebhookDelivery(delivery.deliveryId, {
+        status: 'pending',
+        attempts,
+        nextAttemptAt: new Date(Date.now() + retryDelayMs(attempts, settings)),
+        lastError: result.error
+      });
+    }
+  });
+
+  if (!result.error) {
+    logger.info('webhook delivered', log);
+  } else if (attempts >= settings.maxAttempts) {
+    logger.warn('webhook delivery failed, moved to dead letters', { ...log, error: result.error });
+  } else {
+    logger.info('webhook delivery failed, will retry', { ...log, error: result.error });
+  }
+};
+
+let dispatching = false;
+let dispatchRequested = false;
+
+/**
+ * Attempts every delivery that is due, a batch at a time. Only one run is
+ * active at once; a request made during a run starts another afterwards.
+ */
+export const dispatchDueWebhooks = async () => {
+  if (dispatching) {
+    dispatchRequested = true;
+    return;
+  }
+  dispatching = true;
+
+  try {
+    const settings = getWebhookSettings();
+    let due;
+    do {
+      dispatchRequested = false;
+      due = findDueWebhookDeliveries(new Date(), DISPATCH_BATCH_SIZE);
+      await Promise.all(due.map(delivery => attemptDelivery(delivery, settings)));
+    } while (due.length === DISPATCH_BATCH_SIZE || dispatchRequested);
+  } finally {
+    dispatching = false;
+  }
+};
+
+const runDispatch = () => {
+  dispatchDueWebhooks().catch(error => logger.error('webhook dispatch failed', { error }));
+};
+
+// Runs after the current synchronous work, so after the caller's transaction commits
+const scheduleWebhookDispatch = () => setImmediate(runDispatch);
+
+// Polls for retries that have come due; the timer doesn't keep the process alive
+export const startWebhookDispatcher = () => {
+  const { pollIntervalMs } = getWebhookSettings();
+  setInterval(runDispatch, pollIntervalMs).unref();
+  runDispatch();
+};
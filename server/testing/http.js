@@ -0,0 +1,144 @@
+import bcrypt from 'bcrypt';
+import { once } from 'events';
+import { createApp } from '../app.js';
+import { closeDatabase } from '../db/index.js';
+import { createUser, enableMfa, findUserByEmail, setPendingMfaSecret } from '../repositories/users.js';
+import { getSanctionsStatus, loadSanctionsLists } from '../services/sanctions.js';
+import { startSession } from '../services/sessions.js';
+import { currentStep, generateCode, generateSecret } from '../services/totp.js';
+
+// Helpers for route tests: a fresh app over a fresh in-memory database,
+// served on a free port, and accounts to call it with.
+
+export const TEST_PASSWORD = 'Passw0rd!';
+
+/**
+ * Starts the app on a free port over an empty database. Returns
+ * { base, request, close }; request(method, path, { token, body, headers })
+ * resolves to { status, headers, body } with JSON bodies parsed, and base is
+ * the API's URL for requests that need fetch() itself.
+ */
+export const startTestServer = async () => {
+  closeDatabase();
+  // Payments are held until the watch lists are loaded
+  if (!getSanctionsStatus().loaded) await loadSanctionsLists();
+
+  const server = createApp().listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const base = `http://127.0.0.1:${server.address().port}/api`;
+
+  const request = async (method, path, { token, body, headers = {} } = {}) => {
+    const response = await fetch(`${base}${path}`, {
+      method,
+      headers: {
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      // Not JSON, e.g. a file download
+    }
+    return { status: response.status, headers: response.headers, body: parsed };
+  };
+
+  const close = async () => {
+    server.closeAllConnections();
+    server.close();
+    await once(server, 'close');
+    closeDatabase();
+  };
+
+  return { base, request, close };
+};
+
+let accountNumber = 1000000000;
+
+/**
+ * Creates an account straight in the database. Employees get two-factor
+ * turned on, with the secret returned as mfaSecret. Passwords are hashed at
+ * the lowest bcrypt cost to keep suites quick, unless a test needs password
+ * checks that take as long as they do in production.
+ */
+export const createAccount = ({
+  email,
+  role = 'customer',
+  password = TEST_PASSWORD,
+  mfa = role !== 'customer',
+  bcryptCost = 4
+}) => {
+  const userType = role === 'customer' ? 'customer' : 'employee';
+  accountNumber += 1;
+
+  createUser({
+    email,
+    password: bcrypt.hashSync(password, bcryptCost),
+    userType,
+    role,
+    fullName: userType === 'customer' ? 'Test Customer' : 'Test Employee',
+    accountNumber: userType === 'customer' ? String(accountNumber) : null
+  });
+
+  let mfaSecret = null;
+  if (mfa) {
+    mfaSecret = generateSecret();
+    setPendingMfaSecret(email, mfaSecret);
+    enableMfa(email);
+  }
+  return { ...findUserByEmail(email), mfaSecret };
+};
+
+// An access token for an account, without going through /auth/login
+export const signIn = (user) => startSession(findUserByEmail(user.email), { ip: '127.0.0.1', userAgent: 'node' }).accessToken;
+
+// Creates an account and returns it with an access token
+export const signedInAccount = (options) => {
+  const user = createAccount(options);
+  return { ...user, token: signIn(user) };
+};
+
+const lastStepUsed = new Map();
+
+// The next TOTP code the account hasn't used, as each step is accepted once
+export const nextCode = (user) => {
+  const step = Math.max((lastStepUsed.get(user.email) ?? -Infinity) + 1, currentStep() - 1);
+  lastStepUsed.set(user.email, step);
+  return generateCode(user.mfaSecret, step);
+};
+
+// A payment the validation, screening and risk rules accept as it is
+export const TEST_PAYMENT = {
+  amount: '100.00',
+  currency: 'EUR',
+  provider: 'SWIFT',
+  recipientName: 'Anna Schmidt',
+  recipientAccount: 'DE89370400440532013000',
+  swiftCode: 'COBADEFFXXX'
+};
+
+// Submits a payment as the customer and verifies it as the teller. Returns
+// the transaction ID.
+export const verifiedPayment = async (api, { customer, teller, payment = {} }) => {
+  const submitted = await api.request('POST', '/payments/process', {
+    token: customer.token,
+    body: { ...TEST_PAYMENT, ...payment }
+  });
+  if (submitted.body.transaction?.status !== 'pending') {
+    throw new Error(`Payment was not accepted for verification: ${JSON.stringify(submitted.body)}`);
+  }
+
+  const { transactionId } = submitted.body;
+  const verified = await api.request('POST', `/payments/${transactionId}/verify`, {
+    token: teller.token,
+    body: { swiftCodeChecked: true, beneficiaryChecked: true }
+  });
+  if (verified.status !== 200) {
+    throw new Error(`Payment could not be verified: ${JSON.stringify(verified.body)}`);
+  }
+  return transactionId;
+};
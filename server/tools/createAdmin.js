@@ -0,0 +1,113 @@
+import bcrypt from 'bcrypt';
+import dotenv from 'dotenv';
+import readline from 'readline';
+import { Writable } from 'stream';
+import validator from 'validator';
+import { closeDatabase, withTransaction } from '../db/index.js';
+import { createUser, findUserByEmail } from '../repositories/users.js';
+import { AUDIT_ACTIONS, recordAuditEvent } from '../services/audit.js';
+import { PASSWORD_REQUIREMENTS, validatePassword } from '../services/accounts.js';
+import { logger } from '../logging/logger.js';
+
+// Creates an administrator, e.g. the first one on a new database:
+//
+//   npm run create-admin -- admin@company.com "Full Name"
+//
+// The operator types the password at a prompt that doesn't echo it, or pipes
+// it in on the first line of stdin. It is never printed. The first login
+// sets up two-factor authentication.
+
+dotenv.config();
+
+const MAX_PROMPTS = 3;
+
+const [email = '', ...nameParts] = process.argv.slice(2);
+const normalizedEmail = email.trim().toLowerCase();
+const fullName = nameParts.join(' ').trim();
+
+if (!validator.isEmail(normalizedEmail)) {
+  logger.error('usage: npm run create-admin -- <email> [full name]');
+  process.exit(1);
+}
+
+if (findUserByEmail(normalizedEmail)) {
+  logger.error('an account with this email already exists', { email: normalizedEmail });
+  process.exit(1);
+}
+
+// The only text this tool writes itself. Prompts go to the terminal; with
+// piped input there is nobody to prompt.
+const interactive = process.stdin.isTTY === true;
+let muted = false;
+
+const terminal = new Writable({
+  write(chunk, encoding, callback) {
+    if (!muted) process.stdout.write(chunk, encoding);
+    callback();
+  }
+});
+
+const input = readline.createInterface({ input: process.stdin, output: terminal, terminal: interactive });
+const lines = input[Symbol.asyncIterator]();
+
+input.on('SIGINT', () => {
+  process.stdout.write('\n');
+  process.exit(130);
+});
+
+// Reads one line. In a terminal the question is shown and the answer isn't.
+const ask = async (question) => {
+  if (interactive) {
+    terminal.write(question);
+    muted = true;
+  }
+  const { value, done } = await lines.next();
+  if (interactive) {
+    muted = false;
+    terminal.write('\n');
+  }
+  return done ? '' : value;
+};
+
+const readNewPassword = async () => {
+  for (let attempt = 1; attempt <= (interactive ? MAX_PROMPTS : 1); attempt++) {
+    const password = await ask('Password: ');
+    if (!validatePassword(password)) {
+      if (interactive) terminal.write(`${PASSWORD_REQUIREMENTS}\n`);
+      continue;
+    }
+    if (!interactive || password === await ask('Repeat password: ')) return password;
+    terminal.write('The passwords do not match\n');
+  }
+  return null;
+};
+
+const password = await readNewPassword();
+input.close();
+
+if (!password) {
+  logger.error('administrator not created', { email: normalizedEmail, reason: 'no acceptable password given' });
+  process.exit(1);
+}
+
+const hashedPassword = await bcrypt.hash(password, 10);
+
+withTransaction(() => {
+  createUser({
+    email: normalizedEmail,
+    password: hashedPassword,
+    userType: 'employee',
+    role: 'admin',
+    fullName: fullName ? validator.escape(fullName) : null
+  });
+  recordAuditEvent({
+    actor: 'system',
+    action: AUDIT_ACTIONS.USER_CREATE,
+    target: normalizedEmail,
+    outcome: 'success',
+    details: { userType: 'employee', role: 'admin', via: 'create-admin' }
+  });
+});
+
+closeDatabase();
+logger.info('administrator created', { email: normalizedEmail });
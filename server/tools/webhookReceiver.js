@@ -0,0 +1,74 @@
+import http from 'http';
+import dotenv from 'dotenv';
+import { SIGNATURE_HEADER, verifyWebhookSignature } from '../services/webhookSignature.js';
+import { logger } from '../logging/logger.js';
+
+// A local endpoint to point a webhook subscription at while testing:
+//
+//   WEBHOOK_SECRET=whsec_... npm run webhook-receiver
+//
+// Start the portal with WEBHOOK_ALLOWED_HOSTS=localhost so it may deliver
+// to a local address.
+//
+// It checks each request's signature, logs the event and answers 204, or 401
+// when the signature is wrong. Set WEBHOOK_RECEIVER_FAIL_FIRST=n to answer
+// the first n requests with a 500 and watch the portal retry them.
+
+dotenv.config();
+
+const PORT = Number(process.env.WEBHOOK_RECEIVER_PORT) || 4000;
+const SECRET = process.env.WEBHOOK_SECRET;
+let failuresLeft = Number(process.env.WEBHOOK_RECEIVER_FAIL_FIRST) || 0;
+
+if (!SECRET) {
+  logger.warn('WEBHOOK_SECRET not set, signatures will not be checked');
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method !== 'POST') {
+    res.writeHead(405).end();
+    return;
+  }
+
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    // The signature covers the raw body, so verify before parsing it
+    const body = Buffer.concat(chunks).toString('utf8');
+    const delivery = {
+      path: req.url,
+      deliveryId: req.headers['x-webhook-delivery'],
+      eventType: req.headers['x-webhook-event']
+    };
+
+    if (SECRET) {
+      const { valid, reason } = verifyWebhookSignature(SECRET, req.headers[SIGNATURE_HEADER.toLowerCase()], body);
+      if (!valid) {
+        logger.warn('webhook signature rejected', { ...delivery, reason });
+        res.writeHead(401).end();
+        return;
+      }
+    }
+
+    if (failuresLeft > 0) {
+      failuresLeft -= 1;
+      logger.info('webhook failed on purpose', { ...delivery, failuresLeft });
+      res.writeHead(500).end();
+      return;
+    }
+
+    const event = JSON.parse(body);
+    logger.info('webhook received', {
+      ...delivery,
+      eventId: event.id,
+      transactionId: event.data.transaction.transactionId,
+      previousStatus: event.data.previousStatus,
+      status: event.data.transaction.status
+    });
+    res.writeHead(204).end();
+  });
+});
+
+server.listen(PORT, () => {
+  logger.info('webhook receiver listening', { url: `http://localhost:${PORT}/` });
+});
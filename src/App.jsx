@@ -1,30 +1,62 @@
-import React, { useState } from 'react';
-import { AlertCircle, Lock, Shield, CreditCard } from 'lucide-react';
+import React, { useCallback, useEffect, useState } from 'react';
+import { AlertCircle, Lock, Shield } from 'lucide-react';
+import { apiFetch, clearSession, onSessionExpired, setSession } from './api';
+import { PATHS, matchRoute, navigate, transactionPath, useLocation } from './navigation';
+import VerificationQueue from './components/VerificationQueue';
+import ScreeningQueue from './components/ScreeningQueue';
+import RiskReviewQueue from './components/RiskReviewQueue';
+import BankExportPanel from './components/BankExportPanel';
+import CreateEmployeeForm from './components/CreateEmployeeForm';
+import UserManagementPanel from './components/UserManagementPanel';
+import CustomerLimitsPanel from './components/CustomerLimitsPanel';
+import SessionsPanel from './components/SessionsPanel';
+import ChangePasswordForm from './components/ChangePasswordForm';
+import BulkPayments from './components/BulkPayments';
+import PaymentForm from './components/PaymentForm';
+import TransactionHistory from './components/TransactionHistory';
+import TransactionDetail from './components/TransactionDetail';
+import MfaChallenge from './components/MfaChallenge';
+import MfaEnrollment from './components/MfaEnrollment';
+import PasswordResetForm from './components/PasswordResetForm';
+import TwoFactorSettings from './components/TwoFactorSettings';
+import WebhooksPanel from './components/WebhooksPanel';
+import { sanitizeInput } from './utils/text';
+
+const CUSTOMER_PAGES = [
+  { page: 'payment', path: PATHS.payment, label: 'New Payment' },
+  { page: 'history', path: PATHS.history, label: 'History' },
+  { page: 'security', path: PATHS.security, label: 'Security' },
+  { page: 'webhooks', path: PATHS.webhooks, label: 'Webhooks' }
+];
 
 const App = () => {
   const [portalType, setPortalType] = useState('customer');
+  const [authMode, setAuthMode] = useState('login');
   const [isLoggedIn, setIsLoggedIn] = useState(false);
-  const [token, setToken] = useState('');
+  // { email, role, permissions, ... } of the logged-in user; the server checks
+  // every request, this only decides which panels are worth showing
+  const [user, setUser] = useState(null);
+  // { mode: 'verify' | 'enroll', token } while the second login step is pending
+  const [mfaStep, setMfaStep] = useState(null);
   const [formData, setFormData] = useState({
+    fullName: '',
+    idNumber: '',
+    accountNumber: '',
     email: '',
-    password: '',
-    amount: '',
-    recipientName: '',
-    recipientAccount: '',
-    swiftCode: ''
+    password: ''
   });
   const [errors, setErrors] = useState({});
   const [loading, setLoading] = useState(false);
-
-  const API_URL = '/api';
-
-  const sanitizeInput = (input) => {
-    return input
-      .replace(/[<>]/g, '')
-      .replace(/javascript:/gi, '')
-      .replace(/on\w+=/gi, '')
-      .trim();
-  };
+  const location = useLocation();
+  const route = matchRoute(location.path);
+
+  useEffect(() => {
+    onSessionExpired(() => {
+      setIsLoggedIn(false);
+      setUser(null);
+      setErrors({ general: 'Your session has ended. Please log in again.' });
+    });
+  }, []);
 
   const handleInputChange = (e) => {
     const { name, value } = e.target;
@@ -41,27 +73,30 @@ const App = () => {
     setErrors({});
 
     try {
-      const response = await fetch(`${API_URL}/auth/register`, {
+      const response = await apiFetch('/auth/register', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
+          fullName: formData.fullName,
+          idNumber: formData.idNumber,
+          accountNumber: formData.accountNumber,
           email: formData.email,
-          password: formData.password,
-          userType: portalType
+          password: formData.password
         })
       });
 
       const data = await response.json();
 
       if (!response.ok) {
-        setErrors({ general: data.message || 'Registration failed' });
+        setErrors({ general: data.message || 'Registration failed', ...data.errors });
         return;
       }
 
       alert('Registration successful! Please log in.');
-      setFormData({ ...formData, password: '' });
+      setFormData({ ...formData, fullName: '', idNumber: '', accountNumber: '', password: '' });
+      setAuthMode('login');
     } catch (error) {
       setErrors({ general: 'Network error. Please try again.' });
     } finally {
@@ -74,7 +109,7 @@ const App = () => {
     setErrors({});
 
     try {
-      const response = await fetch(`${API_URL}/auth/login`, {
+      const response = await apiFetch('/auth/login', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -93,9 +128,13 @@ const App = () => {
         return;
       }
 
-      setToken(data.token);
-      setIsLoggedIn(true);
-      setFormData({ ...formData, password: '' });
+      if (data.mfaRequired || data.mfaEnrollmentRequired) {
+        setMfaStep({ mode: data.mfaRequired ? 'verify' : 'enroll', token: data.mfaToken });
+        setFormData({ ...formData, password: '' });
+        return;
+      }
+
+      completeLogin(data);
     } catch (error) {
       setErrors({ general: 'Network error. Please try again.' });
     } finally {
@@ -103,59 +142,54 @@ const App = () => {
     }
   };
 
-  const handlePayment = async () => {
-    setLoading(true);
-    setErrors({});
+  const completeLogin = (data) => {
+    // An administrator reset the password; a new one is chosen before the session starts
+    if (data.passwordResetRequired) {
+      setMfaStep({ mode: 'reset', token: data.resetToken });
+      setFormData(prev => ({ ...prev, password: '' }));
+      return;
+    }
 
-    try {
-      const response = await fetch(`${API_URL}/payments/process`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
-        },
-        body: JSON.stringify({
-          amount: formData.amount,
-          recipientName: formData.recipientName,
-          recipientAccount: formData.recipientAccount,
-          swiftCode: formData.swiftCode
-        })
-      });
+    setSession({ token: data.token, refreshToken: data.refreshToken });
+    setMfaStep(null);
+    setUser(data.user);
+    setIsLoggedIn(true);
+    setFormData(prev => ({ ...prev, password: '' }));
+  };
 
-      const data = await response.json();
+  const can = (permission) => Boolean(user?.permissions?.includes(permission));
 
-      if (!response.ok) {
-        setErrors({ general: data.message || 'Payment failed' });
-        return;
-      }
+  const cancelMfa = () => {
+    setMfaStep(null);
+    setErrors({});
+  };
 
-      alert(`Payment successful!\nTransaction ID: ${data.transactionId}\nAmount: R${formData.amount}`);
-      setFormData(prev => ({
-        ...prev,
-        amount: '',
-        recipientName: '',
-        recipientAccount: '',
-        swiftCode: ''
-      }));
+  // The new payment opens in the history drawer with the confirmation
+  const handlePaymentSubmitted = (transaction, notice) => {
+    navigate(transactionPath(transaction.transactionId), { state: { notice } });
+  };
+
+  const closeDetail = useCallback(() => navigate(PATHS.history), []);
+
+  const handleLogout = async () => {
+    try {
+      await apiFetch('/auth/logout', { method: 'POST' });
     } catch (error) {
-      setErrors({ general: 'Network error. Please try again.' });
-    } finally {
-      setLoading(false);
+      // The local session is cleared regardless
     }
-  };
 
-  const handleLogout = () => {
+    clearSession();
     setIsLoggedIn(false);
-    setToken('');
+    setUser(null);
     setFormData({
+      fullName: '',
+      idNumber: '',
+      accountNumber: '',
       email: '',
-      password: '',
-      amount: '',
-      recipientName: '',
-      recipientAccount: '',
-      swiftCode: ''
+      password: ''
     });
     setErrors({});
+    navigate(PATHS.payment, { replace: true });
   };
 
   if (isLoggedIn) {
@@ -180,76 +214,72 @@ const App = () => {
             </div>
           </div>
 
-          {errors.general && (
-            <div className="alert alert-error">
-              <AlertCircle size={20} />
-              <div className="alert-text">{errors.general}</div>
-            </div>
+          {portalType === 'employee' ? (
+            <>
+              {can('payments:verify') && <VerificationQueue />}
+              {can('payments:release') && (
+                <>
+                  <ScreeningQueue />
+                  <RiskReviewQueue />
+                </>
+              )}
+              {can('payments:export') && <BankExportPanel canApprove={can('payments:approve')} />}
+              {can('limits:manage') && <CustomerLimitsPanel />}
+              {can('users:manage') && (
+                <>
+                  <CreateEmployeeForm />
+                  <UserManagementPanel currentEmail={user.email} />
+                </>
+              )}
+              <ChangePasswordForm />
+              <SessionsPanel />
+            </>
+          ) : (
+            <>
+              <nav className="tab-buttons">
+                {CUSTOMER_PAGES.map(({ page, path, label }) => (
+                  <button
+                    key={page}
+                    onClick={() => navigate(path)}
+                    className={`tab-button ${route.page === page ? 'active' : 'inactive'}`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </nav>
+
+              {route.page === 'payment' && (
+                <>
+                  <PaymentForm onSubmitted={handlePaymentSubmitted} />
+                  <BulkPayments />
+                </>
+              )}
+
+              {route.page === 'history' && (
+                <>
+                  <TransactionHistory selectedId={route.params.transactionId} />
+                  {route.params.transactionId && (
+                    <TransactionDetail
+                      transactionId={route.params.transactionId}
+                      notice={location.state?.notice}
+                      onClose={closeDetail}
+                    />
+                  )}
+                </>
+              )}
+
+              {route.page === 'security' && (
+                <>
+                  <TwoFactorSettings />
+                  <ChangePasswordForm />
+                  <SessionsPanel />
+                </>
+              )}
+
+              {route.page === 'webhooks' && <WebhooksPanel />}
+            </>
           )}
 
-          <div className="form-group">
-            <label className="form-label">Payment Amount (Rand)</label>
-            <input
-              type="number"
-              name="amount"
-              value={formData.amount}
-              onChange={handleInputChange}
-              step="0.01"
-              className="form-input"
-              placeholder="0.00"
-              disabled={loading}
-            />
-            {errors.amount && <div className="error-message">{errors.amount}</div>}
-          </div>
-
-          <div className="form-group">
-            <label className="form-label">Recipient Name</label>
-            <input
-              type="text"
-              name="recipientName"
-              value={formData.recipientName}
-              onChange={handleInputChange}
-              className="form-input"
-              placeholder="John"
-              disabled={loading}
-            />
-            {errors.recipientName && <div className="error-message">{errors.recipientName}</div>}
-          </div>
-
-          <div className="form-group">
-            <label className="form-label">Recipient Account Number</label>
-            <input
-              type="text"
-              name="recipientAccount"
-              value={formData.recipientAccount}
-              onChange={handleInputChange}
-              className="form-input"
-              placeholder="Account Number"
-              disabled={loading}
-            />
-            {errors.recipientAccount && <div className="error-message">{errors.recipientAccount}</div>}
-          </div>
-
-          <div className="form-group">
-            <label className="form-label">Code</label>
-            <input
-              type="text"
-              name="swiftCode"
-              value={formData.swiftCode}
-              onChange={handleInputChange}
-              maxLength="11"
-              className="form-input"
-              placeholder="ABCDUS33XXX"
-              disabled={loading}
-            />
-            {errors.swiftCode && <div className="error-message">{errors.swiftCode}</div>}
-          </div>
-
-          <button onClick={handlePayment} disabled={loading} className="button button-primary">
-            <CreditCard size={20} />
-            {loading ? 'Processing...' : 'Process Payment'}
-          </button>
-
           <div className="alert alert-info" style={{ marginTop: '24px' }}>
             <div>
               <div className="alert-title">Security Features Active:</div>
@@ -264,6 +294,29 @@ const App = () => {
     );
   }
 
+  if (mfaStep) {
+    return (
+      <div className="container">
+        <div className="card">
+          <div className="header">
+            <Shield color="#4299e1" size={40} />
+            <h1>Secure Portal</h1>
+          </div>
+
+          {mfaStep.mode === 'verify' && (
+            <MfaChallenge mfaToken={mfaStep.token} onComplete={completeLogin} onCancel={cancelMfa} />
+          )}
+          {mfaStep.mode === 'enroll' && (
+            <MfaEnrollment mfaToken={mfaStep.token} onComplete={completeLogin} onCancel={cancelMfa} />
+          )}
+          {mfaStep.mode === 'reset' && (
+            <PasswordResetForm resetToken={mfaStep.token} onComplete={completeLogin} onCancel={cancelMfa} />
+          )}
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="container">
       <div className="card">
@@ -285,6 +338,7 @@ const App = () => {
           <button
             onClick={() => {
               setPortalType('employee');
+              setAuthMode('login');
               setErrors({});
             }}
             className={`tab-button ${portalType === 'employee' ? 'active' : 'inactive'}`}
@@ -300,15 +354,63 @@ const App = () => {
           </div>
         )}
 
-        <div className="alert alert-warning">
-          <AlertCircle size={20} />
-          <div>
-            <div className="alert-title">Password Requirements</div>
-            <div className="alert-text">
-              8+ characters with uppercase, lowercase, number, and special character
+        {authMode === 'register' && (
+          <>
+            <div className="alert alert-warning">
+              <AlertCircle size={20} />
+              <div>
+                <div className="alert-title">Password Requirements</div>
+                <div className="alert-text">
+                  8+ characters with uppercase, lowercase, number, and special character
+                </div>
+              </div>
             </div>
-          </div>
-        </div>
+
+            <div className="form-group">
+              <label className="form-label">Full Name</label>
+              <input
+                type="text"
+                name="fullName"
+                value={formData.fullName}
+                onChange={handleInputChange}
+                className="form-input"
+                placeholder="Jane Doe"
+                disabled={loading}
+              />
+              {errors.fullName && <div className="error-message">{errors.fullName}</div>}
+            </div>
+
+            <div className="form-group">
+              <label className="form-label">ID Number</label>
+              <input
+                type="text"
+                name="idNumber"
+                value={formData.idNumber}
+                onChange={handleInputChange}
+                maxLength="13"
+                className="form-input"
+                placeholder="13-digit ID number"
+                disabled={loading}
+              />
+              {errors.idNumber && <div className="error-message">{errors.idNumber}</div>}
+            </div>
+
+            <div className="form-group">
+              <label className="form-label">Account Number</label>
+              <input
+                type="text"
+                name="accountNumber"
+                value={formData.accountNumber}
+                onChange={handleInputChange}
+                maxLength="16"
+                className="form-input"
+                placeholder="Your bank account number"
+                disabled={loading}
+              />
+              {errors.accountNumber && <div className="error-message">{errors.accountNumber}</div>}
+            </div>
+          </>
+        )}
 
         <div className="form-group">
           <label className="form-label">Email</label>
@@ -338,17 +440,38 @@ const App = () => {
           {errors.password && <div className="error-message">{errors.password}</div>}
         </div>
 
-        <button onClick={handleRegister} disabled={loading} className="button button-success">
-          {loading ? 'Registering...' : 'Register'}
-        </button>
+        {authMode === 'register' ? (
+          <button onClick={handleRegister} disabled={loading} className="button button-success">
+            {loading ? 'Registering...' : 'Register'}
+          </button>
+        ) : (
+          <button onClick={handleLogin} disabled={loading} className="button button-primary">
+            {loading ? 'Logging in...' : 'Login'}
+          </button>
+        )}
 
         <div className="divider">
           <span className="divider-text">OR</span>
         </div>
 
-        <button onClick={handleLogin} disabled={loading} className="button button-primary">
-          {loading ? 'Logging in...' : 'Login'}
-        </button>
+        {portalType === 'customer' ? (
+          <button
+            onClick={() => {
+              setAuthMode(authMode === 'login' ? 'register' : 'login');
+              setErrors({});
+            }}
+            disabled={loading}
+            className="button button-secondary"
+          >
+            {authMode === 'login' ? 'Create a customer account' : 'Back to login'}
+          </button>
+        ) : (
+          <div className="alert alert-info">
+            <div className="alert-text">
+              Employee accounts are created by an administrator. Ask yours for access.
+            </div>
+          </div>
+        )}
 
         <div className="alert alert-success" style={{ marginTop: '24px' }}>
           <Lock size={20} />
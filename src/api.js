@@ -0,0 +1,71 @@
+const API_URL = '/api';
+
+let session = { token: '', refreshToken: '' };
+let refreshInFlight = null;
+let handleSessionExpired = () => {};
+
+export const setSession = ({ token, refreshToken }) => {
+  session = { token, refreshToken };
+};
+
+export const clearSession = () => {
+  session = { token: '', refreshToken: '' };
+};
+
+export const onSessionExpired = (handler) => {
+  handleSessionExpired = handler;
+};
+
+// Single-flight so parallel 401s don't each spend the same refresh token,
+// which the server would treat as token theft
+const refreshAccessToken = () => {
+  if (!refreshInFlight) {
+    refreshInFlight = (async () => {
+      try {
+        const response = await fetch(`${API_URL}/auth/refresh`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ refreshToken: session.refreshToken })
+        });
+
+        if (!response.ok) return false;
+
+        const data = await response.json();
+        setSession({ token: data.token, refreshToken: data.refreshToken });
+        return true;
+      } catch (error) {
+        return false;
+      } finally {
+        refreshInFlight = null;
+      }
+    })();
+  }
+  return refreshInFlight;
+};
+
+// fetch() against the API with the current access token, refreshing it once on 401
+export const apiFetch = async (path, options = {}) => {
+  const send = () => fetch(`${API_URL}${path}`, {
+    ...options,
+    headers: {
+      ...options.headers,
+      ...(session.token && { 'Authorization': `Bearer ${session.token}` })
+    }
+  });
+
+  const response = await send();
+
+  if (response.status !== 401 || !session.refreshToken) {
+    return response;
+  }
+
+  if (await refreshAccessToken()) {
+    return send();
+  }
+
+  clearSession();
+  handleSessionExpired();
+  return response;
+};
@@ -0,0 +1,353 @@
+import React, { useEffect, useState } from 'react';
+import { AlertCircle, CheckCircle, Download, FileText, RefreshCw, Users, XCircle } from 'lucide-react';
+import { apiFetch } from '../api';
+import { useStatusListUpdates } from '../liveUpdates';
+import { formatAmount } from '../utils/money';
+import { decodeEntities } from '../utils/text';
+
+// Saves the response body under the server's Content-Disposition filename
+const saveDownload = async (response) => {
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const fileName = /filename="([^"]+)"/.exec(disposition)?.[1] || 'payment';
+  const url = URL.createObjectURL(await response.blob());
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+
+  return fileName;
+};
+
+// Payments above their currency's approval threshold wait here until two
+// different employees have approved them; only then can they be exported.
+// canApprove shows the approve and reject controls.
+const BankExportPanel = ({ canApprove = false }) => {
+  const [transactions, setTransactions] = useState([]);
+  const [selected, setSelected] = useState({});
+  const [reasons, setReasons] = useState({});
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [exported, setExported] = useState('');
+  const [exportId, setExportId] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const loadVerified = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await apiFetch('/payments/verified');
+      const data = await response.json();
+
+      if (!response.ok) {
+        setError(data.message || 'Failed to load verified payments');
+        return;
+      }
+
+      // Payments still listed stay selected when the list is refreshed
+      setTransactions(data.transactions);
+      setSelected(prev => Object.fromEntries(data.transactions
+        .filter(txn => prev[txn.transactionId])
+        .map(txn => [txn.transactionId, true])));
+    } catch (err) {
+      setError('Network error. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadVerified();
+  }, []);
+
+  useStatusListUpdates('verified', setTransactions, loadVerified);
+
+  const toggleSelected = (transactionId) => {
+    setSelected(prev => ({ ...prev, [transactionId]: !prev[transactionId] }));
+  };
+
+  const selectedIds = transactions
+    .filter(txn => txn.approval.complete)
+    .map(txn => txn.transactionId)
+    .filter(transactionId => selected[transactionId]);
+
+  const submitDecision = async (transactionId, action) => {
+    setLoading(true);
+    setError('');
+    setMessage('');
+    setExported('');
+
+    try {
+      const response = await apiFetch(`/payments/${transactionId}/${action}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ reason: reasons[transactionId] || '' })
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        setError(data.message || `Failed to ${action} payment`);
+        return;
+      }
+
+      setReasons(prev => ({ ...prev, [transactionId]: '' }));
+      setMessage(data.message);
+      await loadVerified();
+    } catch (err) {
+      setError('Network error. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleExport = async (transactionIds) => {
+    setLoading(true);
+    setError('');
+    setMessage('');
+    setExported('');
+
+    try {
+      const response = await apiFetch('/payments/exports/pain001', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(transactionIds ? { transactionIds } : {})
+      });
+
+      if (!response.ok) {
+        const data = await response.json();
+        setError(data.message || 'Failed to export payments');
+        return;
+      }
+
+      setExported(await saveDownload(response));
+      await loadVerified();
+    } catch (err) {
+      setError('Network error. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleMt103 = async (e, transactionId) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+    setExported('');
+
+    try {
+      const response = await apiFetch(`/payments/${transactionId}/mt103`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({})
+      });
+
+      if (!response.ok) {
+        const data = await response.json();
+        setError(data.message || 'Failed to create MT103');
+        return;
+      }
+
+      setExported(await saveDownload(response));
+      await loadVerified();
+    } catch (err) {
+      setError('Network error. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Files are kept on the server, so a download that didn't finish can be
+  // fetched again without sending the payments twice
+  const handleDownloadAgain = async () => {
+    setLoading(true);
+    setError('');
+    setExported('');
+
+    try {
+      const response = await apiFetch(`/payments/exports/${encodeURIComponent(exportId.trim())}`);
+
+      if (!response.ok) {
+        const data = await response.json();
+        setError(data.message || 'Failed to download export');
+        return;
+      }
+
+      await saveDownload(response);
+      setExportId('');
+    } catch (err) {
+      setError('Network error. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="section">
+      <div className="queue-header">
+        <h2 className="section-title">Bank Submission ({transactions.length})</h2>
+        <button onClick={loadVerified} disabled={loading} className="logout-button">
+          <RefreshCw size={16} />
+        </button>
+      </div>
+
+      {error && (
+        <div className="alert alert-error">
+          <AlertCircle size={20} />
+          <div className="alert-text">{error}</div>
+        </div>
+      )}
+
+      {message && (
+        <div className="alert alert-success">
+          <CheckCircle size={20} />
+          <div className="alert-text">{message}</div>
+        </div>
+      )}
+
+      {exported && (
+        <div className="alert alert-success">
+          <div className="alert-text">Downloaded {exported}. Those payments are now submitted.</div>
+        </div>
+      )}
+
+      {transactions.length === 0 && !loading && (
+        <div className="alert alert-info">
+          <div className="alert-text">No verified payments waiting to be sent to the bank.</div>
+        </div>
+      )}
+
+      {transactions.map(txn => {
+        const { approval } = txn;
+        const reason = reasons[txn.transactionId] || '';
+
+        return (
+          <React.Fragment key={txn.transactionId}>
+            <label className="queue-check">
+              <input
+                type="checkbox"
+                checked={!!selected[txn.transactionId]}
+                onChange={() => toggleSelected(txn.transactionId)}
+                disabled={loading || !approval.complete}
+              />
+              <span>
+                <strong>{txn.transactionId}</strong> {formatAmount(txn.amount, txn.currency)} to{' '}
+                {txn.recipientName} ({txn.swiftCode})
+              </span>
+              <button
+                onClick={(e) => handleMt103(e, txn.transactionId)}
+                disabled={loading || !approval.complete}
+                className="logout-button"
+                title="Send to the bank as a SWIFT MT103; the payment is marked submitted"
+              >
+                <FileText size={16} />
+                MT103
+              </button>
+            </label>
+
+            {approval.required > 0 && (
+              <div className="queue-item">
+                <div className="queue-check">
+                  <Users size={16} />
+                  <span>
+                    Approvals {approval.approvals} of {approval.required}
+                    {' '}(over {formatAmount(approval.threshold, txn.currency)})
+                  </span>
+                </div>
+
+                {approval.decisions.map(decision => (
+                  <div key={`${decision.decidedBy}-${decision.decidedAt}`} className="session-meta">
+                    {decision.decision === 'approved' ? 'Approved' : 'Rejected'} by {decision.decidedBy}
+                    {' '}on {new Date(decision.decidedAt).toLocaleString()}: {decodeEntities(decision.reason)}
+                  </div>
+                ))}
+
+                {canApprove && !approval.complete && (
+                  <>
+                    <input
+                      type="text"
+                      value={reason}
+                      onChange={(e) => setReasons(prev => ({ ...prev, [txn.transactionId]: e.target.value }))}
+                      className="form-input"
+                      placeholder="Reason for approving or rejecting"
+                      disabled={loading}
+                    />
+                    <div className="queue-actions">
+                      <button
+                        onClick={() => submitDecision(txn.transactionId, 'approve')}
+                        disabled={loading || reason.trim().length < 3}
+                        className="button button-success"
+                      >
+                        <CheckCircle size={18} />
+                        Approve
+                      </button>
+                      <button
+                        onClick={() => submitDecision(txn.transactionId, 'reject')}
+                        disabled={loading || reason.trim().length < 3}
+                        className="button button-danger"
+                      >
+                        <XCircle size={18} />
+                        Reject
+                      </button>
+                    </div>
+                  </>
+                )}
+              </div>
+            )}
+          </React.Fragment>
+        );
+      })}
+
+      {transactions.length > 0 && (
+        <div className="queue-actions">
+          <button
+            onClick={() => handleExport(selectedIds)}
+            disabled={loading || selectedIds.length === 0}
+            className="button button-primary"
+          >
+            <Download size={18} />
+            Export Selected ({selectedIds.length})
+          </button>
+          <button
+            onClick={() => handleExport()}
+            disabled={loading}
+            className="button button-secondary"
+          >
+            <Download size={18} />
+            Export All
+          </button>
+        </div>
+      )}
+
+      <div className="form-group">
+        <label className="form-label">Download Again</label>
+        <input
+          type="text"
+          value={exportId}
+          onChange={(e) => setExportId(e.target.value)}
+          className="form-input"
+          placeholder="Export ID, e.g. EXP1700000000000ABC123XYZ"
+          disabled={loading}
+        />
+      </div>
+      <button
+        onClick={handleDownloadAgain}
+        disabled={loading || !exportId.trim()}
+        className="button button-secondary"
+      >
+        <Download size={18} />
+        Download Again
+      </button>
+    </div>
+  );
+};
+
+export default BankExportPanel;
@@ -0,0 +1,249 @@
+import React, { useState } from 'react';
+import { AlertCircle, Pencil, Trash2 } from 'lucide-react';
+import { apiFetch } from '../api';
+import { decodeEntities } from '../utils/text';
+
+const compact = (value) => value.replace(/\s/g, '').toUpperCase();
+
+// Saved beneficiaries of the logged-in customer. A new recipient or new bank
+// details are only saved, and a beneficiary only deleted, once the customer
+// re-enters their password (and code, with 2FA).
+const BeneficiariesPanel = ({ beneficiaries, onChange }) => {
+  const [editing, setEditing] = useState(null);
+  const [deleting, setDeleting] = useState(null);
+  const [reauth, setReauth] = useState({ password: '', code: '' });
+  const [mfaRequired, setMfaRequired] = useState(false);
+  const [errors, setErrors] = useState({});
+  const [loading, setLoading] = useState(false);
+
+  const resetReauth = () => {
+    setReauth({ password: '', code: '' });
+    setMfaRequired(false);
+    setErrors({});
+  };
+
+  const startEditing = (beneficiary) => {
+    setDeleting(null);
+    setEditing({
+      beneficiaryId: beneficiary.beneficiaryId,
+      nickname: decodeEntities(beneficiary.nickname),
+      recipientName: decodeEntities(beneficiary.recipientName),
+      recipientAccount: beneficiary.recipientAccount,
+      swiftCode: beneficiary.swiftCode,
+      saved: beneficiary
+    });
+    resetReauth();
+  };
+
+  const startDeleting = (beneficiary) => {
+    setEditing(null);
+    setDeleting(beneficiary);
+    resetReauth();
+  };
+
+  const handleEditChange = (e) => {
+    const { name, value } = e.target;
+    setEditing(prev => ({ ...prev, [name]: value }));
+  };
+
+  const bankDetailsChanged = editing && (
+    editing.recipientName.trim() !== decodeEntities(editing.saved.recipientName)
+    || compact(editing.recipientAccount) !== compact(editing.saved.recipientAccount)
+    || compact(editing.swiftCode) !== editing.saved.swiftCode
+  );
+
+  const handleSave = async () => {
+    setLoading(true);
+    setErrors({});
+
+    try {
+      const response = await apiFetch(`/beneficiaries/${editing.beneficiaryId}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          nickname: editing.nickname,
+          recipientName: editing.recipientName,
+          recipientAccount: editing.recipientAccount,
+          swiftCode: editing.swiftCode,
+          ...(bankDetailsChanged && { password: reauth.password, code: reauth.code })
+        })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        if (data.mfaRequired) setMfaRequired(true);
+        setErrors({ general: data.message || 'Failed to update beneficiary', ...data.errors });
+        return;
+      }
+
+      setEditing(null);
+      onChange();
+    } catch (err) {
+      setErrors({ general: 'Network error. Please try again.' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    setLoading(true);
+    setErrors({});
+
+    try {
+      const response = await apiFetch(`/beneficiaries/${deleting.beneficiaryId}`, {
+        method: 'DELETE',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ password: reauth.password, code: reauth.code })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        if (data.mfaRequired) setMfaRequired(true);
+        setErrors({ general: data.message || 'Failed to delete beneficiary' });
+        return;
+      }
+
+      setDeleting(null);
+      onChange();
+    } catch (err) {
+      setErrors({ general: 'Network error. Please try again.' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const renderField = (name, label, props = {}) => (
+    <div className="form-group">
+      <label className="form-label">{label}</label>
+      <input
+        type="text"
+        name={name}
+        value={editing[name]}
+        onChange={handleEditChange}
+        className="form-input"
+        disabled={loading}
+        {...props}
+      />
+      {errors[name] && <div className="error-message">{errors[name]}</div>}
+    </div>
+  );
+
+  const renderReauthFields = (notice) => (
+    <>
+      <div className="alert alert-info">
+        <div className="alert-text">{notice}</div>
+      </div>
+      <div className="form-group">
+        <label className="form-label">Password</label>
+        <input
+          type="password"
+          value={reauth.password}
+          onChange={(e) => setReauth(prev => ({ ...prev, password: e.target.value }))}
+          className="form-input"
+          disabled={loading}
+        />
+      </div>
+      {mfaRequired && (
+        <div className="form-group">
+          <label className="form-label">Authentication Code</label>
+          <input
+            type="text"
+            inputMode="numeric"
+            value={reauth.code}
+            onChange={(e) => setReauth(prev => ({ ...prev, code: e.target.value.trim() }))}
+            maxLength="6"
+            className="form-input"
+            placeholder="123456"
+            disabled={loading}
+          />
+        </div>
+      )}
+    </>
+  );
+
+  return (
+    <div className="section">
+      <h2 className="section-title">Saved Beneficiaries</h2>
+
+      {errors.general && (
+        <div className="alert alert-error">
+          <AlertCircle size={20} />
+          <div className="alert-text">{errors.general}</div>
+        </div>
+      )}
+
+      {beneficiaries.length === 0 && (
+        <div className="field-hint">Beneficiaries you save after a payment appear here.</div>
+      )}
+
+      {beneficiaries.map(beneficiary => (
+        <div key={beneficiary.beneficiaryId} className="queue-item">
+          {editing?.beneficiaryId === beneficiary.beneficiaryId ? (
+            <>
+              {renderField('nickname', 'Nickname', { maxLength: '50' })}
+              {renderField('recipientName', 'Recipient Name')}
+              {renderField('recipientAccount', 'Recipient IBAN / Account Number')}
+              {renderField('swiftCode', 'SWIFT/BIC Code', { maxLength: '11' })}
+
+              {bankDetailsChanged && renderReauthFields('Changing the recipient or bank details requires your password.')}
+
+              <div className="queue-actions">
+                <button onClick={handleSave} disabled={loading} className="button button-primary">
+                  Save
+                </button>
+                <button onClick={() => setEditing(null)} disabled={loading} className="button button-secondary">
+                  Cancel
+                </button>
+              </div>
+            </>
+          ) : deleting?.beneficiaryId === beneficiary.beneficiaryId ? (
+            <>
+              {renderReauthFields(`Enter your password to delete ${decodeEntities(beneficiary.nickname)}.`)}
+
+              <div className="queue-actions">
+                <button onClick={handleDelete} disabled={loading || !reauth.password} className="button button-danger">
+                  <Trash2 size={18} />
+                  Delete
+                </button>
+                <button onClick={() => setDeleting(null)} disabled={loading} className="button button-secondary">
+                  Cancel
+                </button>
+              </div>
+            </>
+          ) : (
+            <>
+              <div className="queue-check">
+                <span className="queue-item-title">{decodeEntities(beneficiary.nickname)}</span>
+                <button onClick={() => startEditing(beneficiary)} disabled={loading} className="logout-button">
+                  <Pencil size={14} />
+                  Edit
+                </button>
+                <button onClick={() => startDeleting(beneficiary)} disabled={loading} className="logout-button">
+                  <Trash2 size={14} />
+                </button>
+              </div>
+              <div className="queue-item-row">
+                <span>Recipient</span>
+                <span>{decodeEntities(beneficiary.recipientName)}</span>
+              </div>
+              <div className="queue-item-row">
+                <span>Account</span>
+                <span>{beneficiary.recipientAccount}</span>
+              </div>
+              <div className="queue-item-row">
+                <span>SWIFT/BIC</span>
+                <span>{beneficiary.swiftCode}</span>
+              </div>
+            </>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default BeneficiariesPanel;
@@ -0,0 +1,259 @@
+import React, { useEffect, useState } from 'react';
+import { AlertCircle, RefreshCw, Upload, XCircle } from 'lucide-react';
+import { apiFetch } from '../api';
+import { formatAmount } from '../utils/money';
+
+const CSV_COLUMNS = 'amount, currency, recipientName, recipientAccount, swiftCode';
+
+// Payments in any other status mean an employee has already acted on the batch
+const CANCELLABLE_STATUSES = ['pending', 'rejected', 'cancelled'];
+
+const formatTotals = (totals) => totals.map(total => formatAmount(total.amount, total.currency)).join(' + ');
+
+const BulkPayments = () => {
+  const [upload, setUpload] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [batches, setBatches] = useState([]);
+  const [error, setError] = useState('');
+  const [created, setCreated] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const loadBatches = async () => {
+    try {
+      const response = await apiFetch('/batches');
+      const data = await response.json();
+
+      if (!response.ok) {
+        setError(data.message || 'Failed to load batches');
+        return;
+      }
+
+      setBatches(data.batches);
+    } catch (err) {
+      setError('Network error. Please try again.');
+    }
+  };
+
+  useEffect(() => {
+    loadBatches();
+  }, []);
+
+  const postCsv = (path, body) => apiFetch(path, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(body)
+  });
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setLoading(true);
+    setError('');
+    setCreated('');
+    setPreview(null);
+
+    try {
+      const nextUpload = { fileName: file.name, csv: await file.text() };
+      const response = await postCsv('/batches/preview', nextUpload);
+      const data = await response.json();
+
+      if (!response.ok) {
+        setError(data.message || 'Could not read the file');
+        return;
+      }
+
+      setUpload(nextUpload);
+      setPreview(data);
+    } catch (err) {
+      setError('Network error. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSubmit = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await postCsv('/batches', upload);
+      const data = await response.json();
+
+      if (!response.ok) {
+        setError(data.message || 'Batch submission failed');
+        return;
+      }
+
+      setCreated(`${data.message}. Batch ID: ${data.batch.batchId}`);
+      setUpload(null);
+      setPreview(null);
+      await loadBatches();
+    } catch (err) {
+      setError('Network error. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCancel = async (batchId) => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await apiFetch(`/batches/${batchId}/cancel`, { method: 'POST' });
+      const data = await response.json();
+
+      if (!response.ok) {
+        setError(data.message || 'Failed to cancel batch');
+        return;
+      }
+
+      setBatches(prev => prev.map(batch => (batch.batchId === batchId ? data.batch : batch)));
+    } catch (err) {
+      setError('Network error. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const canCancel = (batch) => batch.status === 'active'
+    && Object.keys(batch.statusCounts).every(status => CANCELLABLE_STATUSES.includes(status))
+    && batch.statusCounts.pending > 0;
+
+  return (
+    <div className="section">
+      <div className="queue-header">
+        <h2 className="section-title">Bulk Payments</h2>
+        <button onClick={loadBatches} disabled={loading} className="logout-button">
+          <RefreshCw size={16} />
+        </button>
+      </div>
+
+      {error && (
+        <div className="alert alert-error">
+          <AlertCircle size={20} />
+          <div className="alert-text">{error}</div>
+        </div>
+      )}
+
+      {created && (
+        <div className="alert alert-success">
+          <div className="alert-text">{created}</div>
+        </div>
+      )}
+
+      <div className="form-group">
+        <label className="form-label">Upload CSV</label>
+        <input
+          type="file"
+          accept=".csv,text/csv"
+          onChange={handleFileChange}
+          className="form-input"
+          disabled={loading}
+        />
+        <div className="field-hint">Header row with columns: {CSV_COLUMNS}</div>
+      </div>
+
+      {preview && (
+        <div className="queue-item">
+          <div className="queue-item-title">
+            {upload.fileName}: {preview.summary.valid} of {preview.summary.total} row(s) valid
+          </div>
+
+          {preview.rows.map(row => (
+            <div key={row.row} className="batch-row">
+              <div className="queue-item-row">
+                <span>
+                  Row {row.row}: {row.input.recipientName || '(no name)'}
+                </span>
+                <span>
+                  {row.valid ? formatAmount(row.payment.amount, row.payment.currency) : `${row.input.amount} ${row.input.currency}`}
+                </span>
+              </div>
+              {!row.valid && Object.entries(row.errors).map(([field, message]) => (
+                <div key={field} className="error-message">{message}</div>
+              ))}
+            </div>
+          ))}
+
+          {preview.summary.valid > 0 && (
+            <div className="queue-item-row">
+              <span>Total</span>
+              <span>{formatTotals(preview.summary.totals)}</span>
+            </div>
+          )}
+
+          <div className="queue-actions">
+            <button
+              onClick={handleSubmit}
+              disabled={loading || preview.summary.valid === 0}
+              className="button button-primary"
+            >
+              <Upload size={18} />
+              Submit {preview.summary.valid} Payment(s)
+            </button>
+            <button
+              onClick={() => { setUpload(null); setPreview(null); }}
+              disabled={loading}
+              className="button button-secondary"
+            >
+              Discard
+            </button>
+          </div>
+          {preview.summary.invalid > 0 && (
+            <div className="field-hint">Rows with errors are skipped. Fix them and upload again to include them.</div>
+          )}
+        </div>
+      )}
+
+      {batches.map(batch => (
+        <div key={batch.batchId} className="queue-item">
+          <div className="queue-item-title">{batch.batchId}</div>
+          {batch.fileName && (
+            <div className="queue-item-row">
+              <span>File</span>
+              <span>{batch.fileName}</span>
+            </div>
+          )}
+          <div className="queue-item-row">
+            <span>Uploaded</span>
+            <span>{new Date(batch.createdAt).toLocaleString()}</span>
+          </div>
+          <div className="queue-item-row">
+            <span>Total</span>
+            <span>{formatTotals(batch.totals)}</span>
+          </div>
+          <div className="queue-item-row">
+            <span>Payments</span>
+            <span>
+              {Object.entries(batch.statusCounts).map(([status, count]) => `${count} ${status}`).join(', ')}
+            </span>
+          </div>
+          {batch.status === 'cancelled' ? (
+            <div className="queue-item-row">
+              <span>Cancelled</span>
+              <span>{new Date(batch.cancelledAt).toLocaleString()}</span>
+            </div>
+          ) : canCancel(batch) && (
+            <div className="queue-actions">
+              <button
+                onClick={() => handleCancel(batch.batchId)}
+                disabled={loading}
+                className="button button-danger"
+              >
+                <XCircle size={18} />
+                Cancel Batch
+              </button>
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default BulkPayments;
@@ -0,0 +1,131 @@
+import React, { useState } from 'react';
+import { AlertCircle, CheckCircle, KeyRound } from 'lucide-react';
+import { apiFetch } from '../api';
+
+const EMPTY_FORM = { password: '', newPassword: '', confirmPassword: '', code: '' };
+
+// Changing the password signs out every other session
+const ChangePasswordForm = () => {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [mfaRequired, setMfaRequired] = useState(false);
+  const [errors, setErrors] = useState({});
+  const [message, setMessage] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: name === 'code' ? value.trim() : value }));
+
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  const handleSubmit = async () => {
+    setErrors({});
+    setMessage('');
+
+    if (form.newPassword !== form.confirmPassword) {
+      setErrors({ confirmPassword: 'The passwords do not match' });
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await apiFetch('/auth/password', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          password: form.password,
+          newPassword: form.newPassword,
+          ...(mfaRequired && { code: form.code })
+        })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        if (data.mfaRequired) setMfaRequired(true);
+        setErrors({ general: data.message || 'Failed to change password', ...data.errors });
+        return;
+      }
+
+      setForm(EMPTY_FORM);
+      setMfaRequired(false);
+      setMessage(data.message);
+    } catch (err) {
+      setErrors({ general: 'Network error. Please try again.' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const renderField = (name, label) => (
+    <div className="form-group">
+      <label className="form-label">{label}</label>
+      <input
+        type="password"
+        name={name}
+        value={form[name]}
+        onChange={handleInputChange}
+        className="form-input"
+        disabled={loading}
+      />
+      {errors[name] && <div className="error-message">{errors[name]}</div>}
+    </div>
+  );
+
+  return (
+    <div className="section">
+      <h2 className="section-title">Change Password</h2>
+
+      {errors.general && (
+        <div className="alert alert-error">
+          <AlertCircle size={20} />
+          <div className="alert-text">{errors.general}</div>
+        </div>
+      )}
+
+      {message && (
+        <div className="alert alert-success">
+          <CheckCircle size={20} />
+          <div className="alert-text">{message}</div>
+        </div>
+      )}
+
+      {renderField('password', 'Current Password')}
+      {renderField('newPassword', 'New Password')}
+      {renderField('confirmPassword', 'Confirm New Password')}
+
+      {mfaRequired && (
+        <div className="form-group">
+          <label className="form-label">Authentication Code</label>
+          <input
+            type="text"
+            inputMode="numeric"
+            name="code"
+            value={form.code}
+            onChange={handleInputChange}
+            maxLength="6"
+            className="form-input"
+            placeholder="123456"
+            disabled={loading}
+          />
+        </div>
+      )}
+
+      <button
+        onClick={handleSubmit}
+        disabled={loading || !form.password || !form.newPassword}
+        className="button button-secondary"
+      >
+        <KeyRound size={20} />
+        {loading ? 'Changing...' : 'Change Password'}
+      </button>
+    </div>
+  );
+};
+
+export default ChangePasswordForm;
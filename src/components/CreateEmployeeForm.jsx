@@ -0,0 +1,146 @@
+import React, { useEffect, useState } from 'react';
+import { AlertCircle, UserPlus } from 'lucide-react';
+import { apiFetch } from '../api';
+
+const emptyForm = {
+  fullName: '',
+  email: '',
+  password: '',
+  role: 'teller'
+};
+
+const CreateEmployeeForm = () => {
+  const [formData, setFormData] = useState(emptyForm);
+  const [errors, setErrors] = useState({});
+  const [created, setCreated] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [roles, setRoles] = useState([]);
+
+  useEffect(() => {
+    apiFetch('/users/roles')
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => data && setRoles(data.roles))
+      .catch(() => {});
+  }, []);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  const handleCreate = async () => {
+    setLoading(true);
+    setErrors({});
+    setCreated('');
+
+    try {
+      const response = await apiFetch('/auth/employees', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(formData)
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        setErrors({ general: data.message || 'Failed to create employee', ...data.errors });
+        return;
+      }
+
+      setCreated(data.user.email);
+      setFormData(emptyForm);
+    } catch (err) {
+      setErrors({ general: 'Network error. Please try again.' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="section">
+      <h2 className="section-title">Create Employee Account</h2>
+
+      {errors.general && (
+        <div className="alert alert-error">
+          <AlertCircle size={20} />
+          <div className="alert-text">{errors.general}</div>
+        </div>
+      )}
+
+      {created && (
+        <div className="alert alert-success">
+          <div className="alert-text">Employee account created for {created}</div>
+        </div>
+      )}
+
+      <div className="form-group">
+        <label className="form-label">Full Name</label>
+        <input
+          type="text"
+          name="fullName"
+          value={formData.fullName}
+          onChange={handleInputChange}
+          className="form-input"
+          disabled={loading}
+        />
+        {errors.fullName && <div className="error-message">{errors.fullName}</div>}
+      </div>
+
+      <div className="form-group">
+        <label className="form-label">Email</label>
+        <input
+          type="email"
+          name="email"
+          value={formData.email}
+          onChange={handleInputChange}
+          className="form-input"
+          placeholder="name@company.com"
+          disabled={loading}
+        />
+        {errors.email && <div className="error-message">{errors.email}</div>}
+      </div>
+
+      <div className="form-group">
+        <label className="form-label">Temporary Password</label>
+        <input
+          type="password"
+          name="password"
+          value={formData.password}
+          onChange={handleInputChange}
+          className="form-input"
+          disabled={loading}
+        />
+        {errors.password && <div className="error-message">{errors.password}</div>}
+      </div>
+
+      <div className="form-group">
+        <label className="form-label">Role</label>
+        <select
+          name="role"
+          value={formData.role}
+          onChange={handleInputChange}
+          className="form-input"
+          disabled={loading}
+        >
+          {roles.map(({ role, label }) => (
+            <option key={role} value={role}>{label}</option>
+          ))}
+        </select>
+        {errors.role && <div className="error-message">{errors.role}</div>}
+      </div>
+
+      <button onClick={handleCreate} disabled={loading} className="button button-success">
+        <UserPlus size={20} />
+        {loading ? 'Creating...' : 'Create Employee'}
+      </button>
+    </div>
+  );
+};
+
+export default CreateEmployeeForm;
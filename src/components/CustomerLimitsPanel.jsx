@@ -0,0 +1,219 @@
+import React, { useState } from 'react';
+import { AlertCircle, CheckCircle, Search } from 'lucide-react';
+import { apiFetch } from '../api';
+import { formatAmount } from '../utils/money';
+
+const LIMIT_FIELDS = [
+  { name: 'perTransaction', label: 'Per Payment' },
+  { name: 'daily', label: 'Daily' },
+  { name: 'monthly', label: 'Monthly' }
+];
+
+const DEFAULT_CURRENCY = 'ZAR';
+
+// Fields show only the customer's own limits; an empty field means the default
+const toForm = (limits) => Object.fromEntries(LIMIT_FIELDS.map(({ name }) => [
+  name,
+  limits.custom.includes(name) ? limits[name] : ''
+]));
+
+// Employees look a customer up by email, see what they have used and change
+// their limits one currency at a time
+const CustomerLimitsPanel = () => {
+  const [email, setEmail] = useState('');
+  const [customer, setCustomer] = useState(null);
+  const [currencies, setCurrencies] = useState([]);
+  const [velocity, setVelocity] = useState([]);
+  const [currency, setCurrency] = useState(DEFAULT_CURRENCY);
+  const [form, setForm] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [saved, setSaved] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const selected = currencies.find(entry => entry.currency === currency);
+
+  const selectCurrency = (code, list = currencies) => {
+    const limits = list.find(entry => entry.currency === code);
+    setCurrency(code);
+    setForm(limits ? toForm(limits) : null);
+    setErrors({});
+  };
+
+  const handleLookup = async () => {
+    setLoading(true);
+    setErrors({});
+    setSaved('');
+
+    try {
+      const response = await apiFetch(`/limits/${encodeURIComponent(email.trim())}`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        setCustomer(null);
+        setErrors({ general: data.message || 'Failed to load limits' });
+        return;
+      }
+
+      setCustomer(data.customer);
+      setCurrencies(data.currencies);
+      setVelocity(data.velocity);
+      selectCurrency(currency, data.currencies);
+    } catch (err) {
+      setErrors({ general: 'Network error. Please try again.' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  const handleSave = async () => {
+    setLoading(true);
+    setErrors({});
+    setSaved('');
+
+    try {
+      const body = Object.fromEntries(LIMIT_FIELDS.map(({ name }) => [name, form[name].trim() || null]));
+      const response = await apiFetch(`/limits/${encodeURIComponent(customer.email)}/${currency}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        setErrors({ general: data.message || 'Failed to update limits', ...data.errors });
+        return;
+      }
+
+      setCurrencies(prev => prev.map(entry => (entry.currency === currency ? data.limits : entry)));
+      setForm(toForm(data.limits));
+      setSaved(data.message);
+    } catch (err) {
+      setErrors({ general: 'Network error. Please try again.' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="section">
+      <h2 className="section-title">Customer Limits</h2>
+
+      {errors.general && (
+        <div className="alert alert-error">
+          <AlertCircle size={20} />
+          <div className="alert-text">{errors.general}</div>
+        </div>
+      )}
+
+      {saved && (
+        <div className="alert alert-success">
+          <CheckCircle size={20} />
+          <div className="alert-text">{saved}</div>
+        </div>
+      )}
+
+      <div className="form-group">
+        <label className="form-label">Customer Email</label>
+        <input
+          type="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          className="form-input"
+          placeholder="customer@example.com"
+          disabled={loading}
+        />
+      </div>
+
+      <button onClick={handleLookup} disabled={loading || !email.trim()} className="button button-secondary">
+        <Search size={20} />
+        {loading && !customer ? 'Looking up...' : 'Look Up'}
+      </button>
+
+      {customer && (
+        <>
+          <div className="queue-check">
+            <span>{customer.fullName || customer.email}</span>
+          </div>
+
+          {velocity.map(rule => (
+            <div key={rule.code} className="session-meta">
+              {rule.count} of {rule.max} {rule.description} in the last {rule.windowMinutes} minutes
+            </div>
+          ))}
+
+          <div className="form-group">
+            <label className="form-label">Currency</label>
+            <select value={currency} onChange={(e) => selectCurrency(e.target.value)} className="form-input">
+              {currencies.map(entry => (
+                <option key={entry.currency} value={entry.currency}>
+                  {entry.currency}{entry.custom.length > 0 ? ' (custom)' : ''}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {selected && form && (
+            <>
+              <div className="queue-item-row">
+                <span>Used today</span>
+                <span>
+                  {formatAmount(selected.usedToday, currency)} of {formatAmount(selected.daily, currency)}
+                </span>
+              </div>
+              <div className="queue-item-row">
+                <span>Used this month</span>
+                <span>
+                  {formatAmount(selected.usedThisMonth, currency)} of {formatAmount(selected.monthly, currency)}
+                </span>
+              </div>
+
+              <div className="form-row">
+                {LIMIT_FIELDS.map(({ name, label }) => (
+                  <div key={name} className="form-group">
+                    <label className="form-label">{label}</label>
+                    <input
+                      type="text"
+                      inputMode="decimal"
+                      name={name}
+                      value={form[name]}
+                      onChange={handleInputChange}
+                      className="form-input"
+                      placeholder={`Default ${selected.custom.includes(name) ? '' : selected[name]}`.trim()}
+                      disabled={loading}
+                    />
+                    {errors[name] && <div className="error-message">{errors[name]}</div>}
+                  </div>
+                ))}
+              </div>
+              <div className="field-hint">Leave a field empty to use the default limit.</div>
+
+              {selected.updatedBy && (
+                <div className="session-meta">
+                  Last changed by {selected.updatedBy} on {new Date(selected.updatedAt).toLocaleString()}
+                </div>
+              )}
+
+              <button onClick={handleSave} disabled={loading} className="button button-success">
+                {loading ? 'Saving...' : `Save ${currency} Limits`}
+              </button>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CustomerLimitsPanel;
@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import { AlertCircle, KeyRound } from 'lucide-react';
+import { apiFetch } from '../api';
+
+const MfaChallenge = ({ mfaToken, onComplete, onCancel }) => {
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [code, setCode] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleVerify = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await apiFetch('/auth/mfa/verify', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(useRecoveryCode
+          ? { mfaToken, recoveryCode: code }
+          : { mfaToken, code })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        setError(data.message || 'Invalid authentication code');
+        return;
+      }
+
+      onComplete(data);
+    } catch (err) {
+      setError('Network error. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div>
+      <div className="alert alert-info">
+        <KeyRound size={20} />
+        <div>
+          <div className="alert-title">Two-factor authentication</div>
+          <div className="alert-text">
+            {useRecoveryCode
+              ? 'Enter one of your recovery codes.'
+              : 'Enter the 6-digit code from your authenticator app.'}
+          </div>
+        </div>
+      </div>
+
+      {error && (
+        <div className="alert alert-error">
+          <AlertCircle size={20} />
+          <div className="alert-text">{error}</div>
+        </div>
+      )}
+
+      <div className="form-group">
+        <label className="form-label">{useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}</label>
+        <input
+          type="text"
+          inputMode={useRecoveryCode ? 'text' : 'numeric'}
+          autoComplete="one-time-code"
+          value={code}
+          onChange={(e) => setCode(useRecoveryCode
+            ? e.target.value.toUpperCase()
+            : e.target.value.replace(/[^0-9]/g, ''))}
+          maxLength={useRecoveryCode ? 11 : 6}
+          className="form-input"
+          placeholder={useRecoveryCode ? 'XXXXX-XXXXX' : '123456'}
+          disabled={loading}
+        />
+      </div>
+
+      <button onClick={handleVerify} disabled={loading || !code} className="button button-primary">
+        {loading ? 'Verifying...' : 'Verify'}
+      </button>
+
+      <div className="divider">
+        <span className="divider-text">OR</span>
+      </div>
+
+      <button
+        onClick={() => {
+          setUseRecoveryCode(!useRecoveryCode);
+          setCode('');
+          setError('');
+        }}
+        disabled={loading}
+        className="button button-secondary"
+      >
+        {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+      </button>
+
+      <button onClick={onCancel} disabled={loading} className="button button-secondary mfa-cancel">
+        Cancel
+      </button>
+    </div>
+  );
+};
+
+export default MfaChallenge;
@@ -0,0 +1,157 @@
+import React, { useEffect, useState } from 'react';
+import { AlertCircle, KeyRound } from 'lucide-react';
+import { apiFetch } from '../api';
+
+// Without an mfaToken the logged-in user's access token is used instead,
+// confirmed with their password
+const MfaEnrollment = ({ mfaToken, password, onComplete, onCancel }) => {
+  const [enrollment, setEnrollment] = useState(null);
+  const [code, setCode] = useState('');
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    const startEnrollment = async () => {
+      setLoading(true);
+      setError('');
+
+      try {
+        const response = await apiFetch('/auth/mfa/enroll', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ mfaToken, password })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+          setError(data.message || 'Failed to start enrolment');
+          return;
+        }
+
+        setEnrollment(data);
+      } catch (err) {
+        setError('Network error. Please try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    startEnrollment();
+  }, [mfaToken, password]);
+
+  const handleConfirm = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await apiFetch('/auth/mfa/enroll/confirm', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ mfaToken, password, code })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        setError(data.message || 'Invalid authentication code');
+        return;
+      }
+
+      setResult(data);
+    } catch (err) {
+      setError('Network error. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (result) {
+    return (
+      <div>
+        <div className="alert alert-warning">
+          <AlertCircle size={20} />
+          <div>
+            <div className="alert-title">Save your recovery codes</div>
+            <div className="alert-text">
+              Each code can be used once if you lose access to your authenticator app.
+              They will not be shown again.
+            </div>
+          </div>
+        </div>
+
+        <ul className="recovery-codes">
+          {result.recoveryCodes.map(recoveryCode => (
+            <li key={recoveryCode}>{recoveryCode}</li>
+          ))}
+        </ul>
+
+        <button onClick={() => onComplete(result)} className="button button-primary">
+          I have saved these codes
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="alert alert-info">
+        <KeyRound size={20} />
+        <div>
+          <div className="alert-title">Set up two-factor authentication</div>
+          <div className="alert-text">
+            Scan the QR code with an authenticator app, then enter the 6-digit code it shows.
+          </div>
+        </div>
+      </div>
+
+      {error && (
+        <div className="alert alert-error">
+          <AlertCircle size={20} />
+          <div className="alert-text">{error}</div>
+        </div>
+      )}
+
+      {enrollment && (
+        <div className="mfa-qr">
+          <img src={enrollment.qrCode} alt="Authenticator QR code" />
+          <div className="mfa-secret">{enrollment.secret}</div>
+        </div>
+      )}
+
+      <div className="form-group">
+        <label className="form-label">Authentication Code</label>
+        <input
+          type="text"
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          value={code}
+          onChange={(e) => setCode(e.target.value.replace(/[^0-9]/g, ''))}
+          maxLength="6"
+          className="form-input"
+          placeholder="123456"
+          disabled={loading || !enrollment}
+        />
+      </div>
+
+      <button
+        onClick={handleConfirm}
+        disabled={loading || code.length !== 6}
+        className="button button-primary"
+      >
+        {loading ? 'Verifying...' : 'Enable Two-Factor Authentication'}
+      </button>
+
+      {onCancel && (
+        <button onClick={onCancel} disabled={loading} className="button button-secondary mfa-cancel">
+          Cancel
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default MfaEnrollment;
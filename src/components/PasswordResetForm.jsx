@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import { AlertCircle, KeyRound } from 'lucide-react';
+import { apiFetch } from '../api';
+
+// Last login step after an administrator reset the password
+const PasswordResetForm = ({ resetToken, onComplete, onCancel }) => {
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [errors, setErrors] = useState({});
+  const [loading, setLoading] = useState(false);
+
+  const handleReset = async () => {
+    setErrors({});
+
+    if (newPassword !== confirmPassword) {
+      setErrors({ confirmPassword: 'The passwords do not match' });
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await apiFetch('/auth/password/reset', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ resetToken, newPassword })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        setErrors({ general: data.message || 'Failed to reset password', ...data.errors });
+        return;
+      }
+
+      onComplete(data);
+    } catch (err) {
+      setErrors({ general: 'Network error. Please try again.' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div>
+      <div className="alert alert-info">
+        <KeyRound size={20} />
+        <div>
+          <div className="alert-title">Choose a new password</div>
+          <div className="alert-text">
+            An administrator has asked you to change your password. Choose a new one to continue.
+          </div>
+        </div>
+      </div>
+
+      {errors.general && (
+        <div className="alert alert-error">
+          <AlertCircle size={20} />
+          <div className="alert-text">{errors.general}</div>
+        </div>
+      )}
+
+      <div className="form-group">
+        <label className="form-label">New Password</label>
+        <input
+          type="password"
+          autoComplete="new-password"
+          value={newPassword}
+          onChange={(e) => setNewPassword(e.target.value)}
+          className="form-input"
+          disabled={loading}
+        />
+        {errors.newPassword && <div className="error-message">{errors.newPassword}</div>}
+      </div>
+
+      <div className="form-group">
+        <label className="form-label">Confirm New Password</label>
+        <input
+          type="password"
+          autoComplete="new-password"
+          value={confirmPassword}
+          onChange={(e) => setConfirmPassword(e.target.value)}
+          className="form-input"
+          disabled={loading}
+        />
+        {errors.confirmPassword && <div className="error-message">{errors.confirmPassword}</div>}
+      </div>
+
+      <button
+        onClick={handleReset}
+        disabled={loading || !newPassword || !confirmPassword}
+        className="button button-primary"
+      >
+        {loading ? 'Saving...' : 'Set Password'}
+      </button>
+
+      <button onClick={onCancel} disabled={loading} className="button button-secondary mfa-cancel">
+        Cancel
+      </button>
+    </div>
+  );
+};
+
+export default PasswordResetForm;
@@ -0,0 +1,385 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { AlertCircle, CreditCard } from 'lucide-react';
+import { apiFetch } from '../api';
+import BeneficiariesPanel from './BeneficiariesPanel';
+import { decodeEntities, sanitizeInput } from '../utils/text';
+
+const RECIPIENT_FIELDS = ['recipientName', 'recipientAccount', 'swiftCode'];
+
+const EMPTY_PAYMENT = {
+  amount: '',
+  currency: 'ZAR',
+  provider: 'SWIFT',
+  recipientName: '',
+  recipientAccount: '',
+  swiftCode: ''
+};
+
+// Single payment form with the customer's saved beneficiaries. Calls
+// onSubmitted(transaction, notice) once the payment has been accepted.
+const PaymentForm = ({ onSubmitted }) => {
+  const [formData, setFormData] = useState(EMPTY_PAYMENT);
+  const [errors, setErrors] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [currencies, setCurrencies] = useState([]);
+  const [providers, setProviders] = useState([]);
+  const [beneficiaries, setBeneficiaries] = useState([]);
+  // Saved beneficiary the recipient fields were filled from, until one is edited
+  const [beneficiaryId, setBeneficiaryId] = useState(null);
+  const [saveBeneficiary, setSaveBeneficiary] = useState(false);
+  const [beneficiaryNickname, setBeneficiaryNickname] = useState('');
+  // Saving a beneficiary is confirmed with the password (and code, with 2FA)
+  const [saveReauth, setSaveReauth] = useState({ password: '', code: '' });
+  const [mfaEnabled, setMfaEnabled] = useState(false);
+  // Idempotency key for the payment currently in the form; reused when the
+  // same payment is retried so the server never books it twice
+  const paymentKey = useRef(null);
+
+  useEffect(() => {
+    const loadCurrencies = async () => {
+      try {
+        const response = await apiFetch('/payments/currencies');
+        const data = await response.json();
+
+        if (response.ok) {
+          setCurrencies(data.currencies);
+          setProviders(data.providers);
+        }
+      } catch (error) {
+        setErrors({ general: 'Failed to load currencies.' });
+      }
+    };
+
+    const loadMfaStatus = async () => {
+      try {
+        const response = await apiFetch('/auth/mfa');
+        const data = await response.json();
+
+        if (response.ok) {
+          setMfaEnabled(data.enabled);
+        }
+      } catch (error) {
+        // The code field is then left out; saving a beneficiary reports it
+      }
+    };
+
+    loadCurrencies();
+    loadBeneficiaries();
+    loadMfaStatus();
+  }, []);
+
+  const loadBeneficiaries = async () => {
+    try {
+      const response = await apiFetch('/beneficiaries');
+      const data = await response.json();
+
+      if (response.ok) {
+        setBeneficiaries(data.beneficiaries);
+        // The selected one may have been edited or deleted; the form keeps
+        // the details it shows and sends them as typed
+        setBeneficiaryId(null);
+      }
+    } catch (error) {
+      setErrors({ general: 'Failed to load saved beneficiaries.' });
+    }
+  };
+
+  const handleBeneficiarySelect = (e) => {
+    const beneficiary = beneficiaries.find(saved => String(saved.beneficiaryId) === e.target.value);
+    paymentKey.current = null;
+    setErrors({});
+    setBeneficiaryId(beneficiary ? beneficiary.beneficiaryId : null);
+    setSaveBeneficiary(false);
+    setFormData(prev => ({
+      ...prev,
+      recipientName: beneficiary ? decodeEntities(beneficiary.recipientName) : '',
+      recipientAccount: beneficiary ? beneficiary.recipientAccount : '',
+      swiftCode: beneficiary ? beneficiary.swiftCode : ''
+    }));
+  };
+
+  const selectedCurrency = currencies.find(currency => currency.code === formData.currency);
+  const minorUnits = selectedCurrency ? selectedCurrency.minorUnits : 2;
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    const sanitizedValue = sanitizeInput(value);
+    setFormData(prev => ({ ...prev, [name]: sanitizedValue }));
+    paymentKey.current = null;
+
+    if (RECIPIENT_FIELDS.includes(name)) {
+      setBeneficiaryId(null);
+    }
+    
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  const handlePayment = async () => {
+    if (beneficiaryId === null && saveBeneficiary && !saveReauth.password) {
+      setErrors({ beneficiaryPassword: 'Enter your password to save this recipient' });
+      return;
+    }
+
+    setLoading(true);
+    setErrors({});
+
+    if (!paymentKey.current) {
+      paymentKey.current = crypto.randomUUID();
+    }
+
+    try {
+      const response = await apiFetch('/payments/process', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Idempotency-Key': paymentKey.current
+        },
+        body: JSON.stringify({
+          amount: formData.amount,
+          currency: formData.currency,
+          provider: formData.provider,
+          ...(beneficiaryId !== null
+            ? { beneficiaryId }
+            : {
+              recipientName: formData.recipientName,
+              recipientAccount: formData.recipientAccount,
+              swiftCode: formData.swiftCode
+            })
+        })
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        setErrors({ general: data.message || 'Payment failed', ...data.errors });
+        return;
+      }
+
+      paymentKey.current = null;
+      const saved = beneficiaryId === null && saveBeneficiary ? await saveRecipient() : null;
+      setBeneficiaryId(null);
+      setSaveBeneficiary(false);
+      setBeneficiaryNickname('');
+      setSaveReauth({ password: '', code: '' });
+      setFormData(prev => ({ ...EMPTY_PAYMENT, currency: prev.currency, provider: prev.provider }));
+      onSubmitted(data.transaction, [data.message, saved].filter(Boolean).join('. '));
+    } catch (error) {
+      setErrors({ general: 'Network error. Please try again.' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Saves the recipient of a successful payment and returns a line for the
+  // confirmation. The payment already went through, so failures are reported
+  // rather than thrown.
+  const saveRecipient = async () => {
+    try {
+      const response = await apiFetch('/beneficiaries', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          nickname: beneficiaryNickname || formData.recipientName,
+          recipientName: formData.recipientName,
+          recipientAccount: formData.recipientAccount,
+          swiftCode: formData.swiftCode,
+          password: saveReauth.password,
+          ...(mfaEnabled && { code: saveReauth.code })
+        })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        return `Beneficiary not saved: ${data.message || 'Failed to save beneficiary'}`;
+      }
+
+      await loadBeneficiaries();
+      return `Saved as beneficiary: ${decodeEntities(data.beneficiary.nickname)}`;
+    } catch (error) {
+      return 'Beneficiary not saved: network error';
+    }
+  };
+
+  return (
+    <>
+      {errors.general && (
+        <div className="alert alert-error">
+          <AlertCircle size={20} />
+          <div className="alert-text">{errors.general}</div>
+        </div>
+      )}
+
+      <div className="form-group">
+        <label className="form-label">Provider</label>
+        <select
+          name="provider"
+          value={formData.provider}
+          onChange={handleInputChange}
+          className="form-input"
+          disabled={loading}
+        >
+          {providers.map(provider => (
+            <option key={provider.code} value={provider.code}>{provider.name}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="form-row">
+        <div className="form-group">
+          <label className="form-label">Currency</label>
+          <select
+            name="currency"
+            value={formData.currency}
+            onChange={handleInputChange}
+            className="form-input"
+            disabled={loading}
+          >
+            {currencies.map(currency => (
+              <option key={currency.code} value={currency.code}>
+                {currency.code} - {currency.name}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">Payment Amount ({formData.currency})</label>
+          <input
+            type="number"
+            name="amount"
+            value={formData.amount}
+            onChange={handleInputChange}
+            step={minorUnits === 0 ? '1' : (1 / 10 ** minorUnits).toFixed(minorUnits)}
+            className="form-input"
+            placeholder={minorUnits === 0 ? '0' : (0).toFixed(minorUnits)}
+            disabled={loading}
+          />
+          {errors.amount && <div className="error-message">{errors.amount}</div>}
+        </div>
+      </div>
+
+      {beneficiaries.length > 0 && (
+        <div className="form-group">
+          <label className="form-label">Saved Beneficiary</label>
+          <select
+            value={beneficiaryId ?? ''}
+            onChange={handleBeneficiarySelect}
+            className="form-input"
+            disabled={loading}
+          >
+            <option value="">New recipient</option>
+            {beneficiaries.map(beneficiary => (
+              <option key={beneficiary.beneficiaryId} value={beneficiary.beneficiaryId}>
+                {decodeEntities(beneficiary.nickname)} - {beneficiary.swiftCode}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      <div className="form-group">
+        <label className="form-label">Recipient Name</label>
+        <input
+          type="text"
+          name="recipientName"
+          value={formData.recipientName}
+          onChange={handleInputChange}
+          className="form-input"
+          placeholder="John"
+          disabled={loading}
+        />
+        {errors.recipientName && <div className="error-message">{errors.recipientName}</div>}
+      </div>
+
+      <div className="form-group">
+        <label className="form-label">Recipient IBAN / Account Number</label>
+        <input
+          type="text"
+          name="recipientAccount"
+          value={formData.recipientAccount}
+          onChange={handleInputChange}
+          className="form-input"
+          placeholder="GB82 WEST 1234 5698 7654 32"
+          disabled={loading}
+        />
+        {errors.recipientAccount && <div className="error-message">{errors.recipientAccount}</div>}
+      </div>
+
+      <div className="form-group">
+        <label className="form-label">Code</label>
+        <input
+          type="text"
+          name="swiftCode"
+          value={formData.swiftCode}
+          onChange={handleInputChange}
+          maxLength="11"
+          className="form-input"
+          placeholder="ABCDUS33XXX"
+          disabled={loading}
+        />
+        {errors.swiftCode && <div className="error-message">{errors.swiftCode}</div>}
+      </div>
+
+      {beneficiaryId === null && (
+        <div className="form-group">
+          <label className="queue-check">
+            <input
+              type="checkbox"
+              checked={saveBeneficiary}
+              onChange={(e) => setSaveBeneficiary(e.target.checked)}
+              disabled={loading}
+            />
+            Save this recipient as a beneficiary after the payment
+          </label>
+          {saveBeneficiary && (
+            <>
+              <input
+                type="text"
+                value={beneficiaryNickname}
+                onChange={(e) => setBeneficiaryNickname(sanitizeInput(e.target.value))}
+                maxLength="50"
+                className="form-input"
+                placeholder="Nickname (defaults to the recipient name)"
+                disabled={loading}
+              />
+              <input
+                type="password"
+                value={saveReauth.password}
+                onChange={(e) => setSaveReauth(prev => ({ ...prev, password: e.target.value }))}
+                className="form-input"
+                placeholder="Your password, to confirm saving"
+                disabled={loading}
+              />
+              {mfaEnabled && (
+                <input
+                  type="text"
+                  inputMode="numeric"
+                  value={saveReauth.code}
+                  onChange={(e) => setSaveReauth(prev => ({ ...prev, code: e.target.value.trim() }))}
+                  maxLength="6"
+                  className="form-input"
+                  placeholder="Authentication code"
+                  disabled={loading}
+                />
+              )}
+              {errors.beneficiaryPassword && <div className="error-message">{errors.beneficiaryPassword}</div>}
+            </>
+          )}
+        </div>
+      )}
+
+      <button onClick={handlePayment} disabled={loading} className="button button-primary">
+        <CreditCard size={20} />
+        {loading ? 'Processing...' : 'Process Payment'}
+      </button>
+
+      <BeneficiariesPanel beneficiaries={beneficiaries} onChange={loadBeneficiaries} />
+    </>
+  );
+};
+
+export default PaymentForm;
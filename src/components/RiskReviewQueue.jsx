@@ -0,0 +1,181 @@
+import React, { useEffect, useState } from 'react';
+import { AlertCircle, CheckCircle, Gauge, RefreshCw, XCircle } from 'lucide-react';
+import { apiFetch } from '../api';
+import { useStatusListUpdates } from '../liveUpdates';
+import { formatAmount } from '../utils/money';
+import { decodeEntities } from '../utils/text';
+
+// Payments whose fraud risk score reached the hold threshold. An employee
+// releases them to the verification queue with a note, or rejects them.
+const RiskReviewQueue = () => {
+  const [transactions, setTransactions] = useState([]);
+  const [holdThreshold, setHoldThreshold] = useState(null);
+  const [notes, setNotes] = useState({});
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const loadQueue = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await apiFetch('/payments/risk-review');
+      const data = await response.json();
+
+      if (!response.ok) {
+        setError(data.message || 'Failed to load payments on hold');
+        return;
+      }
+
+      setTransactions(data.transactions);
+      setHoldThreshold(data.holdThreshold);
+    } catch (err) {
+      setError('Network error. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadQueue();
+  }, []);
+
+  useStatusListUpdates('risk_hold', setTransactions, loadQueue);
+
+  const submitDecision = async (transactionId, action, body) => {
+    setLoading(true);
+    setError('');
+    setMessage('');
+
+    try {
+      const response = await apiFetch(`/payments/${transactionId}/${action}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        setError(data.message || `Failed to ${action} payment`);
+        return;
+      }
+
+      setTransactions(prev => prev.filter(txn => txn.transactionId !== transactionId));
+      setMessage(data.message);
+    } catch (err) {
+      setError('Network error. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div>
+      <div className="queue-header">
+        <h2>Risk Review ({transactions.length})</h2>
+        <button onClick={loadQueue} disabled={loading} className="logout-button">
+          <RefreshCw size={16} />
+        </button>
+      </div>
+
+      {holdThreshold !== null && (
+        <div className="session-meta">Payments scoring {holdThreshold} or more are held here.</div>
+      )}
+
+      {error && (
+        <div className="alert alert-error">
+          <AlertCircle size={20} />
+          <div className="alert-text">{error}</div>
+        </div>
+      )}
+
+      {message && (
+        <div className="alert alert-success">
+          <CheckCircle size={20} />
+          <div className="alert-text">{message}</div>
+        </div>
+      )}
+
+      {transactions.length === 0 && !loading && (
+        <div className="alert alert-info">
+          <div className="alert-text">No payments on hold.</div>
+        </div>
+      )}
+
+      {transactions.map(txn => {
+        const note = notes[txn.transactionId] || '';
+
+        return (
+          <div key={txn.transactionId} className="queue-item">
+            <div className="queue-item-title">{txn.transactionId}</div>
+            <div className="queue-item-row">
+              <span>Risk score</span>
+              <span>{txn.riskScore} / 100</span>
+            </div>
+            <div className="queue-item-row">
+              <span>Beneficiary</span>
+              <span>{decodeEntities(txn.recipientName)}</span>
+            </div>
+            <div className="queue-item-row">
+              <span>SWIFT</span>
+              <span>{txn.swiftCode}</span>
+            </div>
+            <div className="queue-item-row">
+              <span>Amount</span>
+              <span>{formatAmount(txn.amount, txn.currency)}</span>
+            </div>
+            <div className="queue-item-row">
+              <span>Customer</span>
+              <span>{txn.initiatedBy}</span>
+            </div>
+            <div className="queue-item-row">
+              <span>Submitted</span>
+              <span>{new Date(txn.timestamp).toLocaleString()}</span>
+            </div>
+
+            {txn.riskReasons.map(reason => (
+              <div key={reason.rule} className="queue-check">
+                <Gauge size={16} />
+                <span>{reason.detail} (+{reason.weight})</span>
+              </div>
+            ))}
+
+            <input
+              type="text"
+              value={note}
+              onChange={(e) => setNotes(prev => ({ ...prev, [txn.transactionId]: e.target.value }))}
+              className="form-input"
+              placeholder="Review note (why released, or reason for rejection)"
+              disabled={loading}
+            />
+
+            <div className="queue-actions">
+              <button
+                onClick={() => submitDecision(txn.transactionId, 'release', { note })}
+                disabled={loading || note.trim().length < 3}
+                className="button button-success"
+              >
+                <CheckCircle size={18} />
+                Release
+              </button>
+              <button
+                onClick={() => submitDecision(txn.transactionId, 'reject', { reason: note })}
+                disabled={loading || !note.trim()}
+                className="button button-danger"
+              >
+                <XCircle size={18} />
+                Reject
+              </button>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default RiskReviewQueue;
@@ -0,0 +1,227 @@
+import React, { useEffect, useState } from 'react';
+import { AlertCircle, CheckCircle, RefreshCw, ShieldAlert, XCircle } from 'lucide-react';
+import { apiFetch } from '../api';
+import { useStatusListUpdates } from '../liveUpdates';
+import { formatAmount } from '../utils/money';
+import { decodeEntities } from '../utils/text';
+
+const describeHit = (hit) => {
+  if (hit.type === 'embargo') {
+    return `Bank country ${hit.country} (${hit.name}) is embargoed${hit.programs.length ? ` - ${hit.programs.join(', ')}` : ''}`;
+  }
+  if (hit.type === 'lists_unavailable') {
+    return 'No watch lists were loaded when this payment was screened';
+  }
+  return `${hit.list} ${hit.entryId}: "${hit.matchedName}" (${Math.round(hit.score * 100)}% match)`
+    + `${hit.programs.length ? ` - ${hit.programs.join(', ')}` : ''}`;
+};
+
+// Payments held by sanctions screening. An employee releases a false positive
+// to the verification queue with a note, or rejects the payment.
+const ScreeningQueue = () => {
+  const [transactions, setTransactions] = useState([]);
+  const [lists, setLists] = useState(null);
+  const [notes, setNotes] = useState({});
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const loadQueue = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const [queueResponse, listsResponse] = await Promise.all([
+        apiFetch('/payments/screening'),
+        apiFetch('/sanctions')
+      ]);
+      const queue = await queueResponse.json();
+      const status = await listsResponse.json();
+
+      if (!queueResponse.ok) {
+        setError(queue.message || 'Failed to load payments on hold');
+        return;
+      }
+
+      setTransactions(queue.transactions);
+      if (listsResponse.ok) setLists(status.status);
+    } catch (err) {
+      setError('Network error. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadQueue();
+  }, []);
+
+  useStatusListUpdates('screening_hold', setTransactions, loadQueue);
+
+  const handleReload = async () => {
+    setLoading(true);
+    setError('');
+    setMessage('');
+
+    try {
+      const response = await apiFetch('/sanctions/reload', { method: 'POST' });
+      const data = await response.json();
+
+      if (data.status) setLists(data.status);
+
+      if (!response.ok) {
+        const details = (data.errors || []).map(entry => (entry.file ? `${entry.file}: ${entry.error}` : entry.error));
+        setError([data.message || 'Failed to reload the lists', ...details].join(' - '));
+        return;
+      }
+
+      setMessage(data.message);
+    } catch (err) {
+      setError('Network error. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const submitDecision = async (transactionId, action, body) => {
+    setLoading(true);
+    setError('');
+    setMessage('');
+
+    try {
+      const response = await apiFetch(`/payments/${transactionId}/${action}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        setError(data.message || `Failed to ${action} payment`);
+        return;
+      }
+
+      setTransactions(prev => prev.filter(txn => txn.transactionId !== transactionId));
+      setMessage(data.message);
+    } catch (err) {
+      setError('Network error. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div>
+      <div className="queue-header">
+        <h2>Sanctions Screening ({transactions.length})</h2>
+        <button onClick={loadQueue} disabled={loading} className="logout-button">
+          <RefreshCw size={16} />
+        </button>
+      </div>
+
+      {lists && (
+        <div className="queue-check">
+          <span>
+            {lists.loaded
+              ? `${lists.names} names from ${lists.lists.map(list => list.list).join(', ')} (version ${lists.version}, loaded ${new Date(lists.loadedAt).toLocaleString()})`
+              : 'No watch lists loaded - every payment is held'}
+          </span>
+          <button onClick={handleReload} disabled={loading} className="logout-button">
+            <RefreshCw size={14} />
+            Reload Lists
+          </button>
+        </div>
+      )}
+
+      {error && (
+        <div className="alert alert-error">
+          <AlertCircle size={20} />
+          <div className="alert-text">{error}</div>
+        </div>
+      )}
+
+      {message && (
+        <div className="alert alert-success">
+          <CheckCircle size={20} />
+          <div className="alert-text">{message}</div>
+        </div>
+      )}
+
+      {transactions.length === 0 && !loading && (
+        <div className="alert alert-info">
+          <div className="alert-text">No payments on hold.</div>
+        </div>
+      )}
+
+      {transactions.map(txn => {
+        const note = notes[txn.transactionId] || '';
+
+        return (
+          <div key={txn.transactionId} className="queue-item">
+            <div className="queue-item-title">{txn.transactionId}</div>
+            <div className="queue-item-row">
+              <span>Beneficiary</span>
+              <span>{decodeEntities(txn.recipientName)}</span>
+            </div>
+            <div className="queue-item-row">
+              <span>SWIFT</span>
+              <span>{txn.swiftCode}</span>
+            </div>
+            <div className="queue-item-row">
+              <span>Amount</span>
+              <span>{formatAmount(txn.amount, txn.currency)}</span>
+            </div>
+            <div className="queue-item-row">
+              <span>Customer</span>
+              <span>{txn.initiatedBy}</span>
+            </div>
+            <div className="queue-item-row">
+              <span>Submitted</span>
+              <span>{new Date(txn.timestamp).toLocaleString()}</span>
+            </div>
+
+            {txn.screening?.hits.map((hit, index) => (
+              <div key={index} className="queue-check">
+                <ShieldAlert size={16} />
+                <span>{describeHit(hit)}</span>
+              </div>
+            ))}
+
+            <input
+              type="text"
+              value={note}
+              onChange={(e) => setNotes(prev => ({ ...prev, [txn.transactionId]: e.target.value }))}
+              className="form-input"
+              placeholder="Review note (why released, or reason for rejection)"
+              disabled={loading}
+            />
+
+            <div className="queue-actions">
+              <button
+                onClick={() => submitDecision(txn.transactionId, 'release', { note })}
+                disabled={loading || note.trim().length < 3}
+                className="button button-success"
+              >
+                <CheckCircle size={18} />
+                Release
+              </button>
+              <button
+                onClick={() => submitDecision(txn.transactionId, 'reject', { reason: note })}
+                disabled={loading || !note.trim()}
+                className="button button-danger"
+              >
+                <XCircle size={18} />
+                Reject
+              </button>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default ScreeningQueue;
@@ -0,0 +1,98 @@
+import React, { useEffect, useState } from 'react';
+import { AlertCircle, Monitor, RefreshCw } from 'lucide-react';
+import { apiFetch } from '../api';
+
+const SessionsPanel = () => {
+  const [sessions, setSessions] = useState([]);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const loadSessions = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await apiFetch('/auth/sessions');
+      const data = await response.json();
+
+      if (!response.ok) {
+        setError(data.message || 'Failed to load sessions');
+        return;
+      }
+
+      setSessions(data.sessions);
+    } catch (err) {
+      setError('Network error. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  const handleRevoke = async (sessionId) => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await apiFetch(`/auth/sessions/${sessionId}`, { method: 'DELETE' });
+      const data = await response.json();
+
+      if (!response.ok) {
+        setError(data.message || 'Failed to revoke session');
+        return;
+      }
+
+      setSessions(prev => prev.filter(session => session.sessionId !== sessionId));
+    } catch (err) {
+      setError('Network error. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="section">
+      <div className="queue-header">
+        <h2 className="section-title">Active Sessions</h2>
+        <button onClick={loadSessions} disabled={loading} className="logout-button">
+          <RefreshCw size={16} />
+        </button>
+      </div>
+
+      {error && (
+        <div className="alert alert-error">
+          <AlertCircle size={20} />
+          <div className="alert-text">{error}</div>
+        </div>
+      )}
+
+      {sessions.map(session => (
+        <div key={session.sessionId} className="session-item">
+          <Monitor size={20} />
+          <div className="session-details">
+            <div className="session-agent">{session.userAgent || 'Unknown device'}</div>
+            <div className="session-meta">
+              {session.ip} · last active {new Date(session.lastUsedAt).toLocaleString()}
+            </div>
+          </div>
+          {session.current ? (
+            <span className="session-current">This device</span>
+          ) : (
+            <button
+              onClick={() => handleRevoke(session.sessionId)}
+              disabled={loading}
+              className="logout-button"
+            >
+              Revoke
+            </button>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default SessionsPanel;
@@ -0,0 +1,17 @@
+import React from 'react';
+
+export const STATUS_LABELS = {
+  screening_hold: 'On hold: compliance review',
+  risk_hold: 'On hold: security review',
+  pending: 'Pending verification',
+  verified: 'Verified',
+  submitted: 'Sent to bank',
+  rejected: 'Rejected',
+  cancelled: 'Cancelled'
+};
+
+const StatusBadge = ({ status }) => (
+  <span className={`status-badge status-${status}`}>{STATUS_LABELS[status] || status}</span>
+);
+
+export default StatusBadge;
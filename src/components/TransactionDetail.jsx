@@ -0,0 +1,124 @@
+import React, { useEffect, useState } from 'react';
+import { AlertCircle, CheckCircle, X } from 'lucide-react';
+import { apiFetch } from '../api';
+import { usePaymentUpdates } from '../liveUpdates';
+import { formatAmount } from '../utils/money';
+import { decodeEntities } from '../utils/text';
+import StatusBadge from './StatusBadge';
+
+// Drawer over the history list with one transaction's full record and the
+// status changes it has been through
+const TransactionDetail = ({ transactionId, notice, onClose }) => {
+  const [transaction, setTransaction] = useState(null);
+  const [timeline, setTimeline] = useState([]);
+  const [error, setError] = useState('');
+
+  const loadTransaction = async () => {
+    setError('');
+
+    try {
+      const response = await apiFetch(`/payments/${encodeURIComponent(transactionId)}`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        setError(data.message || 'Failed to load transaction');
+        return;
+      }
+
+      setTransaction(data.transaction);
+      setTimeline(data.timeline);
+    } catch (err) {
+      setError('Network error. Please try again.');
+    }
+  };
+
+  useEffect(() => {
+    setTransaction(null);
+    loadTransaction();
+  }, [transactionId]);
+
+  // The timeline is built on the server, so a status change reloads the record
+  usePaymentUpdates((updates) => {
+    if (updates.some(update => update.transactionId === transactionId)) loadTransaction();
+  }, () => loadTransaction());
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const fields = transaction ? [
+    ['Transaction ID', transaction.transactionId],
+    ['Recipient', decodeEntities(transaction.recipientName)],
+    ['Account', transaction.recipientAccount],
+    ['SWIFT/BIC', transaction.swiftCode],
+    ['Provider', transaction.provider],
+    ['Batch', transaction.batchId],
+    ['Bank export', transaction.exportId],
+    ['MT103 reference', transaction.mt103Reference],
+    ['UETR', transaction.uetr],
+    ['Rejection reason', transaction.rejectionReason && decodeEntities(transaction.rejectionReason)]
+  ].filter(([, value]) => value) : [];
+
+  return (
+    <div className="drawer-backdrop" onClick={onClose}>
+      <aside className="drawer" role="dialog" aria-label="Transaction details" onClick={(e) => e.stopPropagation()}>
+        <div className="queue-header">
+          <h2 className="section-title">Payment Details</h2>
+          <button onClick={onClose} className="logout-button" aria-label="Close">
+            <X size={16} />
+          </button>
+        </div>
+
+        {notice && (
+          <div className="alert alert-success">
+            <CheckCircle size={20} />
+            <div className="alert-text">{notice}</div>
+          </div>
+        )}
+
+        {error && (
+          <div className="alert alert-error">
+            <AlertCircle size={20} />
+            <div className="alert-text">{error}</div>
+          </div>
+        )}
+
+        {transaction && (
+          <>
+            <div className="drawer-amount">
+              {formatAmount(transaction.amount, transaction.currency)}
+              <StatusBadge status={transaction.status} />
+            </div>
+
+            {fields.map(([label, value]) => (
+              <div key={label} className="queue-item-row">
+                <span>{label}</span>
+                <span className="drawer-value">{value}</span>
+              </div>
+            ))}
+
+            <h3 className="drawer-subtitle">Status Timeline</h3>
+            <ol className="timeline">
+              {timeline.map(entry => (
+                <li key={entry.status} className={`timeline-entry status-${entry.status}`}>
+                  <StatusBadge status={entry.status} />
+                  <div className="session-meta">
+                    {entry.at ? new Date(entry.at).toLocaleString() : 'Time not recorded'}
+                    {entry.by && ` · ${entry.by}`}
+                  </div>
+                  {entry.note && <div className="field-hint">{decodeEntities(entry.note)}</div>}
+                </li>
+              ))}
+            </ol>
+          </>
+        )}
+      </aside>
+    </div>
+  );
+};
+
+export default TransactionDetail;
@@ -0,0 +1,235 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { AlertCircle, RefreshCw } from 'lucide-react';
+import { apiFetch } from '../api';
+import { navigate, transactionPath } from '../navigation';
+import { usePaymentUpdates } from '../liveUpdates';
+import { formatAmount } from '../utils/money';
+import { decodeEntities } from '../utils/text';
+import StatusBadge, { STATUS_LABELS } from './StatusBadge';
+
+const SORTS = {
+  newest: { label: 'Newest first', sort: 'createdAt', order: 'desc' },
+  oldest: { label: 'Oldest first', sort: 'createdAt', order: 'asc' },
+  amountDesc: { label: 'Amount (high to low)', sort: 'amount', order: 'desc' },
+  amountAsc: { label: 'Amount (low to high)', sort: 'amount', order: 'asc' },
+  recipient: { label: 'Recipient (A-Z)', sort: 'recipientName', order: 'asc' },
+  status: { label: 'Status', sort: 'status', order: 'asc' }
+};
+
+const STATUSES = Object.keys(STATUS_LABELS);
+
+const PAGE_SIZE = 20;
+
+const EMPTY_FILTERS = { q: '', status: '', currency: '', from: '', to: '' };
+
+// Date inputs are whole days in the customer's time zone; "to" includes its day
+const startOfDay = (date) => new Date(`${date}T00:00`);
+const DATE_PARAMS = {
+  from: (date) => startOfDay(date).toISOString(),
+  to: (date) => new Date(startOfDay(date).getTime() + 24 * 60 * 60 * 1000).toISOString()
+};
+
+// Filters, sorting and paging all happen on the server
+const TransactionHistory = ({ selectedId }) => {
+  const [transactions, setTransactions] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [sort, setSort] = useState('newest');
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [currencies, setCurrencies] = useState([]);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  // Only the newest request may update the list, whatever order responses arrive in
+  const latestRequest = useRef(0);
+
+  const buildQuery = (cursor) => {
+    const params = new URLSearchParams({
+      sort: SORTS[sort].sort,
+      order: SORTS[sort].order,
+      limit: String(PAGE_SIZE)
+    });
+    for (const [name, value] of Object.entries(filters)) {
+      if (value.trim()) params.set(name, DATE_PARAMS[name] ? DATE_PARAMS[name](value) : value.trim());
+    }
+    if (cursor) params.set('cursor', cursor);
+    return params.toString();
+  };
+
+  // Without a cursor the list is replaced; with one the next page is appended
+  const loadHistory = async (cursor = null) => {
+    const request = ++latestRequest.current;
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await apiFetch(`/payments/history?${buildQuery(cursor)}`);
+      const data = await response.json();
+
+      if (request !== latestRequest.current) return;
+
+      if (!response.ok) {
+        setError(data.message || 'Failed to load transaction history');
+        return;
+      }
+
+      setTransactions(prev => (cursor ? [...prev, ...data.transactions] : data.transactions));
+      setTotal(data.total);
+      setNextCursor(data.nextCursor);
+    } catch (err) {
+      setError('Network error. Please try again.');
+    } finally {
+      if (request === latestRequest.current) setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    const loadCurrencies = async () => {
+      try {
+        const response = await apiFetch('/payments/currencies');
+        const data = await response.json();
+        if (response.ok) setCurrencies(data.currencies);
+      } catch (err) {
+        // The currency filter just stays empty
+      }
+    };
+
+    loadCurrencies();
+  }, []);
+
+  // Typing in the search box waits for a pause before querying
+  useEffect(() => {
+    const timer = setTimeout(() => loadHistory(), 300);
+    return () => clearTimeout(timer);
+  }, [sort, filters]);
+
+  // Payments on the page change status in place; one that isn't on it yet,
+  // e.g. made in another tab, reloads the list
+  usePaymentUpdates((updates) => {
+    const shown = new Set(transactions.map(txn => txn.transactionId));
+    if (updates.some(update => !shown.has(update.transactionId))) {
+      loadHistory();
+      return;
+    }
+
+    const latest = new Map(updates.map(update => [update.transactionId, update.transaction]));
+    setTransactions(prev => prev.map(txn => latest.get(txn.transactionId) || txn));
+  }, () => loadHistory());
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  const filtered = Object.values(filters).some(Boolean);
+
+  return (
+    <div className="section">
+      <div className="queue-header">
+        <h2 className="section-title">Transaction History</h2>
+        <button onClick={() => loadHistory()} disabled={loading} className="logout-button">
+          <RefreshCw size={16} />
+        </button>
+      </div>
+
+      {error && (
+        <div className="alert alert-error">
+          <AlertCircle size={20} />
+          <div className="alert-text">{error}</div>
+        </div>
+      )}
+
+      <div className="form-group">
+        <label className="form-label">Search</label>
+        <input
+          type="search"
+          name="q"
+          value={filters.q}
+          onChange={handleFilterChange}
+          className="form-input"
+          placeholder="Recipient name or account"
+        />
+      </div>
+
+      <div className="form-row">
+        <div className="form-group">
+          <label className="form-label">Status</label>
+          <select name="status" value={filters.status} onChange={handleFilterChange} className="form-input">
+            <option value="">All statuses</option>
+            {STATUSES.map(status => (
+              <option key={status} value={status}>{STATUS_LABELS[status]}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">Currency</label>
+          <select name="currency" value={filters.currency} onChange={handleFilterChange} className="form-input">
+            <option value="">All currencies</option>
+            {currencies.map(currency => (
+              <option key={currency.code} value={currency.code}>{currency.code}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="form-row">
+        <div className="form-group">
+          <label className="form-label">From</label>
+          <input type="date" name="from" value={filters.from} onChange={handleFilterChange} className="form-input" />
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">To</label>
+          <input type="date" name="to" value={filters.to} onChange={handleFilterChange} className="form-input" />
+        </div>
+      </div>
+
+      <div className="form-group">
+        <label className="form-label">Sort by</label>
+        <select value={sort} onChange={(e) => setSort(e.target.value)} className="form-input">
+          {Object.entries(SORTS).map(([key, option]) => (
+            <option key={key} value={key}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="queue-check">
+        <span>
+          {total === 0
+            ? (filtered ? 'No payments match these filters.' : 'You have not made any payments yet.')
+            : `Showing ${transactions.length} of ${total} payment(s)`}
+        </span>
+        {filtered && (
+          <button onClick={() => setFilters(EMPTY_FILTERS)} disabled={loading} className="logout-button">
+            Clear filters
+          </button>
+        )}
+      </div>
+
+      {transactions.map(transaction => (
+        <button
+          key={transaction.transactionId}
+          onClick={() => navigate(transactionPath(transaction.transactionId))}
+          className={`history-item ${transaction.transactionId === selectedId ? 'selected' : ''}`}
+        >
+          <div className="queue-item-row">
+            <span className="queue-item-title">{decodeEntities(transaction.recipientName)}</span>
+            <span>{formatAmount(transaction.amount, transaction.currency)}</span>
+          </div>
+          <div className="queue-item-row">
+            <span>{new Date(transaction.timestamp).toLocaleString()}</span>
+            <StatusBadge status={transaction.status} />
+          </div>
+        </button>
+      ))}
+
+      {nextCursor && (
+        <button onClick={() => loadHistory(nextCursor)} disabled={loading} className="button button-secondary">
+          {loading ? 'Loading...' : 'Load more'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default TransactionHistory;
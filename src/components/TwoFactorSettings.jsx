@@ -0,0 +1,148 @@
+import React, { useEffect, useState } from 'react';
+import { AlertCircle, ShieldCheck } from 'lucide-react';
+import { apiFetch } from '../api';
+import MfaEnrollment from './MfaEnrollment';
+
+// Optional two-factor setup for customers
+const TwoFactorSettings = () => {
+  const [status, setStatus] = useState(null);
+  const [enrolling, setEnrolling] = useState(false);
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const loadStatus = async () => {
+    try {
+      const response = await apiFetch('/auth/mfa');
+      const data = await response.json();
+
+      if (response.ok) {
+        setStatus(data);
+      }
+    } catch (err) {
+      setError('Network error. Please try again.');
+    }
+  };
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const handleDisable = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await apiFetch('/auth/mfa/disable', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ password, code })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        setError(data.message || 'Failed to disable two-factor authentication');
+        return;
+      }
+
+      setPassword('');
+      setCode('');
+      loadStatus();
+    } catch (err) {
+      setError('Network error. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!status) return null;
+
+  // Turning two-factor on or off is confirmed with the password
+  const passwordField = (
+    <div className="form-group">
+      <label className="form-label">Current Password</label>
+      <input
+        type="password"
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+        className="form-input"
+        disabled={loading}
+      />
+    </div>
+  );
+
+  return (
+    <div className="section">
+      <h2 className="section-title">Two-Factor Authentication</h2>
+
+      {error && (
+        <div className="alert alert-error">
+          <AlertCircle size={20} />
+          <div className="alert-text">{error}</div>
+        </div>
+      )}
+
+      {enrolling ? (
+        <MfaEnrollment
+          password={password}
+          onComplete={() => {
+            setEnrolling(false);
+            setPassword('');
+            loadStatus();
+          }}
+          onCancel={() => {
+            setEnrolling(false);
+            setPassword('');
+          }}
+        />
+      ) : status.enabled ? (
+        <>
+          <div className="alert alert-success">
+            <ShieldCheck size={20} />
+            <div className="alert-text">
+              Enabled. {status.recoveryCodesRemaining} recovery code(s) remaining.
+            </div>
+          </div>
+
+          {passwordField}
+
+          <div className="form-group">
+            <label className="form-label">Authentication code to disable</label>
+            <input
+              type="text"
+              inputMode="numeric"
+              value={code}
+              onChange={(e) => setCode(e.target.value.replace(/[^0-9]/g, ''))}
+              maxLength="6"
+              className="form-input"
+              placeholder="123456"
+              disabled={loading}
+            />
+          </div>
+
+          <button
+            onClick={handleDisable}
+            disabled={loading || !password || code.length !== 6}
+            className="button button-secondary"
+          >
+            Disable Two-Factor Authentication
+          </button>
+        </>
+      ) : (
+        <>
+          {passwordField}
+
+          <button onClick={() => setEnrolling(true)} disabled={!password} className="button button-success">
+            <ShieldCheck size={20} />
+            Enable Two-Factor Authentication
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,293 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { AlertCircle, CheckCircle, KeyRound, RefreshCw, UserCheck, UserX } from 'lucide-react';
+import { apiFetch } from '../api';
+import { decodeEntities } from '../utils/text';
+
+const EMPTY_FILTERS = { q: '', userType: '', status: '' };
+
+// Every account with its status and last login. Administrators change
+// employees' roles, disable and re-enable accounts and force password
+// resets here, but never on their own account.
+const UserManagementPanel = ({ currentEmail }) => {
+  const [users, setUsers] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [roles, setRoles] = useState([]);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [loading, setLoading] = useState(false);
+  // Only the newest request may update the list, whatever order responses arrive in
+  const latestRequest = useRef(0);
+
+  // Without a cursor the list is replaced; with one the next page is appended
+  const loadUsers = async (cursor = null) => {
+    const request = ++latestRequest.current;
+    setLoading(true);
+    setError('');
+
+    try {
+      const params = new URLSearchParams();
+      for (const [name, value] of Object.entries(filters)) {
+        if (value.trim()) params.set(name, value.trim());
+      }
+      if (cursor) params.set('after', cursor);
+
+      const response = await apiFetch(`/users?${params.toString()}`);
+      const data = await response.json();
+
+      if (request !== latestRequest.current) return;
+
+      if (!response.ok) {
+        setError(data.message || 'Failed to load users');
+        return;
+      }
+
+      setUsers(prev => (cursor ? [...prev, ...data.users] : data.users));
+      setNextCursor(data.nextCursor);
+    } catch (err) {
+      setError('Network error. Please try again.');
+    } finally {
+      if (request === latestRequest.current) setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    apiFetch('/users/roles')
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => data && setRoles(data.roles))
+      .catch(() => {});
+  }, []);
+
+  // Typing in the search box waits for a pause before querying
+  useEffect(() => {
+    const timer = setTimeout(() => loadUsers(), 300);
+    return () => clearTimeout(timer);
+  }, [filters]);
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  const request = async (path, options, failureMessage) => {
+    setLoading(true);
+    setError('');
+    setMessage('');
+
+    try {
+      const response = await apiFetch(path, {
+        ...options,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        setError(data.message || failureMessage);
+        return null;
+      }
+
+      setMessage(data.message);
+      return data;
+    } catch (err) {
+      setError('Network error. Please try again.');
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const replaceUser = (email, changes) => {
+    setUsers(prev => prev.map(user => (user.email === email ? { ...user, ...changes } : user)));
+  };
+
+  const handleRoleChange = async (user, role) => {
+    const data = await request(`/users/${encodeURIComponent(user.email)}/role`, {
+      method: 'PUT',
+      body: JSON.stringify({ role })
+    }, 'Failed to change role');
+
+    if (data) replaceUser(user.email, { role: data.user.role });
+  };
+
+  const handleDisable = async (user) => {
+    const reason = window.prompt(`Disable ${user.email}? They are signed out everywhere. Reason (optional):`);
+    if (reason === null) return;
+
+    const data = await request(`/users/${encodeURIComponent(user.email)}/disable`, {
+      method: 'POST',
+      body: JSON.stringify({ reason })
+    }, 'Failed to disable account');
+
+    if (data) replaceUser(user.email, data.user);
+  };
+
+  const handleEnable = async (user) => {
+    const data = await request(`/users/${encodeURIComponent(user.email)}/enable`, {
+      method: 'POST',
+      body: JSON.stringify({})
+    }, 'Failed to enable account');
+
+    if (data) replaceUser(user.email, data.user);
+  };
+
+  const handlePasswordReset = async (user) => {
+    if (!window.confirm(`Reset the password of ${user.email}? They are signed out and must choose a new password after their next login.`)) return;
+
+    const data = await request(`/users/${encodeURIComponent(user.email)}/password-reset`, {
+      method: 'POST',
+      body: JSON.stringify({})
+    }, 'Failed to reset password');
+
+    if (data) replaceUser(user.email, data.user);
+  };
+
+  return (
+    <div className="section">
+      <div className="queue-header">
+        <h2 className="section-title">User Management</h2>
+        <button onClick={() => loadUsers()} disabled={loading} className="logout-button">
+          <RefreshCw size={16} />
+        </button>
+      </div>
+
+      {error && (
+        <div className="alert alert-error">
+          <AlertCircle size={20} />
+          <div className="alert-text">{error}</div>
+        </div>
+      )}
+
+      {message && (
+        <div className="alert alert-success">
+          <CheckCircle size={20} />
+          <div className="alert-text">{message}</div>
+        </div>
+      )}
+
+      <div className="form-group">
+        <label className="form-label">Search</label>
+        <input
+          type="search"
+          name="q"
+          value={filters.q}
+          onChange={handleFilterChange}
+          className="form-input"
+          placeholder="Email or name"
+        />
+      </div>
+
+      <div className="form-row">
+        <div className="form-group">
+          <label className="form-label">Type</label>
+          <select name="userType" value={filters.userType} onChange={handleFilterChange} className="form-input">
+            <option value="">All users</option>
+            <option value="employee">Employees</option>
+            <option value="customer">Customers</option>
+          </select>
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">Status</label>
+          <select name="status" value={filters.status} onChange={handleFilterChange} className="form-input">
+            <option value="">Any status</option>
+            <option value="active">Active</option>
+            <option value="disabled">Disabled</option>
+          </select>
+        </div>
+      </div>
+
+      {users.length === 0 && !loading && (
+        <div className="queue-check">
+          <span>No users match these filters.</span>
+        </div>
+      )}
+
+      {users.map(user => {
+        const own = user.email === currentEmail;
+
+        return (
+          <div key={user.email} className="queue-item">
+            <div className="queue-item-title">{user.email}</div>
+            {user.fullName && (
+              <div className="queue-item-row">
+                <span>Name</span>
+                <span>{decodeEntities(user.fullName)}</span>
+              </div>
+            )}
+            <div className="queue-item-row">
+              <span>Role</span>
+              {user.userType === 'employee' && !own && roles.length > 0 ? (
+                <select
+                  value={user.role}
+                  onChange={(e) => handleRoleChange(user, e.target.value)}
+                  className="form-input"
+                  disabled={loading || user.status === 'disabled'}
+                >
+                  {roles.map(item => (
+                    <option key={item.role} value={item.role}>{item.label}</option>
+                  ))}
+                </select>
+              ) : (
+                <span>{roles.find(item => item.role === user.role)?.label || user.role}</span>
+              )}
+            </div>
+            <div className="queue-item-row">
+              <span>Status</span>
+              <span>
+                {user.status === 'disabled'
+                  ? `Disabled by ${user.disabledBy || 'unknown'} on ${new Date(user.disabledAt).toLocaleString()}`
+                  : 'Active'}
+              </span>
+            </div>
+            <div className="queue-item-row">
+              <span>Last login</span>
+              <span>{user.lastLoginAt ? new Date(user.lastLoginAt).toLocaleString() : 'Never'}</span>
+            </div>
+            <div className="queue-item-row">
+              <span>Two-factor</span>
+              <span>{user.mfaEnabled ? 'On' : 'Off'}</span>
+            </div>
+            {user.passwordResetRequired && (
+              <div className="field-hint">Must choose a new password at the next login</div>
+            )}
+
+            {!own && (
+              <div className="queue-actions">
+                {user.status === 'disabled' ? (
+                  <button onClick={() => handleEnable(user)} disabled={loading} className="button button-secondary">
+                    <UserCheck size={18} />
+                    Enable
+                  </button>
+                ) : (
+                  <button onClick={() => handleDisable(user)} disabled={loading} className="button button-danger">
+                    <UserX size={18} />
+                    Disable
+                  </button>
+                )}
+                <button
+                  onClick={() => handlePasswordReset(user)}
+                  disabled={loading || !user.mfaEnabled}
+                  title={user.mfaEnabled ? undefined : 'Without two-factor the reset would only ask for the current password. Disable the account instead'}
+                  className="button button-secondary"
+                >
+                  <KeyRound size={18} />
+                  Reset Password
+                </button>
+              </div>
+            )}
+          </div>
+        );
+      })}
+
+      {nextCursor && (
+        <button onClick={() => loadUsers(nextCursor)} disabled={loading} className="button button-secondary">
+          {loading ? 'Loading...' : 'Load More'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default UserManagementPanel;
@@ -0,0 +1,227 @@
+import React, { useEffect, useState } from 'react';
+import { AlertCircle, CheckCircle, Gauge, RefreshCw, XCircle } from 'lucide-react';
+import { apiFetch } from '../api';
+import { useStatusListUpdates } from '../liveUpdates';
+import { formatAmount } from '../utils/money';
+import { decodeEntities } from '../utils/text';
+
+const VerificationQueue = () => {
+  const [transactions, setTransactions] = useState([]);
+  const [checked, setChecked] = useState({});
+  const [reasons, setReasons] = useState({});
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const loadQueue = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await apiFetch('/payments/pending');
+      const data = await response.json();
+
+      if (!response.ok) {
+        setError(data.message || 'Failed to load pending payments');
+        return;
+      }
+
+      setTransactions(data.transactions);
+    } catch (err) {
+      setError('Network error. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadQueue();
+  }, []);
+
+  useStatusListUpdates('pending', setTransactions, loadQueue);
+
+  const toggleCheck = (transactionId, field) => {
+    setChecked(prev => ({
+      ...prev,
+      [transactionId]: {
+        ...prev[transactionId],
+        [field]: !prev[transactionId]?.[field]
+      }
+    }));
+  };
+
+  const submitDecision = async (transactionId, action, body) => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await apiFetch(`/payments/${transactionId}/${action}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        setError(data.message || `Failed to ${action} payment`);
+        return;
+      }
+
+      setTransactions(prev => prev.filter(txn => txn.transactionId !== transactionId));
+    } catch (err) {
+      setError('Network error. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleVerify = (transactionId) => {
+    submitDecision(transactionId, 'verify', {
+      swiftCodeChecked: !!checked[transactionId]?.swiftCode,
+      beneficiaryChecked: !!checked[transactionId]?.beneficiary
+    });
+  };
+
+  const handleReject = (transactionId) => {
+    submitDecision(transactionId, 'reject', {
+      reason: reasons[transactionId] || ''
+    });
+  };
+
+  return (
+    <div>
+      <div className="queue-header">
+        <h2>Verification Queue ({transactions.length})</h2>
+        <button onClick={loadQueue} disabled={loading} className="logout-button">
+          <RefreshCw size={16} />
+        </button>
+      </div>
+
+      {error && (
+        <div className="alert alert-error">
+          <AlertCircle size={20} />
+          <div className="alert-text">{error}</div>
+        </div>
+      )}
+
+      {transactions.length === 0 && !loading && (
+        <div className="alert alert-info">
+          <div className="alert-text">No payments awaiting verification.</div>
+        </div>
+      )}
+
+      {transactions.map(txn => {
+        const txnChecked = checked[txn.transactionId] || {};
+        const { swiftCode, beneficiary } = txn.checks;
+
+        return (
+          <div key={txn.transactionId} className="queue-item">
+            <div className="queue-item-title">{txn.transactionId}</div>
+            <div className="queue-item-row">
+              <span>Amount</span>
+              <span>{formatAmount(txn.amount, txn.currency)}</span>
+            </div>
+            <div className="queue-item-row">
+              <span>Provider</span>
+              <span>{txn.provider}</span>
+            </div>
+            <div className="queue-item-row">
+              <span>Customer</span>
+              <span>{txn.initiatedBy}</span>
+            </div>
+            {txn.batchId && (
+              <div className="queue-item-row">
+                <span>Batch</span>
+                <span>{txn.batchId}</span>
+              </div>
+            )}
+            <div className="queue-item-row">
+              <span>Submitted</span>
+              <span>{new Date(txn.timestamp).toLocaleString()}</span>
+            </div>
+            {txn.riskScore !== undefined && (
+              <div className="queue-item-row">
+                <span>Risk score</span>
+                <span>{txn.riskScore} / 100</span>
+              </div>
+            )}
+            {txn.riskReasons?.map(reason => (
+              <div key={reason.rule} className="queue-check">
+                <Gauge size={16} />
+                <span>{reason.detail} (+{reason.weight})</span>
+              </div>
+            ))}
+            {txn.riskReleasedBy && (
+              <div className="session-meta">
+                Released from risk hold by {txn.riskReleasedBy}: {decodeEntities(txn.riskReleaseNote)}
+              </div>
+            )}
+
+            <label className="queue-check">
+              <input
+                type="checkbox"
+                checked={!!txnChecked.swiftCode}
+                onChange={() => toggleCheck(txn.transactionId, 'swiftCode')}
+                disabled={loading}
+              />
+              <span>
+                SWIFT <strong>{txn.swiftCode}</strong> (bank {swiftCode.bankCode},
+                country {swiftCode.countryCode}, branch {swiftCode.branchCode})
+                {swiftCode.valid ? ' ✓' : ' ✗ invalid format'}
+              </span>
+            </label>
+
+            <label className="queue-check">
+              <input
+                type="checkbox"
+                checked={!!txnChecked.beneficiary}
+                onChange={() => toggleCheck(txn.transactionId, 'beneficiary')}
+                disabled={loading}
+              />
+              <span>
+                Beneficiary <strong>{txn.recipientName}</strong>,{' '}
+                {beneficiary.accountType === 'iban' ? 'IBAN' : 'account'} {txn.recipientAccount}
+                {beneficiary.accountCountry && ` (${beneficiary.accountCountry})`}
+                {beneficiary.nameValid && beneficiary.accountValid
+                  ? ' ✓'
+                  : ` ✗ ${beneficiary.accountError || 'incomplete'}`}
+              </span>
+            </label>
+
+            <input
+              type="text"
+              value={reasons[txn.transactionId] || ''}
+              onChange={(e) => setReasons(prev => ({ ...prev, [txn.transactionId]: e.target.value }))}
+              className="form-input"
+              placeholder="Reason for rejection"
+              disabled={loading}
+            />
+
+            <div className="queue-actions">
+              <button
+                onClick={() => handleVerify(txn.transactionId)}
+                disabled={loading || !txnChecked.swiftCode || !txnChecked.beneficiary}
+                className="button button-success"
+              >
+                <CheckCircle size={18} />
+                Verify
+              </button>
+              <button
+                onClick={() => handleReject(txn.transactionId)}
+                disabled={loading || !(reasons[txn.transactionId] || '').trim()}
+                className="button button-danger"
+              >
+                <XCircle size={18} />
+                Reject
+              </button>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default VerificationQueue;
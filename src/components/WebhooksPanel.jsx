@@ -0,0 +1,275 @@
+import React, { useEffect, useState } from 'react';
+import { AlertCircle, CheckCircle, RefreshCw, Send, Trash2, Webhook } from 'lucide-react';
+import { apiFetch } from '../api';
+
+const DELIVERY_STATUS_LABELS = {
+  pending: 'Retrying',
+  delivered: 'Delivered',
+  dead: 'Failed'
+};
+
+// Endpoints that receive the customer's payment status changes, and the log of
+// what was sent to them. The signing secret is shown once, right after creating.
+const WebhooksPanel = () => {
+  const [subscriptions, setSubscriptions] = useState([]);
+  const [eventTypes, setEventTypes] = useState([]);
+  const [deliveries, setDeliveries] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [form, setForm] = useState({ url: '', eventTypes: [] });
+  const [signingSecret, setSigningSecret] = useState('');
+  const [errors, setErrors] = useState({});
+  const [message, setMessage] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const request = async (path, options, failureMessage) => {
+    setLoading(true);
+    setErrors({});
+    setMessage('');
+
+    try {
+      const response = await apiFetch(path, options);
+      const data = await response.json();
+
+      if (!response.ok) {
+        setErrors({ general: data.message || failureMessage, ...data.errors });
+        return null;
+      }
+
+      return data;
+    } catch (err) {
+      setErrors({ general: 'Network error. Please try again.' });
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadSubscriptions = async () => {
+    const data = await request('/webhooks', undefined, 'Failed to load webhooks');
+    if (!data) return;
+
+    setSubscriptions(data.subscriptions);
+    setEventTypes(data.eventTypes);
+  };
+
+  const loadDeliveries = async (cursor = null) => {
+    const params = new URLSearchParams();
+    if (statusFilter) params.set('status', statusFilter);
+    if (cursor) params.set('before', cursor);
+
+    const data = await request(`/webhooks/deliveries?${params}`, undefined, 'Failed to load deliveries');
+    if (!data) return;
+
+    setDeliveries(prev => (cursor ? [...prev, ...data.deliveries] : data.deliveries));
+    setNextCursor(data.nextCursor);
+  };
+
+  useEffect(() => {
+    loadSubscriptions();
+  }, []);
+
+  useEffect(() => {
+    loadDeliveries();
+  }, [statusFilter]);
+
+  const toggleEventType = (eventType) => {
+    setForm(prev => ({
+      ...prev,
+      eventTypes: prev.eventTypes.includes(eventType)
+        ? prev.eventTypes.filter(type => type !== eventType)
+        : [...prev.eventTypes, eventType]
+    }));
+  };
+
+  const handleCreate = async () => {
+    setSigningSecret('');
+
+    const data = await request('/webhooks', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(form)
+    }, 'Failed to create webhook');
+    if (!data) return;
+
+    setSubscriptions(prev => [...prev, data.subscription]);
+    setSigningSecret(data.signingSecret);
+    setForm({ url: '', eventTypes: [] });
+    setMessage(data.message);
+  };
+
+  const handleDelete = async (subscription) => {
+    if (!window.confirm(`Stop sending events to ${subscription.url}?`)) return;
+
+    const data = await request(`/webhooks/${subscription.subscriptionId}`, { method: 'DELETE' }, 'Failed to delete webhook');
+    if (!data) return;
+
+    setSubscriptions(prev => prev.filter(item => item.subscriptionId !== subscription.subscriptionId));
+    setMessage(data.message);
+    loadDeliveries();
+  };
+
+  const handleRedeliver = async (deliveryId) => {
+    const data = await request(`/webhooks/deliveries/${deliveryId}/redeliver`, { method: 'POST' }, 'Failed to redeliver event');
+    if (!data) return;
+
+    setDeliveries(prev => [data.delivery, ...prev]);
+    setMessage(data.message);
+  };
+
+  return (
+    <>
+      <div className="section">
+        <h2 className="section-title">Webhooks</h2>
+
+        {errors.general && (
+          <div className="alert alert-error">
+            <AlertCircle size={20} />
+            <div className="alert-text">{errors.general}</div>
+          </div>
+        )}
+
+        {message && (
+          <div className="alert alert-success">
+            <CheckCircle size={20} />
+            <div className="alert-text">{message}</div>
+          </div>
+        )}
+
+        {signingSecret && (
+          <div className="queue-item">
+            <div className="queue-item-title">Signing secret</div>
+            <div className="mfa-secret">{signingSecret}</div>
+            <div className="field-hint">
+              Each request carries an X-Webhook-Signature header: t=timestamp,v1=HMAC-SHA256 of
+              &quot;timestamp.body&quot; with this secret.
+            </div>
+          </div>
+        )}
+
+        {subscriptions.map(subscription => (
+          <div key={subscription.subscriptionId} className="queue-item">
+            <div className="queue-check">
+              <Webhook size={16} />
+              <span className="queue-item-title">{subscription.url}</span>
+              <button onClick={() => handleDelete(subscription)} disabled={loading} className="logout-button">
+                <Trash2 size={14} />
+              </button>
+            </div>
+            <div className="session-meta">{subscription.eventTypes.join(', ')}</div>
+          </div>
+        ))}
+
+        <div className="form-group">
+          <label className="form-label">Endpoint URL</label>
+          <input
+            type="url"
+            value={form.url}
+            onChange={(e) => setForm(prev => ({ ...prev, url: e.target.value.trim() }))}
+            className="form-input"
+            placeholder="https://example.com/webhooks/payments"
+            disabled={loading}
+          />
+          {errors.url && <div className="error-message">{errors.url}</div>}
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">Events</label>
+          {eventTypes.map(eventType => (
+            <label key={eventType} className="queue-check">
+              <input
+                type="checkbox"
+                checked={form.eventTypes.includes(eventType)}
+                onChange={() => toggleEventType(eventType)}
+                disabled={loading}
+              />
+              <span>{eventType}</span>
+            </label>
+          ))}
+          {errors.eventTypes && <div className="error-message">{errors.eventTypes}</div>}
+        </div>
+
+        <button
+          onClick={handleCreate}
+          disabled={loading || !form.url || form.eventTypes.length === 0}
+          className="button button-secondary"
+        >
+          <Webhook size={20} />
+          Add Webhook
+        </button>
+      </div>
+
+      <div className="section">
+        <div className="queue-header">
+          <h2 className="section-title">Delivery Log</h2>
+          <button onClick={() => loadDeliveries()} disabled={loading} className="logout-button">
+            <RefreshCw size={16} />
+          </button>
+        </div>
+
+        <div className="form-group">
+          <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} className="form-input">
+            <option value="">All deliveries</option>
+            {Object.entries(DELIVERY_STATUS_LABELS).map(([status, label]) => (
+              <option key={status} value={status}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        {deliveries.length === 0 && !loading && (
+          <div className="field-hint">Events sent to your webhooks appear here.</div>
+        )}
+
+        {deliveries.map(delivery => (
+          <div key={delivery.deliveryId} className="queue-item">
+            <div className="queue-check">
+              <span className="queue-item-title">{delivery.eventType}</span>
+              {delivery.status !== 'pending' && (
+                <button onClick={() => handleRedeliver(delivery.deliveryId)} disabled={loading} className="logout-button">
+                  <Send size={14} />
+                  Redeliver
+                </button>
+              )}
+            </div>
+            <div className="queue-item-row">
+              <span>Payment</span>
+              <span>{delivery.transactionId}</span>
+            </div>
+            <div className="queue-item-row">
+              <span>Status</span>
+              <span>
+                {DELIVERY_STATUS_LABELS[delivery.status]} after {delivery.attempts} attempt{delivery.attempts === 1 ? '' : 's'}
+              </span>
+            </div>
+            {delivery.lastError && (
+              <div className="queue-item-row">
+                <span>Last error</span>
+                <span>{delivery.lastError}</span>
+              </div>
+            )}
+            {delivery.status === 'pending' && delivery.nextAttemptAt && (
+              <div className="queue-item-row">
+                <span>Next attempt</span>
+                <span>{new Date(delivery.nextAttemptAt).toLocaleString()}</span>
+              </div>
+            )}
+            <div className="session-meta">
+              {delivery.deliveryId} · {new Date(delivery.createdAt).toLocaleString()}
+              {delivery.redeliveryOf && ` · redelivery of ${delivery.redeliveryOf}`}
+            </div>
+          </div>
+        ))}
+
+        {nextCursor && (
+          <button onClick={() => loadDeliveries(nextCursor)} disabled={loading} className="button button-secondary">
+            Load more
+          </button>
+        )}
+      </div>
+    </>
+  );
+};
+
+export default WebhooksPanel;
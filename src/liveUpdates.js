@@ -0,0 +1,152 @@
+import { useEffect, useRef } from 'react';
+import { apiFetch } from './api';
+
+// One Server-Sent Events connection shared by every component that listens.
+// It is read with fetch() so it carries the same Bearer token as other API
+// calls; the server ends it when the token expires and we reconnect with a
+// refreshed one. Components listening when a connection is re-established
+// are told to reload, as updates may have been missed in between.
+
+const MIN_RETRY_MS = 1000;
+const MAX_RETRY_MS = 30 * 1000;
+// Updates arriving this close together are handed over at once, so a batch
+// of payments changing status costs each list one reload, not one per payment
+const BATCH_WINDOW_MS = 250;
+
+const listeners = new Set();
+let connection = null;
+let pending = [];
+let flushTimer = null;
+
+const flushPayments = () => {
+  const updates = pending;
+  pending = [];
+  flushTimer = null;
+  listeners.forEach(listener => listener.onPayments(updates));
+};
+
+const queuePayment = (update) => {
+  pending.push(update);
+  if (!flushTimer) flushTimer = setTimeout(flushPayments, BATCH_WINDOW_MS);
+};
+
+const resync = () => {
+  listeners.forEach(listener => listener.onResync());
+};
+
+const wait = (ms, signal) => new Promise(resolve => {
+  const timer = setTimeout(resolve, ms);
+  signal.addEventListener('abort', () => {
+    clearTimeout(timer);
+    resolve();
+  }, { once: true });
+});
+
+// Reads "event:" / "data:" blocks until the stream ends
+const readEvents = async (body, onEvent) => {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+
+    buffer += decoder.decode(value, { stream: true });
+    const blocks = buffer.split('\n\n');
+    buffer = blocks.pop();
+
+    for (const block of blocks) {
+      let event = 'message';
+      const data = [];
+      for (const line of block.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+      }
+      if (data.length > 0) onEvent(event, JSON.parse(data.join('\n')));
+    }
+  }
+};
+
+const connect = async (signal) => {
+  let retryMs = MIN_RETRY_MS;
+  let connectedBefore = false;
+
+  while (!signal.aborted) {
+    try {
+      const response = await apiFetch('/events', {
+        headers: { 'Accept': 'text/event-stream' },
+        signal
+      });
+
+      // The session has ended and apiFetch has already said so
+      if (response.status === 401) return;
+
+      if (response.ok) {
+        await readEvents(response.body, (event, data) => {
+          if (event === 'ready') {
+            retryMs = MIN_RETRY_MS;
+            if (connectedBefore) resync();
+            connectedBefore = true;
+          } else if (event === 'payment') {
+            queuePayment(data);
+          }
+        });
+      }
+    } catch (err) {
+      // Network error or aborted; retried below unless aborted
+    }
+
+    await wait(retryMs, signal);
+    retryMs = Math.min(retryMs * 2, MAX_RETRY_MS);
+  }
+};
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  if (!connection) {
+    connection = new AbortController();
+    connect(connection.signal);
+  }
+
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0 && connection) {
+      connection.abort();
+      connection = null;
+    }
+  };
+};
+
+/**
+ * While the component is mounted, calls onPayments(updates) when payments the
+ * user can see change status, each update being { transactionId, status,
+ * previousStatus, transaction }, and onResync() once a dropped connection is
+ * back. The latest handlers passed are the ones called.
+ */
+export const usePaymentUpdates = (onPayments, onResync) => {
+  const handlers = useRef({});
+  handlers.current = { onPayments, onResync };
+
+  useEffect(() => subscribe({
+    onPayments: (updates) => handlers.current.onPayments?.(updates),
+    onResync: () => handlers.current.onResync?.()
+  }), []);
+};
+
+/**
+ * Keeps a list of the payments in one status current: a payment entering the
+ * status reloads the list, as the list may show more than the update carries,
+ * and one leaving it is removed.
+ */
+export const useStatusListUpdates = (status, setTransactions, reload) => {
+  usePaymentUpdates((updates) => {
+    if (updates.some(update => update.status === status)) {
+      reload();
+      return;
+    }
+
+    const moved = new Set(updates.map(update => update.transactionId));
+    setTransactions(prev => prev.filter(txn => !moved.has(txn.transactionId)));
+  }, reload);
+};
@@ -0,0 +1,48 @@
+import { useEffect, useState } from 'react';
+
+// Minimal History API routing for the customer portal, so pages have their
+// own URLs and the browser's back and forward buttons work between them
+export const PATHS = {
+  payment: '/',
+  history: '/history',
+  security: '/security',
+  webhooks: '/webhooks'
+};
+
+export const transactionPath = (transactionId) => `${PATHS.history}/${encodeURIComponent(transactionId)}`;
+
+const listeners = new Set();
+
+// state travels with the history entry, e.g. a notice for the next page
+export const navigate = (path, { replace = false, state = null } = {}) => {
+  window.history[replace ? 'replaceState' : 'pushState'](state, '', path);
+  listeners.forEach(listener => listener());
+};
+
+const currentLocation = () => ({ path: window.location.pathname, state: window.history.state });
+
+export const useLocation = () => {
+  const [location, setLocation] = useState(currentLocation);
+
+  useEffect(() => {
+    const update = () => setLocation(currentLocation());
+    listeners.add(update);
+    window.addEventListener('popstate', update);
+    return () => {
+      listeners.delete(update);
+      window.removeEventListener('popstate', update);
+    };
+  }, []);
+
+  return location;
+};
+
+// Path -> { page, params }; anything unknown is the payment page
+export const matchRoute = (path) => {
+  const detail = path.match(/^\/history\/([^/]+)\/?$/);
+  if (detail) return { page: 'history', params: { transactionId: decodeURIComponent(detail[1]) } };
+  if (/^\/history\/?$/.test(path)) return { page: 'history', params: {} };
+  if (/^\/security\/?$/.test(path)) return { page: 'security', params: {} };
+  if (/^\/webhooks\/?$/.test(path)) return { page: 'webhooks', params: {} };
+  return { page: 'payment', params: {} };
+};
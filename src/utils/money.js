@@ -0,0 +1,16 @@
+// Formats a decimal amount string from the API, e.g. ("1234.50", "EUR") -> "€1,234.50".
+// Uses the string's own precision so JPY shows no decimals and KWD shows three.
+export const formatAmount = (amount, currency) => {
+  const decimals = String(amount).split('.')[1]?.length || 0;
+
+  try {
+    return new Intl.NumberFormat(undefined, {
+      style: 'currency',
+      currency,
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals
+    }).format(Number(amount));
+  } catch (error) {
+    return `${amount} ${currency}`;
+  }
+};
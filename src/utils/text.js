@@ -0,0 +1,24 @@
+// The API stores free text HTML-escaped (validator.escape). React escapes on
+// render anyway, so text put back into an input is decoded first to keep it
+// from being escaped twice when it is submitted again.
+const ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#x27;': "'",
+  '&#x2F;': '/',
+  '&#x5C;': '\\',
+  '&#96;': '`'
+};
+
+export const decodeEntities = (text) => String(text).replace(/&(amp|lt|gt|quot|#x27|#x2F|#x5C|#96);/g, entity => ENTITIES[entity]);
+
+// Strips markup from what is typed into the forms; the server validates and
+// escapes again regardless
+export const sanitizeInput = (input) => {
+  return input
+    .replace(/[<>]/g, '')
+    .replace(/javascript:/gi, '')
+    .replace(/on\w+=/gi, '');
+};